@@ -22,14 +22,31 @@ import authRoutes from './routes/auth.js';
 import taskRoutes from './routes/tasks.js';
 import userRoutes from './routes/users.js';
 import logRoutes from './routes/logs.js';
+import roleRoutes from './routes/roles.js';
+import settingsRoutes from './routes/settings.js';
 
 // Import middleware
-import { authenticateToken } from './middleware/auth.js';
+import { authenticateToken, requireSession } from './middleware/auth.js';
 import { logUserActivity } from './middleware/logging.js';
+import { corsOptions, csrfProtection } from './middleware/csrf.js';
+import { assertJwtSecret, startKeyRotation, getJwks } from './services/signingKeys.js';
+import { startRecurrenceScheduler } from './services/recurrence.js';
+import { startTrashPurger } from './services/taskTrash.js';
+import { assertMailTransport } from './services/mailer.js';
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start in production with a missing or example JWT_SECRET, or
+// without a mail transport that keeps reset links out of the log
+try {
+  assertJwtSecret();
+  assertMailTransport();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
@@ -38,10 +55,13 @@ const server = createServer(app);
 const PORT = process.env.PORT || 5001;
 
 // Middleware
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Cookie auth mode: writes authenticated by cookie need the CSRF header
+app.use('/api', csrfProtection);
+
 // Static files (for production)
 app.use(express.static(join(__dirname, '../../dist')));
 
@@ -55,14 +75,31 @@ connectDB().catch(err => {
   console.log('💡 Check MongoDB container and connection settings');
 });
 
+// Load the token signing keys and rotate them on schedule
+startKeyRotation();
+
+// Create the occurrences of calendar-scheduled recurring tasks as they come due
+startRecurrenceScheduler();
+
+// Purge tasks that have been in the trash longer than the retention period
+startTrashPurger();
+
 // Logging middleware for all requests
 app.use(logUserActivity);
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', authenticateToken, taskRoutes);
-app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/users', authenticateToken, requireSession, userRoutes);
 app.use('/api/logs', authenticateToken, logRoutes);
+app.use('/api/roles', authenticateToken, requireSession, roleRoutes);
+app.use('/api/settings', authenticateToken, requireSession, settingsRoutes);
+
+// Public keys for verifying TaskFlow tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -8,19 +8,154 @@
  * @version 1.0.0
  */
 
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import UserLog from '../models/UserLog.js';
+import PersonalAccessToken, { TOKEN_PREFIX } from '../models/PersonalAccessToken.js';
+import { parseDuration } from '../utils/tokens.js';
+import { getCookie, ACCESS_COOKIE } from '../utils/cookies.js';
+import { getRolePermissions } from '../services/roleService.js';
+import { signToken, verifyToken, ensureVerificationKey } from '../services/signingKeys.js';
+import { isSessionIdle } from '../services/sessionPolicy.js';
+
+const ACCESS_TOKEN_TTL_MS = parseDuration(process.env.JWT_EXPIRES_IN, 15 * 60 * 1000);
+
+/**
+ * Verify an access token and load its user
+ * Shared by the HTTP middleware and the WebSocket handshake.
+ * Returns { user, decoded, impersonation } on success or { failure }
+ * with the error body to send; throws the jsonwebtoken errors for bad
+ * or expired tokens. `impersonation` is null unless an admin is acting
+ * as the user
+ */
+export const verifyAccessToken = async (token) => {
+  await ensureVerificationKey(token);
+  const decoded = verifyToken(token);
+  
+  // Only access tokens grant API access (2FA challenge tokens do not)
+  if (decoded.type !== 'access') {
+    return {
+      failure: {
+        error: 'Invalid token type.',
+        code: 'INVALID_TOKEN_TYPE'
+      }
+    };
+  }
+  
+  // Check if user exists and is active
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user || !user.isActive) {
+    return {
+      failure: {
+        error: 'Invalid token. User not found or inactive.',
+        code: 'INVALID_USER'
+      }
+    };
+  }
+  
+  // Check user-wide revocation (e.g. after a password reset) and the session itself
+  if (user.isTokenRevokedByUser(decoded.iat) || await UserLog.isTokenRevoked(token, decoded.sid)) {
+    return {
+      failure: {
+        error: 'Session has been revoked. Please login again.',
+        code: 'TOKEN_REVOKED'
+      }
+    };
+  }
+  
+  // Sessions left idle longer than the role allows must login again
+  // (impersonation sessions have their own short fixed lifetime)
+  if (!decoded.act && await isSessionIdle(decoded.sid, user.role)) {
+    return {
+      failure: {
+        error: 'Session expired due to inactivity. Please login again.',
+        code: 'SESSION_IDLE_TIMEOUT'
+      }
+    };
+  }
+  
+  // Impersonation tokens stop working once the admin behind them loses the right
+  let impersonation = null;
+  if (decoded.act) {
+    const actor = await User.findById(decoded.act.sub).select('-password');
+    const actorPermissions = actor?.isActive ? await getRolePermissions(actor.role) : [];
+    
+    if (!actorPermissions.includes('users.manage')) {
+      return {
+        failure: {
+          error: 'Impersonation is no longer allowed. Please login again.',
+          code: 'IMPERSONATION_REVOKED'
+        }
+      };
+    }
+    
+    impersonation = { actor, expiresAt: new Date(decoded.exp * 1000) };
+  }
+  
+  return { user, decoded, impersonation };
+};
+
+/**
+ * Verify a personal access token and load its user
+ * Returns { user, accessToken } on success or { failure } with the error body to send
+ */
+export const verifyPersonalAccessToken = async (token) => {
+  const accessToken = await PersonalAccessToken.findActiveByToken(token);
+  if (!accessToken) {
+    return {
+      failure: {
+        error: 'Invalid, expired or revoked access token.',
+        code: 'INVALID_ACCESS_TOKEN'
+      }
+    };
+  }
+  
+  const user = await User.findById(accessToken.userId).select('-password');
+  if (!user || !user.isActive) {
+    return {
+      failure: {
+        error: 'Invalid token. User not found or inactive.',
+        code: 'INVALID_USER'
+      }
+    };
+  }
+  
+  // A password reset or "revoke everything" also invalidates older tokens
+  if (user.isTokenRevokedByUser(Math.floor(accessToken.createdAt.getTime() / 1000))) {
+    return {
+      failure: {
+        error: 'Access token has been revoked.',
+        code: 'TOKEN_REVOKED'
+      }
+    };
+  }
+  
+  return { user, accessToken };
+};
 
 /**
- * Middleware to authenticate JWT tokens
- * Verifies token validity and attaches user to request object
+ * Get the token a request authenticates with
+ * The Authorization header wins; in cookie auth mode the access token
+ * comes from the httpOnly session cookie
+ */
+export const getRequestToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  if (authHeader) {
+    return authHeader.split(' ')[1]; // Bearer TOKEN
+  }
+  return getCookie(req, ACCESS_COOKIE) || null;
+};
+
+/**
+ * Middleware to authenticate JWT tokens and personal access tokens
+ * Verifies token validity and attaches user to request object.
+ * `req.tokenScopes` is null for login sessions (full access) and the
+ * token's scopes for personal access tokens. While an admin impersonates
+ * someone, `req.user` is the impersonated user and
+ * `req.impersonation.actor` the admin
  */
 export const authenticateToken = async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const token = getRequestToken(req);
     
     if (!token) {
       return res.status(401).json({ 
@@ -29,16 +164,32 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    // Check if user exists and is active
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user || !user.isActive) {
-      return res.status(401).json({ 
-        error: 'Invalid token. User not found or inactive.',
-        code: 'INVALID_USER'
+    // Personal access tokens are opaque and checked against the database
+    if (token.startsWith(TOKEN_PREFIX)) {
+      const { user, accessToken, failure } = await verifyPersonalAccessToken(token);
+      if (failure) {
+        return res.status(401).json(failure);
+      }
+      
+      req.user = user;
+      req.token = token;
+      req.sessionId = null;
+      req.tokenScopes = accessToken.scopes;
+      req.personalAccessToken = accessToken;
+      req.impersonation = null;
+      req.permissions = await getRolePermissions(user.role);
+      
+      PersonalAccessToken.touch(accessToken._id, req.ip).catch(error => {
+        console.error('Access token usage update error:', error);
       });
+      
+      return next();
+    }
+    
+    // Verify token, user and revocation status
+    const { user, decoded, impersonation, failure } = await verifyAccessToken(token);
+    if (failure) {
+      return res.status(401).json(failure);
     }
     
     // Check if token is expired
@@ -52,7 +203,12 @@ export const authenticateToken = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid || null;
+    req.tokenScopes = null;
+    req.impersonation = impersonation;
+    req.permissions = await getRolePermissions(user.role);
     
+    // Session activity is recorded by logUserActivity once the request completes
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -125,6 +281,84 @@ export const requireAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to require a named permission from the user's role
+ * Must be used after authenticateToken
+ */
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Authentication required.',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    
+    if (!req.permissions || !req.permissions.includes(permission)) {
+      return res.status(403).json({ 
+        error: 'Insufficient permissions.',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: permission,
+        current: req.user.role
+      });
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Middleware to require a scope from personal access tokens
+ * Login sessions are not scoped and always pass
+ * Must be used after authenticateToken
+ */
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.tokenScopes && !req.tokenScopes.includes(scope)) {
+      return res.status(403).json({ 
+        error: 'Access token is missing a required scope.',
+        code: 'INSUFFICIENT_SCOPE',
+        required: scope,
+        current: req.tokenScopes
+      });
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Middleware to require an interactive login session
+ * Rejects personal access tokens on account and admin operations
+ * Must be used after authenticateToken
+ */
+export const requireSession = (req, res, next) => {
+  if (req.tokenScopes) {
+    return res.status(403).json({ 
+      error: 'This operation is not available to access tokens.',
+      code: 'SESSION_REQUIRED'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware to refuse an operation while an admin impersonates the user
+ * Keeps credentials, 2FA and sessions out of reach of "view as user"
+ * Must be used after authenticateToken
+ */
+export const denyImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({ 
+      error: 'This operation is not available while impersonating a user.',
+      code: 'IMPERSONATION_RESTRICTED'
+    });
+  }
+  
+  next();
+};
+
 /**
  * Middleware to check if user owns the resource or is admin
  * Must be used after authenticateToken
@@ -157,18 +391,67 @@ export const requireOwnershipOrAdmin = (resourceUserIdField = 'userId') => {
 };
 
 /**
- * Middleware to generate new JWT token
- * Used for token refresh functionality
+ * Generate a short-lived access token (JWT_EXPIRES_IN, default 15m)
+ * The session id ties the token to its refresh token family and
+ * UserLog entry so it can be revoked before it expires.
+ * `actorId` marks an impersonation token: the admin acting as the user
+ * is carried in the `act` claim (RFC 8693)
  */
-export const generateToken = (userId, role) => {
+export const generateToken = (userId, role, sessionId = null, { actorId = null, ttlMs = ACCESS_TOKEN_TTL_MS } = {}) => {
   const payload = {
     userId,
     role,
+    type: 'access',
     iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // 24 hours
+    exp: Math.floor((Date.now() + ttlMs) / 1000)
   };
   
-  return jwt.sign(payload, process.env.JWT_SECRET || 'your-secret-key');
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  
+  if (actorId) {
+    payload.act = { sub: actorId.toString() };
+  }
+  
+  return signToken(payload);
+};
+
+/**
+ * Get the access token lifetime in milliseconds
+ */
+export const getAccessTokenTTL = () => ACCESS_TOKEN_TTL_MS;
+
+/**
+ * Generate a short-lived login challenge token
+ * Issued by login when a second step is needed: '2fa_challenge' when
+ * the user has 2FA enabled, 'password_change' when the password has
+ * expired (after the second factor, if any, whose method is kept in `secondFactor`).
+ * Only accepted by that step, never by authenticateToken
+ */
+export const generateChallengeToken = (userId, type = '2fa_challenge', claims = {}) => {
+  const payload = {
+    ...claims,
+    userId,
+    type,
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(Date.now() / 1000) + (5 * 60) // 5 minutes
+  };
+  
+  return signToken(payload);
+};
+
+/**
+ * Verify a login challenge token of the given type
+ * Returns the decoded payload or null if invalid, expired or of the wrong type
+ */
+export const verifyChallengeToken = (token, type = '2fa_challenge') => {
+  try {
+    const decoded = verifyToken(token);
+    return decoded.type === type ? decoded : null;
+  } catch {
+    return null;
+  }
 };
 
 /**
@@ -177,16 +460,17 @@ export const generateToken = (userId, role) => {
  */
 export const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const token = getRequestToken(req);
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      const user = await User.findById(decoded.userId).select('-password');
+      const { user, decoded, impersonation, failure } = await verifyAccessToken(token);
       
-      if (user && user.isActive) {
+      if (!failure) {
         req.user = user;
         req.token = token;
+        req.sessionId = decoded.sid || null;
+        req.impersonation = impersonation;
+        req.permissions = await getRolePermissions(user.role);
       }
     }
     
@@ -198,10 +482,20 @@ export const optionalAuth = async (req, res, next) => {
 };
 
 export default {
+  getRequestToken,
+  verifyAccessToken,
+  verifyPersonalAccessToken,
   authenticateToken,
   requireRole,
   requireAdmin,
+  requirePermission,
+  requireScope,
+  requireSession,
+  denyImpersonation,
   requireOwnershipOrAdmin,
   generateToken,
+  getAccessTokenTTL,
+  generateChallengeToken,
+  verifyChallengeToken,
   optionalAuth
 };
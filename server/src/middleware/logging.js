@@ -12,7 +12,8 @@ import UserLog from '../models/UserLog.js';
 
 /**
  * Middleware to log user activity
- * Tracks all API requests and user actions
+ * Tracks all API requests and user actions, and records activity on
+ * the request's login session
  */
 export const logUserActivity = async (req, res, next) => {
   // Store original send method
@@ -61,7 +62,10 @@ const logRequest = async (req, res, responseData) => {
     const userAgent = req.get('User-Agent');
     
     // Determine action type based on request
-    const action = determineAction(req);
+    // Requests made while impersonating are recorded under their own action
+    const requestAction = determineAction(req);
+    const actor = req.impersonation?.actor || null;
+    const action = actor ? 'impersonated_request' : requestAction;
     
     // Create log entry
     const logEntry = {
@@ -78,10 +82,12 @@ const logRequest = async (req, res, responseData) => {
       responseStatus: res.statusCode,
       responseSize: JSON.stringify(responseData).length,
       timestamp: new Date(),
+      actor: UserLog.toActor(actor),
       metadata: {
         query: req.query,
         params: req.params,
-        headers: sanitizeHeaders(req.headers)
+        headers: sanitizeHeaders(req.headers),
+        ...(actor ? { requestAction, impersonationSessionId: req.sessionId } : {})
       }
     };
     
@@ -90,9 +96,16 @@ const logRequest = async (req, res, responseData) => {
       await UserLog.create(logEntry);
     }
     
+    // Requests renew the session's sliding idle timeout (impersonation
+    // sessions have a fixed lifetime and are not renewed)
+    if (req.sessionId && !actor) {
+      await UserLog.touchSession(req.sessionId);
+    }
+    
     // Log to console for development
     if (process.env.NODE_ENV === 'development') {
-      console.log(`📝 Activity Log: ${action} - ${req.method} ${req.path} - ${userData?.username || 'anonymous'} - ${ipAddress}`);
+      const actedBy = actor ? ` (impersonated by ${actor.username})` : '';
+      console.log(`📝 Activity Log: ${action} - ${req.method} ${req.path} - ${userData?.username || 'anonymous'}${actedBy} - ${ipAddress}`);
     }
     
   } catch (error) {
@@ -136,7 +149,7 @@ const determineAction = (req) => {
   if (path.includes('/auth/login')) return 'login';
   if (path.includes('/auth/logout')) return 'logout';
   if (path.includes('/auth/register')) return 'register';
-  if (path.includes('/auth/password-reset')) return 'password_reset';
+  if (path.includes('/auth/reset-password')) return 'password_reset';
   
   // Task actions
   if (path.includes('/tasks')) {
@@ -235,9 +248,9 @@ export const logUserAction = async (userId, action, details = {}) => {
  * Log login activity
  * Used specifically for login events
  */
-export const logLogin = async (userData, tokenData, ipAddress, userAgent) => {
+export const logLogin = async (userData, tokenData, ipAddress, userAgent, metadata = {}) => {
   try {
-    await UserLog.logLogin(userData, tokenData, ipAddress, userAgent);
+    await UserLog.logLogin(userData, tokenData, ipAddress, userAgent, metadata);
     
     if (process.env.NODE_ENV === 'development') {
       console.log(`🔐 Login: ${userData.username} (${userData.role}) from ${ipAddress}`);
@@ -252,9 +265,9 @@ export const logLogin = async (userData, tokenData, ipAddress, userAgent) => {
  * Log logout activity
  * Used specifically for logout events
  */
-export const logLogout = async (userId, token, ipAddress) => {
+export const logLogout = async (userId, token, ipAddress, sessionId = null) => {
   try {
-    await UserLog.logLogout(userId, token, ipAddress);
+    await UserLog.logLogout(userId, token, ipAddress, sessionId);
     
     if (process.env.NODE_ENV === 'development') {
       console.log(`🚪 Logout: User ${userId} from ${ipAddress}`);
@@ -265,9 +278,45 @@ export const logLogout = async (userId, token, ipAddress) => {
   }
 };
 
+/**
+ * Log account event
+ * Used for security-relevant events that are not logins (e.g. password reset)
+ */
+export const logAccountEvent = async (userData, action, ipAddress, userAgent, metadata = {}, actorData = null) => {
+  try {
+    await UserLog.logEvent(userData, action, ipAddress, userAgent, metadata, actorData);
+    
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`🔑 Account event: ${action} - ${userData.username} from ${ipAddress}`);
+    }
+    
+  } catch (error) {
+    console.error('Account event logging error:', error);
+  }
+};
+
+/**
+ * Log failed login attempt
+ * Used for wrong passwords, unknown emails and rejected second factors
+ */
+export const logFailedLogin = async (userData, email, ipAddress, userAgent, reason, metadata = {}) => {
+  try {
+    await UserLog.logFailedLogin(userData, email, ipAddress, userAgent, reason, metadata);
+    
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`⛔ Failed login: ${email} (${reason}) from ${ipAddress}`);
+    }
+    
+  } catch (error) {
+    console.error('Failed login logging error:', error);
+  }
+};
+
 export default {
   logUserActivity,
   logUserAction,
   logLogin,
-  logLogout
+  logLogout,
+  logAccountEvent,
+  logFailedLogin
 };
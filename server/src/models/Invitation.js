@@ -0,0 +1,148 @@
+/**
+ * Invitation Model
+ *
+ * MongoDB schema for admin-issued invite links. An invitation fixes the
+ * email address, role and team of the account created from it. Only a
+ * hash of the invite token is stored.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    trim: true
+  },
+  team: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Team name cannot exceed 50 characters'],
+    default: null
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Invitation expiration is required']
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the invitation's current state
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (new Date() >= this.expiresAt) return 'expired';
+  return 'pending';
+});
+
+// Virtual for the public representation of the invitation
+invitationSchema.virtual('summary').get(function() {
+  return {
+    id: this._id,
+    email: this.email,
+    role: this.role,
+    team: this.team,
+    status: this.status,
+    invitedBy: this.invitedBy,
+    expiresAt: this.expiresAt,
+    acceptedAt: this.acceptedAt,
+    createdAt: this.createdAt
+  };
+});
+
+// Static method to create an invitation and return its plain token once
+invitationSchema.statics.issue = async function({ email, role, team, invitedBy, expiresAt }) {
+  const token = generateOpaqueToken();
+
+  const invitation = await this.create({
+    email,
+    role,
+    team: team || null,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt
+  });
+
+  return { token, invitation };
+};
+
+// Static method to find a usable invitation by its plain token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to atomically claim the newest pending invitation for an email address
+// Used when SSO provisions the account instead of an invite link
+invitationSchema.statics.claimPendingForEmail = function(email, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      email: email.toLowerCase(),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    { acceptedAt: now },
+    { new: true, sort: { createdAt: -1 } }
+  );
+};
+
+// Static method to revoke every pending invitation for an email address
+invitationSchema.statics.revokePendingForEmail = function(email) {
+  return this.updateMany(
+    { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Indexes for better query performance
+invitationSchema.index({ email: 1, createdAt: -1 });
+invitationSchema.index({ createdAt: -1 });
+// Let MongoDB remove invitations a month after they expire
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,75 @@
+/**
+ * Password Policy Model
+ *
+ * MongoDB schema for the admin-configured password policy. There is at
+ * most one document (key "default"); until an admin saves one, the
+ * PASSWORD_* environment variables apply.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+// The User schema's own floor and bcrypt's input limit
+export const MIN_PASSWORD_LENGTH = 6;
+export const MAX_PASSWORD_BYTES = 72;
+
+const passwordPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  minLength: {
+    type: Number,
+    min: [MIN_PASSWORD_LENGTH, `Minimum length cannot be below ${MIN_PASSWORD_LENGTH}`],
+    max: [MAX_PASSWORD_BYTES, `Minimum length cannot exceed ${MAX_PASSWORD_BYTES}`],
+    required: true
+  },
+  requireUppercase: {
+    type: Boolean,
+    default: false
+  },
+  requireLowercase: {
+    type: Boolean,
+    default: false
+  },
+  requireDigit: {
+    type: Boolean,
+    default: false
+  },
+  requireSymbol: {
+    type: Boolean,
+    default: false
+  },
+  // Recent passwords, including the current one, that cannot be reused
+  historyCount: {
+    type: Number,
+    min: [0, 'History count cannot be negative'],
+    max: [24, 'History count cannot exceed 24'],
+    default: 0
+  },
+  // Days before a password must be changed; 0 turns rotation off
+  maxAgeDays: {
+    type: Number,
+    min: [0, 'Maximum age cannot be negative'],
+    max: [3650, 'Maximum age cannot exceed 3650 days'],
+    default: 0
+  },
+  rejectBreached: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const PasswordPolicy = mongoose.model('PasswordPolicy', passwordPolicySchema);
+
+export default PasswordPolicy;
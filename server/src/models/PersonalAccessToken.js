@@ -0,0 +1,153 @@
+/**
+ * PersonalAccessToken Model
+ *
+ * MongoDB schema for long-lived, scoped API tokens used by scripts and
+ * integrations. Only a hash of the token is stored; the plain value is
+ * returned once when the token is created.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+// Prefix that lets authenticateToken tell these tokens apart from JWTs
+export const TOKEN_PREFIX = 'tfp_';
+
+export const TOKEN_SCOPES = ['tasks:read', 'tasks:write', 'logs:read'];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  tokenHint: {
+    // Last characters of the token so users can tell their tokens apart
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: TOKEN_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiration is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the token can still be used
+personalAccessTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && new Date() < this.expiresAt;
+});
+
+// Virtual for the public representation of the token
+personalAccessTokenSchema.virtual('summary').get(function() {
+  return {
+    id: this._id,
+    name: this.name,
+    scopes: this.scopes,
+    tokenHint: this.tokenHint,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt,
+    isActive: this.isActive
+  };
+});
+
+// Method to check whether the token grants a scope
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to create a token and return its plain value once
+personalAccessTokenSchema.statics.issue = async function(userId, { name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${generateOpaqueToken()}`;
+
+  const accessToken = await this.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    tokenHint: token.slice(-4),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { token, accessToken };
+};
+
+// Static method to find a usable token by its plain value
+personalAccessTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to list a user's tokens that have not been revoked
+personalAccessTokenSchema.statics.findForUser = function(userId) {
+  return this.find({ userId: userId, revokedAt: null }).sort({ createdAt: -1 });
+};
+
+// Static method to record token use
+// Writes at most once per `minIntervalMs` to keep request overhead low
+personalAccessTokenSchema.statics.touch = function(id, ipAddress, minIntervalMs = 60 * 1000) {
+  return this.updateOne(
+    {
+      _id: id,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(Date.now() - minIntervalMs) } }
+      ]
+    },
+    { lastUsedAt: new Date(), lastUsedIp: ipAddress || null }
+  );
+};
+
+// Indexes for better query performance
+personalAccessTokenSchema.index({ userId: 1, createdAt: -1 });
+// Let MongoDB remove tokens a month after they expire
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+export default PersonalAccessToken;
@@ -0,0 +1,129 @@
+/**
+ * RefreshToken Model
+ *
+ * MongoDB schema for rotating refresh tokens.
+ * Every login starts a token family (one per session); each refresh
+ * consumes the current token and issues its successor in the same family.
+ * Presenting an already-consumed token is treated as theft and revokes
+ * the whole family.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { hashToken } from '../utils/tokens.js';
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  familyId: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiration is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',
+      'reuse_detected',
+      'password_reset',
+      'user_revoked',
+      'admin_revoked',
+      'impersonation_ended',
+      'idle_timeout',
+      'session_limit',
+      null
+    ],
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for whether the token can still be exchanged
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.usedAt && !this.revokedAt && new Date() < this.expiresAt;
+});
+
+// Static method to find a token by its plain value
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static method to atomically consume an unused, unrevoked token
+// Returns null if the token was already used, revoked or does not exist
+refreshTokenSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      revokedAt: null
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(familyId, reason) {
+  return this.updateMany(
+    { familyId: familyId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every token of a user, optionally keeping one family
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason, exceptFamilyId = null) {
+  return this.updateMany(
+    {
+      userId: userId,
+      revokedAt: null,
+      ...(exceptFamilyId ? { familyId: { $ne: exceptFamilyId } } : {})
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Indexes for better query performance
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ userId: 1 });
+// Let MongoDB remove tokens a day after they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,65 @@
+/**
+ * Role Model
+ *
+ * MongoDB schema for admin-defined custom roles. Built-in roles live in
+ * utils/permissions.js; a custom role maps a new name to a set of the
+ * same named permissions.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { PERMISSION_NAMES, isBuiltInRole } from '../utils/permissions.js';
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits, "-" or "_"'],
+    validate: {
+      validator: (name) => !isBuiltInRole(name),
+      message: 'Role name is reserved for a built-in role'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSION_NAMES
+    }],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the public representation of the role
+roleSchema.virtual('summary').get(function() {
+  return {
+    name: this.name,
+    description: this.description,
+    permissions: this.permissions,
+    builtIn: false,
+    createdAt: this.createdAt
+  };
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
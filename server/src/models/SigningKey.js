@@ -0,0 +1,83 @@
+/**
+ * Signing Key Model
+ *
+ * MongoDB schema for the asymmetric keys that sign TaskFlow tokens. One
+ * key is active at a time; retired keys stay published in the JWKS until
+ * `verifyUntil`, when every token they signed has expired, and are then
+ * removed by a TTL index. Private keys are stored encrypted.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['RS256', 'EdDSA'],
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  // AES-256-GCM encrypted PEM, keyed from JWT_SECRET
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  activatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  // Null while active; the key is deleted after this date
+  verifyUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+signingKeySchema.index({ status: 1, activatedAt: -1 });
+signingKeySchema.index({ verifyUntil: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find keys that still sign or verify tokens
+signingKeySchema.statics.findUsable = function(now = new Date()) {
+  return this.find({
+    $or: [
+      { status: 'active' },
+      { verifyUntil: { $gt: now } }
+    ]
+  }).select('+privateKey').sort({ activatedAt: -1 });
+};
+
+// Static method to retire a key if it is still the active one
+// Returns null when another server already rotated it
+signingKeySchema.statics.retire = function(kid, verifyUntil, now = new Date()) {
+  return this.findOneAndUpdate(
+    { kid, status: 'active' },
+    { status: 'retired', retiredAt: now, verifyUntil },
+    { new: true }
+  );
+};
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+export default SigningKey;
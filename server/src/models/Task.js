@@ -3,6 +3,17 @@
  * 
  * MongoDB schema for task management with filtering capabilities.
  * Includes status tracking, priority levels, and user assignments.
+ * Tasks form a tree through `parentTask`; `ancestors` lists the path
+ * from the root so whole subtrees can be queried at once. A parent's
+ * progress and estimated hours are rolled up from its subtasks (see
+ * services/taskHierarchy.js). `blockedBy` lists the tasks that must be
+ * done before this one can start (see services/taskDependencies.js).
+ * Occurrences of a recurring task point to their `series` template and
+ * keep the due date they were scheduled for in `occurrenceAt` (see
+ * services/recurrence.js). Deleted tasks stay in the trash until they are
+ * restored or purged (see services/taskTrash.js); queries leave them out
+ * unless they filter on `deletedAt` or set the `withDeleted` option.
+ * Comments are kept in their own collection (see models/TaskComment.js).
  * 
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
@@ -68,25 +79,36 @@ const taskSchema = new mongoose.Schema({
     uploadDate: {
       type: Date,
       default: Date.now
-    }
-  }],
-  comments: [{
-    user: {
+    },
+    uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      default: null
     },
-    content: {
+    // Keys in the attachment storage (services/attachmentStorage.js)
+    storageKey: {
       type: String,
-      required: true,
-      trim: true,
-      maxlength: [500, 'Comment cannot exceed 500 characters']
+      default: null
     },
-    createdAt: {
-      type: Date,
-      default: Date.now
+    thumbnailKey: {
+      type: String,
+      default: null
     }
   }],
+  // Legacy embedded comments; comments live in TaskComment now and these
+  // are moved there the first time the task's comments are read
+  comments: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      content: String,
+      createdAt: Date
+    }],
+    default: undefined,
+    select: false
+  },
   estimatedHours: {
     type: Number,
     min: [0, 'Estimated hours cannot be negative'],
@@ -104,6 +126,74 @@ const taskSchema = new mongoose.Schema({
   completedAt: {
     type: Date,
     default: null
+  },
+  parentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Root first, direct parent last
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries',
+    default: null
+  },
+  occurrenceAt: {
+    type: Date,
+    default: null
+  },
+  subtaskCount: {
+    type: Number,
+    default: 0
+  },
+  completedSubtaskCount: {
+    type: Number,
+    default: 0
+  },
+  checklist: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Checklist item cannot exceed 200 characters']
+    },
+    done: {
+      type: Boolean,
+      default: false
+    },
+    doneAt: {
+      type: Date,
+      default: null
+    },
+    doneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  }],
+  // Trash: set when the task is deleted, cleared when it is restored
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The task whose deletion trashed this one (itself when deleted directly)
+  deletedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
   }
 }, {
   timestamps: true,
@@ -141,6 +231,42 @@ taskSchema.virtual('complexity').get(function() {
   return 'low';
 });
 
+// Virtual for the depth of the task in its tree (0 for top-level tasks)
+taskSchema.virtual('depth').get(function() {
+  return this.ancestors ? this.ancestors.length : 0;
+});
+
+// Virtual for whether progress is derived instead of set by hand
+taskSchema.virtual('hasDerivedProgress').get(function() {
+  return this.subtaskCount > 0 || (this.checklist?.length || 0) > 0;
+});
+
+// Hide trashed tasks from queries that do not ask for them
+const TRASH_AWARE_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'];
+
+taskSchema.pre(TRASH_AWARE_QUERIES, function() {
+  if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    return;
+  }
+  this.where({ deletedAt: null });
+});
+
+// $text has to stay in the first stage, so the condition joins a leading $match
+taskSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) {
+    return;
+  }
+
+  const [first] = this.pipeline();
+  if (first?.$match) {
+    if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      first.$match = { ...first.$match, deletedAt: null };
+    }
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // Method to mark task as complete
 taskSchema.methods.complete = function() {
   this.status = 'complete';
@@ -163,15 +289,6 @@ taskSchema.methods.updateProgress = function(newProgress) {
   return this.save();
 };
 
-// Method to add comment
-taskSchema.methods.addComment = function(userId, content) {
-  this.comments.push({
-    user: userId,
-    content: content
-  });
-  return this.save();
-};
-
 // Static method to find tasks by status
 taskSchema.statics.findByStatus = function(status) {
   return this.find({ status: status });
@@ -185,6 +302,35 @@ taskSchema.statics.findOverdue = function() {
   });
 };
 
+// Static method to find the direct subtasks of a task
+taskSchema.statics.findSubtasks = function(taskId) {
+  return this.find({ parentTask: taskId });
+};
+
+// Static method to find every task below a task
+taskSchema.statics.findDescendants = function(taskId) {
+  return this.find({ ancestors: taskId });
+};
+
+// Static method to find the tasks a task blocks
+taskSchema.statics.findBlockedBy = function(taskId) {
+  return this.find({ blockedBy: taskId });
+};
+
+// Static method to find the occurrences of a recurring task
+taskSchema.statics.findBySeries = function(seriesId) {
+  return this.find({ series: seriesId }).sort({ occurrenceAt: 1 });
+};
+
+// Static method to find the tasks deleted directly (not with a parent), newest first
+taskSchema.statics.findTrash = function(filter = {}) {
+  return this.find({
+    deletedAt: { $ne: null },
+    ...filter,
+    $expr: { $eq: ['$_id', '$deletedWith'] }
+  }).sort({ deletedAt: -1 });
+};
+
 // Static method to find tasks by user
 taskSchema.statics.findByUser = function(userId) {
   return this.find({ assignedTo: userId });
@@ -198,6 +344,20 @@ taskSchema.index({ dueDate: 1 });
 taskSchema.index({ createdBy: 1 });
 taskSchema.index({ tags: 1 });
 taskSchema.index({ isCompleted: 1 });
+taskSchema.index({ parentTask: 1 });
+taskSchema.index({ ancestors: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+// Full-text search on title, tags and description (see services/taskSearch.js)
+taskSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'task_text_search', weights: { title: 10, tags: 5, description: 1 } }
+);
+// One task per occurrence, so concurrent schedulers cannot create duplicates
+taskSchema.index(
+  { series: 1, occurrenceAt: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: 'objectId' } } }
+);
 
 const Task = mongoose.model('Task', taskSchema);
 
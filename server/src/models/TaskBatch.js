@@ -0,0 +1,109 @@
+/**
+ * TaskBatch Model
+ *
+ * MongoDB schema for bulk task operations that can still be undone (see
+ * services/taskBulk.js). Each item keeps the fields the operation changed
+ * on one task, before and after, and the recurring occurrence completing
+ * the task created, if any. Only a hash of the undo token is stored;
+ * batches are removed once they can no longer be undone.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+const taskBatchSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  operation: {
+    type: String,
+    enum: ['status', 'priority', 'assignee'],
+    required: [true, 'Operation is required']
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  items: [{
+    _id: false,
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Next occurrence of a recurring task created by completing it
+    occurrence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: [true, 'Undo expiration is required']
+  },
+  undoneAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Static method to store a batch and return its plain undo token once
+taskBatchSchema.statics.issue = async function({ actor, operation, value, items, expiresAt }) {
+  const token = generateOpaqueToken();
+
+  const batch = await this.create({
+    tokenHash: hashToken(token),
+    actor,
+    operation,
+    value,
+    items,
+    expiresAt
+  });
+
+  return { token, batch };
+};
+
+// Static method to atomically claim a batch for undoing
+// Returns null if the token is unknown, expired, already used or not the actor's
+taskBatchSchema.statics.claimUndo = function(token, actorId, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      actor: actorId,
+      undoneAt: null,
+      expiresAt: { $gt: now }
+    },
+    { undoneAt: now },
+    { new: true }
+  );
+};
+
+// Let MongoDB remove batches once they can no longer be undone
+taskBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TaskBatch = mongoose.model('TaskBatch', taskBatchSchema);
+
+export default TaskBatch;
@@ -0,0 +1,99 @@
+/**
+ * Task Comment Model
+ *
+ * Comments on tasks, written in a safe Markdown subset (see utils/
+ * markdown.js). `content` is the Markdown as written and `html` its
+ * rendering. Threads are one level deep: a reply points at the top-level
+ * comment it belongs to in `parent`. Edits keep the earlier versions in
+ * `edits`; deleting only sets `deletedAt`, so the replies of a deleted
+ * comment stay in place (see services/taskComments.js).
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+export const MAX_COMMENT_LENGTH = 5000;
+
+const taskCommentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  // Top-level comment of the thread; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskComment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [MAX_COMMENT_LENGTH, `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`]
+  },
+  html: {
+    type: String,
+    default: ''
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Earlier versions, oldest first
+  edits: [{
+    _id: false,
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['rest', 'websocket', 'import'],
+    default: 'rest'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get every comment of a task in thread order
+taskCommentSchema.statics.findForTask = function(taskId) {
+  return this.find({ task: taskId })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('author', 'username')
+    .populate('mentions', 'username');
+};
+
+// Indexes for better query performance
+taskCommentSchema.index({ task: 1, createdAt: 1 });
+taskCommentSchema.index({ parent: 1 });
+taskCommentSchema.index({ mentions: 1, createdAt: -1 });
+
+const TaskComment = mongoose.model('TaskComment', taskCommentSchema);
+
+export default TaskComment;
@@ -0,0 +1,87 @@
+/**
+ * Task History Model
+ *
+ * One entry per recorded change of a task: the fields that changed with
+ * their values before and after, who made the change and through which
+ * channel. Entries are numbered per task; version N is the state of the
+ * task after entry N (see services/taskHistory.js).
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+const taskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: [1, 'Versions start at 1']
+  },
+  // Null for changes made by the server itself
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['rest', 'websocket', 'bulk', 'automation'],
+    required: [true, 'Source is required']
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'complete', 'progress', 'assign', 'revert'],
+    default: 'update'
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }],
+  // Version restored by a revert
+  revertedTo: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static method to get the newest version number of a task (0 without history)
+taskHistorySchema.statics.latestVersion = async function(taskId) {
+  const latest = await this.findOne({ task: taskId }).sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version : 0;
+};
+
+// Static method to page through the history of a task, newest first
+taskHistorySchema.statics.findForTask = function(taskId, { before = null, limit = 50 } = {}) {
+  const filter = { task: taskId };
+  if (before) {
+    filter.version = { $lt: before };
+  }
+  return this.find(filter).sort({ version: -1 }).limit(limit);
+};
+
+// Indexes for better query performance
+taskHistorySchema.index({ task: 1, version: -1 }, { unique: true });
+taskHistorySchema.index({ actor: 1, createdAt: -1 });
+
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema);
+
+export default TaskHistory;
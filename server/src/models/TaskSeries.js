@@ -0,0 +1,136 @@
+/**
+ * Task Series Model
+ *
+ * Template of a recurring task. Holds the fields copied to every
+ * occurrence and the recurrence rule (RRULE subset, see utils/rrule.js)
+ * evaluated in `timezone` from `startAt`, the due date of the first
+ * occurrence. In `completion` mode the next occurrence is created when
+ * the latest one is completed; in `calendar` mode the scheduler creates
+ * it `leadTime` milliseconds before it is due, whatever the state of
+ * the previous one (see services/recurrence.js).
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+const taskSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [100, 'Task title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Task description is required'],
+    trim: true,
+    maxlength: [500, 'Task description cannot exceed 500 characters']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [20, 'Tag cannot exceed 20 characters']
+  }],
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Task must be assigned to a user']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Series creator is required']
+  },
+  estimatedHours: {
+    type: Number,
+    min: [0, 'Estimated hours cannot be negative'],
+    default: 0
+  },
+  rrule: {
+    type: String,
+    required: [true, 'Recurrence rule is required'],
+    maxlength: [300, 'Recurrence rule cannot exceed 300 characters']
+  },
+  timezone: {
+    type: String,
+    required: [true, 'Timezone is required'],
+    default: 'UTC'
+  },
+  mode: {
+    type: String,
+    enum: ['completion', 'calendar'],
+    default: 'completion'
+  },
+  startAt: {
+    type: Date,
+    required: [true, 'Series start is required']
+  },
+  leadTime: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    default: 0
+  },
+  // Due date of the newest occurrence created so far
+  lastOccurrenceAt: {
+    type: Date,
+    default: null
+  },
+  // Null once the rule has no more occurrences
+  nextOccurrenceAt: {
+    type: Date,
+    default: null
+  },
+  // When the scheduler creates the next occurrence (calendar mode only)
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to end the series; existing occurrences are kept
+taskSeriesSchema.methods.stop = function() {
+  this.active = false;
+  this.endedAt = new Date();
+  this.nextOccurrenceAt = null;
+  this.nextRunAt = null;
+  return this.save();
+};
+
+// Static method to find calendar series whose next occurrence is due to be created
+taskSeriesSchema.statics.findDue = function(now = new Date(), limit = 100) {
+  return this.find({
+    active: true,
+    mode: 'calendar',
+    nextRunAt: { $ne: null, $lte: now }
+  }).sort({ nextRunAt: 1 }).limit(limit);
+};
+
+// Indexes for better query performance
+taskSeriesSchema.index({ active: 1, mode: 1, nextRunAt: 1 });
+taskSeriesSchema.index({ createdBy: 1 });
+taskSeriesSchema.index({ assignedTo: 1 });
+
+const TaskSeries = mongoose.model('TaskSeries', taskSeriesSchema);
+
+export default TaskSeries;
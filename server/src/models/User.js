@@ -10,6 +10,70 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import Role from './Role.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+import { DEFAULT_ROLE, isBuiltInRole } from '../utils/permissions.js';
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Passkey (WebAuthn credential) registered by the user
+const passkeySchema = new mongoose.Schema({
+  credentialId: {
+    // base64url credential ID chosen by the authenticator
+    type: String,
+    required: true
+  },
+  publicKey: {
+    // base64url COSE public key
+    type: String,
+    required: true
+  },
+  algorithm: {
+    // COSE algorithm identifier (-7 ES256, -8 EdDSA, -257 RS256)
+    type: Number,
+    required: true
+  },
+  signCount: {
+    type: Number,
+    default: 0
+  },
+  transports: {
+    type: [String],
+    default: []
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Passkey name cannot exceed 100 characters'],
+    default: 'Passkey'
+  },
+  aaguid: {
+    type: String,
+    default: null
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for the public representation of a passkey
+passkeySchema.virtual('summary').get(function() {
+  return {
+    id: this._id,
+    name: this.name,
+    transports: this.transports,
+    backedUp: this.backedUp,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt
+  };
+});
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -34,14 +98,48 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters']
   },
   role: {
+    // A built-in role or the name of a custom Role
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: DEFAULT_ROLE,
+    validate: {
+      validator: async (name) => isBuiltInRole(name) || !!(await Role.exists({ name })),
+      message: props => `"${props.value}" is not a defined role`
+    }
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  team: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Team name cannot exceed 50 characters'],
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerification: {
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+      select: false
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    }
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -53,6 +151,101 @@ const userSchema = new mongoose.Schema({
   loginCount: {
     type: Number,
     default: 0
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Hashes of earlier passwords, newest first, for the reuse check
+  passwordHistory: {
+    type: [{
+      _id: false,
+      hash: { type: String, required: true },
+      changedAt: { type: Date, default: Date.now }
+    }],
+    default: [],
+    select: false
+  },
+  sessionsRevokedAt: {
+    type: Date,
+    default: null
+  },
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      default: null,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+      select: false
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: {
+          type: Date,
+          default: null
+        }
+      }],
+      default: [],
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  oidc: {
+    // Identity at the OpenID Connect provider for SSO accounts
+    issuer: {
+      type: String,
+      default: null
+    },
+    subject: {
+      type: String,
+      default: null
+    },
+    linkedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  passkeys: {
+    type: [passkeySchema],
+    default: []
+  },
+  // Bytes of task attachments uploaded by the user, for the storage quota
+  storageUsed: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true,
@@ -67,9 +260,14 @@ userSchema.virtual('profile').get(function() {
     username: this.username,
     email: this.email,
     role: this.role,
+    team: this.team,
     isActive: this.isActive,
+    emailVerified: this.emailVerified,
     lastLogin: this.lastLogin,
     loginCount: this.loginCount,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
+    passkeyCount: this.passkeys?.length || 0,
+    storageUsed: this.storageUsed || 0,
     createdAt: this.createdAt
   };
 });
@@ -81,6 +279,9 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -105,15 +306,131 @@ userSchema.methods.updateLogoutInfo = function() {
   return this.save();
 };
 
+// Method to create a single-use password reset token
+// Only the hash is stored; the plain token is returned for the email link
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateOpaqueToken();
+  
+  this.passwordReset = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + (PASSWORD_RESET_TTL_MINUTES * 60 * 1000)),
+    requestedAt: new Date()
+  };
+  
+  return { token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES };
+};
+
+// Method to create a single-use email verification token
+// Only the hash is stored; the plain token is returned for the email link
+userSchema.methods.createEmailVerificationToken = function(ttlMs) {
+  const token = generateOpaqueToken();
+  
+  this.emailVerification = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+    sentAt: new Date()
+  };
+  
+  return token;
+};
+
+// Method to mark the email address as verified and drop the token
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerification = { tokenHash: null, expiresAt: null, sentAt: null };
+  return this;
+};
+
+// Method to invalidate every token issued before now
+userSchema.methods.revokeAllSessions = function() {
+  // Back-date by a second because JWT iat has second precision
+  this.sessionsRevokedAt = new Date(Date.now() - 1000);
+  return this;
+};
+
+// Method to check whether a token issued at iat (seconds) was revoked
+userSchema.methods.isTokenRevokedByUser = function(iat) {
+  if (!this.sessionsRevokedAt || !iat) return false;
+  return iat * 1000 <= this.sessionsRevokedAt.getTime();
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find a user by a valid, unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    'passwordReset.tokenHash': hashToken(token),
+    'passwordReset.expiresAt': { $gt: new Date() }
+  });
+};
+
+// Static method to find a user by a valid, unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    'emailVerification.tokenHash': hashToken(token),
+    'emailVerification.expiresAt': { $gt: new Date() }
+  });
+};
+
+// Static method to load a user including the hidden two-factor fields
+userSchema.statics.findWithTwoFactor = function(userId) {
+  return this.findById(userId)
+    .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.backupCodes');
+};
+
+// Static method to find a user with the password history used by the reuse check
+userSchema.statics.findWithPasswordHistory = function(userId) {
+  return this.findById(userId).select('+passwordHistory');
+};
+
+// Static method to find a user by their OpenID Connect identity
+userSchema.statics.findByOidcSubject = function(issuer, subject) {
+  return this.findOne({ 'oidc.issuer': issuer, 'oidc.subject': subject });
+};
+
+// Static method to find the user who owns a passkey
+userSchema.statics.findByPasskeyId = function(credentialId) {
+  return this.findOne({ 'passkeys.credentialId': credentialId });
+};
+
+// Method to find one of the user's passkeys by credential ID
+userSchema.methods.findPasskey = function(credentialId) {
+  return this.passkeys.find(passkey => passkey.credentialId === credentialId) || null;
+};
+
+// Static method to reserve attachment storage within a quota
+// Returns the updated user, or null when the quota would be exceeded
+userSchema.statics.reserveStorage = function(userId, bytes, quota) {
+  return this.findOneAndUpdate(
+    { _id: userId, storageUsed: { $lte: quota - bytes } },
+    { $inc: { storageUsed: bytes } },
+    { new: true }
+  );
+};
+
+// Static method to give back attachment storage after a file is deleted
+userSchema.statics.releaseStorage = function(userId, bytes) {
+  return this.updateOne({ _id: userId }, [
+    { $set: { storageUsed: { $max: [0, { $subtract: [{ $ifNull: ['$storageUsed', 0] }, bytes] }] } } }
+  ]);
+};
+
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ team: 1 });
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'oidc.issuer': 1, 'oidc.subject': 1 }, { sparse: true });
+userSchema.index(
+  { 'passkeys.credentialId': 1 },
+  { unique: true, partialFilterExpression: { 'passkeys.credentialId': { $exists: true } } }
+);
 
 const User = mongoose.model('User', userSchema);
 
@@ -13,9 +13,11 @@ import mongoose from 'mongoose';
 
 const userLogSchema = new mongoose.Schema({
   userId: {
+    // Failed logins for unknown emails have no user
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required']
+    required: [function() { return this.action !== 'login_failed'; }, 'User ID is required'],
+    default: null
   },
   username: {
     type: String,
@@ -29,13 +31,25 @@ const userLogSchema = new mongoose.Schema({
     trim: true
   },
   role: {
+    // Role at the time of the event; may name a custom role
     type: String,
-    enum: ['user', 'admin'],
-    required: [true, 'User role is required']
+    required: [function() { return this.action !== 'login_failed'; }, 'User role is required'],
+    default: null
   },
   action: {
     type: String,
-    enum: ['login', 'logout', 'register', 'password_reset', 'profile_update'],
+    enum: [
+      'login',
+      'logout',
+      'register',
+      'password_reset',
+      'profile_update',
+      'login_failed',
+      'impersonation_start',
+      'impersonation_end',
+      'impersonated_request',
+      'task_dependency_override'
+    ],
     required: [true, 'Action type is required']
   },
   loginTime: {
@@ -51,19 +65,30 @@ const userLogSchema = new mongoose.Schema({
     default: 0
   },
   jwtToken: {
+    // Only session entries (login) carry a token; account events do not
     token: {
       type: String,
-      required: [true, 'JWT token is required']
+      required: [function() { return this.action === 'login'; }, 'JWT token is required']
     },
     expiresAt: {
       type: Date,
-      required: [true, 'Token expiration is required']
+      required: [function() { return this.action === 'login'; }, 'Token expiration is required']
     },
     isRevoked: {
       type: Boolean,
       default: false
     }
   },
+  sessionId: {
+    // Refresh token family of the session; carried as `sid` in access tokens
+    type: String,
+    default: null
+  },
+  lastActivityAt: {
+    // Last authenticated request or token refresh within the session
+    type: Date,
+    default: null
+  },
   ipAddress: {
     type: String,
     required: [true, 'IP address is required'],
@@ -94,6 +119,16 @@ const userLogSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  actor: {
+    // The admin who really acted when the event happened under impersonation
+    type: new mongoose.Schema({
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: String,
+      email: String,
+      role: String
+    }, { _id: false }),
+    default: null
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -132,7 +167,7 @@ userLogSchema.virtual('isOnline').get(function() {
 });
 
 // Method to log login
-userLogSchema.statics.logLogin = function(userData, tokenData, ipAddress, userAgent) {
+userLogSchema.statics.logLogin = function(userData, tokenData, ipAddress, userAgent, metadata = {}) {
   return this.create({
     userId: userData._id,
     username: userData.username,
@@ -140,30 +175,39 @@ userLogSchema.statics.logLogin = function(userData, tokenData, ipAddress, userAg
     role: userData.role,
     action: 'login',
     loginTime: new Date(),
+    lastActivityAt: new Date(),
     jwtToken: {
       token: tokenData.token,
-      expiresAt: tokenData.expiresAt
+      expiresAt: tokenData.sessionExpiresAt || tokenData.expiresAt
     },
+    sessionId: tokenData.sessionId || null,
     ipAddress: ipAddress,
     userAgent: userAgent,
-    deviceInfo: this.parseUserAgent(userAgent)
+    deviceInfo: this.parseUserAgent(userAgent),
+    metadata: metadata
   });
 };
 
 // Method to log logout
-userLogSchema.statics.logLogout = function(userId, token, ipAddress) {
+// Matches the session by id when known, otherwise by its access token
+userLogSchema.statics.logLogout = function(userId, token, ipAddress, sessionId = null) {
+  const now = new Date();
+  
   return this.findOneAndUpdate(
     {
       userId: userId,
-      'jwtToken.token': token,
+      ...(sessionId ? { sessionId: sessionId } : { 'jwtToken.token': token }),
       action: 'login',
       logoutTime: null
     },
-    {
-      action: 'logout',
-      logoutTime: new Date(),
-      sessionDuration: new Date() - this.loginTime
-    },
+    [{
+      $set: {
+        action: 'logout',
+        logoutTime: now,
+        sessionDuration: { $subtract: [now, '$loginTime'] },
+        'jwtToken.isRevoked': true
+      }
+    }],
     { new: true }
   );
 };
@@ -177,6 +221,135 @@ userLogSchema.statics.revokeToken = function(token) {
   );
 };
 
+// Method to revoke a single session by its id
+userLogSchema.statics.revokeSession = function(sessionId) {
+  return this.findOneAndUpdate(
+    { sessionId: sessionId },
+    { 'jwtToken.isRevoked': true },
+    { new: true }
+  );
+};
+
+// Method to record the latest access token issued for a session
+// Not activity: background refreshes must not defeat the idle timeout
+userLogSchema.statics.updateSessionToken = function(sessionId, token) {
+  return this.findOneAndUpdate(
+    { sessionId: sessionId, action: 'login' },
+    { 'jwtToken.token': token },
+    { new: true }
+  );
+};
+
+// Method to record activity on a session
+// Writes at most once per `minIntervalMs` to keep request overhead low
+userLogSchema.statics.touchSession = function(sessionId, minIntervalMs = 60 * 1000) {
+  return this.updateOne(
+    {
+      sessionId: sessionId,
+      action: 'login',
+      $or: [
+        { lastActivityAt: null },
+        { lastActivityAt: { $lt: new Date(Date.now() - minIntervalMs) } }
+      ]
+    },
+    { lastActivityAt: new Date() }
+  );
+};
+
+// Method to check whether an access token's session has been revoked
+// Tokens without a known session record are treated as not revoked
+userLogSchema.statics.isTokenRevoked = async function(token, sessionId = null) {
+  const query = sessionId ? { sessionId: sessionId } : { 'jwtToken.token': token };
+  const log = await this.findOne(query).select('jwtToken.isRevoked logoutTime').lean();
+  
+  return !!log && (log.jwtToken?.isRevoked || !!log.logoutTime);
+};
+
+// Method to revoke every active session of a user, optionally keeping one
+// Includes impersonation sessions started by admins
+userLogSchema.statics.revokeUserSessions = function(userId, exceptSessionId = null) {
+  return this.updateMany(
+    {
+      userId: userId,
+      action: { $in: ['login', 'impersonation_start'] },
+      logoutTime: null,
+      'jwtToken.isRevoked': false,
+      ...(exceptSessionId ? { sessionId: { $ne: exceptSessionId } } : {})
+    },
+    { 'jwtToken.isRevoked': true }
+  );
+};
+
+// Method to log an account event that is not tied to a session token
+// `actorData` is the impersonating admin when one made the change
+userLogSchema.statics.logEvent = function(userData, action, ipAddress, userAgent, metadata = {}, actorData = null) {
+  return this.create({
+    userId: userData._id,
+    username: userData.username,
+    email: userData.email,
+    role: userData.role,
+    action: action,
+    ipAddress: ipAddress || 'unknown',
+    userAgent: userAgent,
+    deviceInfo: this.parseUserAgent(userAgent),
+    actor: this.toActor(actorData),
+    metadata: metadata
+  });
+};
+
+// Method to log the start of an impersonation session
+// The entry doubles as the session record, so revoking it ends the session
+userLogSchema.statics.logImpersonationStart = function(userData, actorData, tokenData, ipAddress, userAgent, metadata = {}) {
+  return this.create({
+    userId: userData._id,
+    username: userData.username,
+    email: userData.email,
+    role: userData.role,
+    action: 'impersonation_start',
+    loginTime: new Date(),
+    jwtToken: {
+      token: tokenData.token,
+      expiresAt: tokenData.expiresAt
+    },
+    sessionId: tokenData.sessionId,
+    ipAddress: ipAddress || 'unknown',
+    userAgent: userAgent,
+    deviceInfo: this.parseUserAgent(userAgent),
+    actor: this.toActor(actorData),
+    metadata: metadata
+  });
+};
+
+// Static method to shape a user as the real actor of an event
+userLogSchema.statics.toActor = function(actorData) {
+  if (!actorData) return null;
+  
+  return {
+    userId: actorData._id,
+    username: actorData.username,
+    email: actorData.email,
+    role: actorData.role
+  };
+};
+
+// Method to log a failed login attempt
+// userData may be null when the email does not belong to any account
+userLogSchema.statics.logFailedLogin = function(userData, email, ipAddress, userAgent, reason, metadata = {}) {
+  return this.create({
+    userId: userData?._id || null,
+    username: userData?.username || email || 'unknown',
+    email: userData?.email || email || 'unknown',
+    role: userData?.role || null,
+    action: 'login_failed',
+    ipAddress: ipAddress || 'unknown',
+    userAgent: userAgent,
+    deviceInfo: this.parseUserAgent(userAgent),
+    isSuccessful: false,
+    failureReason: reason,
+    metadata: metadata
+  });
+};
+
 // Method to get active sessions for a user
 userLogSchema.statics.getActiveSessions = function(userId) {
   return this.find({
@@ -185,7 +358,7 @@ userLogSchema.statics.getActiveSessions = function(userId) {
     logoutTime: null,
     'jwtToken.isRevoked': false,
     'jwtToken.expiresAt': { $gt: new Date() }
-  });
+  }).sort({ lastActivityAt: -1, loginTime: -1 });
 };
 
 // Method to get user login history
@@ -230,6 +403,8 @@ userLogSchema.index({ action: 1 });
 userLogSchema.index({ role: 1 });
 userLogSchema.index({ ipAddress: 1 });
 userLogSchema.index({ 'jwtToken.token': 1 });
+userLogSchema.index({ sessionId: 1 }, { sparse: true });
+userLogSchema.index({ 'actor.userId': 1, createdAt: -1 }, { sparse: true });
 userLogSchema.index({ loginTime: -1 });
 userLogSchema.index({ logoutTime: -1 });
 userLogSchema.index({ createdAt: -1 });
@@ -0,0 +1,66 @@
+/**
+ * WebAuthnChallenge Model
+ *
+ * MongoDB schema for outstanding passkey ceremonies. Each challenge is
+ * single-use: it is deleted when a registration or login response that
+ * carries it is checked, so a captured response cannot be replayed.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { hashToken } from '../utils/tokens.js';
+
+const webAuthnChallengeSchema = new mongoose.Schema({
+  challengeHash: {
+    type: String,
+    required: [true, 'Challenge hash is required'],
+    unique: true
+  },
+  purpose: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: [true, 'Challenge purpose is required']
+  },
+  userId: {
+    // Set for registration; passwordless login starts without a user
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Challenge expiration is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to store a new challenge
+webAuthnChallengeSchema.statics.issue = function(challenge, purpose, userId, ttlMs) {
+  return this.create({
+    challengeHash: hashToken(challenge),
+    purpose,
+    userId: userId || null,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+};
+
+// Static method to use up a challenge
+// Returns the challenge document or null if it is unknown, expired or already used
+webAuthnChallengeSchema.statics.consume = function(challenge, purpose, userId = null) {
+  return this.findOneAndDelete({
+    challengeHash: hashToken(challenge),
+    purpose,
+    userId: userId || null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Let MongoDB remove challenges that were never answered
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
+
+export default WebAuthnChallenge;
@@ -12,76 +12,306 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
-import { authenticateToken, generateToken } from '../middleware/auth.js';
-import { logLogin, logLogout } from '../middleware/logging.js';
+import PersonalAccessToken, { TOKEN_SCOPES } from '../models/PersonalAccessToken.js';
+import Invitation from '../models/Invitation.js';
+import {
+  authenticateToken,
+  requireSession,
+  denyImpersonation,
+  generateChallengeToken,
+  verifyChallengeToken
+} from '../middleware/auth.js';
+import { logLogout, logAccountEvent, logFailedLogin } from '../middleware/logging.js';
+import {
+  createTotpSecret,
+  verifyTotp,
+  generateBackupCodes,
+  verifySecondFactor
+} from '../services/twoFactor.js';
+import { sendMail } from '../services/mailer.js';
+import {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+  listSessions,
+  revokeUserSession
+} from '../services/sessionService.js';
+import { passwordResetEmail, clientLink } from '../services/emailTemplates.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginThrottle.js';
+import { getOidcConfig, isOidcEnabled, startLogin, handleCallback, resolveOidcUser } from '../services/oidc.js';
+import {
+  startPasskeyRegistration,
+  finishPasskeyRegistration,
+  startPasskeyLogin,
+  finishPasskeyLogin
+} from '../services/webauthn.js';
+import {
+  getRegistrationSettings,
+  needsEmailVerification,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  acceptInvitation
+} from '../services/registration.js';
+import {
+  getPasswordPolicy,
+  describePolicy,
+  checkPassword,
+  passwordPolicyFailure,
+  applyNewPassword,
+  getPasswordExpiry,
+  isPasswordExpired
+} from '../services/passwordPolicy.js';
+import { endImpersonation, formatImpersonation } from '../services/impersonation.js';
+import {
+  getCookie,
+  cookieOptions,
+  REFRESH_COOKIE,
+  isCookieSession,
+  wantsCookieSession,
+  setSessionCookies,
+  clearSessionCookies
+} from '../utils/cookies.js';
+import { DEFAULT_ROLE } from '../utils/permissions.js';
 
 const router = express.Router();
 
+/**
+ * Start a session for an authenticated user
+ * Updates login info, issues access/refresh tokens and logs the login
+ */
+const completeLogin = async (req, user, authMethod = 'password') => {
+  // Update user login info
+  await user.updateLoginInfo();
+  
+  return issueSession(user, {
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent'),
+    authMethod
+  });
+};
+
+/**
+ * Token fields for a response that starts or refreshes a session
+ * In cookie auth mode the tokens are set as httpOnly cookies and only
+ * their expiry and the CSRF token are returned; `cookie` overrides the
+ * client's X-Auth-Mode header
+ */
+const sessionResponse = (req, res, tokenData, { cookie = wantsCookieSession(req) } = {}) => {
+  if (!cookie) {
+    return {
+      token: tokenData.token,
+      expiresAt: tokenData.expiresAt,
+      refreshToken: tokenData.refreshToken,
+      refreshExpiresAt: tokenData.refreshExpiresAt
+    };
+  }
+  
+  return {
+    authMode: 'cookie',
+    csrfToken: setSessionCookies(req, res, tokenData),
+    expiresAt: tokenData.expiresAt,
+    refreshExpiresAt: tokenData.refreshExpiresAt
+  };
+};
+
+/**
+ * Response asking the user to replace an expired password
+ * `claims` go into the challenge token, e.g. that the second factor was proven
+ */
+const passwordChangeChallenge = (user, policy, claims = {}) => ({
+  message: 'Your password has expired and must be changed',
+  passwordChangeRequired: true,
+  challengeToken: generateChallengeToken(user._id, 'password_change', claims),
+  passwordExpiredAt: getPasswordExpiry(user, policy),
+  expiresAt: new Date(Date.now() + (5 * 60 * 1000)) // 5 minutes
+});
+
+/**
+ * Send the lockout response for a throttled login attempt
+ */
+const sendLockout = (res, scope, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: scope === 'ip'
+      ? 'Too many failed login attempts from this address. Please try again later.'
+      : 'Account temporarily locked due to too many failed login attempts.',
+    code: scope === 'ip' ? 'IP_LOCKED' : 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
+/**
+ * Record a failed login attempt and send the matching error response
+ * Answers 429 instead of 401 when this failure triggered a lockout
+ */
+const rejectLogin = async (req, res, { user = null, email, reason, status = 401, error, code }) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  
+  await logFailedLogin(user, email, ipAddress, req.get('User-Agent'), reason);
+  const retryAfter = await recordLoginFailure({ email, ipAddress, userId: user?._id });
+  
+  if (retryAfter > 0) {
+    return sendLockout(res, 'account', retryAfter);
+  }
+  
+  return res.status(status).json({ error, code });
+};
+
+/**
+ * Refuse a login until the user has verified their email address
+ * The credentials were correct, so this does not count towards lockout
+ */
+const rejectUnverified = async (req, res, user) => {
+  await logFailedLogin(user, user.email, req.ip || req.connection.remoteAddress, req.get('User-Agent'), 'email_not_verified');
+  
+  return res.status(403).json({
+    error: 'Please verify your email address before signing in',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+/**
+ * GET /api/auth/registration
+ * Tell the sign-up page whether open registration and email verification are on
+ */
+router.get('/registration', (req, res) => {
+  const { mode, requireEmailVerification } = getRegistrationSettings();
+  res.json({ mode, requireEmailVerification });
+});
+
+/**
+ * GET /api/auth/invitations/:token
+ * Look up a pending invitation so the sign-up page can show it
+ */
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+    
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation is invalid or has expired',
+        code: 'INVITE_INVALID'
+      });
+    }
+    
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        team: invitation.team,
+        expiresAt: invitation.expiresAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('Invitation lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to look up invitation',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /**
  * POST /api/auth/register
- * Register a new user
+ * Register a new user, either openly or from an invite link (inviteToken)
+ * Open sign-up is refused when REGISTRATION_MODE=invite
  */
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, role = 'user' } = req.body;
+    const { username, email, password, inviteToken } = req.body;
+    const settings = getRegistrationSettings();
+    
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await Invitation.findPendingByToken(inviteToken);
+      if (!invitation) {
+        return res.status(400).json({
+          error: 'Invitation is invalid or has expired',
+          code: 'INVITE_INVALID'
+        });
+      }
+    } else if (settings.mode === 'invite') {
+      return res.status(403).json({
+        error: 'Registration is by invitation only',
+        code: 'REGISTRATION_CLOSED'
+      });
+    }
+    
+    // Invited accounts always use the invited address
+    const accountEmail = invitation ? invitation.email : email;
     
     // Validation
-    if (!username || !email || !password) {
+    if (!username || !accountEmail || !password) {
       return res.status(400).json({
         error: 'Missing required fields',
         details: {
           username: !username ? 'Username is required' : null,
-          email: !email ? 'Email is required' : null,
+          email: !accountEmail ? 'Email is required' : null,
           password: !password ? 'Password is required' : null
         }
       });
     }
     
+    const violations = await checkPassword(password);
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicyFailure(violations));
+    }
+    
     // Check if user already exists
     const existingUser = await User.findOne({
-      $or: [{ email: email.toLowerCase() }, { username }]
+      $or: [{ email: accountEmail.toLowerCase() }, { username }]
     });
     
     if (existingUser) {
       return res.status(409).json({
         error: 'User already exists',
         details: {
-          email: existingUser.email === email.toLowerCase() ? 'Email already registered' : null,
+          email: existingUser.email === accountEmail.toLowerCase() ? 'Email already registered' : null,
           username: existingUser.username === username ? 'Username already taken' : null
         }
       });
     }
     
-    // Create new user
-    const user = new User({
-      username,
-      email: email.toLowerCase(),
-      password,
-      role: role === 'admin' ? 'user' : 'user' // Prevent admin registration through API
-    });
-    
-    await user.save();
-    
-    // Generate JWT token
-    const tokenData = {
-      token: generateToken(user._id, user.role),
-      expiresAt: new Date(Date.now() + (24 * 60 * 60 * 1000)) // 24 hours
-    };
+    let user;
+    if (invitation) {
+      const result = await acceptInvitation(inviteToken, { username, password });
+      if (result.failure) {
+        return res.status(400).json(result.failure);
+      }
+      user = result.user;
+    } else {
+      // Self-registered users always start with the default role
+      user = new User({
+        username,
+        email: accountEmail.toLowerCase(),
+        password,
+        role: DEFAULT_ROLE
+      });
+      
+      await user.save();
+      await sendVerificationEmail(user, settings);
+    }
     
-    // Log the registration
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent');
+    if (needsEmailVerification(user, settings)) {
+      return res.status(201).json({
+        message: 'Account created. Check your email to verify your address before signing in.',
+        user: user.profile,
+        verificationRequired: true
+      });
+    }
     
-    // Update user login info and log activity
-    await user.updateLoginInfo();
-    await logLogin(user, tokenData, ipAddress, userAgent);
+    // Generate JWT token, update login info and log activity
+    const tokenData = await completeLogin(req, user);
     
     // Return user data (without password) and token
     res.status(201).json({
       message: 'User registered successfully',
       user: user.profile,
-      token: tokenData.token,
-      expiresAt: tokenData.expiresAt
+      ...sessionResponse(req, res, tokenData)
     });
     
   } catch (error) {
@@ -93,6 +323,79 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token from the verification email
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          token: 'Verification token is required'
+        }
+      });
+    }
+    
+    const { user, failure } = await verifyEmail(token);
+    if (failure) {
+      return res.status(400).json(failure);
+    }
+    
+    res.json({
+      message: 'Email address verified successfully',
+      user: user.profile
+    });
+    
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send a new verification email
+ * Always responds with the same message so accounts cannot be enumerated
+ */
+router.post('/verify-email/resend', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          email: 'Email is required'
+        }
+      });
+    }
+    
+    const user = await User.findByEmail(email);
+    
+    if (user && user.isActive) {
+      await resendVerificationEmail(user);
+    }
+    
+    res.json({
+      message: 'If an unverified account exists for that email, a verification link has been sent.'
+    });
+    
+  } catch (error) {
+    console.error('Verification resend error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification email',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /**
  * POST /api/auth/login
  * Authenticate user and return JWT token
@@ -112,10 +415,18 @@ router.post('/login', async (req, res) => {
       });
     }
     
+    // Refuse attempts while the account or client IP is locked out
+    const throttle = await checkLoginAllowed({ email, ipAddress: req.ip || req.connection.remoteAddress });
+    if (!throttle.allowed) {
+      return sendLockout(res, throttle.scope, throttle.retryAfter);
+    }
+    
     // Find user by email
     const user = await User.findByEmail(email);
     if (!user) {
-      return res.status(401).json({
+      return rejectLogin(req, res, {
+        email,
+        reason: 'unknown_email',
         error: 'Invalid credentials',
         code: 'INVALID_CREDENTIALS'
       });
@@ -123,7 +434,10 @@ router.post('/login', async (req, res) => {
     
     // Check if user is active
     if (!user.isActive) {
-      return res.status(401).json({
+      return rejectLogin(req, res, {
+        user,
+        email,
+        reason: 'account_deactivated',
         error: 'Account is deactivated',
         code: 'ACCOUNT_DEACTIVATED'
       });
@@ -132,32 +446,44 @@ router.post('/login', async (req, res) => {
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
+      return rejectLogin(req, res, {
+        user,
+        email,
+        reason: 'invalid_password',
         error: 'Invalid credentials',
         code: 'INVALID_CREDENTIALS'
       });
     }
     
-    // Generate JWT token
-    const tokenData = {
-      token: generateToken(user._id, user.role),
-      expiresAt: new Date(Date.now() + (24 * 60 * 60 * 1000)) // 24 hours
-    };
+    if (needsEmailVerification(user)) {
+      return rejectUnverified(req, res, user);
+    }
     
-    // Update user login info
-    await user.updateLoginInfo();
+    // Users with 2FA enabled get a short-lived challenge instead of a session;
+    // an expired password is only dealt with once the second factor is proven
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id),
+        expiresAt: new Date(Date.now() + (5 * 60 * 1000)) // 5 minutes
+      });
+    }
     
-    // Log the login
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent');
-    await logLogin(user, tokenData, ipAddress, userAgent);
+    // An expired password has to be replaced before any session is issued
+    const policy = await getPasswordPolicy();
+    if (isPasswordExpired(user, policy)) {
+      return res.json(passwordChangeChallenge(user, policy));
+    }
+    
+    await recordLoginSuccess({ email });
+    const tokenData = await completeLogin(req, user);
     
     // Return user data and token
     res.json({
       message: 'Login successful',
       user: user.profile,
-      token: tokenData.token,
-      expiresAt: tokenData.expiresAt
+      ...sessionResponse(req, res, tokenData)
     });
     
   } catch (error) {
@@ -173,16 +499,32 @@ router.post('/login', async (req, res) => {
  * POST /api/auth/logout
  * Logout user and invalidate token
  */
-router.post('/logout', authenticateToken, async (req, res) => {
+router.post('/logout', authenticateToken, requireSession, async (req, res) => {
   try {
-    const { user, token } = req;
+    const { user, token, sessionId } = req;
+
+    // Cookie auth mode: drop the session cookies whatever happens next
+    clearSessionCookies(res);
+    
+    // Logging out of an impersonation session only ends the impersonation
+    if (req.impersonation) {
+      await endImpersonation(req);
+      return res.json({
+        message: 'Impersonation ended'
+      });
+    }
     
     // Update user logout info
     await user.updateLogoutInfo();
     
-    // Log the logout
+    // Log the logout; this also revokes the access token
     const ipAddress = req.ip || req.connection.remoteAddress;
-    await logLogout(user._id, token, ipAddress);
+    await logLogout(user._id, token, ipAddress, sessionId);
+    
+    // Stop the session's refresh tokens from being exchanged
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+    }
     
     res.json({
       message: 'Logout successful'
@@ -198,144 +540,1204 @@ router.post('/logout', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/auth/profile
- * Get current user profile
+ * POST /api/auth/impersonation/exit
+ * End the impersonation session the request was made with
  */
-router.get('/profile', authenticateToken, async (req, res) => {
+router.post('/impersonation/exit', authenticateToken, requireSession, async (req, res) => {
   try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        error: 'This session is not an impersonation',
+        code: 'NOT_IMPERSONATING'
+      });
+    }
+
+    await endImpersonation(req);
+
     res.json({
-      user: req.user.profile
+      message: 'Impersonation ended'
     });
+
   } catch (error) {
-    console.error('Profile fetch error:', error);
+    console.error('Impersonation exit error:', error);
     res.status(500).json({
-      error: 'Failed to fetch profile',
+      error: 'Failed to end impersonation',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * PUT /api/auth/profile
- * Update current user profile
+ * GET /api/auth/sessions
+ * List the current user's active sessions
  */
-router.put('/profile', authenticateToken, async (req, res) => {
+router.get('/sessions', authenticateToken, requireSession, async (req, res) => {
   try {
-    const { username, email } = req.body;
-    const user = req.user;
+    const sessions = await listSessions(req.user._id, req.sessionId, req.user.role);
     
-    // Check if new email is already taken by another user
-    if (email && email !== user.email) {
-      const existingUser = await User.findOne({ email: email.toLowerCase() });
-      if (existingUser && existingUser._id.toString() !== user._id.toString()) {
-        return res.status(409).json({
-          error: 'Email already taken by another user'
-        });
-      }
-    }
+    res.json({ sessions });
     
-    // Check if new username is already taken by another user
-    if (username && username !== user.username) {
-      const existingUser = await User.findOne({ username });
-      if (existingUser && existingUser._id.toString() !== user._id.toString()) {
-        return res.status(409).json({
-          error: 'Username already taken by another user'
-        });
-      }
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/sessions/revoke-others
+ * Sign out everywhere except the current session
+ */
+router.post('/sessions/revoke-others', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(400).json({
+        error: 'Current session cannot be identified. Please login again.',
+        code: 'SESSION_UNKNOWN'
+      });
     }
     
-    // Update user fields
-    if (username) user.username = username;
-    if (email) user.email = email.toLowerCase();
-    
-    await user.save();
+    await revokeOtherSessions(req.user._id, req.sessionId);
     
     res.json({
-      message: 'Profile updated successfully',
-      user: user.profile
+      message: 'Signed out of all other sessions'
     });
     
   } catch (error) {
-    console.error('Profile update error:', error);
+    console.error('Session revoke error:', error);
     res.status(500).json({
-      error: 'Profile update failed',
+      error: 'Failed to revoke sessions',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * POST /api/auth/change-password
- * Change user password
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions
  */
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.delete('/sessions/:id', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-    const user = req.user;
+    const session = await revokeUserSession(req.user._id, req.params.id);
     
-    // Validation
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        details: {
-          currentPassword: !currentPassword ? 'Current password is required' : null,
-          newPassword: !newPassword ? 'New password is required' : null
-        }
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
       });
     }
     
-    // Verify current password
-    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-    if (!isCurrentPasswordValid) {
-      return res.status(401).json({
-        error: 'Current password is incorrect'
-      });
-    }
+    res.json({
+      message: 'Session revoked successfully',
+      session,
+      current: session.id === req.sessionId
+    });
     
-    // Update password
-    user.password = newPassword;
-    await user.save();
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/tokens
+ * List the current user's personal access tokens
+ */
+router.get('/tokens', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.findForUser(req.user._id);
     
     res.json({
-      message: 'Password changed successfully'
+      tokens: tokens.map(token => token.summary),
+      availableScopes: TOKEN_SCOPES
     });
     
   } catch (error) {
-    console.error('Password change error:', error);
+    console.error('Access tokens fetch error:', error);
     res.status(500).json({
-      error: 'Password change failed',
+      error: 'Failed to fetch access tokens',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * POST /api/auth/refresh-token
- * Refresh JWT token
+ * POST /api/auth/tokens
+ * Create a personal access token; the plain token is only returned here
  */
-router.post('/refresh-token', authenticateToken, async (req, res) => {
+router.post('/tokens', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
   try {
-    const user = req.user;
+    const { name, scopes, expiresInDays = 30 } = req.body;
+    const days = parseInt(expiresInDays);
     
-    // Generate new token
-    const tokenData = {
-      token: generateToken(user._id, user.role),
-      expiresAt: new Date(Date.now() + (24 * 60 * 60 * 1000)) // 24 hours
+    const invalidScopes = Array.isArray(scopes) ? scopes.filter(scope => !TOKEN_SCOPES.includes(scope)) : [];
+    const details = {
+      name: !name || !name.trim() ? 'Token name is required' : null,
+      scopes: !Array.isArray(scopes) || scopes.length === 0
+        ? 'At least one scope is required'
+        : invalidScopes.length > 0 ? `Unknown scopes: ${invalidScopes.join(', ')}` : null,
+      expiresInDays: !days || days < 1 || days > 365 ? 'Expiry must be between 1 and 365 days' : null
     };
     
+    if (details.name || details.scopes || details.expiresInDays) {
+      return res.status(400).json({
+        error: 'Invalid token request',
+        code: 'VALIDATION_ERROR',
+        details
+      });
+    }
+    
+    const { token, accessToken } = await PersonalAccessToken.issue(req.user._id, {
+      name: name.trim(),
+      scopes,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+    
+    res.status(201).json({
+      message: 'Access token created. Copy it now; it will not be shown again.',
+      token,
+      accessToken: accessToken.summary
+    });
+    
+  } catch (error) {
+    console.error('Access token create error:', error);
+    res.status(500).json({
+      error: 'Failed to create access token',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke one of the current user's personal access tokens
+ */
+router.delete('/tokens/:id', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const accessToken = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!accessToken) {
+      return res.status(404).json({
+        error: 'Access token not found',
+        code: 'TOKEN_NOT_FOUND'
+      });
+    }
+    
     res.json({
-      message: 'Token refreshed successfully',
-      token: tokenData.token,
-      expiresAt: tokenData.expiresAt
+      message: 'Access token revoked successfully',
+      accessToken: accessToken.summary
     });
     
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Access token revoke error:', error);
     res.status(500).json({
-      error: 'Token refresh failed',
+      error: 'Failed to revoke access token',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
+/**
+ * GET /api/auth/profile
+ * Get current user profile
+ */
+router.get('/profile', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      user: req.user.profile,
+      permissions: req.permissions,
+      impersonation: req.impersonation ? formatImpersonation(req.impersonation, req.user) : null
+    });
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch profile',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/profile
+ * Update current user profile
+ */
+router.put('/profile', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const { username, email } = req.body;
+    const user = req.user;
+    
+    // Check if new email is already taken by another user
+    if (email && email !== user.email) {
+      const existingUser = await User.findOne({ email: email.toLowerCase() });
+      if (existingUser && existingUser._id.toString() !== user._id.toString()) {
+        return res.status(409).json({
+          error: 'Email already taken by another user'
+        });
+      }
+    }
+    
+    // Check if new username is already taken by another user
+    if (username && username !== user.username) {
+      const existingUser = await User.findOne({ username });
+      if (existingUser && existingUser._id.toString() !== user._id.toString()) {
+        return res.status(409).json({
+          error: 'Username already taken by another user'
+        });
+      }
+    }
+    
+    const emailChanged = !!email && email.toLowerCase() !== user.email;
+    
+    // Update user fields
+    if (username) user.username = username;
+    if (email) user.email = email.toLowerCase();
+    
+    // A new address has to be verified again
+    if (emailChanged) {
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+    
+    await user.save();
+    
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+    }
+    
+    res.json({
+      message: 'Profile updated successfully',
+      user: user.profile
+    });
+    
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      error: 'Profile update failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/password-policy
+ * Get the password rules, e.g. to show them on the sign-up form
+ */
+router.get('/password-policy', async (req, res) => {
+  try {
+    const policy = await getPasswordPolicy();
+    
+    res.json({
+      policy,
+      rules: describePolicy(policy)
+    });
+    
+  } catch (error) {
+    console.error('Password policy fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch password policy',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change user password
+ */
+router.post('/change-password', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    // Validation
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          currentPassword: !currentPassword ? 'Current password is required' : null,
+          newPassword: !newPassword ? 'New password is required' : null
+        }
+      });
+    }
+    
+    // req.user is loaded without the password hash
+    const user = await User.findWithPasswordHistory(req.user._id);
+    
+    // Verify current password
+    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+    if (!isCurrentPasswordValid) {
+      return res.status(401).json({
+        error: 'Current password is incorrect',
+        details: {
+          currentPassword: 'Current password is incorrect'
+        }
+      });
+    }
+    
+    const policy = await getPasswordPolicy();
+    const violations = await checkPassword(newPassword, { user, policy });
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicyFailure(violations, 'newPassword'));
+    }
+    
+    // Update password
+    applyNewPassword(user, newPassword, policy);
+    await user.save();
+    
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+    await logAccountEvent(user, 'profile_update', ipAddress, userAgent, { change: 'password_changed' });
+    
+    res.json({
+      message: 'Password changed successfully',
+      passwordExpiresAt: getPasswordExpiry(user, policy)
+    });
+    
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      error: 'Password change failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/change-expired-password
+ * Last login step after an expired password: exchange the challenge
+ * token and a new password for a session. Users with 2FA need a token
+ * from /2fa/login, issued after the second factor
+ */
+router.post('/change-expired-password', async (req, res) => {
+  try {
+    const { challengeToken, newPassword } = req.body;
+    
+    // Validation
+    if (!challengeToken || !newPassword) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          challengeToken: !challengeToken ? 'Challenge token is required' : null,
+          newPassword: !newPassword ? 'New password is required' : null
+        }
+      });
+    }
+    
+    const challenge = verifyChallengeToken(challengeToken, 'password_change');
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Challenge expired or invalid. Please login again.',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+    
+    const user = await User.findWithPasswordHistory(challenge.userId);
+    const policy = await getPasswordPolicy();
+    
+    // The token is only good while the password it was issued for is still
+    // expired, and for 2FA users only once the second factor was proven
+    if (!user || !user.isActive || !isPasswordExpired(user, policy) ||
+        (user.twoFactor?.enabled && !challenge.secondFactor)) {
+      return res.status(401).json({
+        error: 'Challenge expired or invalid. Please login again.',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+    
+    const violations = await checkPassword(newPassword, { user, policy });
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicyFailure(violations, 'newPassword'));
+    }
+    
+    applyNewPassword(user, newPassword, policy);
+    await user.save();
+    
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+    await logAccountEvent(user, 'profile_update', ipAddress, userAgent, {
+      change: 'password_changed',
+      reason: 'password_expired'
+    });
+    
+    await recordLoginSuccess({ email: user.email });
+    const tokenData = await completeLogin(req, user, challenge.secondFactor || 'password');
+    
+    res.json({
+      message: 'Password changed successfully',
+      user: user.profile,
+      ...sessionResponse(req, res, tokenData)
+    });
+    
+  } catch (error) {
+    console.error('Expired password change error:', error);
+    res.status(500).json({
+      error: 'Password change failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use password reset link
+ * Always responds with the same message so accounts cannot be enumerated
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          email: 'Email is required'
+        }
+      });
+    }
+    
+    const user = await User.findByEmail(email);
+    
+    if (user && user.isActive) {
+      const { token, expiresInMinutes } = user.createPasswordResetToken();
+      await user.save();
+      
+      try {
+        await sendMail(passwordResetEmail(user, token, expiresInMinutes));
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+    
+    res.json({
+      message: 'If an account exists for that email, a reset link has been sent.'
+    });
+    
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Failed to process password reset request',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a reset token and revoke existing sessions
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    // Validation
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          token: !token ? 'Reset token is required' : null,
+          password: !password ? 'Password is required' : null
+        }
+      });
+    }
+    
+    const user = await User.findByPasswordResetToken(token).select('+passwordHistory');
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+    
+    const policy = await getPasswordPolicy();
+    const violations = await checkPassword(password, { user, policy });
+    if (violations.length > 0) {
+      return res.status(400).json(passwordPolicyFailure(violations));
+    }
+    
+    // Consume the token and revoke every session issued before now
+    applyNewPassword(user, password, policy);
+    user.passwordReset = { tokenHash: null, expiresAt: null, requestedAt: null };
+    user.revokeAllSessions();
+    await user.save();
+    
+    await revokeAllSessions(user._id, 'password_reset');
+    
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+    await logAccountEvent(user, 'password_reset', ipAddress, userAgent);
+    
+    res.json({
+      message: 'Password reset successful. Please login with your new password.'
+    });
+    
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh-token
+ * Exchange a refresh token for a new access token and refresh token
+ * Refresh tokens are single-use; presenting a used one revokes the session
+ */
+router.post('/refresh-token', async (req, res) => {
+  try {
+    // Cookie auth mode sends the refresh token as a cookie instead of in the body
+    const cookieToken = getCookie(req, REFRESH_COOKIE);
+    const refreshToken = req.body.refreshToken || cookieToken;
+    const usedCookie = !req.body.refreshToken && !!cookieToken;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token is required',
+        code: 'NO_REFRESH_TOKEN'
+      });
+    }
+    
+    const { tokenData, failure } = await rotateRefreshToken(refreshToken, {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (failure) {
+      if (usedCookie) {
+        clearSessionCookies(res);
+      }
+      return res.status(401).json(failure);
+    }
+    
+    res.json({
+      message: 'Token refreshed successfully',
+      ...sessionResponse(req, res, tokenData, { cookie: usedCookie })
+    });
+    
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Token refresh failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/login
+ * Second login step: exchange a challenge token and TOTP/backup code for a JWT
+ */
+router.post('/2fa/login', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    // Validation
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          challengeToken: !challengeToken ? 'Challenge token is required' : null,
+          code: !code ? 'Verification code is required' : null
+        }
+      });
+    }
+    
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Challenge expired or invalid. Please login again.',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+    
+    const user = await User.findWithTwoFactor(challenge.userId);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+    
+    // Second-factor guesses count towards the same account lockout
+    const throttle = await checkLoginAllowed({ email: user.email, ipAddress: req.ip || req.connection.remoteAddress });
+    if (!throttle.allowed) {
+      return sendLockout(res, throttle.scope, throttle.retryAfter);
+    }
+    
+    const result = verifySecondFactor(user, code);
+    if (!result.valid) {
+      return rejectLogin(req, res, {
+        user,
+        email: user.email,
+        reason: 'invalid_2fa_code',
+        error: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+    
+    await recordLoginSuccess({ email: user.email });
+    
+    // Persist the consumed TOTP step / backup code before issuing the session
+    await user.save();
+    
+    // An expired password still has to be replaced before a session is issued
+    const policy = await getPasswordPolicy();
+    if (isPasswordExpired(user, policy)) {
+      return res.json(passwordChangeChallenge(user, policy, { secondFactor: result.method }));
+    }
+    
+    const tokenData = await completeLogin(req, user, result.method);
+    
+    res.json({
+      message: 'Login successful',
+      user: user.profile,
+      ...sessionResponse(req, res, tokenData),
+      method: result.method
+    });
+    
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      error: '2FA login failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/2fa/status
+ * Get two-factor authentication status for the current user
+ */
+router.get('/2fa/status', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+    const backupCodes = user.twoFactor?.backupCodes || [];
+    
+    res.json({
+      isEnabled: !!user.twoFactor?.enabled,
+      isSetup: !user.twoFactor?.enabled && !!user.twoFactor?.pendingSecret,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      backupCodesRemaining: backupCodes.filter(entry => !entry.usedAt).length
+    });
+    
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch 2FA status',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start 2FA enrollment: generate a TOTP secret, QR code and backup codes
+ */
+router.post('/2fa/setup', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled',
+        code: '2FA_ALREADY_ENABLED'
+      });
+    }
+    
+    const { secret, otpauthUrl, qrCode } = await createTotpSecret(user);
+    const { codes, hashes } = generateBackupCodes();
+    
+    // The secret only becomes active once a code has been verified
+    user.twoFactor.pendingSecret = secret;
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+    
+    res.json({
+      message: '2FA setup initiated',
+      qrCode,
+      otpauthUrl,
+      secretKey: secret,
+      backupCodes: codes
+    });
+    
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      error: '2FA setup failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/verify
+ * Complete 2FA enrollment by verifying a code from the authenticator app
+ */
+router.post('/2fa/verify', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findWithTwoFactor(req.user._id);
+    
+    if (!code) {
+      return res.status(400).json({
+        error: 'Verification code is required'
+      });
+    }
+    
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        error: 'No pending 2FA setup. Please start setup first.',
+        code: '2FA_NOT_SETUP'
+      });
+    }
+    
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+    
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    
+    res.json({
+      message: 'Two-factor authentication enabled successfully',
+      isEnabled: true
+    });
+    
+  } catch (error) {
+    console.error('2FA verification error:', error);
+    res.status(500).json({
+      error: '2FA verification failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable 2FA after confirming a current TOTP or backup code
+ */
+router.post('/2fa/disable', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findWithTwoFactor(req.user._id);
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: '2FA_NOT_ENABLED'
+      });
+    }
+    
+    if (!code || !verifySecondFactor(user, code).valid) {
+      return res.status(400).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+    
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.backupCodes = [];
+    user.twoFactor.enabledAt = null;
+    await user.save();
+    
+    res.json({
+      message: 'Two-factor authentication disabled successfully',
+      isEnabled: false
+    });
+    
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable 2FA',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Regenerate backup codes (invalidates all previous codes)
+ */
+router.post('/2fa/backup-codes', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: '2FA_NOT_ENABLED'
+      });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+    
+    res.json({
+      message: 'Backup codes regenerated successfully',
+      backupCodes: codes
+    });
+    
+  } catch (error) {
+    console.error('Backup code generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate backup codes',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/passkeys
+ * List the current user's passkeys
+ */
+router.get('/passkeys', authenticateToken, requireSession, async (req, res) => {
+  try {
+    res.json({
+      passkeys: req.user.passkeys.map(passkey => passkey.summary)
+    });
+    
+  } catch (error) {
+    console.error('Passkeys fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch passkeys',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/register/options
+ * Start registering a passkey; returns options for navigator.credentials.create
+ */
+router.post('/passkeys/register/options', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const options = await startPasskeyRegistration(req.user);
+    
+    res.json({ options });
+    
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({
+      error: 'Failed to start passkey registration',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/register/verify
+ * Verify the authenticator's response and save the passkey
+ */
+router.post('/passkeys/register/verify', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const { credential, name } = req.body;
+    
+    if (!credential || !credential.response) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          credential: 'Passkey credential is required'
+        }
+      });
+    }
+    
+    const { passkey, failure } = await finishPasskeyRegistration(
+      req.user,
+      credential,
+      typeof name === 'string' ? name.trim().slice(0, 100) : ''
+    );
+    if (failure) {
+      return res.status(failure.code === 'PASSKEY_EXISTS' ? 409 : 400).json(failure);
+    }
+    
+    await logAccountEvent(req.user, 'profile_update', req.ip || req.connection.remoteAddress, req.get('User-Agent'), {
+      change: 'passkey_added',
+      passkeyId: passkey._id.toString()
+    });
+    
+    res.status(201).json({
+      message: 'Passkey added successfully',
+      passkey: passkey.summary
+    });
+    
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    res.status(500).json({
+      error: 'Failed to register passkey',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/passkeys/:id
+ * Remove one of the current user's passkeys
+ */
+router.delete('/passkeys/:id', authenticateToken, requireSession, denyImpersonation, async (req, res) => {
+  try {
+    const passkey = req.user.passkeys.id(req.params.id);
+    
+    if (!passkey) {
+      return res.status(404).json({
+        error: 'Passkey not found',
+        code: 'PASSKEY_NOT_FOUND'
+      });
+    }
+    
+    passkey.deleteOne();
+    await req.user.save();
+    
+    await logAccountEvent(req.user, 'profile_update', req.ip || req.connection.remoteAddress, req.get('User-Agent'), {
+      change: 'passkey_removed',
+      passkeyId: req.params.id
+    });
+    
+    res.json({
+      message: 'Passkey removed successfully'
+    });
+    
+  } catch (error) {
+    console.error('Passkey removal error:', error);
+    res.status(500).json({
+      error: 'Failed to remove passkey',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/login/options
+ * Start a passwordless login; returns options for navigator.credentials.get
+ */
+router.post('/passkeys/login/options', async (req, res) => {
+  try {
+    const options = await startPasskeyLogin();
+    
+    res.json({ options });
+    
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    res.status(500).json({
+      error: 'Failed to start passkey login',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/login/verify
+ * Verify a passkey assertion and start a session
+ * A user-verified passkey replaces both the password and the second factor
+ */
+router.post('/passkeys/login/verify', async (req, res) => {
+  try {
+    const { credential } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    
+    if (!credential || typeof credential.id !== 'string' || !credential.response) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          credential: 'Passkey credential is required'
+        }
+      });
+    }
+    
+    const user = await User.findByPasskeyId(credential.id);
+    
+    const throttle = await checkLoginAllowed({ email: user?.email, ipAddress });
+    if (!throttle.allowed) {
+      return sendLockout(res, throttle.scope, throttle.retryAfter);
+    }
+    
+    if (!user) {
+      return rejectLogin(req, res, {
+        email: null,
+        reason: 'unknown_passkey',
+        error: 'Passkey is not registered',
+        code: 'PASSKEY_NOT_FOUND'
+      });
+    }
+    
+    if (!user.isActive) {
+      return rejectLogin(req, res, {
+        user,
+        email: user.email,
+        reason: 'account_deactivated',
+        error: 'Account is deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+    
+    if (needsEmailVerification(user)) {
+      return rejectUnverified(req, res, user);
+    }
+    
+    const { failure } = await finishPasskeyLogin(user, credential);
+    if (failure) {
+      return rejectLogin(req, res, {
+        user,
+        email: user.email,
+        reason: 'invalid_passkey',
+        error: failure.error,
+        code: failure.code
+      });
+    }
+    
+    await recordLoginSuccess({ email: user.email });
+    
+    const tokenData = await completeLogin(req, user, 'passkey');
+    
+    res.json({
+      message: 'Login successful',
+      user: user.profile,
+      ...sessionResponse(req, res, tokenData)
+    });
+    
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    res.status(500).json({
+      error: 'Passkey login failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Cookie holding the signed OIDC state between login and callback
+ */
+const OIDC_STATE_COOKIE = 'oidc_state';
+
+/**
+ * Send the browser back to the login page with an SSO error code
+ */
+const redirectOidcError = (res, code) => {
+  return res.redirect(clientLink('/login', { sso_error: code }));
+};
+
+/**
+ * GET /api/auth/oidc/config
+ * Tell the login page whether single sign-on is available
+ */
+router.get('/oidc/config', (req, res) => {
+  res.json({ enabled: isOidcEnabled() });
+});
+
+/**
+ * GET /api/auth/oidc/login
+ * Start single sign-on: redirect to the identity provider
+ */
+router.get('/oidc/login', async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        error: 'Single sign-on is not configured',
+        code: 'OIDC_DISABLED'
+      });
+    }
+    
+    // Only same-site paths are accepted as a post-login destination
+    const { returnTo } = req.query;
+    const safeReturnTo = typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : null;
+    
+    const { authorizationUrl, stateToken, maxAge } = await startLogin(safeReturnTo, getOidcConfig(), {
+      cookieMode: isCookieSession(req.query.authMode === 'cookie')
+    });
+    
+    res.cookie(OIDC_STATE_COOKIE, stateToken, cookieOptions({ maxAge, path: '/api/auth/oidc' }));
+    res.redirect(authorizationUrl);
+    
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(502).json({
+      error: 'Identity provider is unavailable',
+      code: 'OIDC_PROVIDER_ERROR',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Finish single sign-on and hand the session to the frontend
+ * Tokens are passed in the URL fragment so they never reach server logs
+ */
+router.get('/oidc/callback', async (req, res) => {
+  try {
+    const stateToken = getCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, cookieOptions({ path: '/api/auth/oidc' }));
+    
+    if (req.query.error) {
+      console.warn(`OIDC provider returned error: ${req.query.error}`);
+      return redirectOidcError(res, 'OIDC_PROVIDER_ERROR');
+    }
+    
+    const { claims, returnTo, cookieMode, failure } = await handleCallback({
+      code: req.query.code,
+      state: req.query.state,
+      stateToken
+    });
+    if (failure) {
+      return redirectOidcError(res, failure.code);
+    }
+    
+    const { user, failure: userFailure } = await resolveOidcUser(claims);
+    if (userFailure) {
+      await logFailedLogin(null, claims.email, req.ip || req.connection.remoteAddress, req.get('User-Agent'), userFailure.code.toLowerCase());
+      return redirectOidcError(res, userFailure.code);
+    }
+    
+    if (!user.isActive) {
+      await logFailedLogin(user, user.email, req.ip || req.connection.remoteAddress, req.get('User-Agent'), 'account_deactivated');
+      return redirectOidcError(res, 'ACCOUNT_DEACTIVATED');
+    }
+    
+    if (needsEmailVerification(user)) {
+      await logFailedLogin(user, user.email, req.ip || req.connection.remoteAddress, req.get('User-Agent'), 'email_not_verified');
+      return redirectOidcError(res, 'EMAIL_NOT_VERIFIED');
+    }
+    
+    const tokenData = await completeLogin(req, user, 'oidc');
+    const session = sessionResponse(req, res, tokenData, { cookie: !!cookieMode });
+    
+    const fragment = new URLSearchParams({
+      ...(session.token ? { token: session.token, refreshToken: session.refreshToken } : {}),
+      ...(session.csrfToken ? { authMode: session.authMode, csrfToken: session.csrfToken } : {}),
+      expiresAt: tokenData.expiresAt.toISOString(),
+      refreshExpiresAt: tokenData.refreshExpiresAt.toISOString(),
+      role: user.role,
+      email: user.email,
+      userId: user._id.toString(),
+      ...(returnTo ? { returnTo } : {})
+    });
+    
+    res.redirect(`${clientLink('/oidc/callback')}#${fragment.toString()}`);
+    
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectOidcError(res, 'OIDC_LOGIN_FAILED');
+  }
+});
+
 export default router;
@@ -10,16 +10,16 @@
 
 import express from 'express';
 import UserLog from '../models/UserLog.js';
-import { requireAdmin } from '../middleware/auth.js';
+import { requirePermission, requireScope, requireSession } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * GET /api/logs
- * Get user activity logs with filtering and pagination (admin only)
+ * Get user activity logs with filtering and pagination (logs.read)
  * Implements Task 3 requirement: Display user logs
  */
-router.get('/', requireAdmin, async (req, res) => {
+router.get('/', requirePermission('logs.read'), requireScope('logs:read'), async (req, res) => {
   try {
     const {
       userId,
@@ -114,6 +114,7 @@ router.get('/', requireAdmin, async (req, res) => {
           total: { $sum: 1 },
           logins: { $sum: { $cond: [{ $eq: ['$action', 'login'] }, 1, 0] } },
           logouts: { $sum: { $cond: [{ $eq: ['$action', 'logout'] }, 1, 0] } },
+          failedLogins: { $sum: { $cond: [{ $eq: ['$action', 'login_failed'] }, 1, 0] } },
           admins: { $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] } },
           users: { $sum: { $cond: [{ $eq: ['$role', 'user'] }, 1, 0] } },
           uniqueUsers: { $addToSet: '$userId' }
@@ -124,6 +125,7 @@ router.get('/', requireAdmin, async (req, res) => {
           total: 1,
           logins: 1,
           logouts: 1,
+          failedLogins: 1,
           admins: 1,
           users: 1,
           uniqueUsers: { $size: '$uniqueUsers' }
@@ -131,7 +133,7 @@ router.get('/', requireAdmin, async (req, res) => {
       }
     ]);
     
-    const logStats = stats[0] || { total: 0, logins: 0, logouts: 0, admins: 0, users: 0, uniqueUsers: 0 };
+    const logStats = stats[0] || { total: 0, logins: 0, logouts: 0, failedLogins: 0, admins: 0, users: 0, uniqueUsers: 0 };
     
     // Format logs for response
     const formattedLogs = logs.map(log => ({
@@ -186,9 +188,9 @@ router.get('/', requireAdmin, async (req, res) => {
 
 /**
  * GET /api/logs/:id
- * Get a specific log entry by ID (admin only)
+ * Get a specific log entry by ID (logs.read)
  */
-router.get('/:id', requireAdmin, async (req, res) => {
+router.get('/:id', requirePermission('logs.read'), requireScope('logs:read'), async (req, res) => {
   try {
     const log = await UserLog.findById(req.params.id)
       .populate('userId', 'username email');
@@ -212,10 +214,10 @@ router.get('/:id', requireAdmin, async (req, res) => {
 
 /**
  * DELETE /api/logs/:id
- * Delete a log entry (admin only)
+ * Delete a log entry (logs.delete)
  * Implements Task 3 requirement: DELETE functionality
  */
-router.delete('/:id', requireAdmin, async (req, res) => {
+router.delete('/:id', requirePermission('logs.delete'), requireSession, async (req, res) => {
   try {
     const log = await UserLog.findById(req.params.id);
     
@@ -243,9 +245,9 @@ router.delete('/:id', requireAdmin, async (req, res) => {
 
 /**
  * DELETE /api/logs/bulk
- * Delete multiple log entries (admin only)
+ * Delete multiple log entries (logs.delete)
  */
-router.delete('/bulk', requireAdmin, async (req, res) => {
+router.delete('/bulk', requirePermission('logs.delete'), requireSession, async (req, res) => {
   try {
     const { logIds, filters } = req.body;
     
@@ -290,9 +292,9 @@ router.delete('/bulk', requireAdmin, async (req, res) => {
 
 /**
  * GET /api/logs/user/:userId
- * Get logs for a specific user (admin only)
+ * Get logs for a specific user (logs.read)
  */
-router.get('/user/:userId', requireAdmin, async (req, res) => {
+router.get('/user/:userId', requirePermission('logs.read'), requireScope('logs:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const {
@@ -379,9 +381,9 @@ router.get('/user/:userId', requireAdmin, async (req, res) => {
 
 /**
  * GET /api/logs/analytics/summary
- * Get log analytics summary (admin only)
+ * Get log analytics summary (logs.read)
  */
-router.get('/analytics/summary', requireAdmin, async (req, res) => {
+router.get('/analytics/summary', requirePermission('logs.read'), requireScope('logs:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
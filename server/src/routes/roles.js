@@ -0,0 +1,212 @@
+/**
+ * Role Routes
+ *
+ * Lists built-in roles and manages admin-defined custom roles.
+ * Custom roles map a name to a set of named permissions.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, PERMISSION_NAMES, isBuiltInRole, hasAllPermissions } from '../utils/permissions.js';
+import { listRoles, createRole, updateRole, deleteRole } from '../services/roleService.js';
+
+const router = express.Router();
+
+/**
+ * Validate a permission list from a request body
+ * Returns an error message or null
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'Permissions must be an array';
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSION_NAMES.includes(permission));
+  return unknown.length > 0 ? `Unknown permissions: ${unknown.join(', ')}` : null;
+};
+
+/**
+ * GET /api/roles
+ * Get all roles and the permission catalogue (users.manage)
+ */
+router.get('/', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const roles = await listRoles();
+
+    res.json({
+      roles,
+      permissions: PERMISSIONS
+    });
+
+  } catch (error) {
+    console.error('Role fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch roles',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/roles
+ * Create a custom role (users.manage)
+ */
+router.post('/', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { name, description = '', permissions = [] } = req.body;
+
+    const permissionError = validatePermissions(permissions);
+    if (!name || permissionError) {
+      return res.status(400).json({
+        error: 'Missing or invalid fields',
+        code: 'VALIDATION_ERROR',
+        details: {
+          name: !name ? 'Role name is required' : null,
+          permissions: permissionError
+        }
+      });
+    }
+
+    if (isBuiltInRole(name.toLowerCase())) {
+      return res.status(409).json({
+        error: 'Role name is reserved for a built-in role',
+        code: 'ROLE_EXISTS'
+      });
+    }
+
+    // Nobody can create a role more powerful than themselves
+    if (!hasAllPermissions(req.permissions, permissions)) {
+      return res.status(403).json({
+        error: 'You cannot grant permissions you do not have',
+        code: 'ROLE_ESCALATION'
+      });
+    }
+
+    const role = await createRole({ name, description, permissions }, req.user._id);
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: role.summary
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'A role with this name already exists',
+        code: 'ROLE_EXISTS'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid role',
+        code: 'VALIDATION_ERROR',
+        details: Object.fromEntries(Object.entries(error.errors).map(([field, err]) => [field, err.message]))
+      });
+    }
+
+    console.error('Role creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create role',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/roles/:name
+ * Update a custom role's description or permissions (users.manage)
+ */
+router.put('/:name', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    if (isBuiltInRole(req.params.name)) {
+      return res.status(400).json({
+        error: 'Built-in roles cannot be changed',
+        code: 'BUILT_IN_ROLE'
+      });
+    }
+
+    if (permissions !== undefined) {
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          error: 'Invalid permissions',
+          code: 'VALIDATION_ERROR',
+          details: { permissions: permissionError }
+        });
+      }
+
+      if (!hasAllPermissions(req.permissions, permissions)) {
+        return res.status(403).json({
+          error: 'You cannot grant permissions you do not have',
+          code: 'ROLE_ESCALATION'
+        });
+      }
+    }
+
+    const role = await updateRole(req.params.name, { description, permissions });
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found'
+      });
+    }
+
+    res.json({
+      message: 'Role updated successfully',
+      role: role.summary
+    });
+
+  } catch (error) {
+    console.error('Role update error:', error);
+    res.status(500).json({
+      error: 'Failed to update role',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/roles/:name
+ * Delete a custom role that is not assigned to anyone (users.manage)
+ */
+router.delete('/:name', requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (isBuiltInRole(req.params.name)) {
+      return res.status(400).json({
+        error: 'Built-in roles cannot be deleted',
+        code: 'BUILT_IN_ROLE'
+      });
+    }
+
+    const { role, failure } = await deleteRole(req.params.name);
+
+    if (failure) {
+      return res.status(409).json(failure);
+    }
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found'
+      });
+    }
+
+    res.json({
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Role deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete role',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+export default router;
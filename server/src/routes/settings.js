@@ -0,0 +1,108 @@
+/**
+ * Settings Routes
+ *
+ * Admin-configurable security settings. Currently the password policy:
+ * length, character classes, reuse history, maximum age and the
+ * breached-password check.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { logAccountEvent } from '../middleware/logging.js';
+import PasswordPolicy from '../models/PasswordPolicy.js';
+import {
+  getPasswordPolicy,
+  updatePasswordPolicy,
+  describePolicy,
+  POLICY_FIELDS
+} from '../services/passwordPolicy.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/settings/password-policy
+ * Get the active password policy and who last changed it (users.manage)
+ */
+router.get('/password-policy', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const policy = await getPasswordPolicy();
+    const stored = await PasswordPolicy.findOne({ key: 'default' })
+      .populate('updatedBy', 'username email');
+
+    res.json({
+      policy,
+      rules: describePolicy(policy),
+      source: stored ? 'custom' : 'environment',
+      updatedAt: stored?.updatedAt || null,
+      updatedBy: stored?.updatedBy || null
+    });
+
+  } catch (error) {
+    console.error('Password policy fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch password policy',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/settings/password-policy
+ * Change password policy settings (users.manage)
+ * New rules apply to the next password set; maxAgeDays applies at next login
+ */
+router.put('/password-policy', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const changes = Object.fromEntries(
+      POLICY_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'No policy settings provided',
+        code: 'VALIDATION_ERROR',
+        details: {
+          policy: `Provide one or more of: ${POLICY_FIELDS.join(', ')}`
+        }
+      });
+    }
+
+    const stored = await updatePasswordPolicy(changes, req.user);
+    const policy = await getPasswordPolicy();
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+    await logAccountEvent(req.user, 'profile_update', ipAddress, userAgent, {
+      change: 'password_policy_updated',
+      settings: changes
+    });
+
+    res.json({
+      message: 'Password policy updated successfully',
+      policy,
+      rules: describePolicy(policy),
+      source: 'custom',
+      updatedAt: stored.updatedAt
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid password policy',
+        code: 'VALIDATION_ERROR',
+        details: Object.fromEntries(Object.entries(error.errors).map(([field, err]) => [field, err.message]))
+      });
+    }
+
+    console.error('Password policy update error:', error);
+    res.status(500).json({
+      error: 'Failed to update password policy',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -3,34 +3,200 @@
  * 
  * Handles task CRUD operations and filtering capabilities.
  * Implements Task 2 requirements: filtering by completion status and search by title.
+ * Searches use the task query syntax and the text index (see
+ * services/taskSearch.js).
+ * Also manages subtasks and checklist items (see services/taskHierarchy.js)
+ * and dependencies between tasks (see services/taskDependencies.js).
+ * Recurring tasks belong to a series (see services/recurrence.js); edits
+ * apply to one occurrence or, with `scope: 'future'`, to the series and
+ * its later occurrences. File attachments are uploaded as multipart
+ * form data and kept in the attachment storage (see services/
+ * attachments.js). Comments are threaded Markdown handled by services/
+ * taskComments.js, shared with the WebSocket server. Bulk status, priority
+ * and assignee changes, and their undo, go through services/taskBulk.js.
  * 
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
 import express from 'express';
+import mongoose from 'mongoose';
 import Task from '../models/Task.js';
-import { requireOwnershipOrAdmin } from '../middleware/auth.js';
+import TaskSeries from '../models/TaskSeries.js';
+import User from '../models/User.js';
+import { requireOwnershipOrAdmin, requirePermission, requireScope } from '../middleware/auth.js';
+import { logAccountEvent } from '../middleware/logging.js';
+import {
+  checkParent,
+  recalculateTask,
+  rollUpAncestors,
+  moveTask,
+  checkOpenSubtasks,
+  completeTask,
+  deleteTask
+} from '../services/taskHierarchy.js';
+import {
+  checkDependency,
+  checkStatusTransition,
+  computeCriticalPath
+} from '../services/taskDependencies.js';
+import {
+  validateRecurrence,
+  createSeries,
+  handleTaskCompleted,
+  applyToFutureOccurrences,
+  previewSeries
+} from '../services/recurrence.js';
+import { compileTaskQuery, suggestValues, escapeRegex } from '../services/taskSearch.js';
+import { listTrash, findTrashedTask, restoreTask, purgeTask, purgeDate } from '../services/taskTrash.js';
+import { QUERY_FIELDS } from '../utils/taskQuery.js';
+import { isValidTimeZone } from '../utils/rrule.js';
+import { decodeCursor, cursorAfter, offsetCursor, keysetFilter } from '../utils/cursor.js';
+import { weakEtag, setCacheHeaders, sendNotModified } from '../utils/httpCache.js';
+import { snapshotTask, recordTaskChanges, getTaskHistory, planRevert } from '../services/taskHistory.js';
+import {
+  MAX_ATTACHMENTS_PER_TASK,
+  getAttachmentSettings,
+  addAttachment,
+  removeAttachment,
+  readAttachment
+} from '../services/attachments.js';
+import {
+  listComments,
+  findTaskComment,
+  addComment,
+  editComment,
+  deleteComment,
+  getCommentEdits
+} from '../services/taskComments.js';
+import { validateBulkRequest, runBulkOperation, undoBulkOperation } from '../services/taskBulk.js';
+import { MULTIPART_OVERHEAD, readRequestBody, parseMultipart } from '../utils/multipart.js';
+
+const MAX_CRITICAL_PATH_TASKS = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const TASK_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'title', 'priority', 'status', 'progress', 'estimatedHours'];
+const EDIT_SCOPES = ['occurrence', 'future'];
+const MAX_ASSIGNEE_SUGGESTIONS = 50;
+
+// HTTP status for each upload failure code; anything else is a 400
+const ATTACHMENT_FAILURE_STATUS = {
+  TOO_MANY_ATTACHMENTS: 409,
+  FILE_TOO_LARGE: 413,
+  STORAGE_QUOTA_EXCEEDED: 413,
+  UNSUPPORTED_FILE_TYPE: 415,
+  FILE_CONTENT_MISMATCH: 415
+};
 
 const router = express.Router();
 
+/**
+ * Check whether the current user's role grants a permission
+ */
+const hasPermission = (req, permission) => !!req.permissions?.includes(permission);
+
+/**
+ * Filter for the tasks the current user may see
+ * Without task.read.any users only see tasks they created or are assigned to
+ */
+const visibleTasksFilter = (req) => (hasPermission(req, 'task.read.any')
+  ? {}
+  : { $or: [{ assignedTo: req.user._id }, { createdBy: req.user._id }] });
+
+/**
+ * The values that identify the version of a task sent to a client
+ * isOverdue and daysRemaining change with the clock, not with updates
+ */
+const taskVersion = (task) => [task._id, task.updatedAt, task.isOverdue, task.daysRemaining];
+
+/**
+ * Check whether a user created or is assigned to a task
+ * Works with populated and unpopulated references
+ */
+const isTaskParticipant = (task, userId) => {
+  return [task.assignedTo, task.createdBy].some(ref => ref && (ref._id || ref).toString() === userId.toString());
+};
+
+/**
+ * Check whether the current user may assign a task to `assignedTo`
+ * Assigning to yourself needs no permission
+ */
+const canAssignTo = (req, assignedTo) => {
+  return !assignedTo || assignedTo.toString() === req.user._id.toString() || hasPermission(req, 'task.assign');
+};
+
+/**
+ * Check whether the current user may work on a task (complete it,
+ * tick its checklist, add subtasks)
+ */
+const canWorkOn = (req, task) => hasPermission(req, 'task.update.any') || isTaskParticipant(task, req.user._id);
+
+/**
+ * Load a task to use as a parent
+ * Returns null when it does not exist or the user may not work on it
+ */
+const loadParentTask = async (req, parentId) => {
+  if (!mongoose.isValidObjectId(parentId)) {
+    return null;
+  }
+  
+  const parent = await Task.findById(parentId);
+  return parent && canWorkOn(req, parent) ? parent : null;
+};
+
+/**
+ * Check whether the current user may edit a task's fields and links
+ */
+const canEdit = (req, task) => hasPermission(req, 'task.update.any') || task.createdBy.toString() === req.user._id.toString();
+
+/**
+ * Check whether the current user may delete (and restore or purge) a task
+ */
+const canDelete = (req, task) => hasPermission(req, 'task.delete.any') || task.createdBy.toString() === req.user._id.toString();
+
+/**
+ * Get who to name in the task history: the admin behind an impersonation
+ * session, otherwise the current user
+ */
+const historyActor = (req) => req.impersonation?.actor._id || req.user._id;
+
+/**
+ * Record that a status change went ahead despite open blockers
+ */
+const logDependencyOverride = (req, task, status, override) => logAccountEvent(
+  req.user,
+  'task_dependency_override',
+  req.ip || req.connection.remoteAddress,
+  req.get('User-Agent'),
+  { taskId: task._id.toString(), status, reason: override.reason, blockers: override.blockers },
+  req.impersonation?.actor || null
+);
+
 /**
  * GET /api/tasks
  * Get tasks with filtering and search capabilities
- * Implements Task 2 requirements
+ * Implements Task 2 requirements. `q` takes the task query syntax
+ * (`search` is an alias); `tz` sets the timezone of calendar days in it.
+ * Pages follow `pagination.nextCursor`; `include=total,stats` adds counts.
+ * Responds 304 when If-None-Match holds the ETag of the same page
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('tasks:read'), async (req, res) => {
   try {
     const {
       status,
       priority,
+      q,
       search,
+      tz = 'UTC',
       assignedTo,
       createdBy,
       dueDate,
       tags,
-      page = 1,
-      limit = 20,
+      parent,
+      cursor,
+      page,
+      include,
+      limit = DEFAULT_PAGE_SIZE,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -55,13 +221,24 @@ router.get('/', async (req, res) => {
     }
     
     // Search filter (Task 2 requirement - search by title and description)
-    if (search && search.trim()) {
-      const searchRegex = new RegExp(search.trim(), 'i');
-      filter.$or = [
-        { title: searchRegex },
-        { description: searchRegex },
-        { tags: searchRegex }
-      ];
+    const query = String(q ?? search ?? '').trim();
+    let hasText = false;
+    if (query) {
+      if (!isValidTimeZone(tz)) {
+        return res.status(400).json({
+          error: 'The timezone is not a known IANA timezone.',
+          code: 'INVALID_TIMEZONE',
+          details: { timezone: tz }
+        });
+      }
+      
+      const compiled = await compileTaskQuery(query, { user: req.user, timeZone: tz });
+      if (compiled.failure) {
+        return res.status(400).json(compiled.failure);
+      }
+      
+      Object.assign(filter, compiled.filter);
+      hasText = compiled.hasText;
     }
     
     // User filter
@@ -96,57 +273,132 @@ router.get('/', async (req, res) => {
       filter.tags = { $in: tagArray };
     }
     
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Subtask filter: "root" for top-level tasks or the id of a parent task
+    if (parent === 'root') {
+      filter.parentTask = null;
+    } else if (parent) {
+      filter.parentTask = mongoose.isValidObjectId(parent) ? parent : null;
+    }
+    
+    // Without task.read.any users only see tasks they created or are assigned to
+    if (!hasPermission(req, 'task.read.any')) {
+      filter.$and = [...(filter.$and || []), visibleTasksFilter(req)];
+    }
+    
+    // Build sort object; text searches sort by relevance unless told otherwise.
+    // `_id` breaks ties so every task keeps a fixed place in the order
+    const byRelevance = hasText && (!req.query.sortBy || sortBy === 'relevance');
+    if (!byRelevance && !TASK_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        error: `Tasks can be sorted by ${TASK_SORT_FIELDS.join(', ')}.`,
+        code: 'INVALID_SORT',
+        details: { sortBy }
+      });
+    }
     
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const order = sortOrder === 'desc' ? 'desc' : 'asc';
+    const direction = order === 'desc' ? -1 : 1;
+    const sort = byRelevance
+      ? { score: { $meta: 'textScore' }, _id: -1 }
+      : { [sortBy]: direction, _id: direction };
     
-    // Execute query with pagination
-    const tasks = await Task.find(filter)
-      .populate('assignedTo', 'username email')
-      .populate('createdBy', 'username email')
+    // Pages continue from a cursor (keyset, or an offset for relevance),
+    // or from a page number for older clients
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    let pageFilter = filter;
+    let skip = 0;
+    
+    if (cursor) {
+      const payload = decodeCursor(cursor);
+      const after = byRelevance ? null : keysetFilter(payload, sortBy, order);
+      const offset = byRelevance && payload?.s === 'relevance' ? payload.n : null;
+      
+      if (!after && !(Number.isInteger(offset) && offset >= 0)) {
+        return res.status(400).json({
+          error: 'The cursor is not valid for this list. Start again without a cursor.',
+          code: 'INVALID_CURSOR'
+        });
+      }
+      
+      if (after) {
+        pageFilter = { ...filter, $and: [...(filter.$and || []), after] };
+      } else {
+        skip = offset;
+      }
+    } else if (page) {
+      skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+    }
+    
+    // One task more than the page size tells whether there is a next page
+    const found = await Task.find(pageFilter, hasText ? { score: { $meta: 'textScore' } } : null)
       .sort(sort)
       .skip(skip)
-      .limit(parseInt(limit));
-    
-    // Get total count for pagination
-    const totalTasks = await Task.countDocuments(filter);
-    
-    // Calculate task statistics
-    const stats = await Task.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          complete: { $sum: { $cond: [{ $eq: ['$status', 'complete'] }, 1, 0] } },
-          incomplete: { $sum: { $cond: [{ $in: ['$status', ['pending', 'in-progress']] }, 1, 0] } },
-          overdue: { $sum: { $cond: [{ $and: [{ $lt: ['$dueDate', new Date()] }, { $nin: ['$status', ['complete', 'cancelled']] }] }, 1, 0] } }
+      .limit(pageSize + 1);
+    
+    const hasMore = found.length > pageSize;
+    const tasks = found.slice(0, pageSize);
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = byRelevance
+        ? offsetCursor('relevance', skip + pageSize)
+        : cursorAfter(tasks[tasks.length - 1], sortBy, order);
+    }
+    
+    const pagination = { limit: pageSize, hasMore, nextCursor };
+    if (page && !cursor) {
+      pagination.page = Math.max(parseInt(page) || 1, 1);
+    }
+    
+    // Totals and statistics scan every matching task, so only on request
+    const includes = String(include || '').split(',').map(part => part.trim());
+    
+    if (includes.includes('total')) {
+      pagination.total = await Task.countDocuments(filter);
+      pagination.pages = Math.ceil(pagination.total / pageSize);
+    }
+    
+    let taskStats;
+    if (includes.includes('stats')) {
+      const stats = await Task.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            complete: { $sum: { $cond: [{ $eq: ['$status', 'complete'] }, 1, 0] } },
+            incomplete: { $sum: { $cond: [{ $in: ['$status', ['pending', 'in-progress']] }, 1, 0] } },
+            overdue: { $sum: { $cond: [{ $and: [{ $lt: ['$dueDate', new Date()] }, { $nin: ['$status', ['complete', 'cancelled']] }] }, 1, 0] } }
+          }
         }
-      }
-    ]);
+      ]);
+      
+      taskStats = stats[0] || { total: 0, complete: 0, incomplete: 0, overdue: 0 };
+    }
+    
+    // Answer unchanged pages before populating them
+    const etag = weakEtag({ tasks: tasks.map(taskVersion), pagination, stats: taskStats });
+    if (sendNotModified(req, res, etag)) {
+      return;
+    }
     
-    const taskStats = stats[0] || { total: 0, complete: 0, incomplete: 0, overdue: 0 };
+    await Task.populate(tasks, [
+      { path: 'assignedTo', select: 'username email' },
+      { path: 'createdBy', select: 'username email' }
+    ]);
     
     res.json({
       tasks,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalTasks,
-        pages: Math.ceil(totalTasks / parseInt(limit))
-      },
+      pagination,
       stats: taskStats,
       filters: {
         status,
         priority,
-        search,
+        q: query || undefined,
         assignedTo,
         createdBy,
         dueDate,
-        tags
+        tags,
+        parent
       }
     });
     
@@ -160,286 +412,1537 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /api/tasks/:id
- * Get a specific task by ID
+ * GET /api/tasks/critical-path
+ * Critical path and slack for a set of tasks: `?ids=a,b,c` or all
+ * subtasks below `?parent=<taskId>`
  */
-router.get('/:id', async (req, res) => {
+router.get('/critical-path', requireScope('tasks:read'), async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id)
-      .populate('assignedTo', 'username email')
-      .populate('createdBy', 'username email')
-      .populate('comments.user', 'username email');
+    const { ids, parent } = req.query;
+    const filter = {};
     
-    if (!task) {
-      return res.status(404).json({
-        error: 'Task not found'
+    if (ids) {
+      // `?ids=a&ids=b` arrives as an array
+      const idList = [].concat(ids).join(',').split(',').map(id => id.trim()).filter(Boolean);
+      if (idList.length > MAX_CRITICAL_PATH_TASKS || !idList.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          error: `Provide up to ${MAX_CRITICAL_PATH_TASKS} valid task ids.`,
+          code: 'INVALID_TASK_IDS'
+        });
+      }
+      filter._id = { $in: idList };
+    } else if (parent && mongoose.isValidObjectId(parent)) {
+      filter.ancestors = parent;
+    } else {
+      return res.status(400).json({
+        error: 'Provide task ids or a parent task.',
+        code: 'INVALID_TASK_IDS'
       });
     }
     
-    res.json({ task });
+    // Without task.read.any users only see tasks they created or are assigned to
+    if (!hasPermission(req, 'task.read.any')) {
+      filter.$or = [{ assignedTo: req.user._id }, { createdBy: req.user._id }];
+    }
+    
+    const tasks = await Task.find(filter)
+      .select('title status estimatedHours dueDate blockedBy')
+      .limit(MAX_CRITICAL_PATH_TASKS + 1)
+      .lean();
+    
+    if (tasks.length > MAX_CRITICAL_PATH_TASKS) {
+      return res.status(400).json({
+        error: `The critical path is limited to ${MAX_CRITICAL_PATH_TASKS} tasks.`,
+        code: 'TOO_MANY_TASKS'
+      });
+    }
+    
+    const { failure, ...result } = computeCriticalPath(tasks);
+    if (failure) {
+      return res.status(409).json(failure);
+    }
+    
+    res.json(result);
     
   } catch (error) {
-    console.error('Task fetch error:', error);
+    console.error('Critical path error:', error);
     res.status(500).json({
-      error: 'Failed to fetch task',
+      error: 'Failed to compute critical path',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * POST /api/tasks
- * Create a new task
+ * GET /api/tasks/query-suggestions
+ * Autocomplete for the task query syntax: `?field=tag&prefix=ba` suggests
+ * values of a field; without `field` the field names are suggested
  */
-router.post('/', async (req, res) => {
+router.get('/query-suggestions', requireScope('tasks:read'), async (req, res) => {
   try {
-    const {
-      title,
-      description,
-      priority = 'medium',
-      dueDate,
-      assignedTo,
-      tags = [],
-      estimatedHours = 0
-    } = req.body;
-    
-    // Validation
-    if (!title || !description || !dueDate || !assignedTo) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        details: {
-          title: !title ? 'Title is required' : null,
-          description: !description ? 'Description is required' : null,
-          dueDate: !dueDate ? 'Due date is required' : null,
-          assignedTo: !assignedTo ? 'Assignee is required' : null
-        }
-      });
-    }
-    
-    // Create new task
-    const task = new Task({
-      title,
-      description,
-      priority,
-      dueDate: new Date(dueDate),
-      assignedTo,
-      createdBy: req.user._id,
-      tags: Array.isArray(tags) ? tags : [tags],
-      estimatedHours: parseFloat(estimatedHours) || 0
-    });
-    
-    await task.save();
+    const field = String(req.query.field || '').toLowerCase();
+    const prefix = String(req.query.prefix || '').slice(0, 50);
     
-    // Populate user references
-    await task.populate('assignedTo', 'username email');
-    await task.populate('createdBy', 'username email');
+    const suggestions = field
+      ? await suggestValues(field, prefix, visibleTasksFilter(req))
+      : Object.keys(QUERY_FIELDS).filter(name => name.startsWith(prefix.toLowerCase()));
     
-    res.status(201).json({
-      message: 'Task created successfully',
-      task
-    });
+    res.json({ field: field || null, suggestions });
     
   } catch (error) {
-    console.error('Task creation error:', error);
+    console.error('Task query suggestion error:', error);
     res.status(500).json({
-      error: 'Failed to create task',
+      error: 'Failed to suggest query values',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * PUT /api/tasks/:id
- * Update a task
+ * GET /api/tasks/assignees
+ * Users the current user may assign tasks to, for pickers such as bulk
+ * reassign: every active user with task.assign, otherwise only yourself.
+ * `?prefix=` narrows the list by username
  */
-router.put('/:id', async (req, res) => {
+router.get('/assignees', requireScope('tasks:read'), async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
-    
-    if (!task) {
-      return res.status(404).json({
-        error: 'Task not found'
+    if (!hasPermission(req, 'task.assign')) {
+      return res.json({
+        assignees: [{ _id: req.user._id, username: req.user.username, email: req.user.email }]
       });
     }
     
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && task.createdBy.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: 'Access denied. You can only update tasks you created.'
-      });
-    }
-    
-    const {
-      title,
-      description,
-      status,
-      priority,
-      dueDate,
-      assignedTo,
-      tags,
-      estimatedHours,
-      actualHours
-    } = req.body;
+    const prefix = String(req.query.prefix || '').slice(0, 50);
+    const assignees = await User.find({
+      isActive: true,
+      ...(prefix ? { username: { $regex: `^${escapeRegex(prefix)}`, $options: 'i' } } : {})
+    })
+      .select('username email')
+      .sort({ username: 1 })
+      .limit(MAX_ASSIGNEE_SUGGESTIONS)
+      .lean();
     
-    // Update fields
-    if (title !== undefined) task.title = title;
-    if (description !== undefined) task.description = description;
-    if (status !== undefined) task.status = status;
-    if (priority !== undefined) task.priority = priority;
-    if (dueDate !== undefined) task.dueDate = new Date(dueDate);
-    if (assignedTo !== undefined) task.assignedTo = assignedTo;
-    if (tags !== undefined) task.tags = Array.isArray(tags) ? tags : [tags];
-    if (estimatedHours !== undefined) task.estimatedHours = parseFloat(estimatedHours) || 0;
-    if (actualHours !== undefined) task.actualHours = parseFloat(actualHours) || 0;
+    res.json({ assignees });
     
-    // Update completion status if status is complete
-    if (status === 'complete') {
-      task.isCompleted = true;
-      task.completedAt = new Date();
-      task.progress = 100;
+  } catch (error) {
+    console.error('Assignee fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch assignees',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Access check for one task of a bulk operation or its undo
+ * `values` are the fields about to be set. Tasks the user cannot see are
+ * reported as not found
+ */
+const bulkAccessCheck = (req) => (task, values) => {
+  if (!hasPermission(req, 'task.read.any') && !isTaskParticipant(task, req.user._id)) {
+    return { error: 'Task not found', code: 'TASK_NOT_FOUND' };
+  }
+  
+  if (!canEdit(req, task)) {
+    return { error: 'Access denied. You can only update tasks you created.', code: 'ACCESS_DENIED' };
+  }
+  
+  if (values.assignedTo && values.assignedTo.toString() !== task.assignedTo?.toString() && !canAssignTo(req, values.assignedTo)) {
+    return { error: 'Access denied. You can only assign tasks to yourself.', code: 'INSUFFICIENT_PERMISSIONS', required: 'task.assign' };
+  }
+  
+  return null;
+};
+
+/**
+ * POST /api/tasks/bulk
+ * Set the status, priority or assignee of many tasks:
+ * { taskIds, operation, value, atomic }. Each task is checked like a single
+ * edit and gets a result; with `atomic: true` any failed check answers 409
+ * BULK_OPERATION_FAILED and changes nothing. The `undo` token reverts the
+ * whole batch through POST /bulk/undo
+ */
+router.post('/bulk', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const { request, failure } = await validateBulkRequest(req.body);
+    if (failure) {
+      return res.status(400).json(failure);
     }
     
-    await task.save();
+    const outcome = await runBulkOperation(request, {
+      actor: req.user,
+      checkAccess: bulkAccessCheck(req),
+      historyActor: historyActor(req)
+    });
+    if (outcome.failure) {
+      return res.status(409).json(outcome.failure);
+    }
     
-    // Populate user references
-    await task.populate('assignedTo', 'username email');
-    await task.populate('createdBy', 'username email');
+    const count = (kind) => outcome.results.filter(result => result.outcome === kind).length;
+    const summary = { updated: count('updated'), unchanged: count('unchanged'), failed: count('failed') };
     
     res.json({
-      message: 'Task updated successfully',
-      task
+      message: `${summary.updated} of ${outcome.results.length} tasks updated`,
+      summary,
+      results: outcome.results,
+      undo: outcome.undo
     });
     
   } catch (error) {
-    console.error('Task update error:', error);
+    console.error('Bulk task update error:', error);
     res.status(500).json({
-      error: 'Failed to update task',
+      error: 'Failed to update tasks',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * DELETE /api/tasks/:id
- * Delete a task
+ * POST /api/tasks/bulk/undo
+ * Revert a bulk operation with its undo token ({ token }), once, within
+ * TASK_BULK_UNDO_WINDOW. Tasks changed since are left as they are
  */
-router.delete('/:id', async (req, res) => {
+router.post('/bulk/undo', requireScope('tasks:write'), async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
-    
-    if (!task) {
-      return res.status(404).json({
-        error: 'Task not found'
-      });
-    }
-    
-    // Check ownership or admin access
-    if (req.user.role !== 'admin' && task.createdBy.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: 'Access denied. You can only delete tasks you created.'
-      });
+    const outcome = await undoBulkOperation(req.body?.token, {
+      actor: req.user,
+      checkAccess: bulkAccessCheck(req),
+      historyActor: historyActor(req)
+    });
+    if (outcome.failure) {
+      return res.status(404).json(outcome.failure);
     }
     
-    await Task.findByIdAndDelete(req.params.id);
+    const restored = outcome.results.filter(result => result.outcome === 'restored').length;
     
     res.json({
-      message: 'Task deleted successfully'
+      message: `${restored} of ${outcome.results.length} tasks restored`,
+      results: outcome.results
     });
     
   } catch (error) {
-    console.error('Task deletion error:', error);
+    console.error('Bulk task undo error:', error);
     res.status(500).json({
-      error: 'Failed to delete task',
+      error: 'Failed to undo bulk update',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * POST /api/tasks/:id/complete
- * Mark task as complete
+ * Load a recurring series for the current user
+ * Sends 404 and returns null when it does not exist or is not visible;
+ * `write` also requires the right to edit it
+ */
+const loadSeries = async (req, res, { write = false } = {}) => {
+  const series = mongoose.isValidObjectId(req.params.seriesId)
+    ? await TaskSeries.findById(req.params.seriesId)
+    : null;
+  
+  const visible = series && (hasPermission(req, 'task.read.any') || isTaskParticipant(series, req.user._id));
+  if (!visible || (write && !canEdit(req, series))) {
+    res.status(404).json({
+      error: 'Recurring series not found',
+      code: 'SERIES_NOT_FOUND'
+    });
+    return null;
+  }
+  
+  return series;
+};
+
+/**
+ * GET /api/tasks/series/:seriesId
+ * Get a recurring series with its upcoming occurrence times
  */
-router.post('/:id/complete', async (req, res) => {
+router.get('/series/:seriesId', requireScope('tasks:read'), async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
-    
-    if (!task) {
-      return res.status(404).json({
-        error: 'Task not found'
-      });
-    }
-    
-    // Check if user can complete the task
-    if (req.user.role !== 'admin' && 
-        task.assignedTo.toString() !== req.user._id.toString() && 
-        task.createdBy.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: 'Access denied. You can only complete tasks assigned to you or created by you.'
-      });
-    }
-    
-    await task.complete();
+    const series = await loadSeries(req, res);
+    if (!series) return;
     
     res.json({
-      message: 'Task marked as complete',
-      task
+      series,
+      upcoming: previewSeries(series, Math.min(parseInt(req.query.count) || 5, 50))
     });
     
   } catch (error) {
-    console.error('Task completion error:', error);
+    console.error('Task series fetch error:', error);
     res.status(500).json({
-      error: 'Failed to complete task',
+      error: 'Failed to fetch recurring series',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * POST /api/tasks/:id/progress
- * Update task progress
+ * DELETE /api/tasks/series/:seriesId
+ * Stop a recurring series; existing occurrences are kept
  */
-router.post('/:id/progress', async (req, res) => {
+router.delete('/series/:seriesId', requireScope('tasks:write'), async (req, res) => {
   try {
-    const { progress } = req.body;
-    const task = await Task.findById(req.params.id);
-    
-    if (!task) {
-      return res.status(404).json({
-        error: 'Task not found'
-      });
-    }
+    const series = await loadSeries(req, res, { write: true });
+    if (!series) return;
     
-    // Check if user can update progress
-    if (req.user.role !== 'admin' && 
-        task.assignedTo.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        error: 'Access denied. You can only update progress of tasks assigned to you.'
-      });
+    if (series.active) {
+      await series.stop();
     }
     
-    await task.updateProgress(parseInt(progress));
-    
     res.json({
-      message: 'Task progress updated',
-      task
+      message: 'Recurrence stopped',
+      series
     });
     
   } catch (error) {
-    console.error('Task progress update error:', error);
+    console.error('Task series stop error:', error);
     res.status(500).json({
-      error: 'Failed to update task progress',
+      error: 'Failed to stop recurring series',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
 /**
- * POST /api/tasks/:id/comments
- * Add comment to task
+ * GET /api/tasks/trash
+ * List the tasks the user deleted (all deleted tasks with task.delete.any)
+ * Each entry has the date it will be purged in `purgeAt`
  */
-router.post('/:id/comments', async (req, res) => {
+router.get('/trash', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const visibility = hasPermission(req, 'task.delete.any') ? {} : { createdBy: req.user._id };
+    const tasks = await listTrash(visibility, { limit: req.query.limit });
+    
+    res.json({ tasks });
+    
+  } catch (error) {
+    console.error('Trash fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch trash',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Load a task from the trash for restoring or purging
+ * Sends the error response and returns null when the user cannot
+ */
+const loadTrashedTask = async (req, res) => {
+  const task = mongoose.isValidObjectId(req.params.id) ? await findTrashedTask(req.params.id) : null;
+  
+  if (!task || !canDelete(req, task)) {
+    res.status(404).json({
+      error: 'Task not found in trash',
+      code: 'TASK_NOT_IN_TRASH'
+    });
+    return null;
+  }
+  
+  return task;
+};
+
+/**
+ * POST /api/tasks/trash/:id/restore
+ * Restore a task and the subtasks deleted with it
+ */
+router.post('/trash/:id/restore', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const trashed = await loadTrashedTask(req, res);
+    if (!trashed) return;
+    
+    const { task, restored, failure } = await restoreTask(trashed);
+    if (failure) {
+      return res.status(409).json(failure);
+    }
+    
+    await task.populate('assignedTo', 'username email');
+    await task.populate('createdBy', 'username email');
+    
+    res.json({
+      message: 'Task restored',
+      task,
+      restored
+    });
+    
+  } catch (error) {
+    console.error('Task restore error:', error);
+    res.status(500).json({
+      error: 'Failed to restore task',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/trash/:id
+ * Purge a trashed task and its subtasks for good
+ */
+router.delete('/trash/:id', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await loadTrashedTask(req, res);
+    if (!task) return;
+    
+    const purged = await purgeTask(task);
+    
+    res.json({
+      message: 'Task deleted permanently',
+      purged
+    });
+    
+  } catch (error) {
+    console.error('Task purge error:', error);
+    res.status(500).json({
+      error: 'Failed to delete task permanently',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:id
+ * Get a specific task by ID
+ * Responds 304 when If-None-Match holds the ETag of the current version
+ */
+router.get('/:id', requireScope('tasks:read'), async (req, res) => {
+  try {
+    // Check access and freshness before loading the full task
+    const version = await Task.findById(req.params.id).select('updatedAt assignedTo createdBy status dueDate');
+    
+    if (!version || (!hasPermission(req, 'task.read.any') && !isTaskParticipant(version, req.user._id))) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    if (sendNotModified(req, res, weakEtag(taskVersion(version)))) {
+      return;
+    }
+    
+    const task = await Task.findById(req.params.id)
+      .populate('assignedTo', 'username email')
+      .populate('createdBy', 'username email');
+    
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    // The task may have changed since the version check
+    setCacheHeaders(res, weakEtag(taskVersion(task)));
+    res.json({ task });
+    
+  } catch (error) {
+    console.error('Task fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch task',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:id/subtasks
+ * Get the direct subtasks of a task
+ */
+router.get('/:id/subtasks', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task || (!hasPermission(req, 'task.read.any') && !isTaskParticipant(task, req.user._id))) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    const subtasks = await Task.findSubtasks(task._id)
+      .populate('assignedTo', 'username email')
+      .populate('createdBy', 'username email')
+      .sort({ createdAt: 1 });
+    
+    res.json({ subtasks });
+    
+  } catch (error) {
+    console.error('Subtask fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch subtasks',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/tasks
+ * Create a new task, optionally as a subtask of `parentTask`
+ */
+router.post('/', requireScope('tasks:write'), requirePermission('task.create'), async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      priority = 'medium',
+      dueDate,
+      assignedTo,
+      tags = [],
+      estimatedHours = 0,
+      parentTask = null,
+      checklist = [],
+      recurrence = null
+    } = req.body;
+    
+    // Validation
+    if (!title || !description || !dueDate || !assignedTo) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: {
+          title: !title ? 'Title is required' : null,
+          description: !description ? 'Description is required' : null,
+          dueDate: !dueDate ? 'Due date is required' : null,
+          assignedTo: !assignedTo ? 'Assignee is required' : null
+        }
+      });
+    }
+    
+    if (!canAssignTo(req, assignedTo)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only assign tasks to yourself.',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: 'task.assign'
+      });
+    }
+    
+    let parent = null;
+    if (parentTask) {
+      parent = await loadParentTask(req, parentTask);
+      if (!parent) {
+        return res.status(404).json({
+          error: 'Parent task not found',
+          code: 'PARENT_TASK_NOT_FOUND'
+        });
+      }
+      
+      const failure = checkParent(null, parent);
+      if (failure) {
+        return res.status(400).json(failure);
+      }
+    }
+    
+    // Recurring tasks repeat at the top level only
+    let validRecurrence = null;
+    if (recurrence) {
+      if (parent) {
+        return res.status(400).json({
+          error: 'Only top-level tasks can repeat.',
+          code: 'RECURRENCE_NOT_SUPPORTED'
+        });
+      }
+      
+      const { recurrence: normalised, failure } = validateRecurrence(recurrence);
+      if (failure) {
+        return res.status(400).json(failure);
+      }
+      validRecurrence = normalised;
+    }
+    
+    // Create new task
+    const task = new Task({
+      title,
+      description,
+      priority,
+      dueDate: new Date(dueDate),
+      assignedTo,
+      createdBy: req.user._id,
+      tags: Array.isArray(tags) ? tags : [tags],
+      estimatedHours: parseFloat(estimatedHours) || 0,
+      parentTask: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      checklist: (Array.isArray(checklist) ? checklist : [])
+        .filter(item => item && (item.text || typeof item === 'string'))
+        .map(item => ({ text: item.text || item }))
+    });
+    
+    await recalculateTask(task);
+    await task.save();
+    await rollUpAncestors(task);
+    await recordTaskChanges(task, null, { actor: historyActor(req), action: 'create' });
+    
+    // The task becomes the first occurrence of its series
+    const series = validRecurrence ? (await createSeries(task, validRecurrence)).series : null;
+    
+    // Populate user references
+    await task.populate('assignedTo', 'username email');
+    await task.populate('createdBy', 'username email');
+    
+    res.status(201).json({
+      message: 'Task created successfully',
+      task,
+      series
+    });
+    
+  } catch (error) {
+    console.error('Task creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create task',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/tasks/:id
+ * Update a task
+ */
+router.put('/:id', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    // Check ownership or task.update.any
+    if (!canEdit(req, task)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only update tasks you created.'
+      });
+    }
+    
+    const {
+      title,
+      description,
+      status,
+      priority,
+      dueDate,
+      assignedTo,
+      tags,
+      estimatedHours,
+      actualHours,
+      parentTask,
+      cascade,
+      overrideReason,
+      recurrence,
+      scope = 'occurrence'
+    } = req.body;
+    
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: `Scope must be one of ${EDIT_SCOPES.join(', ')}.`,
+        code: 'INVALID_SCOPE'
+      });
+    }
+    
+    // Changing the schedule of a series always applies to future occurrences
+    const series = task.series ? await TaskSeries.findById(task.series) : null;
+    let validRecurrence = null;
+    if (recurrence) {
+      if (parentTask !== undefined ? parentTask : task.parentTask) {
+        return res.status(400).json({
+          error: 'Only top-level tasks can repeat.',
+          code: 'RECURRENCE_NOT_SUPPORTED'
+        });
+      }
+      
+      const { recurrence: normalised, failure } = validateRecurrence(recurrence, series?.active ? series : null);
+      if (failure) {
+        return res.status(400).json(failure);
+      }
+      validRecurrence = normalised;
+    }
+    
+    if (scope === 'future' && !series?.active) {
+      return res.status(400).json({
+        error: 'This task is not part of an active recurring series.',
+        code: 'SERIES_NOT_ACTIVE'
+      });
+    }
+    
+    // Completing a task with open subtasks needs an explicit cascade
+    const completing = status === 'complete' && task.status !== 'complete';
+    if (completing && cascade !== true) {
+      const failure = await checkOpenSubtasks(task);
+      if (failure) {
+        return res.status(409).json(failure);
+      }
+    }
+    
+    // Starting or completing a blocked task needs an override reason
+    const { failure: blocked, override } = status !== undefined
+      ? await checkStatusTransition(task, status, overrideReason)
+      : {};
+    if (blocked) {
+      return res.status(409).json(blocked);
+    }
+    
+    if (assignedTo !== undefined && assignedTo?.toString() !== task.assignedTo?.toString() && !canAssignTo(req, assignedTo)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only assign tasks to yourself.',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: 'task.assign'
+      });
+    }
+    
+    const previousDueDate = task.dueDate?.getTime();
+    const before = snapshotTask(task);
+    
+    // Update fields
+    if (title !== undefined) task.title = title;
+    if (description !== undefined) task.description = description;
+    if (status !== undefined) task.status = status;
+    if (priority !== undefined) task.priority = priority;
+    if (dueDate !== undefined) task.dueDate = new Date(dueDate);
+    if (assignedTo !== undefined) task.assignedTo = assignedTo;
+    if (tags !== undefined) task.tags = Array.isArray(tags) ? tags : [tags];
+    // A parent's estimate is the sum of its subtasks' estimates
+    if (estimatedHours !== undefined && task.subtaskCount === 0) task.estimatedHours = parseFloat(estimatedHours) || 0;
+    if (actualHours !== undefined) task.actualHours = parseFloat(actualHours) || 0;
+    
+    // Move the task (and its subtasks) to another parent or the top level
+    if (parentTask !== undefined && (parentTask || null)?.toString() !== (task.parentTask || null)?.toString()) {
+      const parent = parentTask ? await loadParentTask(req, parentTask) : null;
+      if (parentTask && !parent) {
+        return res.status(404).json({
+          error: 'Parent task not found',
+          code: 'PARENT_TASK_NOT_FOUND'
+        });
+      }
+      
+      const failure = await moveTask(task, parent);
+      if (failure) {
+        return res.status(400).json(failure);
+      }
+    }
+    
+    // Completing also completes open subtasks when cascading
+    if (completing) {
+      await completeTask(task, { cascade: true, actor: historyActor(req) });
+    } else {
+      await task.save();
+      await rollUpAncestors(task);
+    }
+    
+    await recordTaskChanges(task, before, { actor: historyActor(req), action: 'update' });
+    
+    if (override) {
+      await logDependencyOverride(req, task, status, override);
+    }
+    
+    // Start, change or stop the recurrence
+    if (recurrence === null && series?.active) {
+      await series.stop();
+    } else if (validRecurrence && !series?.active) {
+      await createSeries(task, validRecurrence);
+    } else if (validRecurrence || scope === 'future') {
+      // Without scope=future the other fields are for this occurrence only
+      await applyToFutureOccurrences(task, scope === 'future' ? Object.keys(req.body) : [], {
+        recurrence: validRecurrence,
+        rescheduled: scope === 'future' && task.dueDate?.getTime() !== previousDueDate
+      });
+    }
+    
+    const nextOccurrence = completing ? await handleTaskCompleted(task) : null;
+    
+    // Populate user references
+    await task.populate('assignedTo', 'username email');
+    await task.populate('createdBy', 'username email');
+    
+    res.json({
+      message: 'Task updated successfully',
+      task,
+      nextOccurrence
+    });
+    
+  } catch (error) {
+    console.error('Task update error:', error);
+    res.status(500).json({
+      error: 'Failed to update task',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id
+ * Move a task to the trash; `?cascade=true` also trashes its subtasks
+ */
+router.delete('/:id', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    // Check ownership or task.delete.any
+    if (!canDelete(req, task)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only delete tasks you created.'
+      });
+    }
+    
+    const failure = await deleteTask(task, { cascade: req.query.cascade === 'true', deletedBy: req.user._id });
+    if (failure) {
+      return res.status(409).json(failure);
+    }
+    
+    res.json({
+      message: 'Task moved to trash',
+      purgeAt: purgeDate(task)
+    });
+    
+  } catch (error) {
+    console.error('Task deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete task',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/complete
+ * Mark task as complete
+ * Open subtasks are rejected with 409 OPEN_SUBTASKS unless `cascade` is
+ * true, which completes them too
+ */
+router.post('/:id/complete', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    // Check if user can complete the task
+    if (!canWorkOn(req, task)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only complete tasks assigned to you or created by you.'
+      });
+    }
+    
+    const { failure: blocked, override } = await checkStatusTransition(task, 'complete', req.body?.overrideReason);
+    if (blocked) {
+      return res.status(409).json(blocked);
+    }
+    
+    const before = snapshotTask(task);
+    const failure = await completeTask(task, { cascade: req.body?.cascade === true, actor: historyActor(req) });
+    if (failure) {
+      return res.status(409).json(failure);
+    }
+    
+    await recordTaskChanges(task, before, { actor: historyActor(req), action: 'complete' });
+    
+    if (override) {
+      await logDependencyOverride(req, task, 'complete', override);
+    }
+    
+    const nextOccurrence = await handleTaskCompleted(task);
+    
+    res.json({
+      message: 'Task marked as complete',
+      task,
+      nextOccurrence
+    });
+    
+  } catch (error) {
+    console.error('Task completion error:', error);
+    res.status(500).json({
+      error: 'Failed to complete task',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/progress
+ * Update task progress
+ */
+router.post('/:id/progress', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const { progress } = req.body;
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    // Check if user can update progress
+    if (!hasPermission(req, 'task.update.any') && 
+        task.assignedTo.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Access denied. You can only update progress of tasks assigned to you.'
+      });
+    }
+    
+    // Progress of parents and checklists follows their subtasks and items
+    if (task.hasDerivedProgress) {
+      return res.status(409).json({
+        error: 'Progress of this task is derived from its subtasks or checklist.',
+        code: 'PROGRESS_DERIVED'
+      });
+    }
+    
+    // Reaching 100% completes the task, which open blockers prevent
+    const { failure: blocked, override } = parseInt(progress) === 100
+      ? await checkStatusTransition(task, 'complete', req.body.overrideReason)
+      : {};
+    if (blocked) {
+      return res.status(409).json(blocked);
+    }
+    
+    const wasComplete = task.status === 'complete';
+    const before = snapshotTask(task);
+    await task.updateProgress(parseInt(progress));
+    await rollUpAncestors(task);
+    await recordTaskChanges(task, before, { actor: historyActor(req), action: 'progress' });
+    
+    if (override) {
+      await logDependencyOverride(req, task, 'complete', override);
+    }
+    
+    const nextOccurrence = !wasComplete && task.status === 'complete' ? await handleTaskCompleted(task) : null;
+    
+    res.json({
+      message: 'Task progress updated',
+      task,
+      nextOccurrence
+    });
+    
+  } catch (error) {
+    console.error('Task progress update error:', error);
+    res.status(500).json({
+      error: 'Failed to update task progress',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:id/history
+ * Get the change history of a task, newest first
+ * Older entries are paged with `?before=<version>`
+ */
+router.get('/:id/history', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select('assignedTo createdBy');
+    
+    if (!task || (!hasPermission(req, 'task.read.any') && !isTaskParticipant(task, req.user._id))) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    const { history, users, hasMore } = await getTaskHistory(task._id, {
+      before: req.query.before,
+      limit: req.query.limit
+    });
+    
+    res.json({ history, users, hasMore });
+    
+  } catch (error) {
+    console.error('Task history fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch task history',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/history/:version/revert
+ * Restore the editable fields of a task to a version from its history
+ * Status, progress and parent changes are listed in `skipped`
+ */
+router.post('/:id/history/:version/revert', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    if (!canEdit(req, task)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only update tasks you created.'
+      });
+    }
+    
+    const version = Number(req.params.version);
+    const { values, skipped, failure } = await planRevert(task, version);
+    if (failure) {
+      return res.status(404).json(failure);
+    }
+    
+    if (values.assignedTo && values.assignedTo.toString() !== task.assignedTo?.toString() && !canAssignTo(req, values.assignedTo)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only assign tasks to yourself.',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: 'task.assign'
+      });
+    }
+    
+    const before = snapshotTask(task);
+    task.set(values);
+    await task.save();
+    await rollUpAncestors(task);
+    
+    const entry = await recordTaskChanges(task, before, { actor: historyActor(req), action: 'revert', revertedTo: version });
+    
+    await task.populate('assignedTo', 'username email');
+    await task.populate('createdBy', 'username email');
+    
+    res.json({
+      message: Object.keys(values).length > 0 ? `Task reverted to version ${version}` : 'Nothing to revert',
+      task,
+      entry,
+      skipped
+    });
+    
+  } catch (error) {
+    console.error('Task revert error:', error);
+    res.status(500).json({
+      error: 'Failed to revert task',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Load a task the current user may see, for its attachments and comments
+ * Sends the error response and returns null otherwise
+ */
+const loadVisibleTask = async (req, res) => {
+  const task = mongoose.isValidObjectId(req.params.id) ? await Task.findById(req.params.id) : null;
+  
+  if (!task || (!hasPermission(req, 'task.read.any') && !isTaskParticipant(task, req.user._id))) {
+    res.status(404).json({
+      error: 'Task not found'
+    });
+    return null;
+  }
+  
+  return task;
+};
+
+/**
+ * Find an attachment of a task, sending a 404 when there is none
+ */
+const findAttachment = (req, res, task) => {
+  const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+    ? task.attachments.id(req.params.attachmentId)
+    : null;
+  
+  if (!attachment) {
+    res.status(404).json({
+      error: 'Attachment not found',
+      code: 'ATTACHMENT_NOT_FOUND'
+    });
+  }
+  
+  return attachment;
+};
+
+/**
+ * The public view of an attachment, without its storage keys
+ */
+const attachmentSummary = (task, attachment) => ({
+  _id: attachment._id,
+  filename: attachment.originalName || attachment.filename,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  uploadDate: attachment.uploadDate,
+  uploadedBy: attachment.uploadedBy,
+  hasThumbnail: !!attachment.thumbnailKey,
+  url: `/api/tasks/${task._id}/attachments/${attachment._id}`,
+  thumbnailUrl: attachment.thumbnailKey ? `/api/tasks/${task._id}/attachments/${attachment._id}/thumbnail` : null
+});
+
+/**
+ * Content-Disposition header with an ASCII fallback and the UTF-8 name
+ */
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Send a stored attachment file or thumbnail
+ * Files never change, so the ETag only depends on the attachment
+ */
+const sendAttachmentFile = async (req, res, attachment, { thumbnail = false } = {}) => {
+  const etag = weakEtag([attachment._id, thumbnail ? 'thumbnail' : 'file']);
+  if (sendNotModified(req, res, etag)) return;
+  
+  const data = await readAttachment(attachment, { thumbnail });
+  if (!data) {
+    return res.status(404).json({
+      error: thumbnail ? 'This attachment has no thumbnail' : 'The attachment file is missing',
+      code: thumbnail ? 'THUMBNAIL_NOT_FOUND' : 'ATTACHMENT_FILE_MISSING'
+    });
+  }
+  
+  setCacheHeaders(res, etag);
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': data.length,
+    'Content-Disposition': contentDisposition(thumbnail ? 'inline' : 'attachment', attachment.originalName || attachment.filename || 'file'),
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(data);
+};
+
+/**
+ * GET /api/tasks/:id/attachments
+ * List the attachments of a task with the upload limits and the
+ * current user's storage usage
+ */
+router.get('/:id/attachments', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    const settings = getAttachmentSettings();
+    
+    res.json({
+      attachments: task.attachments.map(attachment => attachmentSummary(task, attachment)),
+      limits: {
+        maxSize: settings.maxSize,
+        allowedTypes: settings.allowedTypes,
+        maxAttachments: MAX_ATTACHMENTS_PER_TASK
+      },
+      storage: {
+        used: req.user.storageUsed || 0,
+        quota: settings.userQuota
+      }
+    });
+    
+  } catch (error) {
+    console.error('Attachment list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attachments',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/attachments
+ * Upload a file as multipart/form-data in the field "file"
+ */
+router.post('/:id/attachments', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    if (!canWorkOn(req, task)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only attach files to tasks assigned to you or created by you.'
+      });
+    }
+    
+    const { maxSize } = getAttachmentSettings();
+    let form;
+    try {
+      form = parseMultipart(await readRequestBody(req, maxSize + MULTIPART_OVERHEAD), req.headers['content-type']);
+    } catch (error) {
+      if (error.code === 'PAYLOAD_TOO_LARGE') {
+        return res.status(413).json({
+          error: 'The file is too large.',
+          code: 'FILE_TOO_LARGE',
+          details: { maxSize }
+        });
+      }
+      if (error.message.startsWith('MULTIPART:')) {
+        return res.status(400).json({
+          error: 'Upload the file as multipart/form-data.',
+          code: 'INVALID_MULTIPART',
+          details: { reason: error.message.replace(/^MULTIPART: /, '') }
+        });
+      }
+      throw error;
+    }
+    
+    const file = form.files.find(part => part.fieldName === 'file');
+    if (!file) {
+      return res.status(400).json({
+        error: 'No file was uploaded. Send it in the "file" field.',
+        code: 'FILE_REQUIRED'
+      });
+    }
+    
+    const { attachment, failure } = await addAttachment(task, file, req.user);
+    if (failure) {
+      return res.status(ATTACHMENT_FAILURE_STATUS[failure.code] || 400).json(failure);
+    }
+    
+    res.status(201).json({
+      message: 'File attached successfully',
+      attachment: attachmentSummary(task, attachment)
+    });
+    
+  } catch (error) {
+    console.error('Attachment upload error:', error);
+    res.status(500).json({
+      error: 'Failed to upload attachment',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:id/attachments/:attachmentId
+ * Download an attachment
+ */
+router.get('/:id/attachments/:attachmentId', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    const attachment = findAttachment(req, res, task);
+    if (!attachment) return;
+    
+    await sendAttachmentFile(req, res, attachment);
+    
+  } catch (error) {
+    console.error('Attachment download error:', error);
+    res.status(500).json({
+      error: 'Failed to download attachment',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:id/attachments/:attachmentId/thumbnail
+ * Get the thumbnail of an image attachment
+ */
+router.get('/:id/attachments/:attachmentId/thumbnail', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    const attachment = findAttachment(req, res, task);
+    if (!attachment) return;
+    
+    await sendAttachmentFile(req, res, attachment, { thumbnail: true });
+    
+  } catch (error) {
+    console.error('Attachment thumbnail error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch thumbnail',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/attachments/:attachmentId
+ * Delete an attachment; allowed for its uploader and whoever may edit
+ * the task
+ */
+router.delete('/:id/attachments/:attachmentId', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    const attachment = findAttachment(req, res, task);
+    if (!attachment) return;
+    
+    if (attachment.uploadedBy?.toString() !== req.user._id.toString() && !canEdit(req, task)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only delete attachments you uploaded.'
+      });
+    }
+    
+    if (!(await removeAttachment(task, attachment))) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        code: 'ATTACHMENT_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Attachment deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete attachment',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Load a comment of a task, sending a 404 when there is none
+ */
+const loadComment = async (req, res, task) => {
+  const comment = mongoose.isValidObjectId(req.params.commentId)
+    ? await findTaskComment(task._id, req.params.commentId)
+    : null;
+  
+  if (!comment) {
+    res.status(404).json({
+      error: 'Comment not found',
+      code: 'COMMENT_NOT_FOUND'
+    });
+  }
+  
+  return comment;
+};
+
+/**
+ * GET /api/tasks/:id/comments
+ * Get the comment threads of a task, oldest first
+ */
+router.get('/:id/comments', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    res.json({
+      comments: await listComments(task._id)
+    });
+    
+  } catch (error) {
+    console.error('Comment fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch comments',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/comments
+ * Add a comment (Markdown); `parentId` makes it a reply
+ */
+router.post('/:id/comments', requireScope('tasks:write'), requirePermission('task.comment'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    const { comment, failure } = await addComment(task, req.user, {
+      content: req.body.content,
+      parentId: req.body.parentId
+    });
+    if (failure) {
+      return res.status(failure.code === 'COMMENT_NOT_FOUND' ? 404 : 400).json(failure);
+    }
+    
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+    
+  } catch (error) {
+    console.error('Comment addition error:', error);
+    res.status(500).json({
+      error: 'Failed to add comment',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PATCH /api/tasks/:id/comments/:commentId
+ * Edit your own comment; the previous version is kept
+ */
+router.patch('/:id/comments/:commentId', requireScope('tasks:write'), requirePermission('task.comment'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    const existing = await loadComment(req, res, task);
+    if (!existing) return;
+    
+    if (existing.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        error: 'Access denied. You can only edit your own comments.'
+      });
+    }
+    
+    const { comment, failure } = await editComment(task, existing, req.body.content, req.user);
+    if (failure) {
+      return res.status(failure.code === 'COMMENT_DELETED' ? 409 : 400).json(failure);
+    }
+    
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+    
+  } catch (error) {
+    console.error('Comment update error:', error);
+    res.status(500).json({
+      error: 'Failed to update comment',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/comments/:commentId
+ * Delete a comment (its author, or with task.update.any); replies stay
+ */
+router.delete('/:id/comments/:commentId', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    const existing = await loadComment(req, res, task);
+    if (!existing) return;
+    
+    if (existing.author.toString() !== req.user._id.toString() && !hasPermission(req, 'task.update.any')) {
+      return res.status(403).json({
+        error: 'Access denied. You can only delete your own comments.'
+      });
+    }
+    
+    const comment = await deleteComment(task, existing, req.user);
+    
+    res.json({
+      message: 'Comment deleted successfully',
+      comment
+    });
+    
+  } catch (error) {
+    console.error('Comment deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete comment',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:id/comments/:commentId/edits
+ * Get the versions of a comment, newest first
+ */
+router.get('/:id/comments/:commentId/edits', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await loadVisibleTask(req, res);
+    if (!task) return;
+    
+    const comment = await loadComment(req, res, task);
+    if (!comment) return;
+    
+    res.json({
+      edits: getCommentEdits(comment)
+    });
+    
+  } catch (error) {
+    console.error('Comment edits fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch comment edits',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:id/dependencies
+ * Get the tasks blocking a task and the tasks it blocks
+ */
+router.get('/:id/dependencies', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .populate('blockedBy', 'title status dueDate estimatedHours');
+    
+    if (!task || (!hasPermission(req, 'task.read.any') && !isTaskParticipant(task, req.user._id))) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    const blocks = await Task.findBlockedBy(task._id).select('title status dueDate estimatedHours');
+    
+    res.json({
+      blockedBy: task.blockedBy,
+      blocks
+    });
+    
+  } catch (error) {
+    console.error('Dependency fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch dependencies',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/:id/dependencies
+ * Mark a task as blocked by another task (`blockedBy`)
+ * Links that would create a cycle are refused
+ */
+router.post('/:id/dependencies', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const { blockedBy } = req.body;
+    const task = await Task.findById(req.params.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+    
+    if (!canEdit(req, task)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only change dependencies of tasks you created.'
+      });
+    }
+    
+    const blocker = mongoose.isValidObjectId(blockedBy) ? await Task.findById(blockedBy) : null;
+    if (!blocker || (!hasPermission(req, 'task.read.any') && !isTaskParticipant(blocker, req.user._id))) {
+      return res.status(404).json({
+        error: 'Blocking task not found',
+        code: 'BLOCKING_TASK_NOT_FOUND'
+      });
+    }
+    
+    const failure = await checkDependency(task, blocker);
+    if (failure) {
+      return res.status(failure.code === 'DEPENDENCY_CYCLE' ? 409 : 400).json(failure);
+    }
+    
+    const snapshot = snapshotTask(task);
+    task.blockedBy.push(blocker._id);
+    await task.save();
+    await recordTaskChanges(task, snapshot, { actor: historyActor(req), action: 'update' });
+    
+    res.status(201).json({
+      message: 'Dependency added',
+      task
+    });
+    
+  } catch (error) {
+    console.error('Dependency creation error:', error);
+    res.status(500).json({
+      error: 'Failed to add dependency',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/dependencies/:blockerId
+ * Remove a blocked-by link
+ */
+router.delete('/:id/dependencies/:blockerId', requireScope('tasks:write'), async (req, res) => {
   try {
-    const { content } = req.body;
     const task = await Task.findById(req.params.id);
     
     if (!task) {
@@ -448,26 +1951,200 @@ router.post('/:id/comments', async (req, res) => {
       });
     }
     
-    if (!content || content.trim().length === 0) {
+    if (!canEdit(req, task)) {
+      return res.status(403).json({
+        error: 'Access denied. You can only change dependencies of tasks you created.'
+      });
+    }
+    
+    const snapshot = snapshotTask(task);
+    task.blockedBy = task.blockedBy.filter(id => id.toString() !== req.params.blockerId);
+    
+    if (task.blockedBy.length === snapshot.blockedBy.length) {
+      return res.status(404).json({
+        error: 'Dependency not found'
+      });
+    }
+    
+    await task.save();
+    await recordTaskChanges(task, snapshot, { actor: historyActor(req), action: 'update' });
+    
+    res.json({
+      message: 'Dependency removed',
+      task
+    });
+    
+  } catch (error) {
+    console.error('Dependency deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to remove dependency',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Load a task whose checklist the current user may change
+ * Sends the error response and returns null otherwise
+ */
+const loadChecklistTask = async (req, res) => {
+  const task = await Task.findById(req.params.id);
+  
+  if (!task || (!hasPermission(req, 'task.read.any') && !isTaskParticipant(task, req.user._id))) {
+    res.status(404).json({
+      error: 'Task not found'
+    });
+    return null;
+  }
+  
+  if (!canWorkOn(req, task)) {
+    res.status(403).json({
+      error: 'Access denied. You can only change checklists of tasks assigned to you or created by you.'
+    });
+    return null;
+  }
+  
+  return task;
+};
+
+/**
+ * Trimmed checklist item text, or '' when it is missing or not a string
+ */
+const checklistText = (text) => (typeof text === 'string' ? text.trim() : '');
+
+/**
+ * Save a checklist change, update the progress it drives and record both
+ * `before` is the snapshot taken before the checklist was changed
+ */
+const saveChecklist = async (req, task, before) => {
+  await recalculateTask(task);
+  await task.save();
+  await rollUpAncestors(task);
+  await recordTaskChanges(task, before, { actor: historyActor(req), action: 'update' });
+};
+
+/**
+ * POST /api/tasks/:id/checklist
+ * Add a checklist item
+ */
+router.post('/:id/checklist', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const text = checklistText(req.body.text);
+    
+    if (!text) {
+      return res.status(400).json({
+        error: 'Checklist item text is required'
+      });
+    }
+    
+    const task = await loadChecklistTask(req, res);
+    if (!task) return;
+    
+    const before = snapshotTask(task);
+    task.checklist.push({ text });
+    await saveChecklist(req, task, before);
+    
+    res.status(201).json({
+      message: 'Checklist item added',
+      task
+    });
+    
+  } catch (error) {
+    console.error('Checklist item creation error:', error);
+    res.status(500).json({
+      error: 'Failed to add checklist item',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PATCH /api/tasks/:id/checklist/:itemId
+ * Rename or check/uncheck a checklist item
+ */
+router.patch('/:id/checklist/:itemId', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await loadChecklistTask(req, res);
+    if (!task) return;
+    
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        error: 'Checklist item not found'
+      });
+    }
+    
+    const { text, done } = req.body;
+    
+    if (text !== undefined && !checklistText(text)) {
+      return res.status(400).json({
+        error: 'Checklist item text is required'
+      });
+    }
+    
+    if (done !== undefined && typeof done !== 'boolean') {
       return res.status(400).json({
-        error: 'Comment content is required'
+        error: 'Done must be true or false'
       });
     }
     
-    await task.addComment(req.user._id, content.trim());
+    const before = snapshotTask(task);
+    
+    if (text !== undefined) {
+      item.text = checklistText(text);
+    }
+    
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.doneAt = item.done ? new Date() : null;
+      item.doneBy = item.done ? req.user._id : null;
+    }
     
-    // Populate the new comment
-    await task.populate('comments.user', 'username email');
+    await saveChecklist(req, task, before);
     
     res.json({
-      message: 'Comment added successfully',
+      message: 'Checklist item updated',
       task
     });
     
   } catch (error) {
-    console.error('Comment addition error:', error);
+    console.error('Checklist item update error:', error);
     res.status(500).json({
-      error: 'Failed to add comment',
+      error: 'Failed to update checklist item',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/checklist/:itemId
+ * Remove a checklist item
+ */
+router.delete('/:id/checklist/:itemId', requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await loadChecklistTask(req, res);
+    if (!task) return;
+    
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        error: 'Checklist item not found'
+      });
+    }
+    
+    const before = snapshotTask(task);
+    item.deleteOne();
+    await saveChecklist(req, task, before);
+    
+    res.json({
+      message: 'Checklist item removed',
+      task
+    });
+    
+  } catch (error) {
+    console.error('Checklist item deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to remove checklist item',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -10,18 +10,40 @@
 
 import express from 'express';
 import User from '../models/User.js';
-import { requireAdmin } from '../middleware/auth.js';
+import UserLog from '../models/UserLog.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import { requirePermission } from '../middleware/auth.js';
+import { clearAccountLockout } from '../services/loginThrottle.js';
+import { listSessions, revokeUserSession, revokeAllSessions } from '../services/sessionService.js';
+import { isDefinedRole, canGrantRole } from '../services/roleService.js';
+import { createInvitation } from '../services/registration.js';
+import { checkImpersonation, startImpersonation, formatImpersonation } from '../services/impersonation.js';
+import Invitation from '../models/Invitation.js';
+import { DEFAULT_ROLE } from '../utils/permissions.js';
 
 const router = express.Router();
 
+/**
+ * Check that the acting user holds every permission of a user's role
+ * Changing someone's email, sessions or account state otherwise hands
+ * their permissions to whoever controls the change
+ */
+const canManageUser = (req, user) => canGrantRole(req.permissions, user.role);
+
+const roleEscalation = (res) => res.status(403).json({
+  error: 'You cannot manage a user with permissions you do not have',
+  code: 'ROLE_ESCALATION'
+});
+
 /**
  * GET /api/users
- * Get all users (admin only)
+ * Get all users (users.manage)
  */
-router.get('/', requireAdmin, async (req, res) => {
+router.get('/', requirePermission('users.manage'), async (req, res) => {
   try {
     const {
       role,
+      team,
       search,
       isActive,
       page = 1,
@@ -38,6 +60,11 @@ router.get('/', requireAdmin, async (req, res) => {
       filter.role = role;
     }
     
+    // Team filter
+    if (team && team !== 'all') {
+      filter.team = team;
+    }
+    
     // Search filter
     if (search && search.trim()) {
       const searchRegex = new RegExp(search.trim(), 'i');
@@ -111,11 +138,200 @@ router.get('/', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/users/lockouts
+ * Get active account and IP lockouts (users.manage)
+ */
+router.get('/lockouts', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { scope } = req.query;
+    
+    const lockouts = await LoginThrottle.findActiveLockouts(
+      scope === 'account' || scope === 'ip' ? scope : null
+    ).populate('userId', 'username email role');
+    
+    res.json({ lockouts });
+    
+  } catch (error) {
+    console.error('Lockout fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch lockouts',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/lockouts/:id
+ * Clear a single account or IP lockout (users.manage)
+ */
+router.delete('/lockouts/:id', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const lockout = await LoginThrottle.findByIdAndDelete(req.params.id);
+    
+    if (!lockout) {
+      return res.status(404).json({
+        error: 'Lockout not found'
+      });
+    }
+    
+    res.json({
+      message: 'Lockout cleared successfully',
+      lockout: {
+        scope: lockout.scope,
+        key: lockout.key
+      }
+    });
+    
+  } catch (error) {
+    console.error('Lockout clear error:', error);
+    res.status(500).json({
+      error: 'Failed to clear lockout',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/users/invitations
+ * Get invitations, newest first (users.manage)
+ */
+router.get('/invitations', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+    
+    const filter = {};
+    if (status === 'pending') {
+      Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    } else if (status === 'accepted') {
+      filter.acceptedAt = { $ne: null };
+    } else if (status === 'revoked') {
+      Object.assign(filter, { acceptedAt: null, revokedAt: { $ne: null } });
+    } else if (status === 'expired') {
+      Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+    }
+    
+    const invitations = await Invitation.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate('invitedBy', 'username email');
+    
+    res.json({
+      invitations: invitations.map(invitation => invitation.summary)
+    });
+    
+  } catch (error) {
+    console.error('Invitations fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch invitations',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/users/invitations
+ * Invite someone by email with a preassigned role and team (users.manage)
+ */
+router.post('/invitations', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { email, role = DEFAULT_ROLE, team = null } = req.body;
+    
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({
+        error: 'Missing or invalid fields',
+        code: 'VALIDATION_ERROR',
+        details: {
+          email: 'A valid email is required'
+        }
+      });
+    }
+    
+    if (!(await isDefinedRole(role))) {
+      return res.status(400).json({
+        error: `Invalid role "${role}"`,
+        code: 'INVALID_ROLE'
+      });
+    }
+    
+    // Inviting someone grants the role just like change-role does
+    if (!(await canGrantRole(req.permissions, role))) {
+      return res.status(403).json({
+        error: 'You cannot grant permissions you do not have',
+        code: 'ROLE_ESCALATION'
+      });
+    }
+    
+    const { invitation, failure } = await createInvitation(
+      { email: email.toLowerCase(), role, team: typeof team === 'string' ? team.trim() || null : null },
+      req.user
+    );
+    
+    if (failure) {
+      return res.status(409).json(failure);
+    }
+    
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation: invitation.summary
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid invitation',
+        code: 'VALIDATION_ERROR',
+        details: Object.fromEntries(Object.entries(error.errors).map(([field, err]) => [field, err.message]))
+      });
+    }
+    
+    console.error('Invitation creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create invitation',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/invitations/:id
+ * Revoke a pending invitation (users.manage)
+ */
+router.delete('/invitations/:id', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Pending invitation not found',
+        code: 'INVITE_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      message: 'Invitation revoked successfully',
+      invitation: invitation.summary
+    });
+    
+  } catch (error) {
+    console.error('Invitation revoke error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke invitation',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /**
  * GET /api/users/:id
- * Get a specific user by ID (admin only)
+ * Get a specific user by ID (users.manage)
  */
-router.get('/:id', requireAdmin, async (req, res) => {
+router.get('/:id', requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -138,9 +354,9 @@ router.get('/:id', requireAdmin, async (req, res) => {
 
 /**
  * PUT /api/users/:id
- * Update a user (admin only)
+ * Update a user (users.manage)
  */
-router.put('/:id', requireAdmin, async (req, res) => {
+router.put('/:id', requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -154,9 +370,15 @@ router.put('/:id', requireAdmin, async (req, res) => {
       username,
       email,
       role,
-      isActive
+      team,
+      isActive,
+      emailVerified
     } = req.body;
     
+    if (!(await canManageUser(req, user))) {
+      return roleEscalation(res);
+    }
+    
     // Check if new email is already taken by another user
     if (email && email !== user.email) {
       const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -177,11 +399,51 @@ router.put('/:id', requireAdmin, async (req, res) => {
       }
     }
     
+    // Role changes follow the same rules as change-role
+    if (role !== undefined && role !== user.role) {
+      if (!(await isDefinedRole(role))) {
+        return res.status(400).json({
+          error: `Invalid role "${role}"`,
+          code: 'INVALID_ROLE'
+        });
+      }
+      
+      if (!(await canGrantRole(req.permissions, role))) {
+        return res.status(403).json({
+          error: 'You cannot grant or revoke permissions you do not have',
+          code: 'ROLE_ESCALATION'
+        });
+      }
+      
+      if (user.role === 'admin') {
+        const adminCount = await User.countDocuments({ role: 'admin' });
+        if (adminCount <= 1) {
+          return res.status(400).json({
+            error: 'Cannot change role of the last admin user'
+          });
+        }
+      }
+    }
+    
     // Update user fields
     if (username !== undefined) user.username = username;
     if (email !== undefined) user.email = email.toLowerCase();
     if (role !== undefined) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
+    if (team !== undefined) user.team = team ? String(team).trim() : null;
+    
+    // A changed address is unverified unless the admin says otherwise
+    if (emailVerified !== undefined) {
+      if (emailVerified) {
+        user.markEmailVerified();
+      } else {
+        user.emailVerified = false;
+        user.emailVerifiedAt = null;
+      }
+    } else if (user.isModified('email')) {
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
     
     await user.save();
     
@@ -201,9 +463,9 @@ router.put('/:id', requireAdmin, async (req, res) => {
 
 /**
  * DELETE /api/users/:id
- * Delete a user (admin only)
+ * Delete a user (users.manage)
  */
-router.delete('/:id', requireAdmin, async (req, res) => {
+router.delete('/:id', requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -220,6 +482,10 @@ router.delete('/:id', requireAdmin, async (req, res) => {
       });
     }
     
+    if (!(await canManageUser(req, user))) {
+      return roleEscalation(res);
+    }
+    
     // Prevent deletion of the last admin
     if (user.role === 'admin') {
       const adminCount = await User.countDocuments({ role: 'admin' });
@@ -247,9 +513,9 @@ router.delete('/:id', requireAdmin, async (req, res) => {
 
 /**
  * POST /api/users/:id/activate
- * Activate a user account (admin only)
+ * Activate a user account (users.manage)
  */
-router.post('/:id/activate', requireAdmin, async (req, res) => {
+router.post('/:id/activate', requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -259,6 +525,10 @@ router.post('/:id/activate', requireAdmin, async (req, res) => {
       });
     }
     
+    if (!(await canManageUser(req, user))) {
+      return roleEscalation(res);
+    }
+    
     user.isActive = true;
     await user.save();
     
@@ -278,9 +548,9 @@ router.post('/:id/activate', requireAdmin, async (req, res) => {
 
 /**
  * POST /api/users/:id/deactivate
- * Deactivate a user account (admin only)
+ * Deactivate a user account (users.manage)
  */
-router.post('/:id/deactivate', requireAdmin, async (req, res) => {
+router.post('/:id/deactivate', requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -297,6 +567,10 @@ router.post('/:id/deactivate', requireAdmin, async (req, res) => {
       });
     }
     
+    if (!(await canManageUser(req, user))) {
+      return roleEscalation(res);
+    }
+    
     // Prevent deactivation of the last admin
     if (user.role === 'admin') {
       const adminCount = await User.countDocuments({ role: 'admin', isActive: true });
@@ -326,9 +600,9 @@ router.post('/:id/deactivate', requireAdmin, async (req, res) => {
 
 /**
  * POST /api/users/:id/change-role
- * Change user role (admin only)
+ * Change user role (users.manage)
  */
-router.post('/:id/change-role', requireAdmin, async (req, res) => {
+router.post('/:id/change-role', requirePermission('users.manage'), async (req, res) => {
   try {
     const { newRole } = req.body;
     const user = await User.findById(req.params.id);
@@ -339,9 +613,10 @@ router.post('/:id/change-role', requireAdmin, async (req, res) => {
       });
     }
     
-    if (!newRole || !['user', 'admin'].includes(newRole)) {
+    if (!newRole || !(await isDefinedRole(newRole))) {
       return res.status(400).json({
-        error: 'Invalid role. Must be "user" or "admin"'
+        error: 'Invalid role. Must be a built-in or custom role',
+        code: 'INVALID_ROLE'
       });
     }
     
@@ -352,8 +627,16 @@ router.post('/:id/change-role', requireAdmin, async (req, res) => {
       });
     }
     
+    // Only hand out (or take away) permissions the acting user holds
+    if (!(await canGrantRole(req.permissions, newRole)) || !(await canGrantRole(req.permissions, user.role))) {
+      return res.status(403).json({
+        error: 'You cannot grant or revoke permissions you do not have',
+        code: 'ROLE_ESCALATION'
+      });
+    }
+    
     // Prevent changing role of the last admin
-    if (user.role === 'admin' && newRole === 'user') {
+    if (user.role === 'admin' && newRole !== 'admin') {
       const adminCount = await User.countDocuments({ role: 'admin' });
       if (adminCount <= 1) {
         return res.status(400).json({
@@ -381,9 +664,9 @@ router.post('/:id/change-role', requireAdmin, async (req, res) => {
 
 /**
  * GET /api/users/:id/activity
- * Get user activity summary (admin only)
+ * Get user activity summary (users.manage)
  */
-router.get('/:id/activity', requireAdmin, async (req, res) => {
+router.get('/:id/activity', requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -417,4 +700,227 @@ router.get('/:id/activity', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/users/:id/lockout
+ * Get a user's lockout state and recent failed logins (users.manage)
+ */
+router.get('/:id/lockout', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    const hours = parseInt(req.query.hours) || 24;
+    const [throttle, failedLogins] = await Promise.all([
+      LoginThrottle.findOne({ scope: 'account', key: user.email }),
+      UserLog.getFailedLogins(user._id, hours).sort({ createdAt: -1 })
+    ]);
+    
+    res.json({
+      lockout: {
+        isLocked: !!throttle?.isLocked,
+        lockedUntil: throttle?.isLocked ? throttle.lockedUntil : null,
+        lockCount: throttle?.lockCount || 0,
+        recentFailures: throttle?.failures || 0,
+        lastFailureAt: throttle?.lastFailureAt || null
+      },
+      failedLogins
+    });
+    
+  } catch (error) {
+    console.error('User lockout fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user lockout',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/lockout
+ * Clear a user's account lockout (users.manage)
+ */
+router.delete('/:id/lockout', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    if (!(await canManageUser(req, user))) {
+      return roleEscalation(res);
+    }
+    
+    await clearAccountLockout(user.email);
+    
+    res.json({
+      message: 'Account lockout cleared successfully',
+      user: user.profile
+    });
+    
+  } catch (error) {
+    console.error('User lockout clear error:', error);
+    res.status(500).json({
+      error: 'Failed to clear account lockout',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/users/:id/sessions
+ * Get a user's active sessions (users.manage)
+ */
+router.get('/:id/sessions', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    const sessions = await listSessions(user._id, null, user.role);
+    
+    res.json({ sessions });
+    
+  } catch (error) {
+    console.error('User sessions fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user sessions',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/sessions/:sessionId
+ * Revoke one of a user's sessions (users.manage)
+ */
+router.delete('/:id/sessions/:sessionId', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    if (!(await canManageUser(req, user))) {
+      return roleEscalation(res);
+    }
+    
+    const session = await revokeUserSession(user._id, req.params.sessionId, 'admin_revoked');
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      message: 'Session revoked successfully',
+      session
+    });
+    
+  } catch (error) {
+    console.error('User session revoke error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/sessions
+ * Revoke all of a user's sessions (users.manage)
+ */
+router.delete('/:id/sessions', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    if (!(await canManageUser(req, user))) {
+      return roleEscalation(res);
+    }
+    
+    await revokeAllSessions(user._id, 'admin_revoked');
+    
+    res.json({
+      message: 'All sessions revoked successfully'
+    });
+    
+  } catch (error) {
+    console.error('User sessions revoke error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/users/:id/impersonate
+ * Start a time-boxed "view as user" session (users.manage)
+ * Administrators and users with permissions the admin lacks cannot be
+ * impersonated; the session is logged with the admin as actor
+ */
+router.post('/:id/impersonate', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const user = await User.findById(req.params.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+    
+    const failure = await checkImpersonation(req.user, user, {
+      impersonating: !!req.impersonation,
+      permissions: req.permissions
+    });
+    if (failure) {
+      return res.status(failure.code === 'IMPERSONATION_FORBIDDEN' ? 403 : 400).json(failure);
+    }
+    
+    const tokenData = await startImpersonation(req.user, user, {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      reason: typeof reason === 'string' ? reason.trim().slice(0, 200) : null
+    });
+    
+    res.status(201).json({
+      message: `Now impersonating ${user.username}`,
+      token: tokenData.token,
+      expiresAt: tokenData.expiresAt,
+      user: user.profile,
+      impersonation: formatImpersonation({ actor: req.user, expiresAt: tokenData.expiresAt }, user)
+    });
+    
+  } catch (error) {
+    console.error('Impersonation start error:', error);
+    res.status(500).json({
+      error: 'Failed to start impersonation',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 export default router;
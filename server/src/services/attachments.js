@@ -0,0 +1,321 @@
+/**
+ * Task Attachments Service
+ *
+ * Files attached to tasks. Uploads are checked against a size limit, a
+ * list of allowed types and the first bytes of the file, so a renamed
+ * executable is not stored as "report.pdf". Every user has a storage
+ * quota: the bytes are reserved on the user with a conditional update
+ * before the file is written and given back when it is deleted, so
+ * parallel uploads cannot overrun it.
+ *
+ * Files go to the configured storage backend (services/
+ * attachmentStorage.js); the task only keeps the metadata and storage
+ * keys. PNG and JPEG uploads get a thumbnail stored next to the file.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import { getAttachmentStorage, createStorageKey } from './attachmentStorage.js';
+import { createThumbnail } from '../utils/thumbnails.js';
+
+export const MAX_ATTACHMENTS_PER_TASK = 20;
+
+export const DEFAULT_ALLOWED_TYPES = [
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp'
+];
+
+// Used when the client sends application/octet-stream
+const EXTENSION_TYPES = {
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// How the content of each binary type starts
+const SIGNATURES = {
+  'application/pdf': data => data.toString('latin1', 0, 5) === '%PDF-',
+  'image/png': data => data.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n',
+  'image/jpeg': data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+  'image/gif': data => ['GIF87a', 'GIF89a'].includes(data.toString('latin1', 0, 6)),
+  'image/webp': data => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP'
+};
+
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Parse a byte size such as 10MB, 512kb or 1048576
+ * Returns `fallback` when the value is missing or invalid
+ */
+export const parseByteSize = (value, fallback) => {
+  if (typeof value === 'number') return value > 0 ? value : fallback;
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(value ?? '');
+  if (!match) return fallback;
+
+  const bytes = Math.floor(parseFloat(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()]);
+  return bytes > 0 ? bytes : fallback;
+};
+
+/**
+ * Get the attachment limits from the environment
+ */
+export const getAttachmentSettings = (env = process.env) => ({
+  maxSize: parseByteSize(env.ATTACHMENT_MAX_SIZE, 10 * 1024 * 1024),
+  userQuota: parseByteSize(env.ATTACHMENT_USER_QUOTA, 100 * 1024 * 1024),
+  allowedTypes: env.ATTACHMENT_ALLOWED_TYPES
+    ? env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES
+});
+
+/**
+ * Make an uploaded file name safe to store and send back
+ * Drops directories and control characters
+ */
+export const sanitizeFilename = (name) => {
+  const base = [...String(name ?? '').split(/[\\/]/).pop()]
+    .filter(char => char.charCodeAt(0) >= 32 && char.charCodeAt(0) !== 127)
+    .join('')
+    .trim()
+    .slice(0, 255);
+  return base && base !== '.' && base !== '..' ? base : 'file';
+};
+
+/**
+ * Work out the MIME type of an upload from its declared type and name
+ */
+export const resolveMimeType = (declared, filename) => {
+  const type = (declared || '').split(';')[0].trim().toLowerCase();
+  if (type && type !== 'application/octet-stream') return type;
+  return EXTENSION_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+};
+
+/**
+ * Check that the content of a file matches its type
+ * Text files must not contain NUL bytes; other types without a known
+ * signature are accepted
+ */
+export const contentMatchesType = (data, mimeType) => {
+  if (SIGNATURES[mimeType]) return SIGNATURES[mimeType](data);
+  if (mimeType.startsWith('text/') || mimeType === 'application/json') {
+    return !data.subarray(0, 8192).includes(0);
+  }
+  return true;
+};
+
+/**
+ * Check an upload against the limits
+ * Returns { mimeType, filename } or { failure }
+ */
+export const validateUpload = (task, file, settings = getAttachmentSettings()) => {
+  if ((task.attachments?.length || 0) >= MAX_ATTACHMENTS_PER_TASK) {
+    return {
+      failure: {
+        error: `A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments.`,
+        code: 'TOO_MANY_ATTACHMENTS',
+        details: { max: MAX_ATTACHMENTS_PER_TASK }
+      }
+    };
+  }
+
+  if (file.data.length === 0) {
+    return {
+      failure: {
+        error: 'The file is empty.',
+        code: 'EMPTY_FILE'
+      }
+    };
+  }
+
+  if (file.data.length > settings.maxSize) {
+    return {
+      failure: {
+        error: 'The file is too large.',
+        code: 'FILE_TOO_LARGE',
+        details: { maxSize: settings.maxSize, size: file.data.length }
+      }
+    };
+  }
+
+  const filename = sanitizeFilename(file.filename);
+  const mimeType = resolveMimeType(file.contentType, filename);
+
+  if (!settings.allowedTypes.includes(mimeType)) {
+    return {
+      failure: {
+        error: 'This type of file cannot be attached.',
+        code: 'UNSUPPORTED_FILE_TYPE',
+        details: { mimeType, allowedTypes: settings.allowedTypes }
+      }
+    };
+  }
+
+  if (!contentMatchesType(file.data, mimeType)) {
+    return {
+      failure: {
+        error: `The content of the file is not ${mimeType}.`,
+        code: 'FILE_CONTENT_MISMATCH',
+        details: { mimeType }
+      }
+    };
+  }
+
+  return { filename, mimeType };
+};
+
+// Thumbnails are a nice-to-have: a broken image still uploads
+const makeThumbnail = (data, mimeType) => {
+  try {
+    return createThumbnail(data, mimeType);
+  } catch (error) {
+    console.error('Thumbnail error:', error);
+    return null;
+  }
+};
+
+/**
+ * Delete the stored files of attachments and give the bytes back to
+ * their uploaders. Errors are logged so one missing file does not stop
+ * the rest.
+ */
+export const deleteAttachmentFiles = async (attachments) => {
+  const storage = getAttachmentStorage();
+
+  for (const attachment of attachments) {
+    try {
+      for (const key of [attachment.storageKey, attachment.thumbnailKey]) {
+        if (key) await storage.remove(key);
+      }
+      if (attachment.uploadedBy && attachment.storageKey) {
+        await User.releaseStorage(attachment.uploadedBy, attachment.size);
+      }
+    } catch (error) {
+      console.error('Attachment cleanup error:', error);
+    }
+  }
+};
+
+/**
+ * Attach an uploaded file ({ filename, contentType, data }) to a task
+ * Returns { attachment } or { failure }
+ */
+export const addAttachment = async (task, file, user) => {
+  const settings = getAttachmentSettings();
+  const { filename, mimeType, failure } = validateUpload(task, file, settings);
+  if (failure) return { failure };
+
+  const size = file.data.length;
+  if (!(await User.reserveStorage(user._id, size, settings.userQuota))) {
+    const current = await User.findById(user._id).select('storageUsed').lean();
+    return {
+      failure: {
+        error: 'Your attachment storage is full. Delete some attachments first.',
+        code: 'STORAGE_QUOTA_EXCEEDED',
+        details: { quota: settings.userQuota, used: current?.storageUsed || 0, size }
+      }
+    };
+  }
+
+  const storage = getAttachmentStorage();
+  const attachment = {
+    filename,
+    originalName: filename,
+    mimeType,
+    size,
+    uploadedBy: user._id,
+    storageKey: createStorageKey(task._id),
+    thumbnailKey: null
+  };
+
+  let updated;
+  try {
+    await storage.put(attachment.storageKey, file.data, mimeType);
+
+    const thumbnail = makeThumbnail(file.data, mimeType);
+    if (thumbnail) {
+      attachment.thumbnailKey = `${attachment.storageKey}.thumb`;
+      await storage.put(attachment.thumbnailKey, thumbnail.data, thumbnail.contentType);
+    }
+
+    // The slot check is repeated atomically for parallel uploads
+    updated = await Task.findOneAndUpdate(
+      { _id: task._id, [`attachments.${MAX_ATTACHMENTS_PER_TASK - 1}`]: { $exists: false } },
+      { $push: { attachments: attachment } },
+      { new: true }
+    );
+  } catch (error) {
+    await deleteAttachmentFiles([attachment]);
+    throw error;
+  }
+
+  if (!updated) {
+    await deleteAttachmentFiles([attachment]);
+    return {
+      failure: {
+        error: `A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments.`,
+        code: 'TOO_MANY_ATTACHMENTS',
+        details: { max: MAX_ATTACHMENTS_PER_TASK }
+      }
+    };
+  }
+
+  return { attachment: updated.attachments[updated.attachments.length - 1] };
+};
+
+/**
+ * Remove an attachment from a task and delete its files
+ * Returns false when another request removed it first
+ */
+export const removeAttachment = async (task, attachment) => {
+  const { modifiedCount } = await Task.updateOne(
+    { _id: task._id },
+    { $pull: { attachments: { _id: attachment._id } } }
+  );
+
+  if (modifiedCount === 0) return false;
+
+  await deleteAttachmentFiles([attachment]);
+  return true;
+};
+
+/**
+ * Read the file (or thumbnail) of an attachment
+ * Returns the Buffer, or null when it is not stored
+ */
+export const readAttachment = (attachment, { thumbnail = false } = {}) => {
+  const key = thumbnail ? attachment.thumbnailKey : attachment.storageKey;
+  return key ? getAttachmentStorage().get(key) : Promise.resolve(null);
+};
+
+export default {
+  MAX_ATTACHMENTS_PER_TASK,
+  DEFAULT_ALLOWED_TYPES,
+  parseByteSize,
+  getAttachmentSettings,
+  sanitizeFilename,
+  resolveMimeType,
+  contentMatchesType,
+  validateUpload,
+  deleteAttachmentFiles,
+  addAttachment,
+  removeAttachment,
+  readAttachment
+};
@@ -0,0 +1,144 @@
+/**
+ * Email Templates
+ *
+ * Subject and body builders for transactional emails.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+export const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+/**
+ * Escape user-provided values before embedding them in HTML
+ */
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Build a link into the frontend application
+ */
+export const clientLink = (path, params = {}) => {
+  const url = new URL(path, CLIENT_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Password reset email
+ */
+export const passwordResetEmail = (user, token, expiresInMinutes) => {
+  const link = clientLink('/reset-password', { token });
+
+  return {
+    to: user.email,
+    subject: 'Reset your TaskFlow password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'We received a request to reset your TaskFlow password.',
+      `Use the link below within ${expiresInMinutes} minutes to choose a new one:`,
+      '',
+      link,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.username)},</p>
+<p>We received a request to reset your TaskFlow password.
+Use the link below within ${expiresInMinutes} minutes to choose a new one:</p>
+<p><a href="${link}">Reset password</a></p>
+<p>If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * Email address verification email
+ */
+export const emailVerificationEmail = (user, token, expiresInHours) => {
+  const link = clientLink('/verify-email', { token });
+
+  return {
+    to: user.email,
+    subject: 'Verify your TaskFlow email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm that this is your email address for TaskFlow.',
+      `Use the link below within ${expiresInHours} hours:`,
+      '',
+      link,
+      '',
+      'If you did not create a TaskFlow account, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.username)},</p>
+<p>Please confirm that this is your email address for TaskFlow.
+Use the link below within ${expiresInHours} hours:</p>
+<p><a href="${link}">Verify email address</a></p>
+<p>If you did not create a TaskFlow account, you can ignore this email.</p>`
+  };
+};
+
+/**
+ * Invitation email
+ */
+export const invitationEmail = (invitation, token, inviter) => {
+  const link = clientLink('/signup', { invite: token });
+  const expires = invitation.expiresAt.toUTCString();
+  const team = invitation.team ? ` on the ${invitation.team} team` : '';
+
+  return {
+    to: invitation.email,
+    subject: `${inviter.username} invited you to TaskFlow`,
+    text: [
+      'Hi,',
+      '',
+      `${inviter.username} invited you to join TaskFlow as ${invitation.role}${team}.`,
+      `Create your account with the link below before ${expires}:`,
+      '',
+      link
+    ].join('\n'),
+    html: `<p>Hi,</p>
+<p>${escapeHtml(inviter.username)} invited you to join TaskFlow as ${escapeHtml(invitation.role)}${escapeHtml(team)}.
+Create your account with the link below before ${escapeHtml(expires)}:</p>
+<p><a href="${link}">Accept invitation</a></p>`
+  };
+};
+
+/**
+ * Comment mention email
+ * `comment.html` is the sanitised rendering from utils/markdown.js
+ */
+export const mentionEmail = (user, actor, task, comment) => {
+  const link = clientLink('/user/dashboard', { task: task._id.toString(), comment: comment._id.toString() });
+
+  return {
+    to: user.email,
+    subject: `${actor.username} mentioned you on "${task.title}"`,
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `${actor.username} mentioned you in a comment on "${task.title}":`,
+      '',
+      comment.content,
+      '',
+      link
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.username)},</p>
+<p>${escapeHtml(actor.username)} mentioned you in a comment on &quot;${escapeHtml(task.title)}&quot;:</p>
+<blockquote>${comment.html}</blockquote>
+<p><a href="${link}">View comment</a></p>`
+  };
+};
+
+export default {
+  clientLink,
+  passwordResetEmail,
+  emailVerificationEmail,
+  invitationEmail,
+  mentionEmail,
+  escapeHtml
+};
@@ -0,0 +1,151 @@
+/**
+ * Login Throttle Service
+ *
+ * Progressive per-account and per-IP lockout for failed logins.
+ * After `maxAttempts` failures inside `window` the key is locked for
+ * `baseLockout * 2^(lockCount - 1)`, capped at `maxLockout`. The lock
+ * count decays after a quiet period and resets on successful login.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import LoginThrottle from '../models/LoginThrottle.js';
+import { parseDuration } from '../utils/tokens.js';
+
+export const ACCOUNT_POLICY = {
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  window: parseDuration(process.env.LOGIN_ATTEMPT_WINDOW, 15 * 60 * 1000),
+  baseLockout: parseDuration(process.env.LOGIN_LOCKOUT_BASE, 60 * 1000),
+  maxLockout: parseDuration(process.env.LOGIN_LOCKOUT_MAX, 24 * 60 * 60 * 1000),
+  decayAfter: 24 * 60 * 60 * 1000
+};
+
+export const IP_POLICY = {
+  ...ACCOUNT_POLICY,
+  maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20
+};
+
+/**
+ * Compute the lockout length for the nth consecutive lockout
+ */
+export const computeLockoutDuration = (lockCount, policy = ACCOUNT_POLICY) => {
+  if (lockCount <= 0) return 0;
+  return Math.min(policy.baseLockout * Math.pow(2, lockCount - 1), policy.maxLockout);
+};
+
+/**
+ * Apply one failed attempt to a throttle state
+ * Mutates and returns the state; pure apart from that so it can be unit tested
+ */
+export const applyFailure = (state, policy = ACCOUNT_POLICY, now = new Date()) => {
+  // Forget earlier lockouts after a long quiet period
+  if (state.lastFailureAt && now - state.lastFailureAt > policy.decayAfter) {
+    state.lockCount = 0;
+  }
+
+  // Start a new counting window when the previous one has passed
+  if (!state.windowStartedAt || now - state.windowStartedAt > policy.window) {
+    state.failures = 0;
+    state.windowStartedAt = now;
+  }
+
+  state.failures += 1;
+  state.lastFailureAt = now;
+
+  if (state.failures >= policy.maxAttempts) {
+    state.lockCount += 1;
+    state.lockedUntil = new Date(now.getTime() + computeLockoutDuration(state.lockCount, policy));
+    state.failures = 0;
+    state.windowStartedAt = now;
+  }
+
+  return state;
+};
+
+/**
+ * Seconds until a throttle state unlocks (0 when not locked)
+ */
+export const getRetryAfterSeconds = (state, now = new Date()) => {
+  if (!state || !state.lockedUntil || state.lockedUntil <= now) return 0;
+  return Math.ceil((state.lockedUntil - now) / 1000);
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Check whether a login attempt may proceed
+ * Returns { allowed: true } or { allowed: false, scope, retryAfter }
+ */
+export const checkLoginAllowed = async ({ email, ipAddress }) => {
+  // Without an email (e.g. an unknown passkey) only the IP can be checked
+  const keys = [
+    { scope: 'account', key: normalizeEmail(email) },
+    { scope: 'ip', key: ipAddress || 'unknown' }
+  ].filter(({ key }) => key);
+
+  const throttles = await LoginThrottle.find({ $or: keys });
+
+  const now = new Date();
+  const locked = throttles
+    .map(throttle => ({ scope: throttle.scope, retryAfter: getRetryAfterSeconds(throttle, now) }))
+    .filter(entry => entry.retryAfter > 0)
+    .sort((a, b) => b.retryAfter - a.retryAfter)[0];
+
+  return locked ? { allowed: false, ...locked } : { allowed: true };
+};
+
+/**
+ * Record a failed login against the account and the client IP
+ * Returns the longest resulting lockout in seconds (0 if none)
+ */
+export const recordLoginFailure = async ({ email, ipAddress, userId = null }) => {
+  const targets = [
+    { scope: 'account', key: normalizeEmail(email), policy: ACCOUNT_POLICY },
+    { scope: 'ip', key: ipAddress || 'unknown', policy: IP_POLICY }
+  ].filter(({ key }) => key);
+
+  let retryAfter = 0;
+  for (const { scope, key, policy } of targets) {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { scope, key },
+      { $setOnInsert: { scope, key, windowStartedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    applyFailure(throttle, policy);
+    throttle.lastIpAddress = ipAddress || null;
+    if (scope === 'account' && userId) {
+      throttle.userId = userId;
+    }
+    await throttle.save();
+
+    retryAfter = Math.max(retryAfter, getRetryAfterSeconds(throttle));
+  }
+
+  return retryAfter;
+};
+
+/**
+ * Reset the account throttle after a successful login
+ */
+export const recordLoginSuccess = async ({ email }) => {
+  await LoginThrottle.deleteOne({ scope: 'account', key: normalizeEmail(email) });
+};
+
+/**
+ * Clear the account lockout for an email (admin action)
+ */
+export const clearAccountLockout = async (email) => {
+  return LoginThrottle.deleteOne({ scope: 'account', key: normalizeEmail(email) });
+};
+
+export default {
+  computeLockoutDuration,
+  applyFailure,
+  getRetryAfterSeconds,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountLockout
+};
@@ -0,0 +1,138 @@
+/**
+ * Mail Service
+ *
+ * Pluggable outgoing mail transport. The transport is chosen with
+ * MAIL_TRANSPORT (smtp, file or console) and can be replaced at runtime
+ * with setMailTransport, e.g. in tests. The console transport prints
+ * reset, verification and invitation links, which are bearer secrets, so
+ * it is refused in production.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import { join } from 'path';
+import nodemailer from 'nodemailer';
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'TaskFlow <no-reply@taskflow.local>';
+
+/**
+ * SMTP transport using the SMTP_* environment variables
+ */
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  } : undefined
+});
+
+/**
+ * File transport for local runs
+ * Writes every message as an .eml file into MAIL_OUTPUT_DIR
+ */
+const createFileTransport = (outputDir = process.env.MAIL_OUTPUT_DIR || join(process.cwd(), 'tmp', 'mail')) => {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async sendMail(message) {
+      const info = await builder.sendMail(message);
+      const recipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const filePath = join(outputDir, `${Date.now()}-${recipient}.eml`);
+
+      await fs.mkdir(outputDir, { recursive: true });
+      await fs.writeFile(filePath, info.message);
+
+      return { ...info, filePath };
+    }
+  };
+};
+
+/**
+ * Console transport for local runs
+ * Prints the message envelope and text body to stdout
+ */
+const createConsoleTransport = () => ({
+  async sendMail(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text || ''}`);
+    return { messageId: `console-${Date.now()}`, envelope: { to: message.to } };
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Name of the configured transport
+ * Defaults to SMTP when SMTP_HOST is set and console otherwise
+ */
+const configuredTransport = (env = process.env) => env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+/**
+ * Refuse to run in production with the console transport, explicit or
+ * by default, which would write secret links to the server log
+ */
+export const assertMailTransport = (env = process.env) => {
+  if (env.NODE_ENV === 'production' && configuredTransport(env) === 'console') {
+    throw new Error('Refusing to send mail: set SMTP_HOST or MAIL_TRANSPORT; the console transport would write secret links to the log in production');
+  }
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ */
+export const getMailTransport = () => {
+  if (!activeTransport) {
+    assertMailTransport();
+
+    const name = configuredTransport();
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport
+ * Any object with a sendMail(message) method is accepted; pass null
+ * to go back to the configured transport
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the active transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  return getMailTransport().sendMail({
+    from: DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+export { createFileTransport, createConsoleTransport };
+
+export default {
+  assertMailTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail
+};
@@ -0,0 +1,436 @@
+/**
+ * OpenID Connect Service
+ *
+ * Authorization code flow with PKCE against a configurable identity
+ * provider. Provider metadata and signing keys come from the issuer's
+ * discovery document; ID tokens are verified locally. Users are
+ * provisioned just in time and their role can follow an ID token claim.
+ * With REGISTRATION_MODE=invite only invited addresses are provisioned.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import { generateOpaqueToken } from '../utils/tokens.js';
+import { DEFAULT_ROLE } from '../utils/permissions.js';
+import { isDefinedRole } from './roleService.js';
+import { getRegistrationSettings } from './registration.js';
+import { signToken, verifyToken } from './signingKeys.js';
+
+const STATE_TTL_SECONDS = 10 * 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'EdDSA'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Parse a role map like "taskflow-admins:admin,taskflow-leads:manager"
+ * Order matters: the first matching claim value wins
+ */
+export const parseRoleMap = (value = '') => {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const index = entry.lastIndexOf(':');
+      return index > 0 ? [entry.slice(0, index).trim(), entry.slice(index + 1).trim()] : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Read the OIDC configuration from the environment
+ */
+export const getOidcConfig = () => ({
+  issuerUrl: (process.env.OIDC_ISSUER_URL || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:5001/api/auth/oidc/callback',
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'roles',
+  roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP),
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || DEFAULT_ROLE,
+  autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false'
+});
+
+/**
+ * Check whether SSO is configured
+ */
+export const isOidcEnabled = (config = getOidcConfig()) => !!(config.issuerUrl && config.clientId);
+
+/**
+ * Forget cached provider metadata and keys
+ */
+export const clearOidcCache = () => {
+  metadataCache.clear();
+  jwksCache.clear();
+};
+
+/**
+ * Fetch JSON from the provider, failing on non-2xx responses
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(body.error_description || body.error || `Request to ${url} failed with ${response.status}`);
+    error.status = response.status;
+    error.body = body;
+    throw error;
+  }
+
+  return body;
+};
+
+/**
+ * Load the provider's discovery document (cached per issuer)
+ */
+export const discoverProvider = async (issuerUrl) => {
+  if (metadataCache.has(issuerUrl)) {
+    return metadataCache.get(issuerUrl);
+  }
+
+  const metadata = await fetchJson(`${issuerUrl}/.well-known/openid-configuration`);
+  if (String(metadata.issuer || '').replace(/\/+$/, '') !== issuerUrl) {
+    throw new Error(`Issuer mismatch in discovery document: ${metadata.issuer}`);
+  }
+
+  metadataCache.set(issuerUrl, metadata);
+  return metadata;
+};
+
+/**
+ * Find the provider key that signed a token
+ * Refetches the key set once when the key id is unknown (key rotation)
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys && findKey(keys);
+
+  if (!jwk) {
+    keys = (await fetchJson(jwksUri)).keys || [];
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ */
+export const createPkcePair = () => {
+  const codeVerifier = generateOpaqueToken(32);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Start a login: build the authorization URL and a signed state token
+ * The state token holds the PKCE verifier and nonce and is kept by the
+ * browser in a short-lived httpOnly cookie until the callback.
+ * `cookieMode` remembers that the session should use cookie auth mode
+ */
+export const startLogin = async (returnTo = null, config = getOidcConfig(), { cookieMode = false } = {}) => {
+  const metadata = await discoverProvider(config.issuerUrl);
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const state = generateOpaqueToken(16);
+  const nonce = generateOpaqueToken(16);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  const stateToken = signToken(
+    { type: 'oidc_state', state, nonce, codeVerifier, returnTo, cookieMode },
+    { expiresInMs: STATE_TTL_SECONDS * 1000 }
+  );
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    stateToken,
+    maxAge: STATE_TTL_SECONDS * 1000
+  };
+};
+
+/**
+ * Verify a state token from the login cookie
+ * Returns the decoded payload or null
+ */
+export const readLoginState = (stateToken) => {
+  try {
+    const decoded = verifyToken(stateToken);
+    return decoded.type === 'oidc_state' ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Exchange an authorization code for tokens at the token endpoint
+ */
+export const exchangeCode = async (code, codeVerifier, config = getOidcConfig()) => {
+  const metadata = await discoverProvider(config.issuerUrl);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: body.toString() });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * Returns the claims or throws
+ */
+export const verifyIdToken = async (idToken, nonce, config = getOidcConfig()) => {
+  const metadata = await discoverProvider(config.issuerUrl);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is not a JWT');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  if (!key) {
+    throw new Error(`No signing key found for kid ${decoded.header.kid}`);
+  }
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: config.clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+/**
+ * Read a possibly nested claim such as "realm_access.roles"
+ */
+const readClaim = (claims, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+/**
+ * Map ID token claims to a TaskFlow role using the configured role map
+ * Returns the role name or null when no mapping matches
+ */
+export const mapRoleFromClaims = (claims, config = getOidcConfig()) => {
+  const value = readClaim(claims, config.roleClaim);
+  const claimValues = Array.isArray(value) ? value.map(String) : value != null ? [String(value)] : [];
+
+  const match = config.roleMap.find(([claimValue]) => claimValues.includes(claimValue));
+  return match ? match[1] : null;
+};
+
+/**
+ * Derive an unused username from the ID token claims
+ */
+const generateUsername = async (claims) => {
+  const base = String(claims.preferred_username || claims.email.split('@')[0])
+    .replace(/[^a-zA-Z0-9_.-]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '0');
+
+  let candidate = base;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    if (!(await User.exists({ username: candidate }))) {
+      return candidate;
+    }
+    candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+
+  return `${base}${Date.now().toString(36)}`.slice(0, 30);
+};
+
+/**
+ * Find, link or provision the user for a verified set of claims
+ * In invite mode a new account needs a pending invitation for the
+ * verified email, which it uses up and takes its role and team from
+ * Returns { user, provisioned } or { failure } with the error to report
+ */
+export const resolveOidcUser = async (claims, config = getOidcConfig(), registration = getRegistrationSettings()) => {
+  if (!claims.email) {
+    return {
+      failure: {
+        error: 'Identity provider did not return an email address',
+        code: 'OIDC_EMAIL_MISSING'
+      }
+    };
+  }
+
+  const mappedRole = mapRoleFromClaims(claims, config);
+  let role = null;
+  if (mappedRole) {
+    if (await isDefinedRole(mappedRole)) {
+      role = mappedRole;
+    } else {
+      console.warn(`OIDC role map points to undefined role "${mappedRole}"`);
+    }
+  }
+
+  let user = await User.findByOidcSubject(config.issuerUrl, claims.sub);
+  let provisioned = false;
+  let invitation = null;
+
+  if (!user) {
+    const existing = await User.findByEmail(claims.email);
+
+    if (existing) {
+      // Only link to a local account when the provider vouches for the email
+      if (claims.email_verified !== true) {
+        return {
+          failure: {
+            error: 'An account with this email already exists and the email is not verified by the identity provider',
+            code: 'OIDC_EMAIL_UNVERIFIED'
+          }
+        };
+      }
+      user = existing;
+    } else if (!config.autoProvision) {
+      return {
+        failure: {
+          error: 'No account exists for this identity',
+          code: 'OIDC_USER_NOT_FOUND'
+        }
+      };
+    } else {
+      if (registration.mode === 'invite') {
+        // Only an address the provider vouches for can use up an invitation
+        invitation = claims.email_verified === true
+          ? await Invitation.claimPendingForEmail(claims.email)
+          : null;
+
+        if (!invitation) {
+          return {
+            failure: {
+              error: 'Registration is by invitation only',
+              code: 'REGISTRATION_CLOSED'
+            }
+          };
+        }
+      }
+
+      const invitedRole = invitation && (await isDefinedRole(invitation.role)) ? invitation.role : null;
+
+      user = new User({
+        username: await generateUsername(claims),
+        email: claims.email,
+        // SSO users never sign in with this; it only satisfies the schema
+        password: generateOpaqueToken(32),
+        role: role || invitedRole || config.defaultRole,
+        team: invitation?.team ?? null
+      });
+      provisioned = true;
+    }
+
+    user.oidc = { issuer: config.issuerUrl, subject: claims.sub, linkedAt: new Date() };
+  }
+
+  // The provider vouches for the address, so it counts as verified here too
+  if (claims.email_verified === true && !user.emailVerified && user.email === claims.email.toLowerCase()) {
+    user.markEmailVerified();
+  }
+
+  // Keep the role in sync with the provider when a mapping matches
+  if (role && user.role !== role) {
+    user.role = role;
+  }
+
+  if (user.isModified()) {
+    try {
+      await user.save();
+    } catch (error) {
+      // Let the invitation be used again if the account was not created
+      if (invitation) await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+      throw error;
+    }
+  }
+
+  if (invitation) {
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+  }
+
+  return { user, provisioned };
+};
+
+/**
+ * Handle the provider callback: check state, redeem the code and verify the ID token
+ * Returns { claims, returnTo } or { failure }
+ */
+export const handleCallback = async ({ code, state, stateToken }, config = getOidcConfig()) => {
+  const loginState = stateToken ? readLoginState(stateToken) : null;
+  if (!loginState || !state || loginState.state !== state) {
+    return {
+      failure: {
+        error: 'Login request expired or does not match. Please try again.',
+        code: 'OIDC_STATE_MISMATCH'
+      }
+    };
+  }
+
+  try {
+    const tokens = await exchangeCode(code, loginState.codeVerifier, config);
+    if (!tokens.id_token) {
+      throw new Error('Token response did not include an ID token');
+    }
+
+    const claims = await verifyIdToken(tokens.id_token, loginState.nonce, config);
+    return { claims, returnTo: loginState.returnTo, cookieMode: !!loginState.cookieMode };
+  } catch (error) {
+    console.error('OIDC callback error:', error.message);
+    return {
+      failure: {
+        error: 'Could not complete sign-in with the identity provider',
+        code: 'OIDC_TOKEN_INVALID'
+      }
+    };
+  }
+};
+
+export default {
+  parseRoleMap,
+  getOidcConfig,
+  isOidcEnabled,
+  clearOidcCache,
+  discoverProvider,
+  createPkcePair,
+  startLogin,
+  readLoginState,
+  exchangeCode,
+  verifyIdToken,
+  mapRoleFromClaims,
+  resolveOidcUser,
+  handleCallback
+};
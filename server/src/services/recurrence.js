@@ -0,0 +1,384 @@
+/**
+ * Recurrence Service
+ *
+ * Recurring tasks. A recurring task belongs to a series (models/
+ * TaskSeries.js) holding the fields copied to each occurrence and an
+ * RRULE schedule in a timezone. The first occurrence is the task the
+ * series was created from; its due date anchors the schedule.
+ *
+ * In `completion` mode the next occurrence is created when the newest
+ * one is completed, at the first scheduled time after the completion
+ * (missed times are skipped). In `calendar` mode a scheduler creates
+ * each occurrence `leadTime` before it is due, whether or not the
+ * previous one is done. Creating an occurrence first claims it on the
+ * series with a conditional update, so several server instances can run
+ * the scheduler without creating duplicates.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import Task from '../models/Task.js';
+import TaskSeries from '../models/TaskSeries.js';
+import { parseDuration } from '../utils/tokens.js';
+import { recordTaskChanges } from './taskHistory.js';
+import { parseRRule, formatRRule, isValidTimeZone, nextOccurrence, listOccurrences } from '../utils/rrule.js';
+
+// Fields copied from the series to every occurrence
+export const TEMPLATE_FIELDS = ['title', 'description', 'priority', 'tags', 'assignedTo', 'estimatedHours'];
+
+const RECURRENCE_MODES = ['completion', 'calendar'];
+const MAX_CATCH_UP = 10;
+
+let schedulerTimer = null;
+
+/**
+ * Get the recurrence settings from the environment
+ */
+export const getRecurrenceSettings = (env = process.env) => ({
+  schedulerInterval: parseDuration(env.RECURRENCE_SCHEDULER_INTERVAL, 60 * 1000),
+  defaultLeadTime: parseDuration(env.RECURRENCE_LEAD_TIME, 24 * 60 * 60 * 1000)
+});
+
+/**
+ * Validate a recurrence from a request body
+ * `current` fills in the parts left out when changing an existing series.
+ * Returns { recurrence } with the normalised rule or { failure }
+ */
+export const validateRecurrence = (input, current = null) => {
+  if (!input || typeof input !== 'object') {
+    return {
+      failure: {
+        error: 'Recurrence must be an object with an rrule.',
+        code: 'INVALID_RECURRENCE'
+      }
+    };
+  }
+
+  let rrule;
+  try {
+    rrule = formatRRule(parseRRule(input.rrule ?? current?.rrule));
+  } catch (error) {
+    return {
+      failure: {
+        error: 'The recurrence rule is not valid.',
+        code: 'INVALID_RRULE',
+        details: { reason: error.message.replace(/^RRULE: /, '') }
+      }
+    };
+  }
+
+  const timezone = input.timezone ?? current?.timezone ?? 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    return {
+      failure: {
+        error: 'The timezone is not a known IANA timezone.',
+        code: 'INVALID_TIMEZONE',
+        details: { timezone }
+      }
+    };
+  }
+
+  const mode = input.mode ?? current?.mode ?? 'completion';
+  if (!RECURRENCE_MODES.includes(mode)) {
+    return {
+      failure: {
+        error: `Recurrence mode must be one of ${RECURRENCE_MODES.join(', ')}.`,
+        code: 'INVALID_RECURRENCE'
+      }
+    };
+  }
+
+  const leadTime = input.leadTime !== undefined
+    ? parseDuration(input.leadTime, null)
+    : current?.leadTime ?? getRecurrenceSettings().defaultLeadTime;
+  if (leadTime === null) {
+    return {
+      failure: {
+        error: 'Lead time must be a duration such as 12h or 2d.',
+        code: 'INVALID_RECURRENCE'
+      }
+    };
+  }
+
+  return { recurrence: { rrule, timezone, mode, leadTime } };
+};
+
+/**
+ * Work out the next occurrence of a series after its newest one
+ * Mutates the document; the caller saves it
+ */
+export const scheduleNext = (series) => {
+  const next = series.active
+    ? nextOccurrence(parseRRule(series.rrule), series.startAt, series.timezone, series.lastOccurrenceAt || series.startAt)
+    : null;
+
+  series.nextOccurrenceAt = next;
+  series.nextRunAt = next && series.mode === 'calendar' ? new Date(next.getTime() - series.leadTime) : null;
+  return series;
+};
+
+/**
+ * Build (without saving) the task for one occurrence of a series
+ */
+export const buildOccurrence = (series, occurrenceAt) => new Task({
+  ...Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, series[field]])),
+  dueDate: occurrenceAt,
+  createdBy: series.createdBy,
+  series: series._id,
+  occurrenceAt
+});
+
+/**
+ * Turn a saved task into the first occurrence of a new series
+ * Returns { series } or { failure }
+ */
+export const createSeries = async (task, recurrence) => {
+  if (task.parentTask) {
+    return {
+      failure: {
+        error: 'Only top-level tasks can repeat.',
+        code: 'RECURRENCE_NOT_SUPPORTED'
+      }
+    };
+  }
+
+  const series = new TaskSeries({
+    ...Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, task[field]])),
+    createdBy: task.createdBy,
+    ...recurrence,
+    startAt: task.dueDate,
+    lastOccurrenceAt: task.dueDate,
+    occurrenceCount: 1
+  });
+
+  scheduleNext(series);
+  await series.save();
+
+  task.series = series._id;
+  task.occurrenceAt = task.dueDate;
+  await task.save();
+
+  return { series };
+};
+
+/**
+ * Create the first occurrence of a series after `after`
+ * Returns { series, task } with the updated series, or null when the
+ * schedule has ended or another request created the occurrence first
+ */
+export const materializeNext = async (series, after) => {
+  const rule = parseRRule(series.rrule);
+  const last = series.lastOccurrenceAt || series.startAt;
+  const threshold = after > last ? after : last;
+  const occurrenceAt = nextOccurrence(rule, series.startAt, series.timezone, threshold);
+  const following = occurrenceAt ? nextOccurrence(rule, series.startAt, series.timezone, occurrenceAt) : null;
+
+  const update = occurrenceAt
+    ? {
+      $set: {
+        lastOccurrenceAt: occurrenceAt,
+        nextOccurrenceAt: following,
+        nextRunAt: following && series.mode === 'calendar' ? new Date(following.getTime() - series.leadTime) : null
+      },
+      $inc: { occurrenceCount: 1 }
+    }
+    : { $set: { nextOccurrenceAt: null, nextRunAt: null } };
+
+  // Claim the occurrence: only one caller sees the old lastOccurrenceAt
+  const claimed = await TaskSeries.findOneAndUpdate(
+    { _id: series._id, active: true, lastOccurrenceAt: series.lastOccurrenceAt },
+    update,
+    { new: true }
+  );
+
+  if (!claimed || !occurrenceAt) {
+    return null;
+  }
+
+  try {
+    const task = await buildOccurrence(claimed, occurrenceAt).save();
+    await recordTaskChanges(task, null, { source: 'automation', action: 'create' });
+    return { series: claimed, task };
+  } catch (error) {
+    // The unique series/occurrence index caught a duplicate
+    if (error.code === 11000) return null;
+
+    // Give the claim back so the occurrence is created on the next try
+    await TaskSeries.updateOne(
+      { _id: series._id, lastOccurrenceAt: occurrenceAt },
+      {
+        $set: {
+          lastOccurrenceAt: series.lastOccurrenceAt,
+          nextOccurrenceAt: series.nextOccurrenceAt,
+          nextRunAt: series.nextRunAt
+        },
+        $inc: { occurrenceCount: -1 }
+      }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Create the next occurrence after a task of a completion-mode series
+ * was completed. Only the newest occurrence moves the series on.
+ * Returns the new task or null
+ */
+export const handleTaskCompleted = async (task, now = new Date()) => {
+  if (!task.series) {
+    return null;
+  }
+
+  const series = await TaskSeries.findById(task.series);
+  if (!series?.active || series.mode !== 'completion' ||
+      series.lastOccurrenceAt?.getTime() !== task.occurrenceAt?.getTime()) {
+    return null;
+  }
+
+  const result = await materializeNext(series, now);
+  return result ? result.task : null;
+};
+
+/**
+ * Take back the occurrence created by completing `task`, when that
+ * completion is undone. The occurrence is only removed while it is still
+ * pending and the newest of its series; the series then moves back so
+ * completing `task` again creates it anew.
+ * Returns true when the occurrence was removed
+ */
+export const withdrawOccurrence = async (task, occurrenceId) => {
+  const occurrence = await Task.findOne({ _id: occurrenceId, series: task.series, status: 'pending' });
+  if (!occurrence) {
+    return false;
+  }
+
+  // Claim the rollback: fails if a later occurrence exists by now
+  const series = await TaskSeries.findOneAndUpdate(
+    { _id: task.series, lastOccurrenceAt: occurrence.occurrenceAt },
+    { $set: { lastOccurrenceAt: task.occurrenceAt }, $inc: { occurrenceCount: -1 } },
+    { new: true }
+  );
+  if (!series) {
+    return false;
+  }
+
+  scheduleNext(series);
+  await series.save();
+  await Task.deleteOne({ _id: occurrence._id });
+
+  return true;
+};
+
+/**
+ * Apply an "all future occurrences" edit made on one occurrence
+ * `fields` names the template fields that changed on the task, which
+ * already holds the new values. A new `recurrence` (validated) or a new
+ * due date restarts the schedule from this occurrence: later pending
+ * occurrences are removed and created again from the new schedule.
+ * Returns { series } or { failure }
+ */
+export const applyToFutureOccurrences = async (task, fields, { recurrence = null, rescheduled = false } = {}) => {
+  const series = task.series ? await TaskSeries.findById(task.series) : null;
+
+  if (!series?.active) {
+    return {
+      failure: {
+        error: 'This task is not part of an active recurring series.',
+        code: 'SERIES_NOT_ACTIVE'
+      }
+    };
+  }
+
+  const changes = Object.fromEntries(
+    TEMPLATE_FIELDS.filter(field => fields.includes(field)).map(field => [field, task[field]])
+  );
+  Object.assign(series, changes);
+
+  const later = { series: series._id, occurrenceAt: { $gt: task.occurrenceAt } };
+
+  if (recurrence || rescheduled) {
+    Object.assign(series, recurrence || {});
+    await Task.deleteMany({ ...later, status: 'pending' });
+
+    series.startAt = task.dueDate;
+    series.lastOccurrenceAt = task.dueDate;
+    task.occurrenceAt = task.dueDate;
+    await task.save();
+  } else if (Object.keys(changes).length > 0) {
+    await Task.updateMany({ ...later, status: { $in: ['pending', 'in-progress'] } }, { $set: changes });
+  }
+
+  scheduleNext(series);
+  await series.save();
+
+  return { series };
+};
+
+/**
+ * Preview the upcoming occurrences of a series
+ */
+export const previewSeries = (series, limit = 5) => {
+  if (!series.active) return [];
+  return listOccurrences(parseRRule(series.rrule), series.startAt, series.timezone, series.lastOccurrenceAt || series.startAt, limit);
+};
+
+/**
+ * Create the calendar-mode occurrences that are due
+ * Series that fell behind (e.g. while the server was down) catch up a
+ * few occurrences per run. Returns the number of tasks created
+ */
+export const runRecurrenceScheduler = async (now = new Date()) => {
+  let created = 0;
+
+  for (const due of await TaskSeries.findDue(now)) {
+    let series = due;
+
+    for (let i = 0; i < MAX_CATCH_UP && series?.nextRunAt && series.nextRunAt <= now; i++) {
+      const result = await materializeNext(series, series.lastOccurrenceAt);
+      if (!result) break;
+
+      created++;
+      series = result.series;
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Start creating calendar-mode occurrences on a timer
+ */
+export const startRecurrenceScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(() => {
+    runRecurrenceScheduler().catch(error => console.error('Recurrence scheduler error:', error));
+  }, getRecurrenceSettings().schedulerInterval);
+  schedulerTimer.unref();
+};
+
+/**
+ * Stop the scheduler timer (tests and shutdown)
+ */
+export const stopRecurrenceScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+export default {
+  TEMPLATE_FIELDS,
+  getRecurrenceSettings,
+  validateRecurrence,
+  scheduleNext,
+  buildOccurrence,
+  createSeries,
+  materializeNext,
+  handleTaskCompleted,
+  withdrawOccurrence,
+  applyToFutureOccurrences,
+  previewSeries,
+  runRecurrenceScheduler,
+  startRecurrenceScheduler,
+  stopRecurrenceScheduler
+};
@@ -0,0 +1,197 @@
+/**
+ * Registration Service
+ *
+ * Self-registration settings, email address verification and admin
+ * invitations. REGISTRATION_MODE=invite turns off open sign-up so
+ * accounts can only be created from an invite link;
+ * REQUIRE_EMAIL_VERIFICATION=true blocks logins until the address is
+ * confirmed.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import { sendMail } from './mailer.js';
+import { emailVerificationEmail, invitationEmail } from './emailTemplates.js';
+import { isDefinedRole } from './roleService.js';
+import { hashToken, parseDuration } from '../utils/tokens.js';
+
+// Minimum time between verification emails for one account
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Read the registration settings from the environment
+ */
+export const getRegistrationSettings = () => ({
+  mode: process.env.REGISTRATION_MODE === 'invite' ? 'invite' : 'open',
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  invitationTtlMs: parseDuration(process.env.INVITATION_TTL, 7 * 24 * 60 * 60 * 1000),
+  verificationTtlMs: parseDuration(process.env.EMAIL_VERIFICATION_TTL, 24 * 60 * 60 * 1000)
+});
+
+/**
+ * Check whether a user must verify their email before signing in
+ */
+export const needsEmailVerification = (user, settings = getRegistrationSettings()) => {
+  return settings.requireEmailVerification && !user.emailVerified;
+};
+
+/**
+ * Issue a verification token and email the link
+ * Mail failures are logged, not thrown, so sign-up still succeeds
+ */
+export const sendVerificationEmail = async (user, settings = getRegistrationSettings()) => {
+  const token = user.createEmailVerificationToken(settings.verificationTtlMs);
+  await user.save();
+
+  try {
+    await sendMail(emailVerificationEmail(user, token, Math.round(settings.verificationTtlMs / (60 * 60 * 1000))));
+  } catch (mailError) {
+    console.error('Verification email error:', mailError);
+  }
+
+  return token;
+};
+
+/**
+ * Send a new verification email unless one went out very recently
+ * Returns true when an email was sent
+ */
+export const resendVerificationEmail = async (user, settings = getRegistrationSettings()) => {
+  const sentAt = user.emailVerification?.sentAt;
+  if (user.emailVerified || (sentAt && Date.now() - sentAt.getTime() < RESEND_INTERVAL_MS)) {
+    return false;
+  }
+
+  await sendVerificationEmail(user, settings);
+  return true;
+};
+
+/**
+ * Confirm an email address with a verification token
+ * Returns { user } or { failure }
+ */
+export const verifyEmail = async (token) => {
+  const user = token ? await User.findByEmailVerificationToken(token) : null;
+
+  if (!user) {
+    return {
+      failure: {
+        error: 'Verification link is invalid or has expired',
+        code: 'VERIFICATION_TOKEN_INVALID'
+      }
+    };
+  }
+
+  user.markEmailVerified();
+  await user.save();
+
+  return { user };
+};
+
+/**
+ * Create an invitation and email the invite link
+ * Any earlier pending invitation for the same address is revoked
+ * Returns { invitation, token } or { failure }
+ */
+export const createInvitation = async ({ email, role, team }, inviter, settings = getRegistrationSettings()) => {
+  if (await User.findByEmail(email)) {
+    return {
+      failure: {
+        error: 'An account with this email already exists',
+        code: 'USER_EXISTS'
+      }
+    };
+  }
+
+  await Invitation.revokePendingForEmail(email);
+
+  const { token, invitation } = await Invitation.issue({
+    email,
+    role,
+    team,
+    invitedBy: inviter._id,
+    expiresAt: new Date(Date.now() + settings.invitationTtlMs)
+  });
+
+  try {
+    await sendMail(invitationEmail(invitation, token, inviter));
+  } catch (mailError) {
+    console.error('Invitation email error:', mailError);
+  }
+
+  return { invitation, token };
+};
+
+/**
+ * Create the account for an invitation
+ * The invitation is claimed first so a link cannot be used twice,
+ * and released again if the account cannot be created
+ * Returns { user, invitation } or { failure }
+ */
+export const acceptInvitation = async (token, { username, password }) => {
+  const invitation = await Invitation.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invitation) {
+    return {
+      failure: {
+        error: 'Invitation is invalid or has expired',
+        code: 'INVITE_INVALID'
+      }
+    };
+  }
+
+  const release = () => Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+
+  if (!(await isDefinedRole(invitation.role))) {
+    await release();
+    return {
+      failure: {
+        error: `Invitation role "${invitation.role}" no longer exists`,
+        code: 'INVITE_INVALID'
+      }
+    };
+  }
+
+  try {
+    const user = new User({
+      username,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      team: invitation.team
+    });
+    // The invite link reached this address, which proves ownership
+    user.markEmailVerified();
+    await user.save();
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    return { user, invitation };
+  } catch (error) {
+    await release();
+    throw error;
+  }
+};
+
+export default {
+  getRegistrationSettings,
+  needsEmailVerification,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  createInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,139 @@
+/**
+ * Role Service
+ *
+ * Resolves role names to permissions and manages custom roles.
+ * Custom role lookups are cached briefly so permission checks do not
+ * hit the database on every request.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { BUILT_IN_ROLES, isBuiltInRole, hasAllPermissions } from '../utils/permissions.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+const customRoleCache = new Map();
+
+/**
+ * Forget cached custom roles (after a role is changed)
+ */
+export const clearRoleCache = () => {
+  customRoleCache.clear();
+};
+
+/**
+ * Load a custom role, using the cache when fresh
+ */
+const findCustomRole = async (name) => {
+  const cached = customRoleCache.get(name);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.role;
+  }
+
+  const role = await Role.findOne({ name }).lean();
+  customRoleCache.set(name, { role, loadedAt: Date.now() });
+  return role;
+};
+
+/**
+ * Get the permissions granted by a role
+ * Unknown roles grant nothing
+ */
+export const getRolePermissions = async (name) => {
+  if (isBuiltInRole(name)) {
+    return BUILT_IN_ROLES[name].permissions;
+  }
+
+  const role = await findCustomRole(name);
+  return role ? role.permissions : [];
+};
+
+/**
+ * Check whether a role name is built in or defined as a custom role
+ */
+export const isDefinedRole = async (name) => {
+  if (!name) return false;
+  return isBuiltInRole(name) || !!(await findCustomRole(name));
+};
+
+/**
+ * Check whether an actor may hand out a role
+ * Nobody can grant permissions they do not hold themselves
+ */
+export const canGrantRole = async (actorPermissions, name) => {
+  return hasAllPermissions(actorPermissions, await getRolePermissions(name));
+};
+
+/**
+ * List built-in and custom roles
+ */
+export const listRoles = async () => {
+  const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+    name,
+    description: role.description,
+    permissions: role.permissions,
+    builtIn: true
+  }));
+
+  const custom = await Role.find().sort({ name: 1 });
+
+  return [...builtIn, ...custom.map(role => role.summary)];
+};
+
+/**
+ * Create a custom role
+ */
+export const createRole = async ({ name, description, permissions }, createdBy = null) => {
+  const role = await Role.create({ name, description, permissions, createdBy });
+  clearRoleCache();
+  return role;
+};
+
+/**
+ * Update a custom role's description and permissions
+ * Returns the role or null if there is no such custom role
+ */
+export const updateRole = async (name, { description, permissions }) => {
+  const role = await Role.findOne({ name });
+  if (!role) return null;
+
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = permissions;
+
+  await role.save();
+  clearRoleCache();
+  return role;
+};
+
+/**
+ * Delete a custom role that no user holds
+ * Returns { role } or { failure } with the error body to send
+ */
+export const deleteRole = async (name) => {
+  const assignedUsers = await User.countDocuments({ role: name });
+  if (assignedUsers > 0) {
+    return {
+      failure: {
+        error: `Role is still assigned to ${assignedUsers} user(s)`,
+        code: 'ROLE_IN_USE'
+      }
+    };
+  }
+
+  const role = await Role.findOneAndDelete({ name });
+  clearRoleCache();
+  return { role };
+};
+
+export default {
+  clearRoleCache,
+  getRolePermissions,
+  isDefinedRole,
+  canGrantRole,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
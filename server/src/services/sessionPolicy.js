@@ -0,0 +1,115 @@
+/**
+ * Session Policy Service
+ *
+ * Per-role limits for login sessions: an idle timeout (sliding expiry
+ * renewed by request activity), an absolute lifetime and the maximum
+ * number of concurrent sessions. The defaults come from SESSION_* env
+ * variables and a role can override any of them with
+ * SESSION_POLICY_<ROLE>, e.g. SESSION_POLICY_ADMIN="idle=15m,lifetime=8h,max=2".
+ * A value of 0 disables the idle timeout or the concurrent limit.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import UserLog from '../models/UserLog.js';
+import { parseDuration } from '../utils/tokens.js';
+
+// Keys accepted in a SESSION_POLICY_<ROLE> override
+const OVERRIDE_KEYS = {
+  idle: 'idleTimeout',
+  lifetime: 'maxLifetime',
+  max: 'maxConcurrent'
+};
+
+/**
+ * Read the default session policy from the environment
+ * The lifetime defaults to the refresh token lifetime
+ */
+export const getDefaultSessionPolicy = (env = process.env) => ({
+  idleTimeout: parseDuration(env.SESSION_IDLE_TIMEOUT, 0),
+  maxLifetime: parseDuration(env.SESSION_MAX_LIFETIME, parseDuration(env.REFRESH_TOKEN_EXPIRES_IN, 7 * 24 * 60 * 60 * 1000)),
+  maxConcurrent: parseInt(env.SESSION_MAX_CONCURRENT) || 0
+});
+
+/**
+ * Apply a "idle=15m,lifetime=8h,max=2" override to a policy
+ * Unknown keys and invalid values are ignored
+ */
+export const parsePolicyOverride = (value, basePolicy) => {
+  const policy = { ...basePolicy };
+
+  String(value || '').split(',').forEach(part => {
+    const [key, raw] = part.split('=').map(piece => piece?.trim());
+    const field = OVERRIDE_KEYS[key?.toLowerCase()];
+    if (!field || !raw) return;
+
+    const parsed = field === 'maxConcurrent' ? parseInt(raw) : parseDuration(raw, NaN);
+    if (Number.isInteger(parsed) && parsed >= 0) {
+      policy[field] = parsed;
+    }
+  });
+
+  return policy;
+};
+
+/**
+ * Get the session policy of a role (built-in or custom)
+ */
+export const getSessionPolicy = (role, env = process.env) => {
+  const defaults = getDefaultSessionPolicy(env);
+  if (!role) return defaults;
+
+  const override = env[`SESSION_POLICY_${String(role).toUpperCase().replace(/-/g, '_')}`];
+  return override ? parsePolicyOverride(override, defaults) : defaults;
+};
+
+/**
+ * Check whether a session has been idle longer than the policy allows
+ * `log` is the session's UserLog login entry
+ */
+export const hasIdleTimedOut = (log, policy, now = Date.now()) => {
+  if (!policy.idleTimeout || !log) return false;
+
+  const lastActivity = log.lastActivityAt || log.loginTime;
+  return !!lastActivity && now - new Date(lastActivity).getTime() > policy.idleTimeout;
+};
+
+/**
+ * Load a session's last activity and check it against the role's idle timeout
+ * Skips the lookup when the role has no idle timeout
+ */
+export const isSessionIdle = async (sessionId, role, now = Date.now()) => {
+  const policy = getSessionPolicy(role);
+  if (!policy.idleTimeout || !sessionId) return false;
+
+  const log = await UserLog.findOne({ sessionId: sessionId, action: 'login' })
+    .select('lastActivityAt loginTime')
+    .lean();
+  return hasIdleTimedOut(log, policy, now);
+};
+
+/**
+ * Pick the sessions to revoke so a user stays within `maxConcurrent`
+ * The session being kept (the new login) always survives; the others
+ * are revoked oldest login first
+ */
+export const selectSessionsToEvict = (sessions, maxConcurrent, keepSessionId = null) => {
+  if (!maxConcurrent || sessions.length <= maxConcurrent) return [];
+
+  const others = sessions
+    .filter(log => !keepSessionId || log.sessionId !== keepSessionId)
+    .sort((a, b) => new Date(a.loginTime) - new Date(b.loginTime));
+
+  const keepCount = keepSessionId ? maxConcurrent - 1 : maxConcurrent;
+  return others.slice(0, Math.max(others.length - keepCount, 0));
+};
+
+export default {
+  getDefaultSessionPolicy,
+  parsePolicyOverride,
+  getSessionPolicy,
+  hasIdleTimedOut,
+  isSessionIdle,
+  selectSessionsToEvict
+};
@@ -0,0 +1,288 @@
+/**
+ * Session Service
+ *
+ * Issues, rotates and revokes login sessions. A session is a refresh
+ * token family plus its UserLog login entry; access tokens carry the
+ * session id (`sid`) so revoking the session revokes them too.
+ * Lifetime, idle timeout and the number of concurrent sessions follow
+ * the user's role (see sessionPolicy.js). Revocations are announced on
+ * `sessionEvents` so the WebSocket server can tell the affected client.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import RefreshToken from '../models/RefreshToken.js';
+import UserLog from '../models/UserLog.js';
+import User from '../models/User.js';
+import { generateToken, getAccessTokenTTL } from '../middleware/auth.js';
+import { logLogin } from '../middleware/logging.js';
+import { getSessionPolicy, hasIdleTimedOut, isSessionIdle, selectSessionsToEvict } from './sessionPolicy.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+// Emits 'revoked' with { userId, sessionId, reason } for every revoked session,
+// and with sessionId null for every session of the user but `exceptSessionId`
+export const sessionEvents = new EventEmitter();
+
+/**
+ * Create a refresh token document in a family and return its plain value
+ */
+const createRefreshToken = async (userId, familyId, expiresAt, context = {}) => {
+  const refreshToken = generateOpaqueToken();
+
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    expiresAt,
+    createdByIp: context.ipAddress || null,
+    userAgent: context.userAgent || null
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Start a new session for an authenticated user
+ * Returns the access token, refresh token and their expiry times
+ */
+export const issueSession = async (user, context = {}) => {
+  const sessionId = crypto.randomUUID();
+  const policy = getSessionPolicy(user.role);
+  const sessionExpiresAt = new Date(Date.now() + policy.maxLifetime);
+
+  const refreshToken = await createRefreshToken(user._id, sessionId, sessionExpiresAt, context);
+
+  const tokenData = {
+    token: generateToken(user._id, user.role, sessionId),
+    expiresAt: new Date(Date.now() + getAccessTokenTTL()),
+    refreshToken,
+    refreshExpiresAt: sessionExpiresAt,
+    sessionId,
+    sessionExpiresAt
+  };
+
+  await logLogin(user, tokenData, context.ipAddress, context.userAgent, {
+    authMethod: context.authMethod || 'password'
+  });
+
+  await enforceSessionLimit(user._id, sessionId, policy.maxConcurrent);
+
+  return tokenData;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Reuse of an already-rotated token revokes the whole family.
+ * Returns { tokenData, user } or { failure } with the error body to send
+ */
+export const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const current = await RefreshToken.consume(refreshToken);
+
+  if (!current) {
+    const existing = await RefreshToken.findByToken(refreshToken);
+
+    if (existing && existing.usedAt) {
+      // A consumed token came back: assume it was stolen and kill the session
+      await revokeSession(existing.familyId, 'reuse_detected');
+      console.warn(`⚠️  Refresh token reuse detected for user ${existing.userId} (session ${existing.familyId})`);
+
+      return {
+        failure: {
+          error: 'Refresh token reuse detected. Please login again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        }
+      };
+    }
+
+    return {
+      failure: {
+        error: existing ? 'Refresh token has been revoked.' : 'Invalid refresh token.',
+        code: existing ? 'REFRESH_TOKEN_REVOKED' : 'INVALID_REFRESH_TOKEN'
+      }
+    };
+  }
+
+  if (current.expiresAt <= new Date()) {
+    return {
+      failure: {
+        error: 'Refresh token expired. Please login again.',
+        code: 'REFRESH_TOKEN_EXPIRED'
+      }
+    };
+  }
+
+  const user = await User.findById(current.userId).select('-password');
+  if (!user || !user.isActive || user.isTokenRevokedByUser(Math.floor(current.createdAt.getTime() / 1000))) {
+    await revokeSession(current.familyId, 'user_revoked');
+
+    return {
+      failure: {
+        error: 'Session is no longer valid. Please login again.',
+        code: 'SESSION_REVOKED'
+      }
+    };
+  }
+
+  if (await UserLog.isTokenRevoked(null, current.familyId)) {
+    return {
+      failure: {
+        error: 'Session has been revoked. Please login again.',
+        code: 'SESSION_REVOKED'
+      }
+    };
+  }
+
+  // Refreshing is not activity: an idle session cannot be kept alive by it
+  if (await isSessionIdle(current.familyId, user.role)) {
+    await revokeSession(current.familyId, 'idle_timeout');
+
+    return {
+      failure: {
+        error: 'Session expired due to inactivity. Please login again.',
+        code: 'SESSION_IDLE_TIMEOUT'
+      }
+    };
+  }
+
+  // The successor keeps the family's absolute expiry
+  const nextRefreshToken = await createRefreshToken(user._id, current.familyId, current.expiresAt, context);
+  current.replacedByHash = hashToken(nextRefreshToken);
+  await current.save();
+
+  const tokenData = {
+    token: generateToken(user._id, user.role, current.familyId),
+    expiresAt: new Date(Date.now() + getAccessTokenTTL()),
+    refreshToken: nextRefreshToken,
+    refreshExpiresAt: current.expiresAt,
+    sessionId: current.familyId
+  };
+
+  await UserLog.updateSessionToken(current.familyId, tokenData.token);
+
+  return { tokenData, user };
+};
+
+/**
+ * Revoke a single session: its refresh token family and UserLog entry
+ */
+export const revokeSession = async (sessionId, reason = 'user_revoked') => {
+  await RefreshToken.revokeFamily(sessionId, reason);
+  const log = await UserLog.revokeSession(sessionId);
+
+  if (log) {
+    sessionEvents.emit('revoked', { userId: log.userId.toString(), sessionId, reason });
+  }
+};
+
+/**
+ * Revoke a session from its UserLog login entry
+ */
+const revokeSessionLog = async (log, reason) => {
+  if (log.sessionId) {
+    await revokeSession(log.sessionId, reason);
+  } else {
+    // Sessions from before refresh tokens have no family to revoke
+    log.jwtToken.isRevoked = true;
+    await log.save();
+  }
+};
+
+/**
+ * Revoke a user's oldest sessions beyond the concurrent session limit
+ * The session just started is never revoked. Returns the revoked entries
+ */
+export const enforceSessionLimit = async (userId, keepSessionId, maxConcurrent) => {
+  if (!maxConcurrent) return [];
+
+  const sessions = await UserLog.getActiveSessions(userId);
+  const evicted = selectSessionsToEvict(sessions, maxConcurrent, keepSessionId);
+
+  for (const log of evicted) {
+    await revokeSessionLog(log, 'session_limit');
+  }
+
+  return evicted;
+};
+
+/**
+ * Revoke every session of a user
+ */
+export const revokeAllSessions = async (userId, reason = 'user_revoked') => {
+  await RefreshToken.revokeAllForUser(userId, reason);
+  await UserLog.revokeUserSessions(userId);
+
+  sessionEvents.emit('revoked', { userId: userId.toString(), sessionId: null, exceptSessionId: null, reason });
+};
+
+/**
+ * Revoke every session of a user except the one given
+ */
+export const revokeOtherSessions = async (userId, keepSessionId, reason = 'user_revoked') => {
+  await RefreshToken.revokeAllForUser(userId, reason, keepSessionId);
+  await UserLog.revokeUserSessions(userId, keepSessionId);
+
+  sessionEvents.emit('revoked', { userId: userId.toString(), sessionId: null, exceptSessionId: keepSessionId, reason });
+};
+
+/**
+ * Shape a UserLog login entry for the sessions list
+ */
+export const formatSession = (log, currentSessionId = null) => ({
+  id: log.sessionId || log._id.toString(),
+  device: {
+    browser: log.deviceInfo?.browser || 'Unknown',
+    os: log.deviceInfo?.os || 'Unknown',
+    platform: log.deviceInfo?.platform || 'Unknown'
+  },
+  userAgent: log.userAgent,
+  ipAddress: log.ipAddress,
+  loginTime: log.loginTime,
+  lastActivity: log.lastActivityAt || log.loginTime,
+  expiresAt: log.jwtToken?.expiresAt,
+  current: !!currentSessionId && log.sessionId === currentSessionId
+});
+
+/**
+ * List the active sessions of a user, newest activity first
+ * With the user's role, sessions past its idle timeout are left out
+ */
+export const listSessions = async (userId, currentSessionId = null, role = null) => {
+  const policy = getSessionPolicy(role);
+  const logs = await UserLog.getActiveSessions(userId);
+  return logs
+    .filter(log => !role || log.sessionId === currentSessionId || !hasIdleTimedOut(log, policy))
+    .map(log => formatSession(log, currentSessionId));
+};
+
+/**
+ * Revoke one session of a user by the id shown in the sessions list
+ * Returns the revoked session or null if the user has no such session
+ */
+export const revokeUserSession = async (userId, id, reason = 'user_revoked') => {
+  const sessions = await UserLog.getActiveSessions(userId);
+  const log = sessions.find(entry => (entry.sessionId || entry._id.toString()) === id);
+  
+  if (!log) {
+    return null;
+  }
+  
+  await revokeSessionLog(log, reason);
+  
+  return formatSession(log);
+};
+
+export default {
+  sessionEvents,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  enforceSessionLimit,
+  revokeAllSessions,
+  revokeOtherSessions,
+  formatSession,
+  listSessions,
+  revokeUserSession
+};
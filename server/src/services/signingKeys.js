@@ -0,0 +1,379 @@
+/**
+ * Signing Key Service
+ *
+ * Keeps the key ring used to sign and verify TaskFlow's JWTs. Tokens are
+ * signed with the active asymmetric key (JWT_ALGORITHM, RS256 or EdDSA)
+ * and carry its `kid`. Keys rotate every JWT_KEY_ROTATION_INTERVAL; a
+ * retired key is still accepted and published in the JWKS until the
+ * longest-lived token it could have signed has expired, so other
+ * services can verify tokens with `/.well-known/jwks.json`.
+ *
+ * Keys live in MongoDB so every server instance signs with the same key.
+ * JWT_SECRET no longer signs tokens; it encrypts the stored private keys.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import SigningKey from '../models/SigningKey.js';
+import { parseDuration } from '../utils/tokens.js';
+import { SUPPORTED_ALGORITHMS, decodeJws, signJws, verifyJws } from '../utils/jws.js';
+
+const DEFAULT_JWT_SECRET = 'your-secret-key';
+const MIN_SECRET_LENGTH = 32;
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const UNKNOWN_KID_REFRESH_MS = 5 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+// Placeholder secrets from the sample configuration files
+const KNOWN_DEFAULT_SECRETS = [
+  DEFAULT_JWT_SECRET,
+  'your-super-secret-jwt-key-change-in-production',
+  'your-super-secure-production-jwt-secret-key',
+  'your_super_secret_jwt_key_change_in_production'
+];
+
+// kid -> { kid, algorithm, publicKey, privateKey, activatedAt, verifyUntil, persisted }
+const keyring = new Map();
+let activeKid = null;
+let refreshTimer = null;
+let lastRefreshAt = 0;
+
+/**
+ * Read the signing settings from the environment
+ */
+export const getSigningConfig = () => {
+  const algorithm = process.env.JWT_ALGORITHM || 'RS256';
+
+  return {
+    algorithm: SUPPORTED_ALGORITHMS.includes(algorithm) ? algorithm : 'RS256',
+    issuer: process.env.JWT_ISSUER || 'taskflow',
+    rotationIntervalMs: parseDuration(process.env.JWT_KEY_ROTATION_INTERVAL, 30 * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * How long a retired key must stay available for verification: the
+ * longest token lifetime (access or impersonation token, at least an hour)
+ */
+export const getKeyRetention = () => Math.max(
+  parseDuration(process.env.JWT_EXPIRES_IN, 15 * 60 * 1000),
+  parseDuration(process.env.IMPERSONATION_TTL, 30 * 60 * 1000),
+  60 * 60 * 1000
+) + CLOCK_TOLERANCE_SECONDS * 1000;
+
+/**
+ * Check that JWT_SECRET is safe to use
+ * Returns a list of problems; in production any problem is fatal
+ */
+export const checkJwtSecret = (env = process.env) => {
+  const secret = env.JWT_SECRET;
+
+  if (!secret) {
+    return ['JWT_SECRET is not set'];
+  }
+  if (KNOWN_DEFAULT_SECRETS.includes(secret)) {
+    return ['JWT_SECRET is still the example value'];
+  }
+  if (secret.length < MIN_SECRET_LENGTH) {
+    return [`JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters`];
+  }
+  return [];
+};
+
+/**
+ * Refuse to run in production with a missing or default JWT_SECRET
+ * Throws in production; only warns elsewhere
+ */
+export const assertJwtSecret = (env = process.env) => {
+  const problems = checkJwtSecret(env);
+  if (problems.length === 0) return;
+
+  if (env.NODE_ENV === 'production') {
+    throw new Error(`Refusing to start: ${problems.join('; ')}`);
+  }
+  console.warn(`⚠️  ${problems.join('; ')} - do not use this configuration in production`);
+};
+
+/**
+ * Derive the key that encrypts stored private keys
+ */
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.JWT_SECRET || DEFAULT_JWT_SECRET)
+  .digest();
+
+/**
+ * Encrypt a private key PEM for storage as "iv.tag.ciphertext"
+ */
+export const encryptPrivateKey = (pem) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored private key; throws if JWT_SECRET has changed
+ */
+export const decryptPrivateKey = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Export a public key as a JWK with its id and algorithm
+ */
+export const toJwk = (entry) => ({
+  ...entry.publicKey.export({ format: 'jwk' }),
+  kid: entry.kid,
+  alg: entry.algorithm,
+  use: 'sig'
+});
+
+/**
+ * Compute a key's RFC 7638 thumbprint, used as its `kid`
+ */
+const thumbprint = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const members = jwk.kty === 'RSA'
+    ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+    : { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+/**
+ * Generate a new key pair for the algorithm
+ * Returns a key ring entry (not yet stored)
+ */
+export const createSigningKey = (algorithm = getSigningConfig().algorithm) => {
+  const { publicKey, privateKey } = algorithm === 'EdDSA'
+    ? crypto.generateKeyPairSync('ed25519')
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    kid: thumbprint(publicKey),
+    algorithm,
+    publicKey,
+    privateKey,
+    activatedAt: new Date(),
+    verifyUntil: null,
+    persisted: false
+  };
+};
+
+/**
+ * Turn a stored key into a key ring entry
+ * Keys whose private half cannot be decrypted can still verify tokens
+ */
+const fromRecord = (record) => {
+  let privateKey = null;
+  if (record.status === 'active') {
+    try {
+      privateKey = crypto.createPrivateKey(decryptPrivateKey(record.privateKey));
+    } catch (error) {
+      console.error(`Signing key ${record.kid} could not be decrypted (was JWT_SECRET changed?):`, error.message);
+    }
+  }
+
+  return {
+    kid: record.kid,
+    algorithm: record.algorithm,
+    publicKey: crypto.createPublicKey(record.publicKey),
+    privateKey,
+    activatedAt: record.activatedAt,
+    verifyUntil: record.status === 'active' ? null : record.verifyUntil,
+    persisted: true
+  };
+};
+
+/**
+ * Replace the key ring with stored keys
+ * Keys only this process knows (made while the database was unavailable)
+ * are kept until they expire so their tokens stay valid
+ */
+export const loadKeyring = (entries, now = Date.now()) => {
+  const local = [...keyring.values()].filter(entry => !entry.persisted
+    && !entries.some(stored => stored.kid === entry.kid));
+
+  keyring.clear();
+  activeKid = null;
+
+  for (const entry of [...entries, ...local]) {
+    if (entry.verifyUntil && new Date(entry.verifyUntil).getTime() <= now) continue;
+    keyring.set(entry.kid, entry);
+  }
+
+  // Sign with the newest stored key that can sign; fall back to a local one
+  const signers = [...keyring.values()]
+    .filter(entry => entry.privateKey && !entry.verifyUntil)
+    .sort((a, b) => Number(b.persisted) - Number(a.persisted) || new Date(b.activatedAt) - new Date(a.activatedAt));
+  activeKid = signers[0]?.kid || null;
+
+  // Local keys that lost out are retired like stored ones
+  for (const entry of local) {
+    if (entry.kid !== activeKid && !entry.verifyUntil) {
+      entry.verifyUntil = new Date(now + getKeyRetention());
+    }
+  }
+};
+
+/**
+ * Get the key that signs new tokens, creating a local one if none is loaded
+ */
+const getActiveKey = () => {
+  if (!activeKid) {
+    const entry = createSigningKey();
+    keyring.set(entry.kid, entry);
+    activeKid = entry.kid;
+    console.warn(`⚠️  Signing tokens with unsaved key ${entry.kid} until the key store is available`);
+  }
+  return keyring.get(activeKid);
+};
+
+/**
+ * Store a new key, make it active and retire the previous one
+ * Only one server wins the rotation; the others pick up the new key
+ */
+export const rotateSigningKey = async ({ now = new Date() } = {}) => {
+  const previous = activeKid ? keyring.get(activeKid) : null;
+
+  if (previous?.persisted) {
+    const retired = await SigningKey.retire(previous.kid, new Date(now.getTime() + getKeyRetention()), now);
+    if (!retired) {
+      return refreshKeyring();
+    }
+  }
+
+  // Save a key that was only held locally instead of making another
+  const entry = previous && !previous.persisted ? previous : createSigningKey();
+  await SigningKey.create({
+    kid: entry.kid,
+    algorithm: entry.algorithm,
+    publicKey: entry.publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: encryptPrivateKey(entry.privateKey.export({ type: 'pkcs8', format: 'pem' })),
+    activatedAt: now
+  });
+
+  console.log(`🔑 Signing key ${entry.kid} is now active`);
+  return refreshKeyring({ rotate: false });
+};
+
+/**
+ * Reload keys from the database and rotate when the active key is due
+ */
+export const refreshKeyring = async ({ rotate = true } = {}) => {
+  lastRefreshAt = Date.now();
+  const records = await SigningKey.findUsable();
+  loadKeyring(records.map(fromRecord));
+
+  const active = activeKid ? keyring.get(activeKid) : null;
+  const age = active ? Date.now() - new Date(active.activatedAt).getTime() : Infinity;
+
+  if (rotate && (!active?.persisted || age >= getSigningConfig().rotationIntervalMs)) {
+    return rotateSigningKey();
+  }
+  return active;
+};
+
+/**
+ * Load the key ring and keep it fresh
+ * Rotation is checked every minute; the timer does not keep the process alive
+ */
+export const startKeyRotation = async () => {
+  try {
+    await refreshKeyring();
+  } catch (error) {
+    console.error('Signing key load error:', error);
+  }
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      refreshKeyring().catch(error => console.error('Signing key refresh error:', error));
+    }, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+};
+
+/**
+ * Stop the rotation timer (tests and shutdown)
+ */
+export const stopKeyRotation = () => {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+};
+
+/**
+ * Reload the key ring if a token names a key this server has not seen,
+ * e.g. right after another instance rotated. Reloads are throttled so
+ * made-up key ids cannot flood the database
+ */
+export const ensureVerificationKey = async (token) => {
+  try {
+    const { header } = decodeJws(token);
+    if (header.kid && !keyring.has(header.kid) && Date.now() - lastRefreshAt >= UNKNOWN_KID_REFRESH_MS) {
+      await refreshKeyring({ rotate: false });
+    }
+  } catch {
+    // Malformed tokens and unknown keys fail in verifyToken
+  }
+};
+
+/**
+ * Sign a token with the active key
+ * Adds `iss`, plus `iat` and `exp` when `expiresInMs` is given
+ */
+export const signToken = (payload, { expiresInMs } = {}) => {
+  const key = getActiveKey();
+  const claims = { ...payload, iss: getSigningConfig().issuer };
+
+  if (expiresInMs) {
+    claims.iat = claims.iat || Math.floor(Date.now() / 1000);
+    claims.exp = Math.floor(Date.now() / 1000 + expiresInMs / 1000);
+  }
+
+  return signJws(claims, { privateKey: key.privateKey, algorithm: key.algorithm, kid: key.kid });
+};
+
+/**
+ * Verify a token against the key ring
+ * Every token this server issues expires, so one without `exp` is refused
+ * Returns the payload or throws jsonwebtoken's error classes
+ */
+export const verifyToken = (token) => verifyJws(token, kid => keyring.get(kid) || null, {
+  issuer: getSigningConfig().issuer,
+  clockTolerance: CLOCK_TOLERANCE_SECONDS,
+  requireExp: true
+});
+
+/**
+ * Build the JSON Web Key Set of every key that verifies tokens
+ */
+export const getJwks = () => ({
+  keys: [...keyring.values()].map(toJwk)
+});
+
+export default {
+  getSigningConfig,
+  getKeyRetention,
+  checkJwtSecret,
+  assertJwtSecret,
+  encryptPrivateKey,
+  decryptPrivateKey,
+  toJwk,
+  createSigningKey,
+  loadKeyring,
+  rotateSigningKey,
+  refreshKeyring,
+  startKeyRotation,
+  stopKeyRotation,
+  ensureVerificationKey,
+  signToken,
+  verifyToken,
+  getJwks
+};
@@ -0,0 +1,400 @@
+/**
+ * Task Bulk Service
+ *
+ * Applies one operation (new status, priority or assignee) to many tasks.
+ * Every task is checked first, with the same rules as editing it alone:
+ * access, open subtasks before completing, unfinished blockers before
+ * starting or completing. By default the tasks that pass are changed and
+ * each task gets its own result; in atomic mode one failed check leaves
+ * every task untouched.
+ *
+ * The fields each task had before are kept in a TaskBatch behind an undo
+ * token, so the whole batch can be reverted while the undo window lasts.
+ * Undo skips tasks changed again since. History entries and the next
+ * occurrence of completed recurring tasks are only written once every
+ * task is changed, so an atomic batch that is rolled back leaves no
+ * trace; undoing a completion removes that occurrence again while it is
+ * still pending. Changes and undos are recorded in the task history with
+ * the `bulk` source and announced with one event per batch on `bulkEvents`:
+ *   updated  { batchId, operation, value, undone, tasks, actor }
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TaskBatch from '../models/TaskBatch.js';
+import User from '../models/User.js';
+import { parseDuration } from '../utils/tokens.js';
+import { snapshotTask, recordTaskChanges } from './taskHistory.js';
+import { rollUpAncestors, checkOpenSubtasks, completeTask } from './taskHierarchy.js';
+import { checkStatusTransition } from './taskDependencies.js';
+import { handleTaskCompleted, withdrawOccurrence } from './recurrence.js';
+
+// The task field each operation sets
+export const BULK_OPERATIONS = {
+  status: 'status',
+  priority: 'priority',
+  assignee: 'assignedTo'
+};
+
+// Fields an operation can change, directly or through completion
+const UNDO_FIELDS = ['status', 'isCompleted', 'completedAt', 'progress', 'priority', 'assignedTo'];
+
+export const bulkEvents = new EventEmitter();
+
+const TASK_NOT_FOUND = { error: 'Task not found', code: 'TASK_NOT_FOUND' };
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const pickFields = (task, fields = UNDO_FIELDS) => Object.fromEntries(fields.map(field => [field, task.get(field) ?? null]));
+
+const invalidOperation = (error, details) => ({
+  failure: { error, code: 'INVALID_BULK_OPERATION', ...(details ? { details } : {}) }
+});
+
+/**
+ * Get the bulk operation settings from the environment
+ */
+export const getBulkSettings = (env = process.env) => ({
+  maxTasks: parseInt(env.TASK_BULK_MAX_TASKS) || 100,
+  undoWindow: parseDuration(env.TASK_BULK_UNDO_WINDOW, 15 * 60 * 1000)
+});
+
+/**
+ * Validate a bulk request body { taskIds, operation, value, atomic }
+ * Returns { request } with unique ids and the normalised value, or { failure }
+ */
+export const validateBulkRequest = async (body, { maxTasks } = getBulkSettings()) => {
+  const { taskIds, operation, value, atomic = false } = body || {};
+
+  if (!Array.isArray(taskIds) || taskIds.length === 0) {
+    return {
+      failure: {
+        error: 'Select at least one task.',
+        code: 'INVALID_TASK_IDS'
+      }
+    };
+  }
+
+  const ids = [...new Set(taskIds.map(String))];
+  if (ids.length > maxTasks) {
+    return {
+      failure: {
+        error: `A bulk operation can change at most ${maxTasks} tasks.`,
+        code: 'TOO_MANY_TASKS',
+        details: { max: maxTasks, count: ids.length }
+      }
+    };
+  }
+
+  const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+  if (invalid.length > 0) {
+    return {
+      failure: {
+        error: 'Some task ids are not valid.',
+        code: 'INVALID_TASK_IDS',
+        details: { invalid }
+      }
+    };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(BULK_OPERATIONS, operation)) {
+    return invalidOperation(`Operation must be one of ${Object.keys(BULK_OPERATIONS).join(', ')}.`);
+  }
+
+  if (typeof atomic !== 'boolean') {
+    return invalidOperation('Atomic must be true or false.');
+  }
+
+  let normalised = value;
+  if (operation === 'assignee') {
+    // null unassigns
+    normalised = value ? String(value) : null;
+    if (normalised && (!mongoose.isValidObjectId(normalised) || !(await User.exists({ _id: normalised, isActive: true })))) {
+      return invalidOperation('No active user matches the assignee.', { value });
+    }
+    normalised = normalised && new mongoose.Types.ObjectId(normalised);
+  } else {
+    const allowed = Task.schema.path(BULK_OPERATIONS[operation]).enumValues;
+    if (!allowed.includes(value)) {
+      return invalidOperation(`The ${operation} must be one of ${allowed.join(', ')}.`, { allowed });
+    }
+  }
+
+  return { request: { taskIds: ids, operation, value: normalised, atomic } };
+};
+
+/**
+ * Check whether an operation can be applied to one task
+ * `checkAccess(task, values)` returns the failure to report or null.
+ * Returns { failure }, { unchanged: true } or {}
+ */
+const checkTask = async (task, { operation, value }, checkAccess) => {
+  const field = BULK_OPERATIONS[operation];
+  const failure = task ? checkAccess(task, { [field]: value }) : TASK_NOT_FOUND;
+  if (failure) return { failure };
+
+  if (sameValue(task.get(field), value)) return { unchanged: true };
+
+  if (operation === 'status') {
+    if (value === 'complete') {
+      const openSubtasks = await checkOpenSubtasks(task);
+      if (openSubtasks) return { failure: openSubtasks };
+    }
+
+    const { failure: blocked } = await checkStatusTransition(task, value);
+    if (blocked) return { failure: blocked };
+  }
+
+  return {};
+};
+
+/**
+ * Apply an operation to one checked task
+ * Returns { item } with the changed fields before and after and the
+ * snapshot to record once the batch is done, or { failure }
+ */
+const applyToTask = async (task, { operation, value }) => {
+  const before = pickFields(task);
+  const snapshot = snapshotTask(task);
+
+  if (operation === 'status' && value === 'complete') {
+    const failure = await completeTask(task);
+    if (failure) return { failure };
+  } else {
+    task.set(BULK_OPERATIONS[operation], value);
+    await task.save();
+    if (operation === 'status') await rollUpAncestors(task);
+  }
+
+  const fields = UNDO_FIELDS.filter(field => !sameValue(before[field], task.get(field)));
+
+  return {
+    item: {
+      task: task._id,
+      before: Object.fromEntries(fields.map(field => [field, before[field]])),
+      after: pickFields(task, fields),
+      occurrence: null
+    },
+    snapshot
+  };
+};
+
+/**
+ * Record a changed task in the history and, for a completion, create the
+ * next occurrence of its series
+ */
+const finishTask = async (task, item, snapshot, { operation, value }, historyActor) => {
+  const completing = operation === 'status' && value === 'complete';
+
+  await recordTaskChanges(task, snapshot, {
+    actor: historyActor,
+    source: 'bulk',
+    action: completing ? 'complete' : operation === 'assignee' ? 'assign' : 'update'
+  });
+
+  const occurrence = completing ? await handleTaskCompleted(task) : null;
+  item.occurrence = occurrence ? occurrence._id : null;
+};
+
+/**
+ * Put back the fields a bulk operation changed on a task
+ */
+const restoreTask = async (task, before) => {
+  task.set(before);
+  await task.save();
+  if ('status' in before || 'progress' in before) await rollUpAncestors(task);
+};
+
+/**
+ * Undo a bulk operation on a task, record it and take back the
+ * occurrence its completion created
+ * Returns false when that occurrence was kept because it changed since
+ */
+const revertTask = async (task, { before, occurrence }, historyActor) => {
+  const snapshot = snapshotTask(task);
+
+  await restoreTask(task, before);
+  await recordTaskChanges(task, snapshot, { actor: historyActor, source: 'bulk', action: 'revert' });
+
+  return occurrence ? withdrawOccurrence(task, occurrence) : true;
+};
+
+const resultOf = ({ id, failure, unchanged }) => {
+  if (failure) return { id, outcome: 'failed', ...failure };
+  return { id, outcome: unchanged ? 'unchanged' : 'updated' };
+};
+
+/**
+ * Run a validated bulk request for `actor`
+ * The history names `historyActor` (an id), by default the actor
+ * Returns { results, undo } where undo holds the token and its expiry
+ * (null when nothing changed), or { failure } when an atomic request
+ * changed nothing because a task failed its check
+ */
+export const runBulkOperation = async (request, { actor, checkAccess, historyActor = actor._id }) => {
+  const { taskIds, operation, value, atomic } = request;
+
+  const tasks = await Task.find({ _id: { $in: taskIds } });
+  const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+
+  const checks = [];
+  for (const id of taskIds) {
+    const task = byId.get(id) || null;
+    checks.push({ id, task, ...(await checkTask(task, request, checkAccess)) });
+  }
+
+  // Tasks that passed are reported as skipped: nothing was changed
+  const abort = (results) => ({
+    failure: {
+      error: 'No task was changed because the operation cannot be applied to all of them.',
+      code: 'BULK_OPERATION_FAILED',
+      details: { results: results.map(result => (result.outcome === 'failed' ? result : { id: result.id, outcome: 'skipped' })) }
+    }
+  });
+
+  if (atomic && checks.some(check => check.failure)) {
+    return abort(checks.map(resultOf));
+  }
+
+  const items = [];
+  const snapshots = [];
+  const applied = [];
+  const results = [];
+
+  // Atomic requests put back what they changed when a later task fails;
+  // nothing was recorded for those tasks yet
+  const rollBack = async () => {
+    for (const [index, item] of items.entries()) {
+      await restoreTask(applied[index], item.before);
+    }
+  };
+
+  for (const check of checks) {
+    if (check.failure || check.unchanged) {
+      results.push(resultOf(check));
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = await applyToTask(check.task, request);
+    } catch (error) {
+      if (atomic) {
+        await rollBack();
+        throw error;
+      }
+      console.error('Bulk task update error:', error);
+      outcome = { failure: { error: 'The task could not be updated.', code: 'UPDATE_FAILED' } };
+    }
+
+    if (outcome.failure && atomic) {
+      await rollBack();
+      return abort([...results, resultOf({ id: check.id, failure: outcome.failure })]);
+    }
+
+    if (outcome.item) {
+      items.push(outcome.item);
+      snapshots.push(outcome.snapshot);
+      applied.push(check.task);
+    }
+    results.push(resultOf({ id: check.id, failure: outcome.failure }));
+  }
+
+  if (items.length === 0) {
+    return { results, undo: null };
+  }
+
+  for (const [index, item] of items.entries()) {
+    await finishTask(applied[index], item, snapshots[index], request, historyActor);
+  }
+
+  const expiresAt = new Date(Date.now() + getBulkSettings().undoWindow);
+  const { token, batch } = await TaskBatch.issue({ actor: actor._id, operation, value, items, expiresAt });
+
+  bulkEvents.emit('updated', { batchId: batch._id, operation, value, undone: false, tasks: applied, actor });
+
+  return { results, undo: { token, expiresAt } };
+};
+
+/**
+ * Undo a bulk operation of `actor` with its undo token, recorded in the
+ * history under `historyActor` like runBulkOperation. A token works once. Tasks changed since, deleted or no longer
+ * accessible are skipped. Returns { results } or { failure }
+ */
+export const undoBulkOperation = async (token, { actor, checkAccess, historyActor = actor._id }) => {
+  const batch = typeof token === 'string' && token
+    ? await TaskBatch.claimUndo(token, actor._id)
+    : null;
+
+  if (!batch) {
+    return {
+      failure: {
+        error: 'This bulk change can no longer be undone.',
+        code: 'UNDO_NOT_AVAILABLE'
+      }
+    };
+  }
+
+  const tasks = await Task.find({ _id: { $in: batch.items.map(item => item.task) } });
+  const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+
+  const results = [];
+  const restored = [];
+
+  for (const item of batch.items) {
+    const id = item.task.toString();
+    const task = byId.get(id);
+    let failure = task ? checkAccess(task, item.before) : TASK_NOT_FOUND;
+
+    if (!failure && Object.keys(item.after).some(field => !sameValue(item.after[field], task.get(field)))) {
+      failure = {
+        error: 'The task was changed after the bulk operation.',
+        code: 'TASK_CHANGED'
+      };
+    }
+
+    let occurrenceRemoved = true;
+    if (!failure) {
+      try {
+        occurrenceRemoved = await revertTask(task, item, historyActor);
+        restored.push(task);
+      } catch (error) {
+        console.error('Bulk task undo error:', error);
+        failure = { error: 'The task could not be restored.', code: 'UPDATE_FAILED' };
+      }
+    }
+
+    if (failure) {
+      results.push({ id, outcome: 'failed', ...failure });
+    } else {
+      // A next occurrence that was started or followed by another one stays
+      results.push({ id, outcome: 'restored', ...(occurrenceRemoved ? {} : { occurrenceKept: item.occurrence }) });
+    }
+  }
+
+  if (restored.length > 0) {
+    bulkEvents.emit('updated', {
+      batchId: batch._id,
+      operation: batch.operation,
+      value: batch.value,
+      undone: true,
+      tasks: restored,
+      actor
+    });
+  }
+
+  return { results };
+};
+
+export default {
+  BULK_OPERATIONS,
+  bulkEvents,
+  getBulkSettings,
+  validateBulkRequest,
+  runBulkOperation,
+  undoBulkOperation
+};
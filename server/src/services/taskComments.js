@@ -0,0 +1,338 @@
+/**
+ * Task Comments Service
+ *
+ * The one place comments are created, edited and deleted, used by the
+ * REST routes and the WebSocket server alike so both produce the same
+ * documents and events. Comments are Markdown rendered to safe HTML
+ * (utils/markdown.js). `@username` mentions resolve to users; mentioned
+ * users who can see the task are notified by email and on `commentEvents`,
+ * which the WebSocket server forwards to their connections.
+ *
+ * Events on `commentEvents`:
+ *   created / updated / deleted  { task, comment }
+ *   mentioned                    { task, comment, userIds, actor }
+ * where `comment` is the public shape from formatComment.
+ *
+ * Tasks from before this service kept comments embedded in the task
+ * document, in two shapes; they are moved to TaskComment the first time
+ * the comments of the task are read.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import Task from '../models/Task.js';
+import TaskComment, { MAX_COMMENT_LENGTH } from '../models/TaskComment.js';
+import User from '../models/User.js';
+import { getRolePermissions } from './roleService.js';
+import { sendMail } from './mailer.js';
+import { mentionEmail } from './emailTemplates.js';
+import { extractMentions, renderMarkdown } from '../utils/markdown.js';
+
+export const MAX_MENTIONS = 20;
+const MAX_KEPT_EDITS = 50;
+
+export const commentEvents = new EventEmitter();
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * The public view of a comment
+ * Deleted comments keep their place in the thread without their content
+ */
+export const formatComment = (comment) => {
+  const deleted = !!comment.deletedAt;
+  const author = comment.author;
+
+  return {
+    _id: comment._id,
+    task: comment.task,
+    parent: comment.parent || null,
+    author: author?.username ? { _id: author._id, username: author.username } : { _id: author },
+    content: deleted ? null : comment.content,
+    html: deleted ? null : comment.html,
+    mentions: deleted ? [] : (comment.mentions || []).map(user => ({ _id: user._id || user, username: user.username })),
+    edited: !!comment.editedAt,
+    editedAt: comment.editedAt || null,
+    deleted,
+    deletedAt: comment.deletedAt || null,
+    source: comment.source,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt
+  };
+};
+
+/**
+ * Check whether a user can see a task
+ */
+export const canViewTask = async (task, user) => {
+  if ([task.assignedTo, task.createdBy].some(ref => sameId(ref, user._id))) return true;
+  return (await getRolePermissions(user.role)).includes('task.read.any');
+};
+
+/**
+ * Check content and resolve its mentions
+ * Returns { content, html, mentioned } or { failure }
+ */
+export const prepareContent = async (input) => {
+  const content = typeof input === 'string' ? input.trim() : '';
+
+  if (!content) {
+    return {
+      failure: {
+        error: 'Comment content is required',
+        code: 'COMMENT_REQUIRED'
+      }
+    };
+  }
+
+  if (content.length > MAX_COMMENT_LENGTH) {
+    return {
+      failure: {
+        error: `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`,
+        code: 'COMMENT_TOO_LONG',
+        details: { max: MAX_COMMENT_LENGTH }
+      }
+    };
+  }
+
+  const names = extractMentions(content).slice(0, MAX_MENTIONS);
+  const mentioned = names.length > 0
+    ? await User.find({ username: { $in: names }, isActive: true })
+      .collation({ locale: 'en', strength: 2 })
+      .select('username email role')
+    : [];
+
+  const html = renderMarkdown(content, {
+    mentions: new Map(mentioned.map(user => [user.username.toLowerCase(), user._id.toString()]))
+  });
+
+  return { content, html, mentioned };
+};
+
+/**
+ * Notify the mentioned users who can see the task, except the author
+ * Email failures are logged; returns the ids of the notified users
+ */
+export const notifyMentions = async (task, comment, users, actor) => {
+  const notified = [];
+
+  for (const user of users) {
+    if (sameId(user, actor) || !(await canViewTask(task, user))) continue;
+    notified.push(user);
+  }
+
+  if (notified.length === 0) return [];
+
+  const userIds = notified.map(user => user._id.toString());
+  commentEvents.emit('mentioned', { task, comment: formatComment(comment), userIds, actor });
+
+  for (const user of notified) {
+    try {
+      await sendMail(mentionEmail(user, actor, task, comment));
+    } catch (error) {
+      console.error('Mention email error:', error);
+    }
+  }
+
+  return userIds;
+};
+
+/**
+ * Move the embedded comments of a task from before TaskComment existed
+ * The comments are claimed with one update so only one caller moves
+ * them. Returns the number of comments moved
+ */
+export const migrateLegacyComments = async (taskId) => {
+  const legacy = await Task.findOneAndUpdate(
+    { _id: taskId, 'comments.0': { $exists: true } },
+    { $unset: { comments: 1 } },
+    { new: false }
+  ).select('+comments').lean();
+
+  if (!legacy) return 0;
+
+  // REST wrote { user, content, createdAt }, WebSocket { author, text, timestamp }
+  const comments = legacy.comments
+    .filter(comment => (comment.user || comment.author) && (comment.content || comment.text))
+    .map(comment => {
+      const content = String(comment.content ?? comment.text).slice(0, MAX_COMMENT_LENGTH);
+      return {
+        task: taskId,
+        author: comment.user || comment.author,
+        content,
+        html: renderMarkdown(content),
+        source: 'import',
+        createdAt: comment.createdAt || comment.timestamp || legacy._id.getTimestamp()
+      };
+    });
+
+  try {
+    await TaskComment.insertMany(comments);
+  } catch (error) {
+    // Straight to the collection: the schema would drop the WebSocket shape
+    await Task.collection.updateOne({ _id: legacy._id }, { $set: { comments: legacy.comments } });
+    throw error;
+  }
+
+  return comments.length;
+};
+
+/**
+ * List the comments of a task as threads, oldest first
+ * Deleted comments are left out unless they have replies to show
+ */
+export const listComments = async (taskId) => {
+  await migrateLegacyComments(taskId);
+
+  const comments = (await TaskComment.findForTask(taskId)).map(formatComment);
+  const replies = new Map();
+
+  for (const comment of comments.filter(entry => entry.parent && !entry.deleted)) {
+    const key = comment.parent.toString();
+    replies.set(key, [...(replies.get(key) || []), comment]);
+  }
+
+  return comments
+    .filter(comment => !comment.parent)
+    .map(comment => ({ ...comment, replies: replies.get(comment._id.toString()) || [] }))
+    .filter(thread => !thread.deleted || thread.replies.length > 0);
+};
+
+/**
+ * Find a comment of a task
+ */
+export const findTaskComment = (taskId, commentId) => TaskComment.findOne({ _id: commentId, task: taskId });
+
+/**
+ * Add a comment, or a reply when `parentId` is set
+ * A reply to a reply joins the thread of its top-level comment.
+ * Returns { comment } (formatted) or { failure }
+ */
+export const addComment = async (task, author, { content, parentId = null }, { source = 'rest' } = {}) => {
+  let parent = null;
+  if (parentId) {
+    parent = await findTaskComment(task._id, parentId);
+    if (!parent || parent.deletedAt) {
+      return {
+        failure: {
+          error: 'The comment you are replying to does not exist.',
+          code: 'COMMENT_NOT_FOUND',
+          details: { parentId }
+        }
+      };
+    }
+  }
+
+  const prepared = await prepareContent(content);
+  if (prepared.failure) return { failure: prepared.failure };
+
+  const comment = await TaskComment.create({
+    task: task._id,
+    parent: parent ? parent.parent || parent._id : null,
+    author: author._id,
+    content: prepared.content,
+    html: prepared.html,
+    mentions: prepared.mentioned.map(user => user._id),
+    source
+  });
+  await comment.populate([{ path: 'author', select: 'username' }, { path: 'mentions', select: 'username' }]);
+
+  const formatted = formatComment(comment);
+  commentEvents.emit('created', { task, comment: formatted });
+  await notifyMentions(task, comment, prepared.mentioned, author);
+
+  return { comment: formatted };
+};
+
+/**
+ * Change the content of a comment, keeping the previous version
+ * Only newly mentioned users are notified. Returns { comment } or { failure }
+ */
+export const editComment = async (task, comment, content, actor) => {
+  if (comment.deletedAt) {
+    return {
+      failure: {
+        error: 'Deleted comments cannot be edited.',
+        code: 'COMMENT_DELETED'
+      }
+    };
+  }
+
+  const prepared = await prepareContent(content);
+  if (prepared.failure) return { failure: prepared.failure };
+
+  if (prepared.content === comment.content) {
+    await comment.populate([{ path: 'author', select: 'username' }, { path: 'mentions', select: 'username' }]);
+    return { comment: formatComment(comment) };
+  }
+
+  const previouslyMentioned = (comment.mentions || []).map(user => (user._id || user).toString());
+
+  comment.edits.push({ content: comment.content, editedAt: comment.editedAt || comment.createdAt });
+  if (comment.edits.length > MAX_KEPT_EDITS) {
+    comment.edits.splice(0, comment.edits.length - MAX_KEPT_EDITS);
+  }
+  comment.content = prepared.content;
+  comment.html = prepared.html;
+  comment.mentions = prepared.mentioned.map(user => user._id);
+  comment.editedAt = new Date();
+  await comment.save();
+  await comment.populate([{ path: 'author', select: 'username' }, { path: 'mentions', select: 'username' }]);
+
+  const formatted = formatComment(comment);
+  commentEvents.emit('updated', { task, comment: formatted });
+  await notifyMentions(
+    task,
+    comment,
+    prepared.mentioned.filter(user => !previouslyMentioned.includes(user._id.toString())),
+    actor
+  );
+
+  return { comment: formatted };
+};
+
+/**
+ * Soft-delete a comment; its replies stay
+ * Returns the formatted comment
+ */
+export const deleteComment = async (task, comment, actor) => {
+  if (!comment.deletedAt) {
+    comment.deletedAt = new Date();
+    comment.deletedBy = actor._id;
+    await comment.save();
+  }
+
+  const formatted = formatComment(comment);
+  commentEvents.emit('deleted', { task, comment: formatted });
+  return formatted;
+};
+
+/**
+ * The versions of a comment, newest first, starting with the current one
+ */
+export const getCommentEdits = (comment) => {
+  if (comment.deletedAt) return [];
+
+  return [
+    { content: comment.content, editedAt: comment.editedAt || comment.createdAt, current: true },
+    ...[...comment.edits].reverse().map(edit => ({ content: edit.content, editedAt: edit.editedAt, current: false }))
+  ];
+};
+
+export default {
+  MAX_MENTIONS,
+  commentEvents,
+  formatComment,
+  canViewTask,
+  prepareContent,
+  notifyMentions,
+  migrateLegacyComments,
+  listComments,
+  findTaskComment,
+  addComment,
+  editComment,
+  deleteComment,
+  getCommentEdits
+};
@@ -0,0 +1,272 @@
+/**
+ * Task Hierarchy Service
+ *
+ * Subtasks and checklists. Tasks nest through `parentTask` up to
+ * TASK_MAX_DEPTH levels below a top-level task; every task stores its
+ * `ancestors` so moves, cascades and roll-ups can work on a whole
+ * subtree. A parent's progress and estimated hours are derived from its
+ * subtasks, and a task without subtasks but with checklist items takes
+ * its progress from the checked items.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import Task from '../models/Task.js';
+import { snapshotTask, recordTaskChanges } from './taskHistory.js';
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+/**
+ * Get the maximum nesting depth (top-level tasks are depth 0)
+ */
+export const getMaxTaskDepth = () => parseInt(process.env.TASK_MAX_DEPTH) || 5;
+
+/**
+ * Derive a parent's progress and estimated hours from its subtasks
+ * Cancelled subtasks are left out. Progress is weighted by estimated
+ * hours when every counted subtask has an estimate, otherwise each
+ * subtask counts the same. `progress` is null when nothing counts
+ */
+export const computeRollup = (subtasks) => {
+  const counted = subtasks.filter(subtask => subtask.status !== 'cancelled');
+  const estimatedHours = counted.reduce((sum, subtask) => sum + (subtask.estimatedHours || 0), 0);
+
+  if (counted.length === 0) {
+    return { progress: null, estimatedHours };
+  }
+
+  const progressOf = (subtask) => (subtask.status === 'complete' ? 100 : subtask.progress || 0);
+  const weighted = counted.every(subtask => subtask.estimatedHours > 0);
+  const totalWeight = weighted ? estimatedHours : counted.length;
+  const done = counted.reduce((sum, subtask) => sum + progressOf(subtask) * (weighted ? subtask.estimatedHours : 1), 0);
+
+  return {
+    progress: Math.round(done / totalWeight),
+    estimatedHours: Math.round(estimatedHours * 100) / 100
+  };
+};
+
+/**
+ * Progress of a checklist as a percentage of checked items
+ */
+export const checklistProgress = (items = []) => {
+  if (items.length === 0) return 0;
+  return Math.round((items.filter(item => item.done).length / items.length) * 100);
+};
+
+/**
+ * Check that `parent` can take `task` (with its subtree) as a subtask
+ * `subtreeHeight` is how many levels the task's own subtasks go down.
+ * Returns null or a failure with the error body to send
+ */
+export const checkParent = (task, parent, subtreeHeight = 0) => {
+  const parentAncestors = (parent.ancestors || []).map(id => id.toString());
+
+  if (task?._id && (parent._id.toString() === task._id.toString() || parentAncestors.includes(task._id.toString()))) {
+    return {
+      error: 'A task cannot be moved below itself or one of its subtasks.',
+      code: 'TASK_HIERARCHY_CYCLE'
+    };
+  }
+
+  const maxDepth = getMaxTaskDepth();
+  if (parentAncestors.length + 1 + subtreeHeight > maxDepth) {
+    return {
+      error: `Subtasks cannot be nested more than ${maxDepth} levels deep.`,
+      code: 'TASK_DEPTH_EXCEEDED',
+      details: { maxDepth }
+    };
+  }
+
+  if (['complete', 'cancelled'].includes(parent.status)) {
+    return {
+      error: 'Subtasks cannot be added to a completed or cancelled task.',
+      code: 'PARENT_TASK_CLOSED'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Recompute the derived fields of a task from its subtasks or checklist
+ * Mutates the document; the caller saves it
+ */
+export const recalculateTask = async (task) => {
+  const subtasks = await Task.findSubtasks(task._id).select('status progress estimatedHours').lean();
+
+  task.subtaskCount = subtasks.length;
+  task.completedSubtaskCount = subtasks.filter(subtask => subtask.status === 'complete').length;
+
+  if (subtasks.length > 0) {
+    const rollup = computeRollup(subtasks);
+    task.estimatedHours = rollup.estimatedHours;
+    if (rollup.progress !== null && task.status !== 'complete') {
+      task.progress = rollup.progress;
+    }
+  } else if (task.checklist.length > 0 && task.status !== 'complete') {
+    task.progress = checklistProgress(task.checklist);
+  }
+
+  return task;
+};
+
+/**
+ * Recompute every ancestor of a task, nearest first
+ * Pass the ancestor ids explicitly after a move or delete
+ */
+export const rollUpAncestors = async (task, ancestorIds = task.ancestors) => {
+  for (const ancestorId of [...(ancestorIds || [])].reverse()) {
+    const ancestor = await Task.findById(ancestorId);
+    if (!ancestor) continue;
+
+    await recalculateTask(ancestor);
+    await ancestor.save();
+  }
+};
+
+/**
+ * Count the levels below a task (0 when it has no subtasks)
+ */
+export const getSubtreeHeight = async (task) => {
+  const descendants = await Task.findDescendants(task._id).select('ancestors').lean();
+  const depth = task.ancestors.length;
+  return descendants.reduce((height, descendant) => Math.max(height, descendant.ancestors.length - depth), 0);
+};
+
+/**
+ * Move a task (and its subtree) below `parent`, or to the top level when null
+ * Returns null or a failure with the error body to send
+ */
+export const moveTask = async (task, parent) => {
+  const previousAncestors = [...task.ancestors];
+
+  if (parent) {
+    const failure = checkParent(task, parent, await getSubtreeHeight(task));
+    if (failure) return failure;
+  }
+
+  const nextAncestors = parent ? [...parent.ancestors, parent._id] : [];
+  task.parentTask = parent ? parent._id : null;
+  task.ancestors = nextAncestors;
+
+  // Rewrite the path of every descendant: new prefix, same tail below the task
+  const descendants = await Task.findDescendants(task._id).select('ancestors');
+  for (const descendant of descendants) {
+    const tail = descendant.ancestors.slice(previousAncestors.length);
+    descendant.ancestors = [...nextAncestors, ...tail];
+    await descendant.save();
+  }
+
+  await task.save();
+  await rollUpAncestors(task, previousAncestors);
+  await rollUpAncestors(task);
+
+  return null;
+};
+
+/**
+ * Count the subtasks below a task that are still open
+ */
+export const countOpenSubtasks = (task) => Task.countDocuments({
+  ancestors: task._id,
+  status: { $in: OPEN_STATUSES }
+});
+
+/**
+ * Check that a task can be completed without cascading
+ * Returns null or a failure with the error body to send
+ */
+export const checkOpenSubtasks = async (task) => {
+  const openSubtasks = await countOpenSubtasks(task);
+
+  if (openSubtasks === 0) {
+    return null;
+  }
+
+  return {
+    error: 'This task has open subtasks. Complete them first or complete them together with the task.',
+    code: 'OPEN_SUBTASKS',
+    details: { openSubtasks }
+  };
+};
+
+/**
+ * Complete a task, optionally completing its open subtasks with it
+ * Without `cascade`, open subtasks make this fail so the client can ask.
+ * Subtasks completed with it are recorded in their history under
+ * `actor` and `source`; the caller records the task itself.
+ * Returns null or a failure with the error body to send
+ */
+export const completeTask = async (task, { cascade = false, actor = null, source = 'rest' } = {}) => {
+  if (!cascade) {
+    const failure = await checkOpenSubtasks(task);
+    if (failure) return failure;
+  } else {
+    const openSubtasks = await Task.find({ ancestors: task._id, status: { $in: OPEN_STATUSES } });
+    for (const subtask of openSubtasks) {
+      const before = snapshotTask(subtask);
+      await subtask.complete();
+      await recordTaskChanges(subtask, before, { actor, source, action: 'complete' });
+    }
+
+    // Refresh the subtask counts of nested parents, deepest first
+    const nestedParents = await Task.find({ ancestors: task._id, subtaskCount: { $gt: 0 } });
+    nestedParents.sort((a, b) => b.ancestors.length - a.ancestors.length);
+    for (const nestedParent of nestedParents) {
+      await recalculateTask(nestedParent);
+      await nestedParent.save();
+    }
+  }
+
+  await recalculateTask(task);
+  await task.complete();
+  await rollUpAncestors(task);
+
+  return null;
+};
+
+/**
+ * Move a task to the trash, optionally with its whole subtree
+ * Trashed tasks disappear from queries; links from other tasks stay so a
+ * restore brings them back (trashed blockers no longer block).
+ * Returns null or a failure with the error body to send
+ */
+export const deleteTask = async (task, { cascade = false, deletedBy = null } = {}) => {
+  const descendantCount = await Task.countDocuments({ ancestors: task._id });
+
+  if (descendantCount > 0 && !cascade) {
+    return {
+      error: 'This task has subtasks. Delete them first or delete them together with the task.',
+      code: 'HAS_SUBTASKS',
+      details: { subtasks: descendantCount }
+    };
+  }
+
+  const deletedIds = [task._id, ...(await Task.findDescendants(task._id).distinct('_id'))];
+  const deletedAt = new Date();
+  await Task.updateMany(
+    { _id: { $in: deletedIds } },
+    { $set: { deletedAt, deletedBy, deletedWith: task._id } }
+  );
+  Object.assign(task, { deletedAt, deletedBy, deletedWith: task._id });
+  await rollUpAncestors(task);
+
+  return null;
+};
+
+export default {
+  getMaxTaskDepth,
+  computeRollup,
+  checklistProgress,
+  checkParent,
+  recalculateTask,
+  rollUpAncestors,
+  getSubtreeHeight,
+  moveTask,
+  countOpenSubtasks,
+  checkOpenSubtasks,
+  completeTask,
+  deleteTask
+};
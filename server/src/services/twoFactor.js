@@ -0,0 +1,151 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * RFC 6238 TOTP enrollment and verification plus one-time backup codes.
+ * Secrets are generated with speakeasy; backup codes are only ever
+ * stored as SHA-256 hashes.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import speakeasy from 'speakeasy';
+import QRCode from 'qrcode';
+
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'TaskFlow';
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_WINDOW = 1;
+export const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Generate a new TOTP secret for a user along with its otpauth URI
+ * and a QR code data URL that authenticator apps can scan
+ */
+export const createTotpSecret = async (user) => {
+  const secret = speakeasy.generateSecret({ length: 20 });
+
+  const otpauthUrl = speakeasy.otpauthURL({
+    secret: secret.base32,
+    encoding: 'base32',
+    label: `${TOTP_ISSUER}:${user.email}`,
+    issuer: TOTP_ISSUER,
+    algorithm: 'sha1',
+    digits: 6,
+    period: TOTP_STEP_SECONDS
+  });
+
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return {
+    secret: secret.base32,
+    otpauthUrl,
+    qrCode
+  };
+};
+
+/**
+ * Verify a TOTP code against a base32 secret
+ * Returns the matched time step, or null when the code is invalid or
+ * was already used (replay of a step at or before lastUsedStep)
+ */
+export const verifyTotp = (secret, code, lastUsedStep = null, time = Date.now()) => {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) {
+    return null;
+  }
+
+  const result = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token,
+    window: TOTP_WINDOW,
+    step: TOTP_STEP_SECONDS,
+    time: Math.floor(time / 1000)
+  });
+
+  if (!result) {
+    return null;
+  }
+
+  const step = Math.floor(time / 1000 / TOTP_STEP_SECONDS) + result.delta;
+  if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+    return null;
+  }
+
+  return step;
+};
+
+/**
+ * Hash a backup code for storage and comparison
+ */
+export const hashBackupCode = (code) => {
+  const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of backup codes
+ * Returns the plain codes (shown to the user once) and their hashes
+ */
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ codeHash: hashBackupCode(code), usedAt: null }))
+  };
+};
+
+/**
+ * Mark a matching unused backup code as used
+ * Returns true if a code was consumed
+ */
+export const consumeBackupCode = (backupCodes = [], code) => {
+  const codeHash = hashBackupCode(code);
+  const match = backupCodes.find(entry => !entry.usedAt && entry.codeHash === codeHash);
+
+  if (!match) {
+    return false;
+  }
+
+  match.usedAt = new Date();
+  return true;
+};
+
+/**
+ * Verify a second-factor code for an enrolled user
+ * Accepts either a current TOTP code or an unused backup code and
+ * records the usage on the user document (caller must save)
+ */
+export const verifySecondFactor = (user, code) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor || !twoFactor.secret) {
+    return { valid: false };
+  }
+
+  const step = verifyTotp(twoFactor.secret, code, twoFactor.lastUsedStep);
+  if (step !== null) {
+    twoFactor.lastUsedStep = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  if (consumeBackupCode(twoFactor.backupCodes, code)) {
+    return { valid: true, method: 'backup_code' };
+  }
+
+  return { valid: false };
+};
+
+export default {
+  createTotpSecret,
+  verifyTotp,
+  hashBackupCode,
+  generateBackupCodes,
+  consumeBackupCode,
+  verifySecondFactor
+};
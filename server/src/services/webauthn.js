@@ -0,0 +1,424 @@
+/**
+ * WebAuthn Service
+ *
+ * Passkey registration and passwordless login (WebAuthn Level 2).
+ * Responses are verified locally with Node's crypto module: client data
+ * (type, challenge, origin), authenticator data (RP ID hash, flags, sign
+ * counter) and, for logins, the assertion signature. Attestation
+ * statements are not checked; registration asks for "none" attestation.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import WebAuthnChallenge from '../models/WebAuthnChallenge.js';
+import { decodeCbor, decodeCborFirst } from '../utils/cbor.js';
+import { generateOpaqueToken, parseDuration } from '../utils/tokens.js';
+import { CLIENT_URL } from './emailTemplates.js';
+
+// COSE algorithms offered to authenticators, in order of preference
+export const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+// Authenticator data flag bits
+const FLAGS = {
+  userPresent: 0x01,
+  userVerified: 0x04,
+  backupEligible: 0x08,
+  backedUp: 0x10,
+  attestedCredentialData: 0x40,
+  extensionData: 0x80
+};
+
+/**
+ * Read the relying party configuration from the environment
+ * The RP ID defaults to the client's host name; origins may be a comma-separated list
+ */
+export const getWebAuthnConfig = () => {
+  const origins = (process.env.WEBAUTHN_ORIGIN || CLIENT_URL)
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  return {
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(origins[0]).hostname,
+    rpName: process.env.WEBAUTHN_RP_NAME || 'TaskFlow',
+    origins,
+    timeoutMs: parseDuration(process.env.WEBAUTHN_TIMEOUT, 5 * 60 * 1000)
+  };
+};
+
+/**
+ * Build a failure result
+ */
+const failure = (code, error) => ({ failure: { error, code } });
+
+/**
+ * Decode a base64url field from a browser response
+ */
+const fromBase64Url = (value) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new Error('Expected a base64url string');
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/**
+ * Encode a user ID as a WebAuthn user handle
+ */
+export const toUserHandle = (userId) => Buffer.from(String(userId), 'hex').toString('base64url');
+
+/**
+ * Parse authenticator data
+ * Includes the credential ID and COSE public key when attested credential data is present
+ */
+export const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flagsByte = authData[32];
+  const flags = Object.fromEntries(
+    Object.entries(FLAGS).map(([name, bit]) => [name, (flagsByte & bit) !== 0])
+  );
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (flags.attestedCredentialData) {
+    let offset = 37;
+    parsed.aaguid = authData.subarray(offset, offset + 16);
+    offset += 16;
+    const credentialIdLength = authData.readUInt16BE(offset);
+    offset += 2;
+    parsed.credentialId = authData.subarray(offset, offset + credentialIdLength);
+    offset += credentialIdLength;
+
+    const { length } = decodeCborFirst(authData.subarray(offset));
+    parsed.credentialPublicKey = authData.subarray(offset, offset + length);
+  }
+
+  return parsed;
+};
+
+/**
+ * Convert a COSE public key into a Node KeyObject
+ * Returns { key, algorithm } or throws for unsupported keys
+ */
+export const publicKeyFromCose = (coseKey) => {
+  const cose = decodeCbor(coseKey);
+  const kty = cose.get(1);
+  const algorithm = cose.get(3);
+
+  let jwk;
+  if (algorithm === COSE_ALGORITHMS.ES256 && kty === 2 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: cose.get(-2).toString('base64url'), y: cose.get(-3).toString('base64url') };
+  } else if (algorithm === COSE_ALGORITHMS.EdDSA && kty === 1 && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: cose.get(-2).toString('base64url') };
+  } else if (algorithm === COSE_ALGORITHMS.RS256 && kty === 3) {
+    jwk = { kty: 'RSA', n: cose.get(-1).toString('base64url'), e: cose.get(-2).toString('base64url') };
+  } else {
+    throw new Error(`Unsupported COSE key (kty ${kty}, alg ${algorithm})`);
+  }
+
+  return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithm };
+};
+
+/**
+ * Verify a signature made with a credential's private key
+ */
+const verifySignature = (algorithm, key, data, signature) => {
+  if (algorithm === COSE_ALGORITHMS.EdDSA) {
+    return crypto.verify(null, data, key, signature);
+  }
+  // ES256 signatures are DER encoded, as crypto.verify expects by default
+  return crypto.verify('sha256', data, key, signature);
+};
+
+/**
+ * Read the challenge from a response's client data without verifying it
+ * Used to look up the stored challenge; returns null if unreadable
+ */
+export const readClientChallenge = (credential) => {
+  try {
+    const clientData = JSON.parse(fromBase64Url(credential.response.clientDataJSON).toString('utf8'));
+    return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check the parts shared by registration and login responses:
+ * client data type, challenge and origin, then RP ID hash and flags
+ * Returns { clientDataJSON, authData } or { failure }
+ */
+const verifyCeremony = (clientDataJSON, authDataBuffer, { type, expectedChallenge, config }) => {
+  const clientData = JSON.parse(clientDataJSON.toString('utf8'));
+
+  if (clientData.type !== type) {
+    return failure('WEBAUTHN_INVALID_RESPONSE', `Expected a ${type} response`);
+  }
+
+  if (!expectedChallenge || clientData.challenge !== expectedChallenge) {
+    return failure('WEBAUTHN_CHALLENGE_INVALID', 'Passkey challenge does not match');
+  }
+
+  if (!config.origins.includes(clientData.origin) || clientData.crossOrigin === true) {
+    return failure('WEBAUTHN_ORIGIN_MISMATCH', `Unexpected origin ${clientData.origin}`);
+  }
+
+  const authData = parseAuthenticatorData(authDataBuffer);
+  const expectedRpIdHash = crypto.createHash('sha256').update(config.rpId).digest();
+
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedRpIdHash)) {
+    return failure('WEBAUTHN_RP_MISMATCH', 'Passkey was created for a different site');
+  }
+
+  // Passwordless login stands in for password and second factor, so require both
+  if (!authData.flags.userPresent || !authData.flags.userVerified) {
+    return failure('WEBAUTHN_USER_NOT_VERIFIED', 'The authenticator did not verify the user');
+  }
+
+  return { authData };
+};
+
+/**
+ * Verify a registration (navigator.credentials.create) response
+ * Returns { credential } with the fields to store, or { failure }
+ */
+export const verifyRegistrationResponse = (credential, { expectedChallenge, config = getWebAuthnConfig() }) => {
+  try {
+    if (credential?.type !== 'public-key' || !credential.response) {
+      return failure('WEBAUTHN_INVALID_RESPONSE', 'Not a public key credential');
+    }
+
+    const attestation = decodeCbor(fromBase64Url(credential.response.attestationObject));
+    const authDataBuffer = attestation.get('authData');
+    if (!Buffer.isBuffer(authDataBuffer)) {
+      return failure('WEBAUTHN_INVALID_RESPONSE', 'Attestation is missing authenticator data');
+    }
+
+    const result = verifyCeremony(fromBase64Url(credential.response.clientDataJSON), authDataBuffer, {
+      type: 'webauthn.create',
+      expectedChallenge,
+      config
+    });
+    if (result.failure) return result;
+
+    const { authData } = result;
+    if (!authData.flags.attestedCredentialData || !authData.credentialPublicKey) {
+      return failure('WEBAUTHN_INVALID_RESPONSE', 'Registration is missing the credential public key');
+    }
+
+    const credentialId = authData.credentialId.toString('base64url');
+    if (credential.id !== credentialId) {
+      return failure('WEBAUTHN_INVALID_RESPONSE', 'Credential ID does not match authenticator data');
+    }
+
+    let algorithm;
+    try {
+      ({ algorithm } = publicKeyFromCose(authData.credentialPublicKey));
+    } catch {
+      return failure('WEBAUTHN_UNSUPPORTED_ALGORITHM', 'Passkey uses an unsupported key type');
+    }
+
+    const transports = Array.isArray(credential.response.transports)
+      ? credential.response.transports.filter(transport => typeof transport === 'string').slice(0, 10)
+      : [];
+
+    return {
+      credential: {
+        credentialId,
+        publicKey: authData.credentialPublicKey.toString('base64url'),
+        algorithm,
+        signCount: authData.signCount,
+        transports,
+        aaguid: authData.aaguid.toString('hex'),
+        backedUp: authData.flags.backedUp
+      }
+    };
+  } catch (error) {
+    return failure('WEBAUTHN_INVALID_RESPONSE', `Malformed registration response: ${error.message}`);
+  }
+};
+
+/**
+ * Verify a login (navigator.credentials.get) response against a stored passkey
+ * Returns { signCount, backedUp } or { failure }
+ */
+export const verifyAuthenticationResponse = (credential, { expectedChallenge, passkey, config = getWebAuthnConfig() }) => {
+  try {
+    if (credential?.type !== 'public-key' || !credential.response) {
+      return failure('WEBAUTHN_INVALID_RESPONSE', 'Not a public key credential');
+    }
+
+    if (credential.id !== passkey.credentialId) {
+      return failure('WEBAUTHN_INVALID_RESPONSE', 'Response is for a different passkey');
+    }
+
+    const clientDataJSON = fromBase64Url(credential.response.clientDataJSON);
+    const authDataBuffer = fromBase64Url(credential.response.authenticatorData);
+
+    const result = verifyCeremony(clientDataJSON, authDataBuffer, {
+      type: 'webauthn.get',
+      expectedChallenge,
+      config
+    });
+    if (result.failure) return result;
+
+    const { key, algorithm } = publicKeyFromCose(fromBase64Url(passkey.publicKey));
+    const signedData = Buffer.concat([
+      authDataBuffer,
+      crypto.createHash('sha256').update(clientDataJSON).digest()
+    ]);
+
+    if (!verifySignature(algorithm, key, signedData, fromBase64Url(credential.response.signature))) {
+      return failure('WEBAUTHN_SIGNATURE_INVALID', 'Passkey signature is invalid');
+    }
+
+    // A counter that does not move forward suggests a cloned authenticator.
+    // Authenticators that do not keep a counter always report 0.
+    const { signCount } = result.authData;
+    if ((signCount > 0 || passkey.signCount > 0) && signCount <= passkey.signCount) {
+      return failure('WEBAUTHN_COUNTER_ERROR', 'Passkey sign counter went backwards; it may have been cloned');
+    }
+
+    return { signCount, backedUp: result.authData.flags.backedUp };
+  } catch (error) {
+    return failure('WEBAUTHN_INVALID_RESPONSE', `Malformed login response: ${error.message}`);
+  }
+};
+
+/**
+ * Create registration options for navigator.credentials.create
+ * The challenge is stored until the response comes back
+ */
+export const startPasskeyRegistration = async (user, config = getWebAuthnConfig()) => {
+  const challenge = generateOpaqueToken(32);
+  await WebAuthnChallenge.issue(challenge, 'registration', user._id, config.timeoutMs);
+
+  return {
+    challenge,
+    rp: { id: config.rpId, name: config.rpName },
+    user: {
+      id: toUserHandle(user._id),
+      name: user.email,
+      displayName: user.username
+    },
+    pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+    timeout: config.timeoutMs,
+    attestation: 'none',
+    excludeCredentials: user.passkeys.map(passkey => ({
+      type: 'public-key',
+      id: passkey.credentialId,
+      transports: passkey.transports
+    })),
+    authenticatorSelection: {
+      // Discoverable credentials let users sign in without typing an email
+      residentKey: 'required',
+      requireResidentKey: true,
+      userVerification: 'required'
+    }
+  };
+};
+
+/**
+ * Verify a registration response and add the passkey to the user
+ * Returns { passkey } or { failure }
+ */
+export const finishPasskeyRegistration = async (user, credential, name, config = getWebAuthnConfig()) => {
+  const challenge = credential ? readClientChallenge(credential) : null;
+  const stored = challenge && await WebAuthnChallenge.consume(challenge, 'registration', user._id);
+  if (!stored) {
+    return failure('WEBAUTHN_CHALLENGE_INVALID', 'Passkey registration expired. Please try again.');
+  }
+
+  const result = verifyRegistrationResponse(credential, { expectedChallenge: challenge, config });
+  if (result.failure) return result;
+
+  if (await User.findByPasskeyId(result.credential.credentialId)) {
+    return failure('PASSKEY_EXISTS', 'This passkey is already registered');
+  }
+
+  user.passkeys.push({
+    ...result.credential,
+    name: name || `Passkey ${user.passkeys.length + 1}`
+  });
+  await user.save();
+
+  return { passkey: user.passkeys[user.passkeys.length - 1] };
+};
+
+/**
+ * Create login options for navigator.credentials.get
+ * No credentials are listed, so the browser offers any discoverable passkey for this site
+ */
+export const startPasskeyLogin = async (config = getWebAuthnConfig()) => {
+  const challenge = generateOpaqueToken(32);
+  await WebAuthnChallenge.issue(challenge, 'authentication', null, config.timeoutMs);
+
+  return {
+    challenge,
+    rpId: config.rpId,
+    timeout: config.timeoutMs,
+    userVerification: 'required',
+    allowCredentials: []
+  };
+};
+
+/**
+ * Verify a login response for the user who owns the passkey
+ * Updates the stored sign counter; returns { passkey } or { failure }
+ */
+export const finishPasskeyLogin = async (user, credential, config = getWebAuthnConfig()) => {
+  const challenge = readClientChallenge(credential);
+  const stored = challenge && await WebAuthnChallenge.consume(challenge, 'authentication');
+  if (!stored) {
+    return failure('WEBAUTHN_CHALLENGE_INVALID', 'Passkey login expired. Please try again.');
+  }
+
+  const passkey = user.findPasskey(credential.id);
+  if (!passkey) {
+    return failure('PASSKEY_NOT_FOUND', 'Passkey is not registered');
+  }
+
+  // The user handle, when returned, must name the passkey's owner
+  const { userHandle } = credential.response;
+  if (userHandle && userHandle !== toUserHandle(user._id)) {
+    return failure('WEBAUTHN_INVALID_RESPONSE', 'Passkey belongs to a different user');
+  }
+
+  const result = verifyAuthenticationResponse(credential, { expectedChallenge: challenge, passkey, config });
+  if (result.failure) return result;
+
+  passkey.signCount = result.signCount;
+  passkey.backedUp = result.backedUp;
+  passkey.lastUsedAt = new Date();
+  await user.save();
+
+  return { passkey };
+};
+
+export default {
+  COSE_ALGORITHMS,
+  getWebAuthnConfig,
+  toUserHandle,
+  parseAuthenticatorData,
+  publicKeyFromCose,
+  readClientChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  startPasskeyRegistration,
+  finishPasskeyRegistration,
+  startPasskeyLogin,
+  finishPasskeyLogin
+};
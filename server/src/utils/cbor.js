@@ -0,0 +1,190 @@
+/**
+ * CBOR Utilities
+ *
+ * Minimal CBOR (RFC 8949) encoder and decoder covering what WebAuthn
+ * uses: integers, byte and text strings, arrays, maps, booleans, null
+ * and floats. Maps decode to `Map` so integer COSE keys are preserved.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+/**
+ * Decode one CBOR item starting at `offset`
+ * Returns { value, offset } where offset points past the item
+ */
+const decodeItem = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    throw new Error('CBOR: unexpected end of input');
+  }
+
+  const initial = buffer[offset++];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  const readLength = () => {
+    if (info < 24) return info;
+    if (info === 24) return buffer.readUInt8(offset++);
+    if (info === 25) { const v = buffer.readUInt16BE(offset); offset += 2; return v; }
+    if (info === 26) { const v = buffer.readUInt32BE(offset); offset += 4; return v; }
+    if (info === 27) {
+      const v = buffer.readBigUInt64BE(offset);
+      offset += 8;
+      if (v > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('CBOR: integer too large');
+      return Number(v);
+    }
+    throw new Error(`CBOR: unsupported length encoding ${info}`);
+  };
+
+  switch (major) {
+    case 0:
+      return { value: readLength(), offset };
+    case 1:
+      return { value: -1 - readLength(), offset };
+    case 2:
+    case 3: {
+      const length = readLength();
+      if (offset + length > buffer.length) throw new Error('CBOR: unexpected end of input');
+      const bytes = buffer.subarray(offset, offset + length);
+      return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: offset + length };
+    }
+    case 4: {
+      const length = readLength();
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeItem(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const length = readLength();
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeItem(buffer, offset);
+        const entry = decodeItem(buffer, key.offset);
+        map.set(key.value, entry.value);
+        offset = entry.offset;
+      }
+      return { value: map, offset };
+    }
+    case 6:
+      // Tags carry no meaning for WebAuthn; return the tagged item
+      readLength();
+      return decodeItem(buffer, offset);
+    case 7:
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22 || info === 23) return { value: null, offset };
+      if (info === 25) {
+        // Half-precision float
+        const half = buffer.readUInt16BE(offset);
+        const exponent = (half >> 10) & 0x1f;
+        const mantissa = half & 0x3ff;
+        const sign = half & 0x8000 ? -1 : 1;
+        const value = exponent === 0 ? sign * Math.pow(2, -14) * (mantissa / 1024)
+          : exponent === 31 ? (mantissa ? NaN : sign * Infinity)
+          : sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+        return { value, offset: offset + 2 };
+      }
+      if (info === 26) return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+      if (info === 27) return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+      throw new Error(`CBOR: unsupported simple value ${info}`);
+    default:
+      throw new Error(`CBOR: unsupported major type ${major}`);
+  }
+};
+
+/**
+ * Decode the first CBOR item in a buffer
+ * Returns { value, length } so callers can find data that follows it
+ */
+export const decodeCborFirst = (input) => {
+  const buffer = Buffer.from(input);
+  const { value, offset } = decodeItem(buffer, 0);
+  return { value, length: offset };
+};
+
+/**
+ * Decode a buffer that holds exactly one CBOR item
+ */
+export const decodeCbor = (input) => {
+  const buffer = Buffer.from(input);
+  const { value, length } = decodeCborFirst(buffer);
+  if (length !== buffer.length) {
+    throw new Error('CBOR: trailing bytes after item');
+  }
+  return value;
+};
+
+/**
+ * Encode a major type and length/value header
+ */
+const encodeHeader = (major, length) => {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+  if (length < 0x10000) {
+    const header = Buffer.alloc(3);
+    header[0] = (major << 5) | 25;
+    header.writeUInt16BE(length, 1);
+    return header;
+  }
+  if (length < 0x100000000) {
+    const header = Buffer.alloc(5);
+    header[0] = (major << 5) | 26;
+    header.writeUInt32BE(length, 1);
+    return header;
+  }
+  const header = Buffer.alloc(9);
+  header[0] = (major << 5) | 27;
+  header.writeBigUInt64BE(BigInt(length), 1);
+  return header;
+};
+
+/**
+ * Encode a value as CBOR
+ * Plain objects and Maps become CBOR maps; Buffers/Uint8Arrays become byte strings
+ */
+export const encodeCbor = (value) => {
+  if (value === null || value === undefined) return Buffer.from([0xf6]);
+  if (value === false) return Buffer.from([0xf4]);
+  if (value === true) return Buffer.from([0xf5]);
+
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) {
+      const buffer = Buffer.alloc(9);
+      buffer[0] = 0xfb;
+      buffer.writeDoubleBE(value, 1);
+      return buffer;
+    }
+    return value >= 0 ? encodeHeader(0, value) : encodeHeader(1, -1 - value);
+  }
+
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHeader(3, bytes.length), bytes]);
+  }
+
+  // isView rather than instanceof so typed arrays from other realms still count
+  if (ArrayBuffer.isView(value)) {
+    const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    return Buffer.concat([encodeHeader(2, bytes.length), bytes]);
+  }
+
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHeader(4, value.length), ...value.map(encodeCbor)]);
+  }
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    encodeHeader(5, entries.length),
+    ...entries.flatMap(([key, entry]) => [encodeCbor(key), encodeCbor(entry)])
+  ]);
+};
+
+export default {
+  decodeCbor,
+  decodeCborFirst,
+  encodeCbor
+};
@@ -0,0 +1,151 @@
+/**
+ * Cookie Utilities
+ *
+ * Minimal cookie parsing and serialization so the server does not need
+ * cookie-parser for the few cookies it sets, plus the session cookies of
+ * cookie auth mode (AUTH_COOKIE_MODE).
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+
+// Session cookies of cookie auth mode
+export const ACCESS_COOKIE = 'tf_access';
+export const REFRESH_COOKIE = 'tf_refresh';
+export const CSRF_COOKIE = 'tf_csrf';
+
+// The refresh token is only needed by /api/auth (refresh and logout)
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+/**
+ * Parse a Cookie header into an object
+ */
+export const parseCookies = (header = '') => {
+  return String(header || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .reduce((cookies, part) => {
+      const index = part.indexOf('=');
+      if (index === -1) return cookies;
+
+      const name = part.slice(0, index).trim();
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+      return cookies;
+    }, {});
+};
+
+/**
+ * Read one cookie from a request
+ */
+export const getCookie = (req, name) => parseCookies(req.headers.cookie)[name];
+
+/**
+ * Default attributes for cookies set by the API
+ * Secure is on in production so cookies never travel over plain HTTP
+ */
+export const cookieOptions = (overrides = {}) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/',
+  ...overrides
+});
+
+/**
+ * Get the cookie auth mode: 'off', 'optional' (clients opt in with an
+ * `X-Auth-Mode: cookie` header) or 'required' (browsers always get cookies)
+ */
+export const getCookieMode = () => {
+  const mode = process.env.AUTH_COOKIE_MODE || 'optional';
+  return ['off', 'optional', 'required'].includes(mode) ? mode : 'optional';
+};
+
+/**
+ * Decide whether a login should use session cookies instead of returning
+ * the tokens; `requested` is whether the client asked for cookies
+ */
+export const isCookieSession = (requested) => {
+  const mode = getCookieMode();
+  return mode === 'required' || (mode === 'optional' && !!requested);
+};
+
+/**
+ * Check whether a request asked for cookie auth mode
+ */
+export const wantsCookieSession = (req) => isCookieSession(req.get('X-Auth-Mode') === 'cookie');
+
+/**
+ * Attributes for the session cookies
+ * AUTH_COOKIE_SAMESITE=none is for a frontend on another site and
+ * forces Secure; AUTH_COOKIE_DOMAIN shares the cookies with subdomains
+ */
+const sessionCookieOptions = (overrides = {}) => {
+  const sameSite = ['strict', 'lax', 'none'].includes(process.env.AUTH_COOKIE_SAMESITE)
+    ? process.env.AUTH_COOKIE_SAMESITE
+    : 'lax';
+
+  return cookieOptions({
+    sameSite,
+    ...(sameSite === 'none' ? { secure: true } : {}),
+    ...(process.env.AUTH_COOKIE_DOMAIN ? { domain: process.env.AUTH_COOKIE_DOMAIN } : {}),
+    ...overrides
+  });
+};
+
+/**
+ * Set the access, refresh and CSRF cookies for a session
+ * The CSRF token is readable by scripts (double-submit) and kept across
+ * refreshes; returns it so the response can include it too
+ */
+export const setSessionCookies = (req, res, tokenData) => {
+  const now = Date.now();
+  const refreshMaxAge = new Date(tokenData.refreshExpiresAt).getTime() - now;
+  const csrfToken = getCookie(req, CSRF_COOKIE) || crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(ACCESS_COOKIE, tokenData.token, sessionCookieOptions({
+    maxAge: new Date(tokenData.expiresAt).getTime() - now
+  }));
+  if (tokenData.refreshToken) {
+    res.cookie(REFRESH_COOKIE, tokenData.refreshToken, sessionCookieOptions({
+      maxAge: refreshMaxAge,
+      path: REFRESH_COOKIE_PATH
+    }));
+  }
+  res.cookie(CSRF_COOKIE, csrfToken, sessionCookieOptions({
+    httpOnly: false,
+    maxAge: refreshMaxAge
+  }));
+
+  return csrfToken;
+};
+
+/**
+ * Remove the session cookies (logout, failed refresh)
+ */
+export const clearSessionCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, sessionCookieOptions());
+  res.clearCookie(REFRESH_COOKIE, sessionCookieOptions({ path: REFRESH_COOKIE_PATH }));
+  res.clearCookie(CSRF_COOKIE, sessionCookieOptions({ httpOnly: false }));
+};
+
+export default {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  parseCookies,
+  getCookie,
+  cookieOptions,
+  getCookieMode,
+  isCookieSession,
+  wantsCookieSession,
+  setSessionCookies,
+  clearSessionCookies
+};
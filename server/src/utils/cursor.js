@@ -0,0 +1,94 @@
+/**
+ * Cursor Pagination Utilities
+ *
+ * Opaque cursors for keyset pagination. A cursor holds the sort key and
+ * `_id` of the last item of a page; the next page starts strictly after
+ * that pair, so items inserted or removed elsewhere do not shift pages.
+ * Sorts that cannot be expressed as a range (text relevance) fall back to
+ * an offset kept inside the cursor.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Encode a cursor as base64url JSON
+ */
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+/**
+ * Decode a cursor made by encodeCursor
+ * Returns the payload or null when the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor.length > 1000) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Cursor pointing after `item` in a list sorted by `sortBy`
+ */
+export const cursorAfter = (item, sortBy, sortOrder) => {
+  const value = item[sortBy];
+  return encodeCursor({
+    s: sortBy,
+    o: sortOrder,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: item._id.toString()
+  });
+};
+
+/**
+ * Cursor pointing `offset` items into a list without a range-friendly sort
+ */
+export const offsetCursor = (sortBy, offset) => encodeCursor({ s: sortBy, n: offset });
+
+/**
+ * Turn a decoded keyset cursor into a filter for the items after it
+ * MongoDB sorts null (and missing) values first, so e.g. tasks without a
+ * due date come last in a descending list. Returns null when the cursor
+ * does not belong to this sort
+ */
+export const keysetFilter = (payload, sortBy, sortOrder) => {
+  if (!payload || payload.s !== sortBy || payload.o !== sortOrder || !mongoose.isValidObjectId(payload.id)) {
+    return null;
+  }
+
+  const value = payload.d ? new Date(payload.v) : payload.v ?? null;
+  if (payload.d && Number.isNaN(value.getTime())) {
+    return null;
+  }
+
+  const descending = sortOrder === 'desc';
+  const operator = descending ? '$lt' : '$gt';
+  const sameValue = { [sortBy]: value, _id: { [operator]: new mongoose.Types.ObjectId(payload.id) } };
+
+  if (value === null) {
+    return descending ? sameValue : { $or: [{ [sortBy]: { $ne: null } }, sameValue] };
+  }
+
+  return {
+    $or: [
+      { [sortBy]: { [operator]: value } },
+      ...(descending ? [{ [sortBy]: null }] : []),
+      sameValue
+    ]
+  };
+};
+
+export default {
+  encodeCursor,
+  decodeCursor,
+  cursorAfter,
+  offsetCursor,
+  keysetFilter
+};
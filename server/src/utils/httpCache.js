@@ -0,0 +1,67 @@
+/**
+ * HTTP Cache Utilities
+ *
+ * Weak ETags and conditional GETs. Routes build the ETag from what
+ * identifies a version of the response (ids and `updatedAt` values), so
+ * an unchanged resource can be answered with 304 Not Modified before the
+ * full response is loaded and serialised.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Build a weak ETag from the values that identify a response version
+ */
+export const weakEtag = (parts) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(parts)).digest('base64url');
+  return `W/"${hash}"`;
+};
+
+/**
+ * Check whether a request's If-None-Match header matches an ETag
+ * Uses the weak comparison, as required for If-None-Match
+ */
+export const matchesIfNoneMatch = (req, etag) => {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => opaque(tag) === opaque(etag));
+};
+
+/**
+ * Set the caching headers of a per-user response
+ * Clients may keep the response but must revalidate it every time
+ */
+export const setCacheHeaders = (res, etag) => {
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+  res.vary('Authorization');
+  res.vary('Cookie');
+};
+
+/**
+ * Answer 304 Not Modified when the request already has this version
+ * Returns true when the response was sent
+ */
+export const sendNotModified = (req, res, etag) => {
+  setCacheHeaders(res, etag);
+
+  if (!matchesIfNoneMatch(req, etag)) {
+    return false;
+  }
+
+  res.status(304).end();
+  return true;
+};
+
+export default {
+  weakEtag,
+  matchesIfNoneMatch,
+  setCacheHeaders,
+  sendNotModified
+};
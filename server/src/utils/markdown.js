@@ -0,0 +1,135 @@
+/**
+ * Markdown Utilities
+ *
+ * A small, safe subset of Markdown for task comments:
+ *
+ *   **bold**  *italic*  ~~strike~~  `code`  [text](https://...)
+ *   - lists   1. lists  > quotes    ```fenced code```   @mentions
+ *
+ * Rendering escapes all input first and only ever emits the tags above,
+ * so comments cannot carry raw HTML, scripts or event handlers. Links are
+ * limited to http, https and mailto.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from '../services/emailTemplates.js';
+
+const FENCE = /^```[^\n]*\n([\s\S]*?)(?:\n```[ \t]*(?:\n|$)|$)/;
+const CODE_SPAN = /`([^`\n]+)`/g;
+const LINK = /\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+const MENTION = /(^|[^\w@/.-])@([A-Za-z0-9_][\w.-]{1,28}[A-Za-z0-9_])/g;
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+// Placeholders keep rendered parts away from later replacements; they are
+// marked with a private-use character, which is dropped from the input
+const hold = (held, html) => `\uE000${held.push(html) - 1}\uE000`;
+const release = (held, text) => text.replace(/\uE000(\d+)\uE000/g, (match, index) => held[index]);
+
+/**
+ * Find the usernames mentioned with @username, outside code
+ * Returns unique names in the order they first appear
+ */
+export const extractMentions = (source) => {
+  const text = String(source ?? '')
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(CODE_SPAN, ' ')
+    .replace(LINK, (match, label) => label);
+
+  const names = [];
+  for (const match of text.matchAll(MENTION)) {
+    if (!names.some(name => name.toLowerCase() === match[2].toLowerCase())) {
+      names.push(match[2]);
+    }
+  }
+  return names;
+};
+
+/**
+ * Render inline markup of one line of text
+ * `mentions` maps lowercase usernames to user ids; other @names stay text
+ */
+const renderInline = (text, mentions) => {
+  const held = [];
+
+  let html = text
+    .replace(CODE_SPAN, (match, code) => hold(held, `<code>${escapeHtml(code)}</code>`))
+    .replace(LINK, (match, label, url) => (SAFE_URL.test(url)
+      ? hold(held, `<a href="${escapeHtml(url)}" rel="nofollow noopener noreferrer" target="_blank">${escapeHtml(label)}</a>`)
+      : match));
+
+  html = escapeHtml(html)
+    .replace(MENTION, (match, before, name) => {
+      const userId = mentions.get(name.toLowerCase());
+      return userId
+        ? `${before}${hold(held, `<span class="mention" data-user-id="${escapeHtml(userId)}">@${name}</span>`)}`
+        : match;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+  return release(held, html);
+};
+
+const renderLines = (lines, mentions) => lines.map(line => renderInline(line, mentions)).join('<br>');
+
+/**
+ * Render one block of consecutive non-blank lines
+ */
+const renderBlock = (lines, mentions) => {
+  if (lines.every(line => /^\s*[-*+] /.test(line))) {
+    return `<ul>${lines.map(line => `<li>${renderInline(line.replace(/^\s*[-*+] /, ''), mentions)}</li>`).join('')}</ul>`;
+  }
+  if (lines.every(line => /^\s*\d+[.)] /.test(line))) {
+    return `<ol>${lines.map(line => `<li>${renderInline(line.replace(/^\s*\d+[.)] /, ''), mentions)}</li>`).join('')}</ol>`;
+  }
+  if (lines.every(line => /^\s*>/.test(line))) {
+    return `<blockquote>${renderLines(lines.map(line => line.replace(/^\s*> ?/, '')), mentions)}</blockquote>`;
+  }
+  return `<p>${renderLines(lines, mentions)}</p>`;
+};
+
+/**
+ * Render comment Markdown to safe HTML
+ */
+export const renderMarkdown = (source, { mentions = new Map() } = {}) => {
+  let rest = String(source ?? '').replace(/\r\n?/g, '\n').replace(/\uE000/g, '');
+  const blocks = [];
+  let lines = [];
+
+  const flush = () => {
+    if (lines.length > 0) blocks.push(renderBlock(lines, mentions));
+    lines = [];
+  };
+
+  while (rest.length > 0) {
+    const fence = rest.startsWith('```') ? FENCE.exec(rest) : null;
+    if (fence) {
+      flush();
+      blocks.push(`<pre><code>${escapeHtml(fence[1])}</code></pre>`);
+      rest = rest.slice(fence[0].length);
+      continue;
+    }
+
+    const end = rest.indexOf('\n');
+    const line = end === -1 ? rest : rest.slice(0, end);
+    rest = end === -1 ? '' : rest.slice(end + 1);
+
+    if (line.trim()) {
+      lines.push(line);
+    } else {
+      flush();
+    }
+  }
+  flush();
+
+  return blocks.join('\n');
+};
+
+export default {
+  extractMentions,
+  renderMarkdown
+};
@@ -0,0 +1,166 @@
+/**
+ * Multipart Utilities
+ *
+ * Minimal multipart/form-data (RFC 7578) support for file uploads. The
+ * request body is read into memory up to a size limit, so this is meant
+ * for bounded uploads such as task attachments, not for streaming large
+ * files.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+const HEADER_SEPARATOR = Buffer.from('\r\n\r\n');
+
+// Room for the boundaries and part headers around the file itself
+export const MULTIPART_OVERHEAD = 16 * 1024;
+
+/**
+ * Read a request body of at most `maxBytes`
+ * Rejects with code PAYLOAD_TOO_LARGE as soon as the limit is passed; the
+ * rest of the body is drained so a response can still be sent
+ */
+export const readRequestBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const tooLarge = () => Object.assign(new Error('Request body is too large'), { code: 'PAYLOAD_TOO_LARGE' });
+
+  if (parseInt(req.headers['content-length']) > maxBytes) {
+    req.resume();
+    return reject(tooLarge());
+  }
+
+  const chunks = [];
+  let size = 0;
+  let failed = false;
+
+  req.on('data', (chunk) => {
+    if (failed) return;
+
+    size += chunk.length;
+    if (size > maxBytes) {
+      failed = true;
+      chunks.length = 0;
+      return reject(tooLarge());
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (!failed) resolve(Buffer.concat(chunks));
+  });
+  req.on('error', (error) => {
+    if (!failed) reject(error);
+  });
+});
+
+/**
+ * Get the boundary of a multipart/form-data Content-Type, or null
+ */
+export const getBoundary = (contentType = '') => {
+  if (!/^multipart\/form-data\b/i.test(contentType)) return null;
+
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  return match ? match[1] || match[2] : null;
+};
+
+// Parameters of a Content-Disposition header, e.g. name and filename
+const parseDisposition = (value) => {
+  const params = {};
+  const pattern = /;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+
+  while ((match = pattern.exec(value)) !== null) {
+    const name = match[1].toLowerCase();
+    const raw = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+
+    // RFC 5987 extended value: filename*=UTF-8''na%C3%AFve.txt
+    if (name.endsWith('*')) {
+      const extended = /^([\w-]+)'[\w-]*'(.*)$/.exec(raw);
+      if (extended) {
+        try {
+          params[name.slice(0, -1)] = decodeURIComponent(extended[2]);
+        } catch {
+          // Keep the plain parameter if the encoding is broken
+        }
+      }
+    } else if (params[name] === undefined) {
+      params[name] = raw;
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Parse a multipart/form-data body
+ * Returns { fields, files } where files are { fieldName, filename,
+ * contentType, data }. Throws Error('MULTIPART: ...') on malformed bodies
+ */
+export const parseMultipart = (body, contentType) => {
+  const boundary = getBoundary(contentType);
+  if (!boundary) {
+    throw new Error('MULTIPART: expected multipart/form-data with a boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new Error('MULTIPART: boundary not found');
+  }
+
+  for (;;) {
+    position += delimiter.length;
+
+    // "--" after a delimiter closes the body
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) {
+      break;
+    }
+    if (body[position] !== 0x0d || body[position + 1] !== 0x0a) {
+      throw new Error('MULTIPART: malformed boundary line');
+    }
+    position += 2;
+
+    const headerEnd = body.indexOf(HEADER_SEPARATOR, position);
+    const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), position);
+    if (headerEnd === -1 || next === -1 || headerEnd > next) {
+      throw new Error('MULTIPART: unexpected end of body');
+    }
+
+    const headers = {};
+    for (const line of body.subarray(position, headerEnd).toString('utf8').split('\r\n')) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    const disposition = parseDisposition(headers['content-disposition'] || '');
+    if (!disposition.name) {
+      throw new Error('MULTIPART: part without a field name');
+    }
+
+    const data = body.subarray(headerEnd + HEADER_SEPARATOR.length, next);
+    if (disposition.filename !== undefined) {
+      files.push({
+        fieldName: disposition.name,
+        filename: disposition.filename,
+        contentType: (headers['content-type'] || 'application/octet-stream').toLowerCase(),
+        data: Buffer.from(data)
+      });
+    } else {
+      fields[disposition.name] = data.toString('utf8');
+    }
+
+    position = next + 2;
+  }
+
+  return { fields, files };
+};
+
+export default {
+  MULTIPART_OVERHEAD,
+  readRequestBody,
+  getBoundary,
+  parseMultipart
+};
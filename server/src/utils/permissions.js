@@ -0,0 +1,75 @@
+/**
+ * Permission Catalogue
+ *
+ * Named permissions and the built-in roles that bundle them. Custom
+ * roles (see the Role model) map to a subset of the same permissions.
+ * Reading tasks you created or are assigned to needs no permission.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+export const PERMISSIONS = {
+  'task.read.any': 'View all tasks, not only your own',
+  'task.create': 'Create tasks',
+  'task.comment': 'Comment on tasks',
+  'task.assign': 'Assign tasks to other users',
+  'task.update.any': 'Edit and complete tasks created by others',
+  'task.delete.any': 'Delete tasks created by others',
+  'logs.read': 'View activity logs',
+  'logs.delete': 'Delete activity logs',
+  'users.manage': 'Manage users, roles and lockouts'
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// `user` is the original default role and keeps member rights
+export const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Full access to everything',
+    permissions: PERMISSION_NAMES
+  },
+  manager: {
+    description: 'Runs a team: sees, assigns and edits all tasks',
+    permissions: ['task.read.any', 'task.create', 'task.comment', 'task.assign', 'task.update.any', 'task.delete.any', 'logs.read']
+  },
+  member: {
+    description: 'Works on tasks and creates their own',
+    permissions: ['task.read.any', 'task.create', 'task.comment']
+  },
+  user: {
+    description: 'Default role for new accounts (same as member)',
+    permissions: ['task.read.any', 'task.create', 'task.comment']
+  },
+  viewer: {
+    description: 'Read-only access to all tasks',
+    permissions: ['task.read.any']
+  },
+  guest: {
+    description: 'Sees only tasks shared with them',
+    permissions: []
+  }
+};
+
+export const DEFAULT_ROLE = 'user';
+
+/**
+ * Check whether a role name is built in
+ */
+export const isBuiltInRole = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+
+/**
+ * Check whether every permission in `required` is in `granted`
+ */
+export const hasAllPermissions = (granted, required) => {
+  return required.every(permission => granted.includes(permission));
+};
+
+export default {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  BUILT_IN_ROLES,
+  DEFAULT_ROLE,
+  isBuiltInRole,
+  hasAllPermissions
+};
@@ -0,0 +1,385 @@
+/**
+ * RRULE Utilities
+ *
+ * Minimal recurrence rule (RFC 5545 RRULE) parser and expander for
+ * recurring tasks. Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+ * INTERVAL, COUNT, UNTIL, BYDAY (with ordinals such as 2TU or -1FR for
+ * monthly and yearly rules), BYMONTHDAY (negative values count from the
+ * end of the month), BYMONTH and WKST. The time of day always comes from
+ * the start date; BYSETPOS and the sub-day parts are not supported.
+ *
+ * Occurrences are computed in wall-clock time of an IANA timezone, so a
+ * 09:00 task stays at 09:00 across daylight saving changes.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const MAX_PERIODS = 10000;
+
+const formatters = new Map();
+
+/**
+ * Check that a timezone name is known to the runtime
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+export const toZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+const offsetAt = (utcMs, timeZone) => {
+  const parts = toZonedParts(new Date(utcMs), timeZone);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(utcMs / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * Times skipped by a daylight saving change move forward by the gap
+ */
+export const fromZonedParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wall - offsetAt(wall, timeZone);
+  return new Date(wall - offsetAt(guess, timeZone));
+};
+
+const dayNumber = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const fromDayNumber = (number) => {
+  const date = new Date(number * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const weekdayOf = (number) => new Date(number * DAY_MS).getUTCDay();
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const parseInteger = (key, value, min, max) => {
+  if (!/^[+-]?\d+$/.test(value)) {
+    throw new Error(`RRULE: ${key} must be a number`);
+  }
+  const number = parseInt(value);
+  if (number < min || number > max || number === 0) {
+    throw new Error(`RRULE: ${key} is out of range`);
+  }
+  return number;
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+  if (!match) {
+    throw new Error('RRULE: UNTIL must be a date (YYYYMMDD) or date-time (YYYYMMDDTHHMMSSZ)');
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  return {
+    year: parseInt(year),
+    month: parseInt(month),
+    day: parseInt(day),
+    // A plain date includes the whole day
+    hour: hour === undefined ? 23 : parseInt(hour),
+    minute: minute === undefined ? 59 : parseInt(minute),
+    second: second === undefined ? 59 : parseInt(second),
+    utc: utc === 'Z'
+  };
+};
+
+/**
+ * Parse an RRULE value (with or without the "RRULE:" prefix)
+ * Throws on unknown or unsupported parts
+ */
+export const parseRRule = (value) => {
+  const source = String(value || '').trim().replace(/^RRULE:/i, '');
+  if (!source) {
+    throw new Error('RRULE: rule is empty');
+  }
+
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [], wkst: 1 };
+  const seen = new Set();
+
+  for (const part of source.split(';').filter(Boolean)) {
+    const [rawKey, rawValue, ...rest] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const partValue = (rawValue || '').trim().toUpperCase();
+
+    if (!key || !partValue || rest.length > 0) {
+      throw new Error(`RRULE: malformed part "${part}"`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`RRULE: ${key} is given twice`);
+    }
+    seen.add(key);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(partValue)) {
+          throw new Error(`RRULE: FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = partValue;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger(key, partValue, 1, 1000);
+        break;
+      case 'COUNT':
+        rule.count = parseInteger(key, partValue, 1, 10000);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(partValue);
+        break;
+      case 'BYDAY':
+        rule.byDay = partValue.split(',').map(entry => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+          if (!match) {
+            throw new Error(`RRULE: invalid BYDAY value "${entry}"`);
+          }
+          return {
+            weekday: WEEKDAYS.indexOf(match[2]),
+            ordinal: match[1] ? parseInteger('BYDAY', match[1], -5, 5) : null
+          };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = partValue.split(',').map(entry => parseInteger(key, entry, -31, 31));
+        break;
+      case 'BYMONTH':
+        rule.byMonth = partValue.split(',').map(entry => parseInteger(key, entry, 1, 12));
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(partValue)) {
+          throw new Error('RRULE: WKST must be a weekday');
+        }
+        rule.wkst = WEEKDAYS.indexOf(partValue);
+        break;
+      default:
+        throw new Error(`RRULE: ${key} is not supported`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('RRULE: FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('RRULE: COUNT and UNTIL cannot be combined');
+  }
+  if (rule.byDay.some(entry => entry.ordinal) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('RRULE: BYDAY ordinals need FREQ=MONTHLY or FREQ=YEARLY');
+  }
+
+  return rule;
+};
+
+/**
+ * Format a parsed rule back to its canonical RRULE value
+ */
+export const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  const pad = (number, width = 2) => String(number).padStart(width, '0');
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    const { year, month, day, hour, minute, second, utc } = rule.until;
+    parts.push(`UNTIL=${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}${utc ? 'Z' : ''}`);
+  }
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(entry => `${entry.ordinal || ''}${WEEKDAYS[entry.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.wkst !== 1) parts.push(`WKST=${WEEKDAYS[rule.wkst]}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Days of a month matched by the rule, or `defaultDay` when the rule
+ * names no days
+ */
+const monthDays = (rule, year, month, defaultDay) => {
+  const length = daysInMonth(year, month);
+  let days = null;
+
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : length + day + 1))
+      .filter(day => day >= 1 && day <= length);
+  }
+
+  if (rule.byDay.length) {
+    const first = dayNumber(year, month, 1);
+    const matches = [];
+
+    for (let day = 1; day <= length; day++) {
+      const weekday = weekdayOf(first + day - 1);
+      const fromStart = Math.ceil(day / 7);
+      const fromEnd = -Math.ceil((length - day + 1) / 7);
+      const matched = rule.byDay.some(entry => entry.weekday === weekday &&
+        (!entry.ordinal || entry.ordinal === fromStart || entry.ordinal === fromEnd));
+      if (matched) matches.push(day);
+    }
+
+    days = days ? days.filter(day => matches.includes(day)) : matches;
+  }
+
+  if (!days) {
+    days = defaultDay <= length ? [defaultDay] : [];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map(day => dayNumber(year, month, day));
+};
+
+/**
+ * Candidate days (as day numbers) of the `index`-th period after the start
+ */
+const periodDays = (rule, start, index) => {
+  const startDay = dayNumber(start.year, start.month, start.day);
+  const inMonths = (days) => (rule.byMonth.length
+    ? days.filter(day => rule.byMonth.includes(fromDayNumber(day).month))
+    : days);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + index * rule.interval;
+      const { year, month, day: monthDay } = fromDayNumber(day);
+      const length = daysInMonth(year, month);
+      if (rule.byMonthDay.length && !rule.byMonthDay.some(value => (value > 0 ? value : length + value + 1) === monthDay)) {
+        return [];
+      }
+      if (rule.byDay.length && !rule.byDay.some(entry => entry.weekday === weekdayOf(day))) {
+        return [];
+      }
+      return inMonths([day]);
+    }
+    case 'WEEKLY': {
+      const weekStart = startDay - ((weekdayOf(startDay) - rule.wkst + 7) % 7) + index * rule.interval * 7;
+      const weekdays = rule.byDay.length ? rule.byDay.map(entry => entry.weekday) : [weekdayOf(startDay)];
+      const days = weekdays.map(weekday => weekStart + ((weekday - rule.wkst + 7) % 7));
+      return inMonths([...new Set(days)].sort((a, b) => a - b));
+    }
+    case 'MONTHLY': {
+      const monthIndex = start.year * 12 + (start.month - 1) + index * rule.interval;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      if (rule.byMonth.length && !rule.byMonth.includes(month)) return [];
+      return monthDays(rule, year, month, start.day);
+    }
+    default: {
+      const year = start.year + index * rule.interval;
+      const expandsMonths = rule.byDay.length > 0 || rule.byMonthDay.length > 0;
+      const months = rule.byMonth.length
+        ? [...rule.byMonth].sort((a, b) => a - b)
+        : (expandsMonths ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.month]);
+      return months.flatMap(month => monthDays(rule, year, month, start.day));
+    }
+  }
+};
+
+/**
+ * Iterate the occurrences of a rule starting at `start` in `timeZone`
+ * The start is always the first occurrence, as in RFC 5545
+ */
+export function* iterateOccurrences(rule, start, timeZone) {
+  const startDate = new Date(start);
+  const local = toZonedParts(startDate, timeZone);
+  const until = rule.until
+    ? (rule.until.utc
+      ? new Date(Date.UTC(rule.until.year, rule.until.month - 1, rule.until.day, rule.until.hour, rule.until.minute, rule.until.second))
+      : fromZonedParts(rule.until, timeZone))
+    : null;
+  let emitted = 0;
+
+  const accept = (date) => {
+    if (until && date > until) return false;
+    if (rule.count && emitted >= rule.count) return false;
+    emitted++;
+    return true;
+  };
+
+  if (!accept(startDate)) return;
+  yield startDate;
+
+  for (let index = 0; index < MAX_PERIODS; index++) {
+    for (const day of periodDays(rule, local, index)) {
+      const date = fromZonedParts({ ...fromDayNumber(day), hour: local.hour, minute: local.minute, second: local.second }, timeZone);
+      if (date <= startDate) continue;
+      if (!accept(date)) return;
+      yield date;
+    }
+  }
+}
+
+/**
+ * First occurrence strictly after `after`, or null when the rule has ended
+ */
+export const nextOccurrence = (rule, start, timeZone, after) => {
+  const threshold = new Date(after);
+  for (const date of iterateOccurrences(rule, start, timeZone)) {
+    if (date > threshold) return date;
+  }
+  return null;
+};
+
+/**
+ * Up to `limit` occurrences strictly after `after`
+ */
+export const listOccurrences = (rule, start, timeZone, after, limit = 5) => {
+  const threshold = new Date(after);
+  const dates = [];
+  for (const date of iterateOccurrences(rule, start, timeZone)) {
+    if (dates.length >= limit) break;
+    if (date > threshold) dates.push(date);
+  }
+  return dates;
+};
+
+export default {
+  isValidTimeZone,
+  toZonedParts,
+  fromZonedParts,
+  parseRRule,
+  formatRRule,
+  iterateOccurrences,
+  nextOccurrence,
+  listOccurrences
+};
@@ -0,0 +1,253 @@
+/**
+ * Task Query Parser
+ *
+ * Parses the task search syntax used by `GET /api/tasks?q=`:
+ *
+ *   status:in-progress priority:>=high due:<2026-11-01 tag:backend
+ *   assignee:@me -tag:wontfix "exact phrase" words
+ *
+ * A query is a list of terms separated by spaces. `field:value` filters on
+ * a field, optionally with a comparison (`field:>=value`) or a comma list
+ * of alternatives (`status:pending,in-progress`); a leading `-` negates a
+ * term. Anything else is free text for the full-text index, with quotes
+ * for exact phrases. Values with spaces can be quoted (`tag:"on hold"`).
+ *
+ * The parser only checks syntax and values; turning terms into a database
+ * filter happens in services/taskSearch.js.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+export const MAX_QUERY_LENGTH = 500;
+
+export const STATUSES = ['pending', 'in-progress', 'complete', 'cancelled'];
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+export const FLAGS = ['overdue', 'open', 'closed', 'blocked', 'recurring', 'subtask', 'toplevel'];
+export const DATE_KEYWORDS = ['today', 'tomorrow', 'yesterday'];
+
+const COMPARISONS = ['>=', '<=', '>', '<'];
+
+// Value kind and whether comparisons are allowed, per field
+export const QUERY_FIELDS = {
+  status: { kind: 'status', compare: false },
+  priority: { kind: 'priority', compare: true },
+  due: { kind: 'date', compare: true },
+  created: { kind: 'date', compare: true },
+  updated: { kind: 'date', compare: true },
+  tag: { kind: 'text', compare: false },
+  assignee: { kind: 'user', compare: false },
+  creator: { kind: 'user', compare: false },
+  is: { kind: 'flag', compare: false },
+  estimate: { kind: 'number', compare: true },
+  progress: { kind: 'number', compare: true }
+};
+
+const FIELD_ALIASES = {
+  tags: 'tag',
+  assigned: 'assignee',
+  assignedto: 'assignee',
+  author: 'creator',
+  createdby: 'creator',
+  duedate: 'due'
+};
+
+const syntaxError = (message, position, token = null) => ({
+  error: message,
+  code: 'INVALID_QUERY',
+  details: { position, token }
+});
+
+/**
+ * Split a query into raw tokens, keeping quoted sections together
+ * Returns { tokens } or { failure }
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    if (/\s/.test(source[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    let raw = '';
+
+    while (index < source.length && !/\s/.test(source[index])) {
+      if (source[index] === '"') {
+        const end = source.indexOf('"', index + 1);
+        if (end === -1) {
+          return { failure: syntaxError(`Unterminated quote at position ${index + 1}.`, index) };
+        }
+        raw += source.slice(index, end + 1);
+        index = end + 1;
+      } else {
+        raw += source[index++];
+      }
+    }
+
+    tokens.push({ raw, start });
+  }
+
+  return { tokens };
+};
+
+const unquote = (value) => (/^".*"$/.test(value) ? value.slice(1, -1) : value);
+
+/**
+ * Parse a date value: YYYY-MM-DD or today, tomorrow, yesterday
+ * Returns { year, month, day } or { keyword }, or null when invalid
+ */
+export const parseDateValue = (value) => {
+  if (DATE_KEYWORDS.includes(value)) {
+    return { keyword: value };
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(part => parseInt(part));
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+  return { year, month, day };
+};
+
+/**
+ * Check one value of a field term
+ * Returns the normalised value or a failure
+ */
+const parseValue = (field, value, position) => {
+  const { kind } = QUERY_FIELDS[field];
+  const lower = value.toLowerCase();
+
+  switch (kind) {
+    case 'status':
+      if (STATUSES.includes(lower)) return { value: lower };
+      return { failure: syntaxError(`Unknown status "${value}". Use one of ${STATUSES.join(', ')}.`, position, value) };
+    case 'priority':
+      if (PRIORITIES.includes(lower)) return { value: lower };
+      return { failure: syntaxError(`Unknown priority "${value}". Use one of ${PRIORITIES.join(', ')}.`, position, value) };
+    case 'flag':
+      if (FLAGS.includes(lower)) return { value: lower };
+      return { failure: syntaxError(`Unknown flag "is:${value}". Use one of ${FLAGS.join(', ')}.`, position, value) };
+    case 'date': {
+      const date = parseDateValue(lower);
+      if (date) return { value: date };
+      return { failure: syntaxError(`Invalid date "${value}". Use YYYY-MM-DD, today, tomorrow or yesterday.`, position, value) };
+    }
+    case 'number':
+      if (/^\d+(\.\d+)?$/.test(value)) return { value: parseFloat(value) };
+      return { failure: syntaxError(`"${field}" needs a number, got "${value}".`, position, value) };
+    case 'user':
+      return { value: lower === '@me' ? '@me' : value };
+    default:
+      return { value };
+  }
+};
+
+/**
+ * Parse a field term such as `priority:>=high` or `-tag:a,b`
+ * Returns { term } or { failure }
+ */
+const parseFieldTerm = (token, negated, name, rest) => {
+  const field = FIELD_ALIASES[name.toLowerCase()] || name.toLowerCase();
+  const position = token.start;
+
+  if (!QUERY_FIELDS[field]) {
+    return {
+      failure: syntaxError(
+        `Unknown field "${name}" at position ${position + 1}. Use one of ${Object.keys(QUERY_FIELDS).join(', ')}, or quote the text.`,
+        position,
+        token.raw
+      )
+    };
+  }
+
+  let operator = '=';
+  let body = rest;
+  const comparison = COMPARISONS.find(candidate => body.startsWith(candidate));
+  if (comparison) {
+    operator = comparison;
+    body = body.slice(comparison.length);
+  } else if (body.startsWith('=')) {
+    body = body.slice(1);
+  }
+
+  if (operator !== '=' && !QUERY_FIELDS[field].compare) {
+    return { failure: syntaxError(`"${field}" cannot be compared with ${operator}.`, position, token.raw) };
+  }
+
+  const rawValues = /^".*"$/.test(body) ? [unquote(body)] : body.split(',').map(unquote);
+  if (rawValues.length === 0 || rawValues.some(value => !value.trim())) {
+    return { failure: syntaxError(`Missing value for "${field}" at position ${position + 1}.`, position, token.raw) };
+  }
+
+  if (operator !== '=' && rawValues.length > 1) {
+    return { failure: syntaxError(`"${field}:${operator}" takes a single value.`, position, token.raw) };
+  }
+
+  const values = [];
+  for (const rawValue of rawValues) {
+    const { value, failure } = parseValue(field, rawValue.trim(), position);
+    if (failure) return { failure };
+    values.push(value);
+  }
+
+  return { term: { field, operator, values, negated, position } };
+};
+
+/**
+ * Parse a task query
+ * Returns { query: { terms, text } } or { failure } with the position of
+ * the problem in `details.position`
+ */
+export const parseTaskQuery = (input) => {
+  const source = String(input ?? '');
+
+  if (source.length > MAX_QUERY_LENGTH) {
+    return { failure: syntaxError(`Queries cannot be longer than ${MAX_QUERY_LENGTH} characters.`, MAX_QUERY_LENGTH) };
+  }
+
+  const { tokens, failure } = tokenize(source);
+  if (failure) return { failure };
+
+  const terms = [];
+  const text = [];
+
+  for (const token of tokens) {
+    const negated = token.raw.length > 1 && token.raw.startsWith('-');
+    const body = negated ? token.raw.slice(1) : token.raw;
+    const field = /^([A-Za-z]+):(.*)$/.exec(body);
+
+    if (field && !body.startsWith('"')) {
+      const { term, failure: termFailure } = parseFieldTerm(token, negated, field[1], field[2]);
+      if (termFailure) return { failure: termFailure };
+      terms.push(term);
+      continue;
+    }
+
+    const value = unquote(body).trim();
+    if (value.includes('"')) {
+      return { failure: syntaxError(`Unexpected quote in "${token.raw}" at position ${token.start + 1}.`, token.start, token.raw) };
+    }
+    if (value) {
+      text.push({ value, phrase: /^".*"$/.test(body), negated });
+    }
+  }
+
+  return { query: { terms, text } };
+};
+
+export default {
+  MAX_QUERY_LENGTH,
+  STATUSES,
+  PRIORITIES,
+  FLAGS,
+  DATE_KEYWORDS,
+  QUERY_FIELDS,
+  parseDateValue,
+  parseTaskQuery
+};
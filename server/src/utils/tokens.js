@@ -0,0 +1,54 @@
+/**
+ * Token Utilities
+ *
+ * Helpers for opaque tokens (refresh, reset, etc.) that are handed to
+ * clients once and stored only as hashes, plus duration parsing for
+ * the *_EXPIRES_IN environment variables.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Generate a random URL-safe opaque token
+ */
+export const generateOpaqueToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Hash an opaque token for storage and lookup
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Parse a duration such as "15m", "24h", "7d" or a number of seconds
+ * Returns milliseconds, or the fallback when the value is missing or invalid
+ */
+export const parseDuration = (value, fallbackMs) => {
+  if (value === undefined || value === null || value === '') {
+    return fallbackMs;
+  }
+
+  const match = String(value).trim().match(/^(\d+)\s*([smhd])?$/i);
+  if (!match) {
+    return fallbackMs;
+  }
+
+  const amount = parseInt(match[1]);
+  const unit = (match[2] || 's').toLowerCase();
+  return amount * DURATION_UNITS[unit];
+};
+
+export default {
+  generateOpaqueToken,
+  hashToken,
+  parseDuration
+};
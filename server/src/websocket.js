@@ -1,7 +1,27 @@
 import { WebSocketServer as WSServer } from 'ws';
-import jwt from 'jsonwebtoken';
 import User from './models/User.js';
 import Task from './models/Task.js';
+import { verifyAccessToken } from './middleware/auth.js';
+import { logAccountEvent } from './middleware/logging.js';
+import { isTrustedOrigin } from './middleware/csrf.js';
+import { getCookie, ACCESS_COOKIE } from './utils/cookies.js';
+import { sessionEvents } from './services/sessionService.js';
+import { getRolePermissions } from './services/roleService.js';
+import { snapshotTask, recordTaskChanges } from './services/taskHistory.js';
+import { rollUpAncestors } from './services/taskHierarchy.js';
+import { commentEvents, addComment, editComment, deleteComment, findTaskComment } from './services/taskComments.js';
+import { bulkEvents } from './services/taskBulk.js';
+
+// Sessions ended by their own client are closed without a notice
+const SILENT_REVOKE_REASONS = ['logout', 'impersonation_ended'];
+
+// Fields task_update may change; status, progress and moves go through the
+// REST API, which checks subtasks, dependencies and roll-ups
+const LIVE_EDIT_FIELDS = ['title', 'description', 'priority', 'dueDate', 'tags', 'estimatedHours', 'actualHours'];
+
+// Messages that change data; sent while impersonating they are logged with
+// the admin behind them, like impersonated HTTP requests
+const MUTATING_MESSAGES = ['task_update', 'task_assignment', 'task_comment', 'task_comment_edit', 'task_comment_delete'];
 
 class WebSocketServer {
   constructor(server) {
@@ -10,23 +30,38 @@ class WebSocketServer {
     this.rooms = new Map(); // Map to store room members
     
     this.setupWebSocket();
+    sessionEvents.on('revoked', (event) => this.handleSessionRevoked(event));
+
+    // Comments from REST and WebSocket alike go out from here
+    commentEvents.on('created', (event) => this.broadcastCommentEvent('task_commented', event));
+    commentEvents.on('updated', (event) => this.broadcastCommentEvent('task_comment_updated', event));
+    commentEvents.on('deleted', (event) => this.broadcastCommentEvent('task_comment_deleted', event));
+    commentEvents.on('mentioned', (event) => this.notifyMentionedUsers(event));
+
+    // One message per bulk operation (or undo) instead of one per task
+    bulkEvents.on('updated', (event) => this.broadcastBulkUpdate(event));
   }
 
   setupWebSocket() {
     this.wss.on('connection', async (ws, req) => {
       try {
         // Authenticate the connection
-        const user = await this.authenticateConnection(req);
-        if (!user) {
+        const auth = await this.authenticateConnection(req);
+        if (!auth) {
           ws.close(4001, 'Authentication failed');
           return;
         }
+        const { user, sessionId, impersonation } = auth;
 
         // Store client connection
         this.clients.set(ws, {
           userId: user._id,
           username: user.username,
           role: user.role,
+          sessionId: sessionId,
+          impersonation: impersonation,
+          ipAddress: req.socket.remoteAddress,
+          userAgent: req.headers['user-agent'],
           ws: ws
         });
 
@@ -77,23 +112,31 @@ class WebSocketServer {
 
   async authenticateConnection(req) {
     try {
-      // Extract token from query string or headers
-      const token = req.url.split('token=')[1] || req.headers.authorization?.split(' ')[1];
+      // Explicit tokens (Authorization header or ?token=) win; browsers in
+      // cookie auth mode send the httpOnly session cookie instead
+      const explicitToken = req.headers.authorization?.split(' ')[1]
+        || new URL(req.url, 'http://localhost').searchParams.get('token');
+      const token = explicitToken || getCookie(req, ACCESS_COOKIE);
       
       if (!token) {
         return null;
       }
-
-      // Verify JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      // Get user from database
-      const user = await User.findById(decoded.userId);
-      if (!user || !user.isActive) {
+      // Any site can open a WebSocket with the user's cookies, so cookie
+      // handshakes must come from a trusted frontend
+      if (!explicitToken && !isTrustedOrigin(req.headers.origin)) {
+        console.warn(`WebSocket cookie authentication rejected for origin ${req.headers.origin}`);
+        return null;
+      }
+
+      // Verify JWT token, user and session revocation (same checks as HTTP)
+      const { user, decoded, impersonation, failure } = await verifyAccessToken(token);
+      if (failure) {
+        console.warn(`WebSocket authentication rejected: ${failure.code}`);
         return null;
       }
 
-      return user;
+      return { user, sessionId: decoded.sid || null, impersonation };
     } catch (error) {
       console.error('WebSocket authentication error:', error);
       return null;
@@ -103,6 +146,19 @@ class WebSocketServer {
   async handleMessage(ws, message, user) {
     const { type, data, roomId, targetUserId } = message;
 
+    const clientInfo = this.clients.get(ws);
+    const actor = this.impersonator(ws);
+    if (actor && MUTATING_MESSAGES.includes(type)) {
+      await logAccountEvent(
+        user,
+        'impersonated_request',
+        clientInfo.ipAddress,
+        clientInfo.userAgent,
+        { requestAction: `websocket_${type}`, impersonationSessionId: clientInfo.sessionId, taskId: data?.taskId },
+        actor
+      );
+    }
+
     switch (type) {
       case 'join_room':
         await this.joinRoom(ws, roomId, user);
@@ -120,6 +176,14 @@ class WebSocketServer {
         await this.broadcastTaskComment(ws, data, user);
         break;
       
+      case 'task_comment_edit':
+        await this.editTaskComment(ws, data, user);
+        break;
+      
+      case 'task_comment_delete':
+        await this.deleteTaskComment(ws, data, user);
+        break;
+      
       case 'user_typing':
         await this.broadcastUserTyping(ws, data, user);
         break;
@@ -202,36 +266,65 @@ class WebSocketServer {
     }
   }
 
+  // The admin impersonating the user of a connection, or null
+  impersonator(ws) {
+    return this.clients.get(ws)?.impersonation?.actor || null;
+  }
+
+  // Load a task the user may edit (task.update.any or its creator), or null
+  async loadEditableTask(taskId, user) {
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return null;
+    }
+
+    const permissions = await getRolePermissions(user.role);
+    const canEdit = permissions.includes('task.update.any') || task.createdBy.toString() === user._id.toString();
+    return canEdit ? { task, permissions } : null;
+  }
+
   async broadcastTaskUpdate(ws, taskData, user) {
-    const { taskId, updates } = taskData;
+    const { taskId, updates = {} } = taskData;
     
     // Update task in database
     try {
-      const task = await Task.findByIdAndUpdate(
-        taskId,
-        { ...updates, lastModified: new Date() },
-        { new: true }
-      );
-
-      if (task) {
-        // Broadcast to all users (or specific room if implemented)
-        this.broadcastToAll({
-          type: 'task_updated',
-          task: {
-            id: task._id,
-            title: task.title,
-            status: task.status,
-            priority: task.priority,
-            assignedTo: task.assignedTo,
-            lastModified: task.lastModified
-          },
-          updatedBy: {
-            id: user._id,
-            username: user.username
-          },
-          timestamp: new Date().toISOString()
-        });
+      const { task } = await this.loadEditableTask(taskId, user) || {};
+      if (!task) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: 'Task not found'
+        }));
+        return;
       }
+
+      const before = snapshotTask(task);
+      LIVE_EDIT_FIELDS
+        .filter(field => updates[field] !== undefined)
+        // A parent's estimate is the sum of its subtasks' estimates
+        .filter(field => field !== 'estimatedHours' || task.subtaskCount === 0)
+        .forEach(field => task.set(field, updates[field]));
+      const estimateChanged = task.isModified('estimatedHours');
+      await task.save();
+      if (estimateChanged) await rollUpAncestors(task);
+      await recordTaskChanges(task, before, { actor: this.impersonator(ws) || user, source: 'websocket', action: 'update' });
+
+      // Broadcast to all users (or specific room if implemented)
+      this.broadcastToAll({
+        type: 'task_updated',
+        task: {
+          id: task._id,
+          title: task.title,
+          status: task.status,
+          priority: task.priority,
+          assignedTo: task.assignedTo,
+          lastModified: task.updatedAt
+        },
+        updatedBy: {
+          id: user._id,
+          username: user.username
+        },
+        timestamp: new Date().toISOString()
+      });
     } catch (error) {
       console.error('Error updating task:', error);
       ws.send(JSON.stringify({
@@ -241,49 +334,208 @@ class WebSocketServer {
     }
   }
 
+  // Load a task the user may see (task.read.any or a participant), or null
+  async loadVisibleTask(taskId, user) {
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return null;
+    }
+
+    const permissions = await getRolePermissions(user.role);
+    const isParticipant = [task.assignedTo, task.createdBy].some(ref => ref?.toString() === user._id.toString());
+    return isParticipant || permissions.includes('task.read.any') ? { task, permissions } : null;
+  }
+
+  sendError(ws, message) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      message
+    }));
+  }
+
+  // Add a comment through the comment service; the 'created' event broadcasts it
   async broadcastTaskComment(ws, commentData, user) {
-    const { taskId, comment } = commentData;
+    const { taskId, content, comment, parentId } = commentData;
     
     try {
-      // Add comment to task
-      const task = await Task.findByIdAndUpdate(
-        taskId,
-        {
-          $push: {
-            comments: {
-              text: comment,
-              author: user._id,
-              timestamp: new Date()
-            }
-          }
-        },
-        { new: true }
-      );
+      const { task, permissions } = await this.loadVisibleTask(taskId, user) || {};
+      if (!task) {
+        return this.sendError(ws, 'Task not found');
+      }
 
-      if (task) {
-        // Broadcast comment to all users
-        this.broadcastToAll({
-          type: 'task_commented',
-          taskId,
-          comment: {
-            text: comment,
-            author: {
-              id: user._id,
-              username: user.username
+      if (!permissions.includes('task.comment')) {
+        return this.sendError(ws, 'You cannot comment on tasks');
+      }
+
+      // `comment` is the field name older clients send
+      const { failure } = await addComment(task, user, { content: content ?? comment, parentId }, { source: 'websocket' });
+      if (failure) {
+        return this.sendError(ws, failure.error);
+      }
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      this.sendError(ws, 'Failed to add comment');
+    }
+  }
+
+  async editTaskComment(ws, commentData, user) {
+    const { taskId, commentId, content } = commentData;
+
+    try {
+      const { task, permissions } = await this.loadVisibleTask(taskId, user) || {};
+      const existing = task ? await findTaskComment(task._id, commentId) : null;
+      if (!existing) {
+        return this.sendError(ws, 'Comment not found');
+      }
+
+      if (!permissions.includes('task.comment') || existing.author.toString() !== user._id.toString()) {
+        return this.sendError(ws, 'You can only edit your own comments');
+      }
+
+      const { failure } = await editComment(task, existing, content, user);
+      if (failure) {
+        return this.sendError(ws, failure.error);
+      }
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      this.sendError(ws, 'Failed to edit comment');
+    }
+  }
+
+  async deleteTaskComment(ws, commentData, user) {
+    const { taskId, commentId } = commentData;
+
+    try {
+      const { task, permissions } = await this.loadVisibleTask(taskId, user) || {};
+      const existing = task ? await findTaskComment(task._id, commentId) : null;
+      if (!existing) {
+        return this.sendError(ws, 'Comment not found');
+      }
+
+      if (existing.author.toString() !== user._id.toString() && !permissions.includes('task.update.any')) {
+        return this.sendError(ws, 'You can only delete your own comments');
+      }
+
+      await deleteComment(task, existing, user);
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      this.sendError(ws, 'Failed to delete comment');
+    }
+  }
+
+  // Check whether a connected client can see a task
+  // `readAny` caches task.read.any per role for one broadcast
+  async clientCanSee(clientInfo, task, readAny) {
+    const participants = [task.assignedTo, task.createdBy].filter(Boolean).map(ref => (ref._id || ref).toString());
+    if (participants.includes(clientInfo.userId.toString())) {
+      return true;
+    }
+
+    if (!readAny.has(clientInfo.role)) {
+      readAny.set(clientInfo.role, (await getRolePermissions(clientInfo.role)).includes('task.read.any'));
+    }
+    return readAny.get(clientInfo.role);
+  }
+
+  // Send a comment event to the connected users who can see the task
+  async broadcastCommentEvent(type, { task, comment }) {
+    try {
+      const readAny = new Map();
+
+      for (const [ws, clientInfo] of this.clients) {
+        if (!(await this.clientCanSee(clientInfo, task, readAny))) continue;
+
+        try {
+          ws.send(JSON.stringify({
+            type,
+            data: {
+              taskId: task._id,
+              taskTitle: task.title,
+              comment
             },
             timestamp: new Date().toISOString()
-          }
-        });
+          }));
+        } catch (error) {
+          console.error('Error sending comment event:', error);
+        }
       }
     } catch (error) {
-      console.error('Error adding comment:', error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Failed to add comment'
-      }));
+      console.error('Error broadcasting comment:', error);
+    }
+  }
+
+  // Send a bulk operation to each connected user, with the tasks they can see
+  async broadcastBulkUpdate({ batchId, operation, value, undone, tasks, actor }) {
+    try {
+      const readAny = new Map();
+
+      for (const [ws, clientInfo] of this.clients) {
+        const visible = [];
+        for (const task of tasks) {
+          if (await this.clientCanSee(clientInfo, task, readAny)) visible.push(task);
+        }
+        if (visible.length === 0) continue;
+
+        try {
+          ws.send(JSON.stringify({
+            type: 'tasks_bulk_updated',
+            data: {
+              batchId,
+              operation,
+              value,
+              undone,
+              tasks: visible.map(task => ({
+                id: task._id,
+                title: task.title,
+                status: task.status,
+                priority: task.priority,
+                assignedTo: task.assignedTo,
+                lastModified: task.updatedAt
+              })),
+              updatedBy: {
+                id: actor._id,
+                username: actor.username
+              }
+            },
+            timestamp: new Date().toISOString()
+          }));
+        } catch (error) {
+          console.error('Error sending bulk update:', error);
+        }
+      }
+    } catch (error) {
+      console.error('Error broadcasting bulk update:', error);
     }
   }
 
+  // Tell mentioned users who are online; the service has checked their access
+  notifyMentionedUsers({ task, comment, userIds, actor }) {
+    this.clients.forEach((clientInfo, ws) => {
+      if (!userIds.includes(clientInfo.userId.toString())) {
+        return;
+      }
+
+      try {
+        ws.send(JSON.stringify({
+          type: 'notification',
+          notification: {
+            type: 'mention',
+            message: `${actor.username} mentioned you on "${task.title}"`,
+            taskId: task._id,
+            commentId: comment._id,
+            from: {
+              id: actor._id,
+              username: actor.username
+            },
+            timestamp: new Date().toISOString()
+          }
+        }));
+      } catch (error) {
+        console.error('Error sending mention notification:', error);
+      }
+    });
+  }
+
   async broadcastUserTyping(ws, data, user) {
     const { roomId, isTyping } = data;
     
@@ -355,34 +607,45 @@ class WebSocketServer {
   }
 
   async broadcastTaskAssignment(ws, assignmentData, user) {
-    const { taskId, assignedTo, assignedBy } = assignmentData;
+    const { taskId, assignedTo } = assignmentData;
     
     try {
-      // Update task assignment in database
-      const task = await Task.findByIdAndUpdate(
-        taskId,
-        {
-          assignedTo: assignedTo,
-          assignedBy: assignedBy,
-          assignedAt: new Date()
-        },
-        { new: true }
-      );
+      const { task, permissions } = await this.loadEditableTask(taskId, user) || {};
+      if (!task) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: 'Task not found'
+        }));
+        return;
+      }
 
-      if (task) {
-        // Broadcast assignment to all users
-        this.broadcastToAll({
-          type: 'task_assigned',
-          task: {
-            id: task._id,
-            title: task.title,
-            assignedTo: task.assignedTo,
-            assignedBy: task.assignedBy,
-            assignedAt: task.assignedAt
-          },
-          timestamp: new Date().toISOString()
-        });
+      // Assigning to someone else needs task.assign
+      if (assignedTo?.toString() !== user._id.toString() && !permissions.includes('task.assign')) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: 'You can only assign tasks to yourself'
+        }));
+        return;
       }
+
+      // Update task assignment in database
+      const before = snapshotTask(task);
+      task.assignedTo = assignedTo;
+      await task.save();
+      await recordTaskChanges(task, before, { actor: this.impersonator(ws) || user, source: 'websocket', action: 'assign' });
+
+      // Broadcast assignment to all users
+      this.broadcastToAll({
+        type: 'task_assigned',
+        task: {
+          id: task._id,
+          title: task.title,
+          assignedTo: task.assignedTo,
+          assignedBy: user._id,
+          assignedAt: task.updatedAt
+        },
+        timestamp: new Date().toISOString()
+      });
     } catch (error) {
       console.error('Error assigning task:', error);
       ws.send(JSON.stringify({
@@ -499,6 +762,37 @@ class WebSocketServer {
     }
   }
 
+  // Tell the clients of a revoked session to login again, then disconnect them
+  // A null sessionId revokes every session of the user but exceptSessionId
+  handleSessionRevoked({ userId, sessionId, exceptSessionId = null, reason }) {
+    this.clients.forEach((clientInfo, ws) => {
+      if (clientInfo.userId.toString() !== userId) {
+        return;
+      }
+
+      const revoked = sessionId
+        ? clientInfo.sessionId === sessionId
+        : !exceptSessionId || clientInfo.sessionId !== exceptSessionId;
+      if (!revoked) {
+        return;
+      }
+
+      try {
+        if (!SILENT_REVOKE_REASONS.includes(reason)) {
+          ws.send(JSON.stringify({
+            type: 'session_revoked',
+            data: { reason },
+            timestamp: new Date().toISOString()
+          }));
+        }
+        ws.close(4003, 'Session revoked');
+      } catch (error) {
+        console.error('Error notifying revoked session:', error);
+        this.handleDisconnect(ws);
+      }
+    });
+  }
+
   // Get online users count
   getOnlineUsersCount() {
     return this.clients.size;
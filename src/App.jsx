@@ -21,6 +21,8 @@ import Login from './components/auth/Login';
 import Signup from './components/auth/Signup';
 import ForgotPassword from './components/auth/ForgotPassword';
 import ResetPassword from './components/auth/ResetPassword';
+import OidcCallback from './components/auth/OidcCallback';
+import VerifyEmail from './components/auth/VerifyEmail';
 import Dashboard from './pages/UserPages/Dashboard';
 import ProfilePage from './pages/UserPages/ProfilePage';
 import CalendarPage from './pages/UserPages/CalendarPage';
@@ -57,6 +59,8 @@ function App() {
                 <Route path="/signup" element={<Signup />} />
                 <Route path="/forgot-password" element={<ForgotPassword />} />
                 <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/oidc/callback" element={<OidcCallback />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
 
                 {/* Protected User Routes */}
                 <Route path="/user" element={<ProtectedRoute />}>
@@ -1,169 +1,1117 @@
+import { createPasskey, getPasskeyAssertion } from "./utils/webauthn";
+
 const API_URL = "http://localhost:5001/api";
 
+// Cookie auth mode (VITE_AUTH_COOKIES=true): the server keeps the session in
+// httpOnly cookies, so requests carry credentials and the CSRF token instead
+// of a bearer token from localStorage
+export const COOKIE_AUTH = import.meta.env.VITE_AUTH_COOKIES === "true";
+
+const readCookie = (name) => {
+  const match = document.cookie.split("; ").find((cookie) => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+export const apiFetch = (url, options = {}) => {
+  const headers = { ...(options.headers || {}) };
+
+  // No stored token (cookie mode): don't send "Bearer null"
+  if (headers.Authorization === "Bearer null") {
+    delete headers.Authorization;
+  }
+
+  if (!COOKIE_AUTH) {
+    return fetch(url, { ...options, headers });
+  }
+
+  headers["X-Auth-Mode"] = "cookie";
+  const csrfToken = localStorage.getItem("csrfToken") || readCookie("tf_csrf");
+  if (csrfToken) {
+    headers["X-CSRF-Token"] = csrfToken;
+  }
+
+  return fetch(url, { ...options, headers, credentials: "include" });
+};
+
+// Responses of task GETs with their ETag, per user and URL. Repeat requests
+// send If-None-Match; on 304 the cached data object itself is returned, so
+// components holding it can skip re-rendering unchanged data
+const MAX_CACHED_RESPONSES = 50;
+const responseCache = new Map();
+
+const conditionalGet = async (url, headers) => {
+  const key = `${localStorage.getItem("userId")}:${url}`;
+  const cached = responseCache.get(key);
+
+  const response = await apiFetch(url, {
+    headers: cached ? { ...headers, "If-None-Match": cached.etag } : headers
+  });
+
+  if (response.status === 304 && cached) {
+    return { response, data: cached.data };
+  }
+
+  const data = await response.json();
+  const etag = response.headers.get("ETag");
+
+  // Re-inserting keeps the Map in least recently stored order
+  responseCache.delete(key);
+  if (response.ok && etag) {
+    responseCache.set(key, { etag, data });
+    if (responseCache.size > MAX_CACHED_RESPONSES) {
+      responseCache.delete(responseCache.keys().next().value);
+    }
+  }
+
+  return { response, data };
+};
+
+export const clearResponseCache = () => responseCache.clear();
+
+// Store the session from a login response; in cookie mode only the CSRF
+// token and user details are kept, the tokens stay in httpOnly cookies
+export const storeSession = (data, user = data.user) => {
+  if (data.token) {
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("refreshToken", data.refreshToken || "");
+    localStorage.removeItem("authMode");
+  } else if (data.authMode === "cookie") {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    localStorage.setItem("authMode", "cookie");
+    localStorage.setItem("csrfToken", data.csrfToken || "");
+  }
+
+  localStorage.setItem("userRole", user.role);
+  localStorage.setItem("userId", user.id);
+  localStorage.setItem("email", user.email);
+};
+
+// `q` takes the task query syntax; syntax errors are thrown with code
+// INVALID_QUERY and the position of the problem in `details.position`.
+// Pass `pagination.nextCursor` back as `cursor` for the next page, and
+// `include: "total,stats"` to get counts (they cost a full scan)
 export const fetchTasks = async (filters = {}) => {
   const queryParams = new URLSearchParams(filters).toString();
   const url = queryParams ? `${API_URL}/tasks?${queryParams}` : `${API_URL}/tasks`;
   
-  const response = await fetch(url, {
+  const { response, data } = await conditionalGet(url, {
+    "Content-Type": "application/json",
+    "Authorization": `Bearer ${localStorage.getItem('token')}`
+  });
+  
+  if (!response.ok) {
+    throw fieldError(data, `Failed to fetch tasks: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// Without a field the query field names are suggested
+export const fetchQuerySuggestions = async (field, prefix = "") => {
+  const params = new URLSearchParams(field ? { field, prefix } : { prefix });
+  const response = await apiFetch(`${API_URL}/tasks/query-suggestions?${params}`, {
     headers: {
-      "Content-Type": "application/json",
       "Authorization": `Bearer ${localStorage.getItem('token')}`
     }
   });
   
   if (!response.ok) {
-    throw new Error(`Failed to fetch tasks: ${response.statusText}`);
+    throw new Error(`Failed to fetch suggestions: ${response.statusText}`);
   }
   
   return await response.json();
 };
 
 export const getTaskById = async (id) => {
-  const response = await fetch(`${API_URL}/tasks/${id}`, {
+  const { response, data } = await conditionalGet(`${API_URL}/tasks/${id}`, {
+    "Authorization": `Bearer ${localStorage.getItem('token')}`
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch task: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// Rejected with code OPEN_SUBTASKS unless `cascade` also completes the subtasks,
+// and with TASK_BLOCKED while blockers are open unless an `overrideReason` is given
+export const completeTask = async (id, { cascade = false, overrideReason } = {}) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}/complete`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify({ cascade, overrideReason }),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw fieldError(data, `Failed to complete task: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+export const fetchSubtasks = async (id) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}/subtasks`, {
     headers: {
       "Authorization": `Bearer ${localStorage.getItem('token')}`
     }
   });
   
   if (!response.ok) {
-    throw new Error(`Failed to fetch task: ${response.statusText}`);
+    throw new Error(`Failed to fetch subtasks: ${response.statusText}`);
   }
   
   return await response.json();
 };
 
-export const completeTask = async (id) => {
-  const response = await fetch(`${API_URL}/tasks/${id}/complete`, {
-    method: "POST",
+// Dependency API functions
+export const fetchTaskDependencies = async (id) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}/dependencies`, {
     headers: {
       "Authorization": `Bearer ${localStorage.getItem('token')}`
     }
   });
   
   if (!response.ok) {
-    throw new Error(`Failed to complete task: ${response.statusText}`);
+    throw new Error(`Failed to fetch dependencies: ${response.statusText}`);
   }
   
   return await response.json();
 };
 
-export const updateTaskProgress = async (id, progress) => {
-  const response = await fetch(`${API_URL}/tasks/${id}/progress`, {
+// Rejected with code DEPENDENCY_CYCLE when the link would close a cycle
+export const addTaskDependency = async (id, blockedBy) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}/dependencies`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
       "Authorization": `Bearer ${localStorage.getItem('token')}`
     },
-    body: JSON.stringify(progress),
+    body: JSON.stringify({ blockedBy }),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw fieldError(data, `Failed to add dependency: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+export const removeTaskDependency = async (id, blockerId) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}/dependencies/${blockerId}`, {
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
   });
   
   if (!response.ok) {
-    throw new Error(`Failed to update task progress: ${response.statusText}`);
+    throw new Error(`Failed to remove dependency: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Either { ids: [...] } or { parent: taskId }
+export const fetchCriticalPath = async ({ ids, parent } = {}) => {
+  const params = new URLSearchParams(ids ? { ids: ids.join(",") } : { parent });
+  const response = await apiFetch(`${API_URL}/tasks/critical-path?${params}`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw fieldError(data, `Failed to compute critical path: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// Recurring series API functions
+export const fetchTaskSeries = async (seriesId) => {
+  const response = await apiFetch(`${API_URL}/tasks/series/${seriesId}`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch recurring series: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Existing occurrences are kept; no new ones are created
+export const stopTaskSeries = async (seriesId) => {
+  const response = await apiFetch(`${API_URL}/tasks/series/${seriesId}`, {
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to stop recurring series: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Task history API functions
+// Newest entries first; pass the oldest version shown as `before` for more
+export const fetchTaskHistory = async (id, before) => {
+  const params = before ? `?before=${before}` : "";
+  const response = await apiFetch(`${API_URL}/tasks/${id}/history${params}`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch task history: ${response.statusText}`);
   }
   
   return await response.json();
 };
 
-export const addTaskComment = async (id, comment) => {
-  const response = await fetch(`${API_URL}/tasks/${id}/comments`, {
+// Restores the editable fields; changed status, progress or parent come back in `skipped`
+export const revertTask = async (id, version) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}/history/${version}/revert`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw fieldError(data, `Failed to revert task: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// Bulk task API functions
+// `operation` is status, priority or assignee; each task gets a result and
+// `undo.token` reverts the whole batch until `undo.expiresAt`
+export const bulkUpdateTasks = async ({ taskIds, operation, value, atomic = false }) => {
+  const response = await apiFetch(`${API_URL}/tasks/bulk`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
       "Authorization": `Bearer ${localStorage.getItem('token')}`
     },
-    body: JSON.stringify(comment),
+    body: JSON.stringify({ taskIds, operation, value, atomic }),
   });
   
+  const data = await response.json();
+  
   if (!response.ok) {
-    throw new Error(`Failed to add comment: ${response.statusText}`);
+    throw fieldError(data, `Failed to update tasks: ${response.statusText}`);
   }
   
-  return await response.json();
+  return data;
 };
 
-// Authentication API functions
-export const login = async (credentials) => {
-  const response = await fetch(`${API_URL}/auth/login`, {
+export const undoBulkUpdate = async (token) => {
+  const response = await apiFetch(`${API_URL}/tasks/bulk/undo`, {
     method: "POST",
     headers: {
-      "Content-Type": "application/json"
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
     },
-    body: JSON.stringify(credentials),
+    body: JSON.stringify({ token }),
   });
   
+  const data = await response.json();
+  
   if (!response.ok) {
-    throw new Error(`Login failed: ${response.statusText}`);
+    throw fieldError(data, `Failed to undo bulk update: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// Users the current user may assign tasks to
+export const fetchAssignees = async (prefix = "") => {
+  const params = prefix ? `?prefix=${encodeURIComponent(prefix)}` : "";
+  const response = await apiFetch(`${API_URL}/tasks/assignees${params}`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch assignees: ${response.statusText}`);
+  }
+  
+  const data = await response.json();
+  return data.assignees;
+};
+
+// Attachment API functions
+// The list comes with the upload limits and the user's storage usage
+export const fetchAttachments = async (taskId) => {
+  const response = await apiFetch(`${API_URL}/tasks/${taskId}/attachments`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch attachments: ${response.statusText}`);
   }
   
   return await response.json();
 };
 
-export const register = async (userData) => {
-  const response = await fetch(`${API_URL}/auth/register`, {
+// Rejected with FILE_TOO_LARGE, UNSUPPORTED_FILE_TYPE, STORAGE_QUOTA_EXCEEDED...
+export const uploadAttachment = async (taskId, file) => {
+  const body = new FormData();
+  body.append("file", file);
+  
+  // No Content-Type: the browser adds the multipart boundary
+  const response = await apiFetch(`${API_URL}/tasks/${taskId}/attachments`, {
     method: "POST",
     headers: {
-      "Content-Type": "application/json"
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
     },
-    body: JSON.stringify(userData),
+    body,
   });
   
+  const data = await response.json();
+  
   if (!response.ok) {
-    throw new Error(`Registration failed: ${response.statusText}`);
+    throw fieldError(data, `Failed to upload ${file.name}: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// Downloads go through fetch because they need the Authorization header
+const fetchAttachmentBlob = async (url) => {
+  const response = await apiFetch(url, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to download attachment: ${response.statusText}`);
+  }
+  
+  return await response.blob();
+};
+
+export const downloadAttachment = async (taskId, attachment) => {
+  const blob = await fetchAttachmentBlob(`${API_URL}/tasks/${taskId}/attachments/${attachment._id}`);
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = attachment.filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const fetchAttachmentThumbnail = (taskId, attachmentId) =>
+  fetchAttachmentBlob(`${API_URL}/tasks/${taskId}/attachments/${attachmentId}/thumbnail`);
+
+export const deleteAttachment = async (taskId, attachmentId) => {
+  const response = await apiFetch(`${API_URL}/tasks/${taskId}/attachments/${attachmentId}`, {
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to delete attachment: ${response.statusText}`);
   }
   
   return await response.json();
 };
 
-export const logout = () => {
-  localStorage.removeItem('token');
-  localStorage.removeItem('email');
+// Checklist API functions
+const checklistRequest = async (url, method, body) => {
+  const response = await apiFetch(url, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to update checklist: ${response.statusText}`);
+  }
+  
+  return await response.json();
 };
 
-export const createTask = async (task) => {
-  const response = await fetch(`${API_URL}/tasks`, {
+export const addChecklistItem = (taskId, text) =>
+  checklistRequest(`${API_URL}/tasks/${taskId}/checklist`, "POST", { text });
+
+export const updateChecklistItem = (taskId, itemId, changes) =>
+  checklistRequest(`${API_URL}/tasks/${taskId}/checklist/${itemId}`, "PATCH", changes);
+
+export const deleteChecklistItem = (taskId, itemId) =>
+  checklistRequest(`${API_URL}/tasks/${taskId}/checklist/${itemId}`, "DELETE");
+
+export const updateTaskProgress = async (id, progress) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}/progress`, {
     method: "POST",
-    headers: { 
+    headers: {
       "Content-Type": "application/json",
       "Authorization": `Bearer ${localStorage.getItem('token')}`
     },
-    body: JSON.stringify(task),
+    body: JSON.stringify(progress),
   });
   
   if (!response.ok) {
-    throw new Error(`Failed to create task: ${response.statusText}`);
+    throw new Error(`Failed to update task progress: ${response.statusText}`);
   }
   
   return await response.json();
 };
 
-export const deleteTask = async (id) => {
-  const response = await fetch(`${API_URL}/tasks/${id}`, { 
-    method: "DELETE",
+// Comment API functions
+// Top-level comments in order, each with its replies; `html` is rendered Markdown
+export const fetchComments = async (taskId) => {
+  const response = await apiFetch(`${API_URL}/tasks/${taskId}/comments`, {
     headers: {
       "Authorization": `Bearer ${localStorage.getItem('token')}`
     }
   });
   
   if (!response.ok) {
-    throw new Error(`Failed to delete task: ${response.statusText}`);
+    throw new Error(`Failed to fetch comments: ${response.statusText}`);
   }
   
-  return await response.json();
+  const data = await response.json();
+  return data.comments;
 };
 
-export const updateTask = async (id, updates) => {
-  const response = await fetch(`${API_URL}/tasks/${id}`, {
-    method: "PUT",
-    headers: { 
+const commentRequest = async (url, method, body, fallback) => {
+  const response = await apiFetch(url, {
+    method,
+    headers: {
       "Content-Type": "application/json",
       "Authorization": `Bearer ${localStorage.getItem('token')}`
     },
-    body: JSON.stringify(updates),
+    body: body ? JSON.stringify(body) : undefined,
   });
   
+  const data = await response.json();
+  
   if (!response.ok) {
-    throw new Error(`Failed to update task: ${response.statusText}`);
+    throw fieldError(data, `${fallback}: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// `comment` is { content, parentId }; a parentId makes it a reply
+export const addTaskComment = (id, comment) =>
+  commentRequest(`${API_URL}/tasks/${id}/comments`, "POST", comment, "Failed to add comment");
+
+export const editTaskComment = (taskId, commentId, content) =>
+  commentRequest(`${API_URL}/tasks/${taskId}/comments/${commentId}`, "PATCH", { content }, "Failed to edit comment");
+
+export const deleteTaskComment = (taskId, commentId) =>
+  commentRequest(`${API_URL}/tasks/${taskId}/comments/${commentId}`, "DELETE", null, "Failed to delete comment");
+
+// Current version first, then the earlier versions
+export const fetchCommentEdits = async (taskId, commentId) => {
+  const data = await commentRequest(`${API_URL}/tasks/${taskId}/comments/${commentId}/edits`, "GET", null, "Failed to fetch comment history");
+  return data.edits;
+};
+
+// Authentication API functions
+export const login = async (credentials) => {
+  const response = await apiFetch(`${API_URL}/auth/login`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify(credentials),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Login failed: ${response.statusText}`);
   }
   
   return await response.json();
-};
\ No newline at end of file
+};
+
+export const register = async (userData) => {
+  const response = await apiFetch(`${API_URL}/auth/register`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify(userData),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Registration failed: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const logout = async () => {
+  // httpOnly cookies can only be cleared by the server
+  if (localStorage.getItem("authMode") === "cookie") {
+    await apiFetch(`${API_URL}/auth/logout`, { method: "POST" }).catch(() => null);
+    localStorage.removeItem("authMode");
+    localStorage.removeItem("csrfToken");
+  }
+  localStorage.removeItem('token');
+  localStorage.removeItem('email');
+  clearResponseCache();
+};
+
+// Files in `task.attachments` are uploaded once the task exists
+export const createTask = async ({ attachments = [], ...task }) => {
+  const response = await apiFetch(`${API_URL}/tasks`, {
+    method: "POST",
+    headers: { 
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify(task),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to create task: ${response.statusText}`);
+  }
+  
+  const data = await response.json();
+  
+  for (const file of attachments) {
+    await uploadAttachment(data.task._id, file);
+  }
+  
+  return data;
+};
+
+// Moves the task to the trash; `purgeAt` is when it is deleted for good
+export const deleteTask = async (id) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}`, { 
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to delete task: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Trash API functions
+export const fetchTrash = async () => {
+  const response = await apiFetch(`${API_URL}/tasks/trash`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch trash: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Rejected with code PARENT_TASK_DELETED while the parent is in the trash too
+export const restoreTask = async (id) => {
+  const response = await apiFetch(`${API_URL}/tasks/trash/${id}/restore`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw fieldError(data, `Failed to restore task: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+export const purgeTask = async (id) => {
+  const response = await apiFetch(`${API_URL}/tasks/trash/${id}`, {
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to delete task permanently: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const updateTask = async (id, updates) => {
+  const response = await apiFetch(`${API_URL}/tasks/${id}`, {
+    method: "PUT",
+    headers: { 
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify(updates),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to update task: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Session management API functions
+export const fetchSessions = async () => {
+  const response = await apiFetch(`${API_URL}/auth/sessions`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch sessions: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const revokeSession = async (id) => {
+  const response = await apiFetch(`${API_URL}/auth/sessions/${id}`, {
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to revoke session: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const revokeOtherSessions = async () => {
+  const response = await apiFetch(`${API_URL}/auth/sessions/revoke-others`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to sign out other sessions: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Personal access token API functions
+export const fetchAccessTokens = async () => {
+  const response = await apiFetch(`${API_URL}/auth/tokens`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch access tokens: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const createAccessToken = async (tokenData) => {
+  const response = await apiFetch(`${API_URL}/auth/tokens`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify(tokenData),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to create access token: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+export const revokeAccessToken = async (id) => {
+  const response = await apiFetch(`${API_URL}/auth/tokens/${id}`, {
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to revoke access token: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Passkey API functions
+export const fetchPasskeys = async () => {
+  const response = await apiFetch(`${API_URL}/auth/passkeys`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch passkeys: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const addPasskey = async (name) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Authorization": `Bearer ${localStorage.getItem('token')}`
+  };
+  
+  const optionsResponse = await apiFetch(`${API_URL}/auth/passkeys/register/options`, {
+    method: "POST",
+    headers
+  });
+  
+  if (!optionsResponse.ok) {
+    throw new Error(`Failed to start passkey registration: ${optionsResponse.statusText}`);
+  }
+  
+  const { options } = await optionsResponse.json();
+  const credential = await createPasskey(options);
+  
+  const response = await apiFetch(`${API_URL}/auth/passkeys/register/verify`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ credential, name }),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to add passkey: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+export const deletePasskey = async (id) => {
+  const response = await apiFetch(`${API_URL}/auth/passkeys/${id}`, {
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to remove passkey: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const loginWithPasskey = async () => {
+  const optionsResponse = await apiFetch(`${API_URL}/auth/passkeys/login/options`, {
+    method: "POST"
+  });
+  
+  if (!optionsResponse.ok) {
+    throw new Error(`Failed to start passkey login: ${optionsResponse.statusText}`);
+  }
+  
+  const { options } = await optionsResponse.json();
+  const credential = await getPasskeyAssertion(options);
+  
+  const response = await apiFetch(`${API_URL}/auth/passkeys/login/verify`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ credential }),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Passkey login failed: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// Email verification API functions
+export const verifyEmailAddress = async (token) => {
+  const response = await apiFetch(`${API_URL}/auth/verify-email`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ token }),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Email verification failed: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+export const resendVerificationEmail = async (email) => {
+  const response = await apiFetch(`${API_URL}/auth/verify-email/resend`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({ email }),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to resend verification email: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Invitation API functions (admin)
+export const fetchInvitations = async (status = "") => {
+  const query = status ? `?status=${encodeURIComponent(status)}` : "";
+  const response = await apiFetch(`${API_URL}/users/invitations${query}`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch invitations: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const createInvitation = async (invitation) => {
+  const response = await apiFetch(`${API_URL}/users/invitations`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify(invitation),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to create invitation: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+export const revokeInvitation = async (id) => {
+  const response = await apiFetch(`${API_URL}/users/invitations/${id}`, {
+    method: "DELETE",
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to revoke invitation: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const fetchRoles = async () => {
+  const response = await apiFetch(`${API_URL}/roles`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch roles: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+// Password API functions
+// Policy violations keep the server's per-field details so forms can show them inline
+const fieldError = (data, fallback) => {
+  const error = new Error(data.error || fallback);
+  error.code = data.code;
+  error.details = data.details || {};
+  return error;
+};
+
+export const fetchPasswordPolicy = async () => {
+  const response = await apiFetch(`${API_URL}/auth/password-policy`);
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch password policy: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await apiFetch(`${API_URL}/auth/change-password`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw fieldError(data, `Failed to change password: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+export const fetchPasswordPolicySettings = async () => {
+  const response = await apiFetch(`${API_URL}/settings/password-policy`, {
+    headers: {
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch password policy: ${response.statusText}`);
+  }
+  
+  return await response.json();
+};
+
+export const updatePasswordPolicy = async (policy) => {
+  const response = await apiFetch(`${API_URL}/settings/password-policy`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify(policy),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw fieldError(data, `Failed to update password policy: ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+// Impersonation API functions (admin "view as user")
+// The admin's own credentials are set aside while impersonating and restored on exit
+const IMPERSONATOR_KEYS = ["token", "refreshToken", "userRole", "userId", "email"];
+
+export const getImpersonation = () => {
+  const stored = localStorage.getItem("impersonation");
+  if (!stored) return null;
+
+  try {
+    return JSON.parse(stored);
+  } catch {
+    return null;
+  }
+};
+
+export const startImpersonation = async (userId, reason = "") => {
+  const response = await apiFetch(`${API_URL}/users/${userId}/impersonate`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify({ reason }),
+  });
+  
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to start impersonation: ${response.statusText}`);
+  }
+  
+  IMPERSONATOR_KEYS.forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) localStorage.setItem(`impersonator_${key}`, value);
+  });
+  
+  localStorage.setItem("token", data.token);
+  localStorage.removeItem("refreshToken");
+  localStorage.setItem("userRole", data.user.role);
+  localStorage.setItem("userId", data.user.id);
+  localStorage.setItem("email", data.user.email);
+  localStorage.setItem("impersonation", JSON.stringify(data.impersonation));
+  
+  return data;
+};
+
+export const exitImpersonation = async () => {
+  try {
+    await apiFetch(`${API_URL}/auth/impersonation/exit`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${localStorage.getItem('token')}`
+      }
+    });
+  } finally {
+    // Restore the admin even if the impersonation token already expired
+    IMPERSONATOR_KEYS.forEach((key) => {
+      const value = localStorage.getItem(`impersonator_${key}`);
+      if (value !== null) {
+        localStorage.setItem(key, value);
+      } else {
+        localStorage.removeItem(key);
+      }
+      localStorage.removeItem(`impersonator_${key}`);
+    });
+    localStorage.removeItem("impersonation");
+  }
+};
@@ -0,0 +1,213 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { FaPaperclip, FaUpload, FaDownload, FaTrash, FaFile } from 'react-icons/fa'
+import {
+  fetchAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  fetchAttachmentThumbnail,
+  deleteAttachment
+} from '../api'
+
+interface Attachment {
+  _id: string
+  filename: string
+  mimeType: string
+  size: number
+  uploadDate: string
+  hasThumbnail: boolean
+}
+
+interface AttachmentLimits {
+  maxSize: number
+  allowedTypes: string[]
+  maxAttachments: number
+}
+
+interface StorageUsage {
+  used: number
+  quota: number
+}
+
+interface TaskAttachmentsProps {
+  taskId: string
+}
+
+const formatSize = (bytes: number): string => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * Thumbnail of an image attachment, loaded with the auth header
+ */
+const Thumbnail: React.FC<{ taskId: string; attachment: Attachment }> = ({ taskId, attachment }) => {
+  const [url, setUrl] = useState<string | null>(null)
+
+  useEffect(() => {
+    let objectUrl: string | null = null
+    let cancelled = false
+
+    fetchAttachmentThumbnail(taskId, attachment._id)
+      .then(blob => {
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(blob)
+        setUrl(objectUrl)
+      })
+      .catch(() => setUrl(null))
+
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [taskId, attachment._id])
+
+  return url
+    ? <img src={url} alt="" className="h-10 w-10 rounded object-cover" />
+    : <FaFile className="h-10 w-10 p-2 text-gray-400" aria-hidden="true" />
+}
+
+/**
+ * Files attached to a task: thumbnails, download, upload and delete
+ * The server checks the limits again; the client checks them first to
+ * fail fast on large files
+ */
+const TaskAttachments: React.FC<TaskAttachmentsProps> = ({ taskId }) => {
+  const [attachments, setAttachments] = useState<Attachment[]>([])
+  const [limits, setLimits] = useState<AttachmentLimits | null>(null)
+  const [storage, setStorage] = useState<StorageUsage | null>(null)
+  const [uploading, setUploading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const inputRef = useRef<HTMLInputElement>(null)
+
+  const load = useCallback(async (): Promise<void> => {
+    try {
+      const data = await fetchAttachments(taskId)
+      setAttachments(data.attachments)
+      setLimits(data.limits)
+      setStorage(data.storage)
+    } catch {
+      setError('Failed to load the attachments of this task.')
+    }
+  }, [taskId])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const handleUpload = async (event: React.ChangeEvent<HTMLInputElement>): Promise<void> => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    setError(null)
+
+    const tooLarge = limits ? files.find(file => file.size > limits.maxSize) : undefined
+    if (tooLarge && limits) {
+      setError(`${tooLarge.name} is too large. Maximum size is ${formatSize(limits.maxSize)}.`)
+      return
+    }
+
+    setUploading(true)
+    try {
+      for (const file of files) {
+        await uploadAttachment(taskId, file)
+      }
+    } catch (err) {
+      setError((err as Error).message)
+    } finally {
+      setUploading(false)
+      await load()
+    }
+  }
+
+  const handleDownload = async (attachment: Attachment): Promise<void> => {
+    try {
+      await downloadAttachment(taskId, attachment)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const handleDelete = async (attachment: Attachment): Promise<void> => {
+    if (!window.confirm(`Delete ${attachment.filename}?`)) return
+
+    try {
+      await deleteAttachment(taskId, attachment._id)
+      await load()
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const full = !!limits && attachments.length >= limits.maxAttachments
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          <FaPaperclip />
+          Attachments
+        </h4>
+        {storage && (
+          <span className="text-xs text-gray-500">
+            {formatSize(storage.used)} of {formatSize(storage.quota)} used
+          </span>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-600 mb-2" role="alert">{error}</p>}
+
+      {attachments.length > 0 && (
+        <ul className="space-y-2 mb-2">
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="flex items-center gap-3 p-2 bg-gray-50 rounded">
+              {attachment.hasThumbnail
+                ? <Thumbnail taskId={taskId} attachment={attachment} />
+                : <FaFile className="h-10 w-10 p-2 text-gray-400" aria-hidden="true" />}
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-gray-800 truncate">{attachment.filename}</p>
+                <p className="text-xs text-gray-500">
+                  {formatSize(attachment.size)} · {new Date(attachment.uploadDate).toLocaleDateString()}
+                </p>
+              </div>
+              <button
+                onClick={() => handleDownload(attachment)}
+                className="text-blue-600 hover:text-blue-800"
+                title="Download"
+                aria-label={`Download ${attachment.filename}`}
+              >
+                <FaDownload />
+              </button>
+              <button
+                onClick={() => handleDelete(attachment)}
+                className="text-red-500 hover:text-red-700"
+                title="Delete"
+                aria-label={`Delete ${attachment.filename}`}
+              >
+                <FaTrash />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        onChange={handleUpload}
+        className="hidden"
+        accept={limits?.allowedTypes.join(',')}
+      />
+      <button
+        onClick={() => inputRef.current?.click()}
+        disabled={uploading || full}
+        className="flex items-center gap-2 text-xs font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+      >
+        <FaUpload />
+        {uploading ? 'Uploading…' : full ? 'Attachment limit reached' : 'Attach files'}
+      </button>
+    </div>
+  )
+}
+
+export default TaskAttachments
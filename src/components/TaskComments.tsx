@@ -0,0 +1,269 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { FaComments, FaReply, FaEdit, FaTrash } from 'react-icons/fa'
+import {
+  fetchComments,
+  addTaskComment,
+  editTaskComment,
+  deleteTaskComment,
+  fetchCommentEdits
+} from '../api'
+
+interface CommentAuthor {
+  _id: string
+  username?: string
+}
+
+interface Comment {
+  _id: string
+  parent: string | null
+  author: CommentAuthor
+  content: string | null
+  html: string | null
+  edited: boolean
+  editedAt: string | null
+  deleted: boolean
+  createdAt: string
+  replies?: Comment[]
+}
+
+interface CommentVersion {
+  content: string
+  editedAt: string
+}
+
+interface TaskCommentsProps {
+  taskId: string
+}
+
+const MAX_COMMENT_LENGTH = 5000
+
+/**
+ * Box for writing a comment, a reply or an edit
+ */
+const CommentEditor: React.FC<{
+  initial?: string
+  placeholder: string
+  submitLabel: string
+  onSubmit: (content: string) => Promise<void>
+  onCancel?: () => void
+}> = ({ initial = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [content, setContent] = useState(initial)
+  const [saving, setSaving] = useState(false)
+
+  const handleSubmit = async (event: React.FormEvent): Promise<void> => {
+    event.preventDefault()
+    if (!content.trim()) return
+
+    setSaving(true)
+    try {
+      await onSubmit(content)
+      setContent('')
+    } catch {
+      // The list shows the error; keep the text so it can be sent again
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2">
+      <textarea
+        value={content}
+        onChange={(event) => setContent(event.target.value)}
+        placeholder={placeholder}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={2}
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex items-center justify-end gap-2 mt-1">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-3 py-1 text-xs text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !content.trim()}
+          className="px-3 py-1 text-xs bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-300"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+/**
+ * Comment threads of a task: Markdown, @mentions, replies, edits and deletes
+ * The server renders and sanitises the Markdown; other users' changes
+ * arrive over the WebSocket and reload the threads
+ */
+const TaskComments: React.FC<TaskCommentsProps> = ({ taskId }) => {
+  const [comments, setComments] = useState<Comment[]>([])
+  const [replyTo, setReplyTo] = useState<string | null>(null)
+  const [editing, setEditing] = useState<string | null>(null)
+  const [versions, setVersions] = useState<Record<string, CommentVersion[]>>({})
+  const [error, setError] = useState<string | null>(null)
+  const userId = localStorage.getItem('userId')
+
+  const load = useCallback(async (): Promise<void> => {
+    try {
+      setComments(await fetchComments(taskId))
+    } catch {
+      setError('Failed to load the comments of this task.')
+    }
+  }, [taskId])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  useEffect(() => {
+    const handleChange = (event: Event): void => {
+      const detail = (event as CustomEvent).detail
+      if (String(detail?.taskId) === taskId) load()
+    }
+
+    window.addEventListener('taskCommented', handleChange)
+    window.addEventListener('taskCommentChanged', handleChange)
+    return () => {
+      window.removeEventListener('taskCommented', handleChange)
+      window.removeEventListener('taskCommentChanged', handleChange)
+    }
+  }, [taskId, load])
+
+  const run = async (action: () => Promise<unknown>): Promise<void> => {
+    setError(null)
+    try {
+      await action()
+      await load()
+    } catch (err) {
+      setError((err as Error).message)
+      throw err
+    }
+  }
+
+  const handleDelete = async (comment: Comment): Promise<void> => {
+    if (!window.confirm('Delete this comment?')) return
+    await run(() => deleteTaskComment(taskId, comment._id)).catch(() => {})
+  }
+
+  const toggleVersions = async (comment: Comment): Promise<void> => {
+    if (versions[comment._id]) {
+      setVersions(previous => {
+        const next = { ...previous }
+        delete next[comment._id]
+        return next
+      })
+      return
+    }
+
+    try {
+      const edits = await fetchCommentEdits(taskId, comment._id)
+      setVersions(previous => ({ ...previous, [comment._id]: edits }))
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const renderComment = (comment: Comment, threadId: string): React.ReactNode => {
+    const own = !!userId && comment.author._id === userId
+
+    return (
+      <div key={comment._id} className="p-2 bg-gray-50 rounded">
+        <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+          <span>
+            <span className="font-medium text-gray-800">{comment.author.username || 'Unknown user'}</span>
+            {' · '}{new Date(comment.createdAt).toLocaleString()}
+            {comment.edited && (
+              <button onClick={() => toggleVersions(comment)} className="ml-1 italic hover:underline" title="Show earlier versions">
+                (edited)
+              </button>
+            )}
+          </span>
+          {!comment.deleted && (
+            <span className="flex items-center gap-2">
+              <button onClick={() => setReplyTo(threadId)} className="text-blue-600 hover:text-blue-800" title="Reply" aria-label="Reply">
+                <FaReply />
+              </button>
+              {own && (
+                <button onClick={() => setEditing(comment._id)} className="text-blue-600 hover:text-blue-800" title="Edit" aria-label="Edit comment">
+                  <FaEdit />
+                </button>
+              )}
+              <button onClick={() => handleDelete(comment)} className="text-red-500 hover:text-red-700" title="Delete" aria-label="Delete comment">
+                <FaTrash />
+              </button>
+            </span>
+          )}
+        </div>
+
+        {comment.deleted ? (
+          <p className="mt-1 text-sm italic text-gray-400">This comment was deleted.</p>
+        ) : editing === comment._id ? (
+          <CommentEditor
+            initial={comment.content || ''}
+            placeholder="Edit your comment"
+            submitLabel="Save"
+            onSubmit={(content) => run(() => editTaskComment(taskId, comment._id, content)).then(() => setEditing(null))}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          // Rendered and sanitised on the server
+          <div className="mt-1 text-sm text-gray-800 comment-body" dangerouslySetInnerHTML={{ __html: comment.html || '' }} />
+        )}
+
+        {versions[comment._id] && (
+          <ol className="mt-2 space-y-1 border-l border-gray-200 pl-2 text-xs text-gray-600">
+            {versions[comment._id].slice(1).map(version => (
+              <li key={version.editedAt}>
+                <span className="text-gray-400">{new Date(version.editedAt).toLocaleString()}:</span>{' '}
+                <span className="whitespace-pre-wrap">{version.content}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="mt-4">
+      <h4 className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+        <FaComments />
+        Comments
+      </h4>
+
+      {error && <p className="text-xs text-red-600 mb-2" role="alert">{error}</p>}
+
+      <div className="space-y-3">
+        {comments.map(thread => (
+          <div key={thread._id}>
+            {renderComment(thread, thread._id)}
+            {((thread.replies || []).length > 0 || replyTo === thread._id) && (
+              <div className="ml-6 mt-2 space-y-2">
+                {(thread.replies || []).map(reply => renderComment(reply, thread._id))}
+                {replyTo === thread._id && (
+                  <CommentEditor
+                    placeholder="Write a reply"
+                    submitLabel="Reply"
+                    onSubmit={(content) => run(() => addTaskComment(taskId, { content, parentId: thread._id })).then(() => setReplyTo(null))}
+                    onCancel={() => setReplyTo(null)}
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <CommentEditor
+        placeholder="Add a comment. Markdown and @mentions are supported."
+        submitLabel="Comment"
+        onSubmit={(content) => run(() => addTaskComment(taskId, { content }))}
+      />
+    </div>
+  )
+}
+
+export default TaskComments
@@ -12,35 +12,72 @@ interface TaskFormData {
   tags: string
   estimatedHours: string
   attachments: File[]
+  repeat: '' | 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY' | 'CUSTOM'
+  repeatInterval: string
+  customRule: string
+  timezone: string
+  recurrenceMode: 'completion' | 'calendar'
+  scope: 'occurrence' | 'future'
 }
 
+interface TaskRecurrence {
+  rrule: string
+  timezone: string
+  mode: 'completion' | 'calendar'
+}
+
+// `recurrence` is left out when the schedule does not change and null to stop it
+type TaskFormSubmission = TaskFormData & { recurrence?: TaskRecurrence | null }
+
 interface TaskFormProps {
-  onSubmit: (task: Omit<TaskFormData, 'attachments'> & { attachments: File[] }) => void
+  onSubmit: (task: TaskFormSubmission) => void
   onCancel?: () => void
   initialData?: Partial<TaskFormData>
   mode?: 'create' | 'edit'
+  isRecurring?: boolean
   className?: string
   loading?: boolean
 }
 
+const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+const emptyFormData = (): TaskFormData => ({
+  title: '',
+  description: '',
+  priority: 'medium',
+  status: 'pending',
+  dueDate: '',
+  assignee: '',
+  tags: '',
+  estimatedHours: '',
+  attachments: [],
+  repeat: '',
+  repeatInterval: '1',
+  customRule: '',
+  timezone: localTimeZone,
+  recurrenceMode: 'completion',
+  scope: 'occurrence'
+})
+
+const buildRecurrence = (data: TaskFormData): TaskRecurrence => ({
+  rrule: data.repeat === 'CUSTOM'
+    ? data.customRule.trim()
+    : `FREQ=${data.repeat}${parseInt(data.repeatInterval) > 1 ? `;INTERVAL=${parseInt(data.repeatInterval)}` : ''}`,
+  timezone: data.timezone,
+  mode: data.recurrenceMode
+})
+
 const TaskForm: React.FC<TaskFormProps> = ({
   onSubmit,
   onCancel,
   initialData = {},
   mode = 'create',
+  isRecurring = false,
   className = '',
   loading = false
 }) => {
   const [formData, setFormData] = useState<TaskFormData>({
-    title: '',
-    description: '',
-    priority: 'medium',
-    status: 'pending',
-    dueDate: '',
-    assignee: '',
-    tags: '',
-    estimatedHours: '',
-    attachments: [],
+    ...emptyFormData(),
     ...initialData
   })
 
@@ -50,6 +87,9 @@ const TaskForm: React.FC<TaskFormProps> = ({
   // Set minimum date to today
   const today = new Date().toISOString().split('T')[0]
 
+  // The schedule of an existing series only changes for all future occurrences
+  const canEditRepeat = !isRecurring || formData.scope === 'future'
+
   useEffect(() => {
     if (initialData) {
       setFormData(prev => ({ ...prev, ...initialData }))
@@ -85,6 +125,13 @@ const TaskForm: React.FC<TaskFormProps> = ({
       newErrors.assignee = 'Please enter a valid email address'
     }
 
+    // Recurrence validation (the server checks the full rule)
+    if (canEditRepeat && formData.repeat === 'CUSTOM' && !/^(RRULE:)?FREQ=/i.test(formData.customRule.trim())) {
+      newErrors.customRule = 'Enter a rule such as FREQ=WEEKLY;BYDAY=MO,WE'
+    } else if (canEditRepeat && formData.repeat && formData.repeat !== 'CUSTOM' && !(parseInt(formData.repeatInterval) >= 1)) {
+      newErrors.repeatInterval = 'Interval must be at least 1'
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -106,14 +153,17 @@ const TaskForm: React.FC<TaskFormProps> = ({
   const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>): void => {
     const files = Array.from(event.target.files || [])
     const validFiles = files.filter(file => {
-      // Check file size (5MB limit)
-      if (file.size > 5 * 1024 * 1024) {
-        alert(`File ${file.name} is too large. Maximum size is 5MB.`)
+      // Check file size (10MB limit, the server default)
+      if (file.size > 10 * 1024 * 1024) {
+        alert(`File ${file.name} is too large. Maximum size is 10MB.`)
         return false
       }
       
-      // Check file type
-      const allowedTypes = ['text/plain', 'application/pdf', 'image/jpeg', 'image/png', 'image/gif']
+      // Check file type (the server's default list)
+      const allowedTypes = [
+        'text/plain', 'text/csv', 'application/json', 'application/pdf',
+        'image/jpeg', 'image/png', 'image/gif', 'image/webp'
+      ]
       if (!allowedTypes.includes(file.type)) {
         alert(`File type ${file.type} is not allowed.`)
         return false
@@ -145,21 +195,18 @@ const TaskForm: React.FC<TaskFormProps> = ({
     setIsSubmitting(true)
     
     try {
-      await onSubmit(formData)
+      let recurrence: TaskRecurrence | null | undefined
+      if (canEditRepeat && formData.repeat) {
+        recurrence = buildRecurrence(formData)
+      } else if (isRecurring && formData.scope === 'future') {
+        recurrence = null
+      }
+
+      await onSubmit({ ...formData, recurrence })
       
       // Reset form on successful submission
       if (mode === 'create') {
-        setFormData({
-          title: '',
-          description: '',
-          priority: 'medium',
-          status: 'pending',
-          dueDate: '',
-          assignee: '',
-          tags: '',
-          estimatedHours: '',
-          attachments: []
-        })
+        setFormData(emptyFormData())
       }
       
       setErrors({})
@@ -172,17 +219,7 @@ const TaskForm: React.FC<TaskFormProps> = ({
   }
 
   const handleReset = (): void => {
-    setFormData({
-      title: '',
-      description: '',
-      priority: 'medium',
-      status: 'pending',
-      dueDate: '',
-      assignee: '',
-      tags: '',
-      estimatedHours: '',
-      attachments: []
-    })
+    setFormData(emptyFormData())
     setErrors({})
   }
 
@@ -338,6 +375,136 @@ const TaskForm: React.FC<TaskFormProps> = ({
           </div>
         </div>
 
+        {/* Edit scope for recurring tasks */}
+        {mode === 'edit' && isRecurring && (
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">
+              Apply changes to
+            </legend>
+            <div className="flex flex-col sm:flex-row gap-2 sm:gap-6">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="scope"
+                  value="occurrence"
+                  checked={formData.scope === 'occurrence'}
+                  onChange={() => handleInputChange('scope', 'occurrence')}
+                />
+                This occurrence
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="scope"
+                  value="future"
+                  checked={formData.scope === 'future'}
+                  onChange={() => handleInputChange('scope', 'future')}
+                />
+                All future occurrences
+              </label>
+            </div>
+          </fieldset>
+        )}
+
+        {/* Recurrence */}
+        {canEditRepeat && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="repeat" className="block text-sm font-medium text-gray-700 mb-1">
+                Repeat
+              </label>
+              <select
+                id="repeat"
+                value={formData.repeat}
+                onChange={(e) => handleInputChange('repeat', e.target.value as TaskFormData['repeat'])}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">{isRecurring ? 'Stop repeating' : 'Does not repeat'}</option>
+                <option value="DAILY">Daily</option>
+                <option value="WEEKLY">Weekly</option>
+                <option value="MONTHLY">Monthly</option>
+                <option value="YEARLY">Yearly</option>
+                <option value="CUSTOM">Custom rule (RRULE)</option>
+              </select>
+            </div>
+
+            {formData.repeat && formData.repeat !== 'CUSTOM' && (
+              <div>
+                <label htmlFor="repeatInterval" className="block text-sm font-medium text-gray-700 mb-1">
+                  Every
+                </label>
+                <input
+                  type="number"
+                  id="repeatInterval"
+                  min={1}
+                  value={formData.repeatInterval}
+                  onChange={(e) => handleInputChange('repeatInterval', e.target.value)}
+                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                    errors.repeatInterval ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.repeatInterval && (
+                  <p className="mt-1 text-sm text-red-600">{errors.repeatInterval}</p>
+                )}
+              </div>
+            )}
+
+            {formData.repeat === 'CUSTOM' && (
+              <div>
+                <label htmlFor="customRule" className="block text-sm font-medium text-gray-700 mb-1">
+                  Rule
+                </label>
+                <input
+                  type="text"
+                  id="customRule"
+                  value={formData.customRule}
+                  onChange={(e) => handleInputChange('customRule', e.target.value)}
+                  placeholder="FREQ=MONTHLY;BYDAY=-1FR"
+                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                    errors.customRule ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                />
+                {errors.customRule && (
+                  <p className="mt-1 text-sm text-red-600">{errors.customRule}</p>
+                )}
+              </div>
+            )}
+
+            {formData.repeat && (
+              <>
+                <div>
+                  <label htmlFor="timezone" className="block text-sm font-medium text-gray-700 mb-1">
+                    Timezone
+                  </label>
+                  <input
+                    type="text"
+                    id="timezone"
+                    value={formData.timezone}
+                    onChange={(e) => handleInputChange('timezone', e.target.value)}
+                    placeholder="Europe/Berlin"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="recurrenceMode" className="block text-sm font-medium text-gray-700 mb-1">
+                    Create the next task
+                  </label>
+                  <select
+                    id="recurrenceMode"
+                    value={formData.recurrenceMode}
+                    onChange={(e) => handleInputChange('recurrenceMode', e.target.value as TaskFormData['recurrenceMode'])}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="completion">When this one is completed</option>
+                    <option value="calendar">On schedule, even if this one is open</option>
+                  </select>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
         {/* File Attachments */}
         <div>
           <label htmlFor="attachments" className="block text-sm font-medium text-gray-700 mb-1">
@@ -349,7 +516,7 @@ const TaskForm: React.FC<TaskFormProps> = ({
             multiple
             onChange={handleFileChange}
             className="hidden"
-            accept=".txt,.pdf,.jpg,.jpeg,.png,.gif"
+            accept=".txt,.csv,.json,.pdf,.jpg,.jpeg,.png,.gif,.webp"
           />
           <label
             htmlFor="attachments"
@@ -0,0 +1,193 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { FaHistory, FaUndo } from 'react-icons/fa'
+import { fetchTaskHistory, revertTask } from '../api'
+
+interface HistoryChange {
+  field: string
+  before: unknown
+  after: unknown
+}
+
+interface HistoryEntry {
+  _id: string
+  version: number
+  actor?: { _id: string; username: string } | null
+  source: 'rest' | 'websocket' | 'bulk' | 'automation'
+  action: 'create' | 'update' | 'complete' | 'progress' | 'assign' | 'revert'
+  changes: HistoryChange[]
+  revertedTo?: number | null
+  createdAt: string
+}
+
+interface TaskHistoryProps {
+  taskId: string
+  onReverted?: (task: unknown) => void
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  progress: 'Progress',
+  dueDate: 'Due date',
+  assignedTo: 'Assignee',
+  tags: 'Tags',
+  estimatedHours: 'Estimate',
+  actualHours: 'Actual hours',
+  parentTask: 'Parent task',
+  blockedBy: 'Blocked by',
+  checklist: 'Checklist'
+}
+
+const ACTION_LABELS: Record<HistoryEntry['action'], string> = {
+  create: 'created the task',
+  update: 'edited',
+  complete: 'completed the task',
+  progress: 'updated progress',
+  assign: 'reassigned',
+  revert: 'reverted'
+}
+
+const SOURCE_LABELS: Record<HistoryEntry['source'], string> = {
+  rest: 'web',
+  websocket: 'live',
+  bulk: 'bulk edit',
+  automation: 'automation'
+}
+
+/**
+ * Activity timeline of a task with a per-field diff of every change
+ * Any earlier version can be restored; the revert shows up as a new entry
+ */
+const TaskHistory: React.FC<TaskHistoryProps> = ({ taskId, onReverted }) => {
+  const [history, setHistory] = useState<HistoryEntry[]>([])
+  const [users, setUsers] = useState<Record<string, string>>({})
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [message, setMessage] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const load = useCallback(async (before: number | null = null): Promise<void> => {
+    setLoading(true)
+    try {
+      const data = await fetchTaskHistory(taskId, before)
+      setHistory(previous => (before ? [...previous, ...data.history] : data.history))
+      setUsers(previous => ({ ...previous, ...data.users }))
+      setHasMore(data.hasMore)
+      setError(null)
+    } catch {
+      setError('Failed to load the activity of this task.')
+    } finally {
+      setLoading(false)
+    }
+  }, [taskId])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const formatValue = (field: string, value: unknown): string => {
+    if (value === null || value === undefined || value === '') return '—'
+    if (field === 'dueDate') return new Date(value as string).toLocaleString()
+    if (field === 'assignedTo') return users[String(value)] || 'unknown user'
+    if (field === 'progress') return `${value}%`
+    if (field === 'estimatedHours' || field === 'actualHours') return `${value}h`
+    if (field === 'blockedBy') {
+      const count = (value as string[]).length
+      return count > 0 ? `${count} ${count === 1 ? 'task' : 'tasks'}` : '—'
+    }
+    if (field === 'checklist') {
+      const items = value as { text: string; done: boolean }[]
+      return items.length > 0 ? items.map(item => `${item.done ? '☑' : '☐'} ${item.text}`).join(', ') : '—'
+    }
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—'
+    return String(value)
+  }
+
+  const handleRevert = async (entry: HistoryEntry): Promise<void> => {
+    if (!window.confirm(`Restore this task to version ${entry.version}?`)) return
+
+    try {
+      const data = await revertTask(taskId, entry.version)
+      const skipped = data.skipped.map((field: string) => FIELD_LABELS[field] || field)
+      setMessage(skipped.length > 0
+        ? `${data.message}. ${skipped.join(', ')} ${skipped.length === 1 ? 'was' : 'were'} left unchanged.`
+        : data.message)
+      onReverted?.(data.task)
+      await load()
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const latestVersion = history[0]?.version
+
+  return (
+    <div className="mt-4">
+      <h4 className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+        <FaHistory />
+        Activity
+      </h4>
+
+      {message && <p className="text-xs text-green-700 mb-2" role="status">{message}</p>}
+      {error && <p className="text-xs text-red-600 mb-2" role="alert">{error}</p>}
+
+      {!loading && history.length === 0 && !error && (
+        <p className="text-xs text-gray-500">No recorded changes yet.</p>
+      )}
+
+      <ol className="relative border-l border-gray-200 ml-2 space-y-3">
+        {history.map(entry => (
+          <li key={entry._id} className="ml-4">
+            <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-blue-400" aria-hidden="true" />
+            <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+              <span>
+                <span className="font-medium text-gray-800">{entry.actor?.username || 'TaskFlow'}</span>
+                {' '}{ACTION_LABELS[entry.action]}
+                {entry.revertedTo ? ` to version ${entry.revertedTo}` : ''}
+                {' · '}{new Date(entry.createdAt).toLocaleString()}
+                <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-100 text-gray-600">{SOURCE_LABELS[entry.source]}</span>
+              </span>
+              {entry.version !== latestVersion && (
+                <button
+                  onClick={() => handleRevert(entry)}
+                  className="flex items-center gap-1 text-blue-600 hover:text-blue-800"
+                  title={`Restore version ${entry.version}`}
+                >
+                  <FaUndo />
+                  Restore
+                </button>
+              )}
+            </div>
+            <ul className="mt-1 space-y-0.5 text-xs">
+              {entry.changes.map(change => (
+                <li key={change.field} className="text-gray-700">
+                  <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                  {entry.action !== 'create' && (
+                    <>
+                      <del className="text-red-700">{formatValue(change.field, change.before)}</del>{' → '}
+                    </>
+                  )}
+                  <ins className="text-green-700 no-underline">{formatValue(change.field, change.after)}</ins>
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+
+      {hasMore && (
+        <button
+          onClick={() => load(history[history.length - 1].version)}
+          disabled={loading}
+          className="mt-2 text-xs font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+        >
+          Show older activity
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default TaskHistory
@@ -1,7 +1,23 @@
 import React, { useState } from 'react'
-import { FaEdit, FaTrash, FaCheck, FaClock, FaFlag, FaUser, FaCalendarAlt, FaTags } from 'react-icons/fa'
+import { FaEdit, FaTrash, FaCheck, FaClock, FaFlag, FaUser, FaCalendarAlt, FaTags, FaChevronRight, FaChevronDown } from 'react-icons/fa'
+import {
+  fetchSubtasks,
+  completeTask,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem
+} from '../api'
+import TaskHistory from './TaskHistory'
+import TaskAttachments from './TaskAttachments'
+import TaskComments from './TaskComments'
 
 // Define interfaces locally for now
+interface ChecklistItem {
+  _id: string
+  text: string
+  done: boolean
+}
+
 interface Task {
   _id: string
   title: string
@@ -13,6 +29,11 @@ interface Task {
   tags: string[]
   estimatedHours?: number
   actualHours?: number
+  progress?: number
+  parentTask?: string | null
+  subtaskCount?: number
+  completedSubtaskCount?: number
+  checklist?: ChecklistItem[]
   createdAt: string
   updatedAt: string
 }
@@ -23,7 +44,9 @@ interface TaskItemProps {
   onDelete: (taskId: string) => void
   onStatusChange: (taskId: string, newStatus: Task['status']) => void
   onPriorityChange: (taskId: string, newPriority: Task['priority']) => void
+  onReverted?: (task: Task) => void
   className?: string
+  depth?: number
 }
 
 const TaskItem: React.FC<TaskItemProps> = ({
@@ -32,10 +55,19 @@ const TaskItem: React.FC<TaskItemProps> = ({
   onDelete,
   onStatusChange,
   onPriorityChange,
-  className = ''
+  onReverted,
+  className = '',
+  depth = 0
 }) => {
   const [isExpanded, setIsExpanded] = useState(false)
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
+  const [showSubtasks, setShowSubtasks] = useState(false)
+  const [subtasks, setSubtasks] = useState<Task[] | null>(null)
+  const [checklist, setChecklist] = useState<ChecklistItem[]>(task.checklist || [])
+  const [newChecklistItem, setNewChecklistItem] = useState('')
+
+  const subtaskCount = task.subtaskCount || 0
+  const openSubtasks = subtaskCount - (task.completedSubtaskCount || 0)
 
   const getPriorityColor = (priority: Task['priority']): string => {
     switch (priority) {
@@ -70,8 +102,24 @@ const TaskItem: React.FC<TaskItemProps> = ({
     })
   }
 
-  const handleStatusChange = (event: React.ChangeEvent<HTMLSelectElement>): void => {
+  // Completing a parent with open subtasks asks whether to complete them too
+  const handleStatusChange = async (event: React.ChangeEvent<HTMLSelectElement>): Promise<void> => {
     const newStatus = event.target.value as Task['status']
+
+    if (newStatus === 'complete' && openSubtasks > 0) {
+      const cascade = window.confirm(
+        `"${task.title}" has ${openSubtasks} open subtask${openSubtasks === 1 ? '' : 's'}. Complete them too?`
+      )
+      if (!cascade) {
+        event.target.value = task.status
+        return
+      }
+
+      await completeTask(task._id, { cascade: true })
+      setSubtasks(null)
+      setShowSubtasks(false)
+    }
+
     onStatusChange(task._id, newStatus)
   }
 
@@ -89,8 +137,36 @@ const TaskItem: React.FC<TaskItemProps> = ({
     setIsExpanded(!isExpanded)
   }
 
+  // Subtasks are loaded the first time the tree is opened
+  const toggleSubtasks = async (): Promise<void> => {
+    if (!showSubtasks && subtasks === null) {
+      const data = await fetchSubtasks(task._id)
+      setSubtasks(data.subtasks)
+    }
+    setShowSubtasks(!showSubtasks)
+  }
+
+  const handleChecklistToggle = async (item: ChecklistItem): Promise<void> => {
+    const data = await updateChecklistItem(task._id, item._id, { done: !item.done })
+    setChecklist(data.task.checklist)
+  }
+
+  const handleChecklistAdd = async (event: React.FormEvent<HTMLFormElement>): Promise<void> => {
+    event.preventDefault()
+    if (!newChecklistItem.trim()) return
+
+    const data = await addChecklistItem(task._id, newChecklistItem.trim())
+    setChecklist(data.task.checklist)
+    setNewChecklistItem('')
+  }
+
+  const handleChecklistDelete = async (item: ChecklistItem): Promise<void> => {
+    const data = await deleteChecklistItem(task._id, item._id)
+    setChecklist(data.task.checklist)
+  }
+
   return (
-    <div className={`bg-white rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow ${className}`}>
+    <div className={`bg-white rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow ${depth > 0 ? 'ml-6' : ''} ${className}`}>
       {/* Task Header */}
       <div className="p-4">
         <div className="flex items-start justify-between">
@@ -158,8 +234,34 @@ const TaskItem: React.FC<TaskItemProps> = ({
                   <span>Est: {task.estimatedHours}h</span>
                 </div>
               )}
+              
+              {checklist.length > 0 && (
+                <div className="flex items-center gap-1">
+                  <FaCheck />
+                  <span>{checklist.filter(item => item.done).length}/{checklist.length}</span>
+                </div>
+              )}
             </div>
             
+            {/* Progress (derived from subtasks or checklist when present) */}
+            {(subtaskCount > 0 || checklist.length > 0) && (
+              <div className="mt-2 w-full bg-gray-200 rounded-full h-1.5" aria-label={`Progress ${task.progress || 0}%`}>
+                <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${task.progress || 0}%` }} />
+              </div>
+            )}
+            
+            {/* Subtask Tree Toggle */}
+            {subtaskCount > 0 && (
+              <button
+                onClick={toggleSubtasks}
+                className="flex items-center gap-1 mt-2 text-xs font-medium text-blue-600 hover:text-blue-800"
+                aria-expanded={showSubtasks}
+              >
+                {showSubtasks ? <FaChevronDown /> : <FaChevronRight />}
+                {subtaskCount} subtask{subtaskCount === 1 ? '' : 's'} ({task.completedSubtaskCount || 0} done)
+              </button>
+            )}
+            
             {/* Tags */}
             {task.tags.length > 0 && (
               <div className="flex items-center gap-1 mt-2">
@@ -240,17 +342,82 @@ const TaskItem: React.FC<TaskItemProps> = ({
                 </select>
               </div>
             </div>
+            
+            {/* Checklist */}
+            <div className="mt-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Checklist</h4>
+              <ul className="space-y-1">
+                {checklist.map(item => (
+                  <li key={item._id} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={item.done}
+                      onChange={() => handleChecklistToggle(item)}
+                      aria-label={item.text}
+                    />
+                    <span className={`flex-1 ${item.done ? 'line-through text-gray-400' : 'text-gray-700'}`}>{item.text}</span>
+                    <button
+                      onClick={() => handleChecklistDelete(item)}
+                      className="text-xs text-red-600 hover:text-red-800"
+                      aria-label={`Remove ${item.text}`}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <form onSubmit={handleChecklistAdd} className="flex gap-2 mt-2">
+                <input
+                  type="text"
+                  value={newChecklistItem}
+                  onChange={(event) => setNewChecklistItem(event.target.value)}
+                  placeholder="Add checklist item"
+                  maxLength={200}
+                  className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button type="submit" className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700">
+                  Add
+                </button>
+              </form>
+            </div>
+            
+            {/* Attachments */}
+            <TaskAttachments taskId={task._id} />
+            
+            {/* Comments */}
+            <TaskComments taskId={task._id} />
+            
+            {/* Activity Timeline */}
+            <TaskHistory taskId={task._id} onReverted={(reverted) => onReverted?.(reverted as Task)} />
           </div>
         )}
       </div>
       
+      {/* Subtasks */}
+      {showSubtasks && subtasks && (
+        <div className="pb-2 pr-2 space-y-2">
+          {subtasks.map(subtask => (
+            <TaskItem
+              key={subtask._id}
+              task={subtask}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onStatusChange={onStatusChange}
+              onPriorityChange={onPriorityChange}
+              onReverted={onReverted}
+              depth={depth + 1}
+            />
+          ))}
+        </div>
+      )}
+      
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-lg p-6 max-w-md w-full">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Confirm Delete</h3>
             <p className="text-gray-600 mb-6">
-              Are you sure you want to delete "{task.title}"? This action cannot be undone.
+              Move "{task.title}" to the trash? You can restore it from there until it is purged.
             </p>
             <div className="flex gap-3">
               <button
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from "react";
+import { fetchPasswordPolicySettings, updatePasswordPolicy } from "../../api";
+
+const CHARACTER_RULES = [
+  { name: "requireUppercase", label: "Require an uppercase letter" },
+  { name: "requireLowercase", label: "Require a lowercase letter" },
+  { name: "requireDigit", label: "Require a number" },
+  { name: "requireSymbol", label: "Require a symbol" },
+  { name: "rejectBreached", label: "Reject common and breached passwords" },
+];
+
+const NUMBER_SETTINGS = [
+  { name: "minLength", label: "Minimum length", min: 6, max: 72 },
+  { name: "historyCount", label: "Passwords remembered (0 = off)", min: 0, max: 24 },
+  { name: "maxAgeDays", label: "Maximum age in days (0 = never expires)", min: 0, max: 3650 },
+];
+
+const PasswordPolicySettings = () => {
+  const [policy, setPolicy] = useState(null);
+  const [source, setSource] = useState("environment");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    fetchPasswordPolicySettings()
+      .then((data) => {
+        setPolicy(data.policy);
+        setSource(data.source);
+      })
+      .catch(() => setError("Could not load the password policy."));
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    setFieldErrors({});
+
+    try {
+      const data = await updatePasswordPolicy(policy);
+      setPolicy(data.policy);
+      setSource(data.source);
+      setMessage("Password policy saved. New rules apply the next time a password is set.");
+    } catch (err) {
+      setFieldErrors(err.details || {});
+      setError(err.message);
+    }
+  };
+
+  if (!policy) {
+    return error ? <p className="text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="bg-white p-6 shadow-lg rounded-lg mt-6">
+      <h2 className="text-lg font-semibold mb-1">Password Policy</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {source === "custom" ? "Custom policy" : "Using the defaults from the server environment"}
+      </p>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+      {message && <p className="mb-4 text-green-600">{message}</p>}
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {NUMBER_SETTINGS.map((setting) => (
+            <div key={setting.name}>
+              <label htmlFor={setting.name} className="block text-sm font-medium">{setting.label}</label>
+              <input
+                id={setting.name}
+                type="number"
+                min={setting.min}
+                max={setting.max}
+                value={policy[setting.name]}
+                onChange={(e) => setPolicy({ ...policy, [setting.name]: Number(e.target.value) })}
+                className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+              />
+              {fieldErrors[setting.name] && (
+                <p className="mt-1 text-sm text-red-600">{fieldErrors[setting.name]}</p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {CHARACTER_RULES.map((rule) => (
+            <label key={rule.name} className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={!!policy[rule.name]}
+                onChange={(e) => setPolicy({ ...policy, [rule.name]: e.target.checked })}
+              />
+              {rule.label}
+            </label>
+          ))}
+        </div>
+
+        <button type="submit" className="bg-blue-500 text-white px-6 py-2 rounded-lg hover:bg-blue-600 transition">
+          Save Policy
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PasswordPolicySettings;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from "react";
+import { fetchInvitations, createInvitation, revokeInvitation, fetchRoles } from "../../api";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "-");
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  accepted: "bg-green-100 text-green-800",
+  expired: "bg-gray-100 text-gray-600",
+  revoked: "bg-red-100 text-red-700",
+};
+
+const emptyForm = { email: "", role: "user", team: "" };
+
+const UserInvitations = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [roles, setRoles] = useState(["user"]);
+  const [form, setForm] = useState(emptyForm);
+  const [statusFilter, setStatusFilter] = useState("pending");
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    fetchRoles()
+      .then((data) => setRoles(data.roles.map((role) => role.name)))
+      .catch(() => setRoles(["user"]));
+  }, []);
+
+  useEffect(() => {
+    loadInvitations(statusFilter);
+  }, [statusFilter]);
+
+  const loadInvitations = async (status) => {
+    try {
+      const data = await fetchInvitations(status);
+      setInvitations(data.invitations || []);
+    } catch {
+      setError("Could not load invitations.");
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    try {
+      const data = await createInvitation(form);
+      setMessage(`Invitation sent to ${data.invitation.email}.`);
+      setForm(emptyForm);
+      // A new invite revokes any earlier pending one for the same address
+      await loadInvitations(statusFilter);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm("Revoke this invitation? The link will stop working.")) return;
+
+    try {
+      const data = await revokeInvitation(id);
+      setInvitations(
+        statusFilter === "pending"
+          ? invitations.filter((i) => i.id !== id)
+          : invitations.map((i) => (i.id === id ? data.invitation : i))
+      );
+    } catch {
+      setError("Could not revoke that invitation.");
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 shadow rounded-lg mt-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">Invitations</h2>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+      {message && <p className="mb-4 text-green-600">{message}</p>}
+
+      <form onSubmit={handleInvite} className="flex flex-wrap gap-3 mb-6">
+        <input
+          type="email"
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+          placeholder="Email address"
+          required
+          className="flex-1 min-w-[200px] border p-2 rounded"
+        />
+        <select
+          value={form.role}
+          onChange={(e) => setForm({ ...form, role: e.target.value })}
+          className="border p-2 rounded"
+        >
+          {roles.map((role) => (
+            <option key={role} value={role}>
+              {role.charAt(0).toUpperCase() + role.slice(1)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={form.team}
+          onChange={(e) => setForm({ ...form, team: e.target.value })}
+          placeholder="Team (optional)"
+          maxLength={50}
+          className="border p-2 rounded"
+        />
+        <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600">
+          Send invite
+        </button>
+      </form>
+
+      <div className="flex items-center gap-2 mb-3">
+        <label className="text-gray-700 text-sm">Show</label>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="border p-1 rounded text-sm"
+        >
+          <option value="pending">Pending</option>
+          <option value="accepted">Accepted</option>
+          <option value="expired">Expired</option>
+          <option value="revoked">Revoked</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      <table className="w-full border-collapse">
+        <thead>
+          <tr className="bg-gray-200 text-left">
+            <th className="p-2">Email</th>
+            <th className="p-2">Role</th>
+            <th className="p-2">Team</th>
+            <th className="p-2">Status</th>
+            <th className="p-2">Expires</th>
+            <th className="p-2">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {invitations.map((invitation) => (
+            <tr key={invitation.id} className="border-b">
+              <td className="p-2">{invitation.email}</td>
+              <td className="p-2">{invitation.role}</td>
+              <td className="p-2">{invitation.team || "-"}</td>
+              <td className="p-2">
+                <span className={`px-2 py-1 rounded text-xs ${STATUS_STYLES[invitation.status]}`}>
+                  {invitation.status}
+                </span>
+              </td>
+              <td className="p-2">{formatDate(invitation.expiresAt)}</td>
+              <td className="p-2">
+                {invitation.status === "pending" && (
+                  <button
+                    className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+                    onClick={() => handleRevoke(invitation.id)}
+                  >
+                    Revoke
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {invitations.length === 0 && <p className="text-gray-500 text-center mt-4">No invitations found.</p>}
+    </div>
+  );
+};
+
+export default UserInvitations;
@@ -19,18 +19,18 @@ const ForgotPassword = () => {
     setLoading(true);
 
     try {
-      const res = await fetch("https://zidio-task-management-backend.onrender.com/api/forgot-password", {
+      const res = await fetch("/api/auth/forgot-password", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email, role }), // Include role in the request
+        body: JSON.stringify({ email }),
       });
 
       const data = await res.json();
       if (res.ok) {
-        setMessage("Reset link sent successfully. Check your email.");
+        setMessage(data.message || "Reset link sent successfully. Check your email.");
         setTimeout(() => navigate("/login", { state: { role } }), 3000);
       } else {
-        setError(data.message || "Something went wrong.");
+        setError(data.error || data.message || "Something went wrong.");
       }
     } catch (err) {
       setError("Failed to send reset link. Please try again.");
@@ -11,6 +11,7 @@
  * - Provides clear error feedback and loading states
  * - Implements role-based redirection
  * - Logs authentication events for admin tracking
+ * - Offers single sign-on when the server has an identity provider configured
  * 
  * @author Senior Full-Stack Engineer
  * @version 2.0.0
@@ -19,14 +20,33 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { loginWithPasskey, storeSession, COOKIE_AUTH } from "../../api";
+import { isPasskeySupported } from "../../utils/webauthn";
 import { FaLock, FaEnvelope, FaExclamationCircle, FaSpinner } from "react-icons/fa";
 
+// Messages for error codes returned by the SSO callback
+const SSO_ERRORS = {
+  ACCOUNT_DEACTIVATED: "Your account is deactivated.",
+  EMAIL_NOT_VERIFIED: "Please verify your email address before signing in.",
+  OIDC_USER_NOT_FOUND: "No TaskFlow account exists for this identity.",
+  REGISTRATION_CLOSED: "Sign-up is by invitation only. Ask an admin to invite your email address.",
+  OIDC_EMAIL_UNVERIFIED: "Your email is not verified with the identity provider.",
+  OIDC_STATE_MISMATCH: "The sign-in request expired. Please try again."
+};
+
+// Messages for sessions the server ended (sent over the WebSocket)
+const SESSION_ENDED_MESSAGES = {
+  idle_timeout: "You were signed out after a period of inactivity.",
+  session_limit: "You were signed out because your account signed in on another device."
+};
+
 const Login = () => {
   // State management with proper initialization
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
+  const [ssoEnabled, setSsoEnabled] = useState(false);
   
   // Hooks initialization
   const { login } = useAuth();
@@ -49,6 +69,61 @@ const Login = () => {
     }
   }, [navigate]);
 
+  /**
+   * Effect hook to detect single sign-on and show SSO and session errors
+   */
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    const ssoError = params.get("sso_error");
+    const sessionEnded = params.get("session_ended");
+    if (ssoError) {
+      setError(SSO_ERRORS[ssoError] || "Single sign-on failed. Please try again.");
+    } else if (sessionEnded) {
+      setError(SESSION_ENDED_MESSAGES[sessionEnded] || "Your session has ended. Please sign in again.");
+    }
+
+    fetch("/api/auth/oidc/config")
+      .then(response => (response.ok ? response.json() : { enabled: false }))
+      .then(data => setSsoEnabled(!!data.enabled))
+      .catch(() => setSsoEnabled(false));
+  }, [location.search]);
+
+  /**
+   * Starts single sign-on by handing the browser to the server
+   */
+  const handleSsoLogin = () => {
+    const params = new URLSearchParams();
+    if (from !== "/") params.set("returnTo", from);
+    if (COOKIE_AUTH) params.set("authMode", "cookie");
+    const query = params.toString();
+    window.location.href = `/api/auth/oidc/login${query ? `?${query}` : ""}`;
+  };
+
+  /**
+   * Signs in with a passkey instead of email and password
+   */
+  const handlePasskeyLogin = async () => {
+    setError("");
+    setLoading(true);
+
+    try {
+      const data = await loginWithPasskey();
+
+      storeSession(data);
+
+      login(data.user.email);
+
+      navigate(from !== "/" ? from : (data.user.role === "admin" ? "/admin/dashboard" : "/user/dashboard"));
+    } catch (err) {
+      // The browser reports a cancelled prompt as NotAllowedError
+      if (err.name !== "NotAllowedError") {
+        setError(err.message || "Passkey sign-in failed. Please try again.");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Handles form submission and authentication
    * Implements localStorage-based authentication with support for custom users
@@ -207,6 +282,31 @@ const Login = () => {
           </button>
         </form>
 
+        {/* Passkey sign-in */}
+        {isPasskeySupported() && (
+          <button
+            type="button"
+            onClick={handlePasskeyLogin}
+            disabled={loading}
+            className="w-full mt-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 transition duration-200 disabled:opacity-50"
+            aria-label="Sign in with a passkey"
+          >
+            Sign in with a passkey
+          </button>
+        )}
+
+        {/* Single sign-on */}
+        {ssoEnabled && (
+          <button
+            type="button"
+            onClick={handleSsoLogin}
+            className="w-full mt-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 transition duration-200"
+            aria-label="Sign in with SSO"
+          >
+            Sign in with SSO
+          </button>
+        )}
+
         {/* Additional links */}
         <div className="text-center mt-4 space-y-2">
           <div>
@@ -0,0 +1,58 @@
+/**
+ * OIDC Callback Component
+ *
+ * Landing page after single sign-on. The server passes the session in the
+ * URL fragment (in cookie auth mode only the CSRF token, the tokens are
+ * in httpOnly cookies); this stores it like a regular login and moves on
+ * to the dashboard (or the page the user started from).
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { FaSpinner } from "react-icons/fa";
+import { useAuth } from "../../contexts/AuthContext";
+import { storeSession } from "../../api";
+
+const OidcCallback = () => {
+  const { login } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get("token");
+    const authMode = params.get("authMode");
+
+    // Drop the tokens from the address bar and history
+    window.history.replaceState(null, "", window.location.pathname);
+
+    if (!token && authMode !== "cookie") {
+      navigate("/login?sso_error=OIDC_LOGIN_FAILED", { replace: true });
+      return;
+    }
+
+    storeSession(
+      { token, refreshToken: params.get("refreshToken"), authMode, csrfToken: params.get("csrfToken") },
+      { role: params.get("role") || "user", id: params.get("userId") || "", email: params.get("email") || "" }
+    );
+
+    login(params.get("email"));
+
+    const role = params.get("role");
+    const returnTo = params.get("returnTo");
+    navigate(returnTo || (role === "admin" ? "/admin/dashboard" : "/user/dashboard"), { replace: true });
+  }, [login, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-500 to-purple-600">
+      <div className="bg-white shadow-lg rounded-xl p-8 flex items-center">
+        <FaSpinner className="animate-spin mr-3 text-blue-500" aria-hidden="true" />
+        <span className="text-gray-700">Completing sign-in...</span>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
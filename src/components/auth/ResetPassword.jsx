@@ -22,6 +22,11 @@ const ResetPassword = () => {
     setMessage("");
     setError("");
 
+    if (!token) {
+      setError("Reset link is missing its token. Please request a new one.");
+      return;
+    }
+
     if (password !== confirmPassword) {
       setError("Passwords do not match!");
       return;
@@ -29,7 +34,7 @@ const ResetPassword = () => {
 
     setLoading(true);
     try {
-      const res = await fetch("https://zidio-task-management-backend.onrender.com/api/reset-password", {
+      const res = await fetch("/api/auth/reset-password", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ token, password }),
@@ -39,7 +44,9 @@ const ResetPassword = () => {
       if (res.ok) {
         setMessage("Password reset successful! Please log in.");
       } else {
-        setError(data.message || "Failed to reset password.");
+        // Password policy violations list every rule the password breaks
+        const details = data.details?.password;
+        setError(Array.isArray(details) ? details.join(" ") : data.error || data.message || "Failed to reset password.");
       }
     } catch (err) {
       setError("Something went wrong. Try again.");
@@ -11,6 +11,10 @@
  * - Role-based account creation
  * - Persistent user storage in localStorage
  * - Automatic login after successful registration
+ * - Invite links (?invite=token) that create the account on the server with
+ *   the invited email, role and team; open sign-up is hidden in invite-only mode
+ * - Password rules from the server's password policy, with policy violations
+ *   shown under the field they belong to
  * 
  * @author Senior Full-Stack Engineer
  * @version 2.0.0
@@ -19,6 +23,7 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation, Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { fetchPasswordPolicy, apiFetch, storeSession } from "../../api";
 import { FaUser, FaEnvelope, FaLock, FaExclamationCircle, FaSpinner } from "react-icons/fa";
 
 const Signup = () => {
@@ -30,7 +35,12 @@ const Signup = () => {
     confirmPassword: "",
   });
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [passwordPolicy, setPasswordPolicy] = useState({ minLength: 6, rules: [] });
+  const [notice, setNotice] = useState("");
   const [loading, setLoading] = useState(false);
+  const [invitation, setInvitation] = useState(null);
+  const [inviteOnly, setInviteOnly] = useState(false);
   const [passwordStrength, setPasswordStrength] = useState({
     score: 0,
     message: "",
@@ -44,6 +54,7 @@ const Signup = () => {
   
   // Extract role from location state or default to user
   const role = location.state?.role || "user";
+  const inviteToken = new URLSearchParams(location.search).get("invite");
 
   /**
    * Effect hook to check for existing authentication
@@ -57,6 +68,84 @@ const Signup = () => {
     }
   }, [navigate]);
 
+  /**
+   * Effect hook to load the invitation from an invite link
+   * and to find out whether open sign-up is allowed
+   */
+  useEffect(() => {
+    if (inviteToken) {
+      fetch(`/api/auth/invitations/${encodeURIComponent(inviteToken)}`)
+        .then(response => response.json().then(data => ({ ok: response.ok, data })))
+        .then(({ ok, data }) => {
+          if (!ok) {
+            setError(data.error || "This invitation is invalid or has expired.");
+            return;
+          }
+          setInvitation(data.invitation);
+          setFormData(prevData => ({ ...prevData, email: data.invitation.email }));
+        })
+        .catch(() => setError("Could not load your invitation. Please try again."));
+      return;
+    }
+
+    fetch("/api/auth/registration")
+      .then(response => (response.ok ? response.json() : { mode: "open" }))
+      .then(data => setInviteOnly(data.mode === "invite"))
+      .catch(() => setInviteOnly(false));
+  }, [inviteToken]);
+
+  /**
+   * Effect hook to load the password rules shown under the password field
+   */
+  useEffect(() => {
+    fetchPasswordPolicy()
+      .then(data => setPasswordPolicy({ minLength: data.policy.minLength, rules: data.rules }))
+      .catch(() => setPasswordPolicy({ minLength: 6, rules: [] }));
+  }, []);
+
+  /**
+   * Creates the account for an invitation on the server
+   */
+  const registerWithInvite = async () => {
+    const response = await apiFetch("/api/auth/register", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: formData.fullName.trim(),
+        password: formData.password,
+        inviteToken,
+      }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      // Map server fields onto the form; policy violations arrive as a list
+      const details = data.details || {};
+      const toMessages = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+      const errors = {
+        fullName: toMessages(details.username),
+        email: toMessages(details.email),
+        password: toMessages(details.password),
+      };
+      setFieldErrors(errors);
+      if (!Object.values(errors).some(messages => messages.length > 0)) {
+        setError(data.error || "Failed to create an account. Please try again.");
+      }
+      return;
+    }
+
+    if (data.verificationRequired) {
+      setNotice(data.message);
+      return;
+    }
+
+    storeSession(data);
+
+    signup(data.user.email, formData.password);
+
+    navigate(data.user.role === "admin" ? "/admin/dashboard" : "/user/dashboard");
+  };
+
   /**
    * Handles form input changes and updates state
    * 
@@ -69,6 +158,7 @@ const Signup = () => {
       ...prevData,
       [name]: value
     }));
+    setFieldErrors(prevErrors => ({ ...prevErrors, [name]: [] }));
     
     // Check password strength when password field changes
     if (name === 'password') {
@@ -125,8 +215,9 @@ const Signup = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    // Reset error
+    // Reset errors
     setError("");
+    setFieldErrors({});
     
     // Validate form inputs
     if (!formData.fullName.trim()) {
@@ -152,14 +243,25 @@ const Signup = () => {
       return;
     }
     
-    // Validate password strength
-    if (formData.password.length < 6) {
-      setError("Password must be at least 6 characters");
+    // The server checks the full policy; catch the length rule early
+    if (formData.password.length < passwordPolicy.minLength) {
+      setFieldErrors({ password: [`Password must be at least ${passwordPolicy.minLength} characters`] });
       return;
     }
     
     setLoading(true);
     
+    if (inviteToken) {
+      try {
+        await registerWithInvite();
+      } catch {
+        setError("Failed to create an account. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
+    
     try {
       // Simulate network latency for realistic UX
       await new Promise(resolve => setTimeout(resolve, 800));
@@ -229,6 +331,16 @@ const Signup = () => {
     }
   };
 
+  /**
+   * Renders the server's messages for one form field
+   * 
+   * @param {string} name - Form field name
+   */
+  const renderFieldErrors = (name) =>
+    fieldErrors[name]?.map(message => (
+      <p key={message} className="text-xs mt-1 text-red-500" role="alert">{message}</p>
+    ));
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-500 to-purple-600 p-6">
       <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md transform transition duration-300 hover:scale-105">
@@ -247,7 +359,26 @@ const Signup = () => {
           </div>
         )}
 
-        {/* Registration form */}
+        {/* Invitation details */}
+        {invitation && (
+          <div className="bg-blue-50 border-l-4 border-blue-500 p-4 mb-6 rounded text-sm text-blue-800">
+            You were invited to join as <strong>{invitation.role}</strong>
+            {invitation.team && <> on the <strong>{invitation.team}</strong> team</>}.
+          </div>
+        )}
+
+        {notice && (
+          <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-6 rounded text-sm text-green-800" role="status">
+            {notice}
+          </div>
+        )}
+
+        {inviteOnly && !inviteToken ? (
+          <p className="text-gray-600 text-center mb-4">
+            Registration is by invitation only. Ask an administrator to invite you.
+          </p>
+        ) : !notice && (
+        /* Registration form */
         <form onSubmit={handleSubmit} className="space-y-4">
           {/* Full Name field */}
           <div>
@@ -269,6 +400,7 @@ const Signup = () => {
                 autoComplete="name"
               />
             </div>
+            {renderFieldErrors("fullName")}
           </div>
 
           {/* Email field */}
@@ -286,11 +418,13 @@ const Signup = () => {
                 placeholder="Enter your email"
                 value={formData.email}
                 onChange={handleChange}
+                readOnly={!!invitation}
                 required
                 aria-label="Email Address"
                 autoComplete="email"
               />
             </div>
+            {renderFieldErrors("email")}
           </div>
 
           {/* Password field */}
@@ -313,6 +447,16 @@ const Signup = () => {
                 autoComplete="new-password"
               />
             </div>
+            {renderFieldErrors("password")}
+            
+            {/* Password policy rules */}
+            {passwordPolicy.rules.length > 0 && (
+              <ul className="text-xs mt-1 text-gray-500 list-disc list-inside">
+                {passwordPolicy.rules.map(rule => (
+                  <li key={rule.rule}>{rule.message}</li>
+                ))}
+              </ul>
+            )}
             
             {/* Password strength indicator */}
             {formData.password && (
@@ -392,6 +536,7 @@ const Signup = () => {
             )}
           </button>
         </form>
+        )}
 
         {/* Additional links */}
         <div className="text-center mt-4">
@@ -59,7 +59,7 @@ const TwoFactorAuth = () => {
         setSuccess('2FA setup initiated. Please scan the QR code with your authenticator app.');
       } else {
         const errorData = await response.json();
-        setError(errorData.message || 'Failed to setup 2FA');
+        setError(errorData.error || errorData.message || 'Failed to setup 2FA');
       }
     } catch (error) {
       setError('Network error. Please try again.');
@@ -99,7 +99,7 @@ const TwoFactorAuth = () => {
         setSecretKey('');
       } else {
         const errorData = await response.json();
-        setError(errorData.message || 'Invalid verification code');
+        setError(errorData.error || errorData.message || 'Invalid verification code');
       }
     } catch (error) {
       setError('Network error. Please try again.');
@@ -135,7 +135,7 @@ const TwoFactorAuth = () => {
         setVerificationCode('');
       } else {
         const errorData = await response.json();
-        setError(errorData.message || 'Failed to disable 2FA');
+        setError(errorData.error || errorData.message || 'Failed to disable 2FA');
       }
     } catch (error) {
       setError('Network error. Please try again.');
@@ -163,7 +163,7 @@ const TwoFactorAuth = () => {
         setSuccess('New backup codes generated successfully!');
       } else {
         const errorData = await response.json();
-        setError(errorData.message || 'Failed to generate backup codes');
+        setError(errorData.error || errorData.message || 'Failed to generate backup codes');
       }
     } catch (error) {
       setError('Network error. Please try again.');
@@ -228,7 +228,7 @@ const TwoFactorAuth = () => {
       )}
 
       {/* Setup 2FA */}
-      {!isEnabled && !isSetup && (
+      {!isEnabled && !(isSetup && qrCode) && (
         <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
           <h3 className="font-semibold text-blue-900 mb-2">Enable Two-Factor Authentication</h3>
           <p className="text-sm text-blue-700 mb-4">
@@ -244,7 +244,7 @@ const TwoFactorAuth = () => {
       )}
 
       {/* QR Code Setup */}
-      {isSetup && (
+      {isSetup && qrCode && (
         <div className="mb-6 p-6 bg-gray-50 rounded-lg border">
           <h3 className="font-semibold text-gray-900 mb-4">Setup Instructions</h3>
           
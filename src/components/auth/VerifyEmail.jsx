@@ -0,0 +1,97 @@
+/**
+ * Verify Email Component
+ *
+ * Landing page for the link in the verification email. Confirms the
+ * address with the server and lets users ask for a new link when the
+ * old one has expired.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from "react";
+import { useLocation, Link } from "react-router-dom";
+import { FaSpinner, FaCheckCircle, FaExclamationCircle } from "react-icons/fa";
+import { verifyEmailAddress, resendVerificationEmail } from "../../api";
+
+const VerifyEmail = () => {
+  const location = useLocation();
+  const token = new URLSearchParams(location.search).get("token");
+
+  const [status, setStatus] = useState(token ? "verifying" : "error");
+  const [error, setError] = useState(token ? "" : "This verification link is missing its token.");
+  const [email, setEmail] = useState("");
+  const [resendMessage, setResendMessage] = useState("");
+
+  useEffect(() => {
+    if (!token) return;
+
+    verifyEmailAddress(token)
+      .then(() => setStatus("verified"))
+      .catch((err) => {
+        setError(err.message);
+        setStatus("error");
+      });
+  }, [token]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setResendMessage("");
+
+    try {
+      const data = await resendVerificationEmail(email);
+      setResendMessage(data.message);
+    } catch {
+      setResendMessage("Could not send a new link. Please try again.");
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-500 to-purple-600 p-6">
+      <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md text-center">
+        {status === "verifying" && (
+          <p className="flex items-center justify-center text-gray-700">
+            <FaSpinner className="animate-spin mr-3 text-blue-500" aria-hidden="true" />
+            Verifying your email address...
+          </p>
+        )}
+
+        {status === "verified" && (
+          <>
+            <FaCheckCircle className="mx-auto text-green-500 text-4xl mb-4" aria-hidden="true" />
+            <p className="text-gray-700 mb-4">Your email address is verified. You can now sign in.</p>
+            <Link to="/login" className="text-blue-600 hover:underline">Go to login</Link>
+          </>
+        )}
+
+        {status === "error" && (
+          <>
+            <FaExclamationCircle className="mx-auto text-red-500 text-4xl mb-4" aria-hidden="true" />
+            <p className="text-red-600 mb-6">{error}</p>
+
+            <form onSubmit={handleResend} className="space-y-3">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                required
+                className="w-full px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 focus:outline-none"
+              />
+              <button
+                type="submit"
+                className="w-full py-2 rounded-md text-white bg-gradient-to-r from-blue-500 to-purple-600 hover:opacity-90"
+              >
+                Send a new link
+              </button>
+            </form>
+
+            {resendMessage && <p className="mt-4 text-sm text-gray-600">{resendMessage}</p>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
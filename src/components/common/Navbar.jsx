@@ -3,6 +3,7 @@ import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotifications } from '../../contexts/NotificationContext';
 import Button from './Button';
+import { getImpersonation, exitImpersonation } from '../../api';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
@@ -11,6 +12,16 @@ const Navbar = () => {
   const location = useLocation();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
+  const impersonation = getImpersonation();
+
+  const handleExitImpersonation = async () => {
+    try {
+      await exitImpersonation();
+    } catch {
+      addNotification('Impersonation ended locally; the server could not be reached', 'warning');
+    }
+    window.location.assign('/admin/users');
+  };
 
   const handleLogout = async () => {
     try {
@@ -48,6 +59,22 @@ const Navbar = () => {
 
   return (
     <nav className="sticky top-0 z-40 bg-white border-b border-gray-200 shadow-sm">
+      {/* Impersonation Banner */}
+      {impersonation && (
+        <div role="alert" className="flex flex-wrap gap-2 justify-center items-center px-4 py-2 text-sm text-white bg-amber-600">
+          <span>
+            👁️ Viewing as <strong>{impersonation.user.username}</strong> ({impersonation.user.email}) — signed in as{' '}
+            <strong>{impersonation.actor.username}</strong>. All actions are logged.
+            {impersonation.expiresAt && ` Ends at ${new Date(impersonation.expiresAt).toLocaleTimeString()}.`}
+          </span>
+          <button
+            onClick={handleExitImpersonation}
+            className="px-3 py-1 font-medium text-amber-700 bg-white rounded hover:bg-amber-50"
+          >
+            Exit impersonation
+          </button>
+        </div>
+      )}
       <div className="px-4 mx-auto max-w-7xl sm:px-6 lg:px-8">
         <div className="flex justify-between h-16">
           {/* Logo and Brand */}
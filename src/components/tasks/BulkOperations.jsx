@@ -1,8 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../hooks/useAuth';
 import Button from '../common/Button';
-
-const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) => {
+import { bulkUpdateTasks, undoBulkUpdate, fetchAssignees } from '../../api';
+
+// Select value for removing the assignee
+const UNASSIGNED = '__unassigned__';
+
+/**
+ * Select tasks and change their status, priority or assignee in one
+ * request. The server checks every task and reports a result for each;
+ * the whole change can be undone while its undo token is valid.
+ * `onBulkUpdate` receives the server response so the list can reload.
+ */
+const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete }) => {
   const { user } = useAuth();
   const [selectedTasks, setSelectedTasks] = useState([]);
   const [selectAll, setSelectAll] = useState(false);
@@ -11,10 +21,20 @@ const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) =>
   const [bulkValue, setBulkValue] = useState('');
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [confirmAction, setConfirmAction] = useState(null);
+  const [atomic, setAtomic] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [assigneeOptions, setAssigneeOptions] = useState([]);
+  const [lastResult, setLastResult] = useState(null);
+  const [error, setError] = useState(null);
 
-  const statusOptions = ['pending', 'in-progress', 'completed', 'cancelled'];
+  const statusOptions = ['pending', 'in-progress', 'complete', 'cancelled'];
   const priorityOptions = ['low', 'medium', 'high', 'urgent'];
-  const assigneeOptions = ['John Doe', 'Sarah Smith', 'Mike Johnson', 'Emily Brown', 'David Wilson'];
+
+  useEffect(() => {
+    fetchAssignees()
+      .then(setAssigneeOptions)
+      .catch(() => setAssigneeOptions([]));
+  }, []);
 
   useEffect(() => {
     // Update select all when individual selections change
@@ -53,34 +73,44 @@ const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) =>
     setShowBulkActions(true);
   };
 
-  const executeBulkAction = () => {
+  const applyOnServer = async () => {
+    setApplying(true);
+    setError(null);
+
+    try {
+      const data = await bulkUpdateTasks({
+        taskIds: selectedTasks,
+        operation: bulkAction,
+        value: bulkValue === UNASSIGNED ? null : bulkValue,
+        atomic
+      });
+      setLastResult(data);
+      // Keep the tasks that failed selected so they can be retried
+      setSelectedTasks(data.results.filter(result => result.outcome === 'failed').map(result => result.id));
+      onBulkUpdate?.(data);
+    } catch (err) {
+      // Atomic requests list why nothing was changed
+      if (err.code === 'BULK_OPERATION_FAILED') {
+        setLastResult({ message: err.message, results: err.details.results, undo: null });
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const executeBulkAction = async () => {
     if (!bulkValue) {
       alert('Please provide a value for the bulk action');
       return;
     }
 
-    const actionData = {
-      action: bulkAction,
-      value: bulkValue,
-      taskIds: selectedTasks
-    };
-
-    switch (bulkAction) {
-      case 'status':
-        onBulkUpdate(actionData);
-        break;
-      case 'priority':
-        onBulkUpdate(actionData);
-        break;
-      case 'assignee':
-        onBulkAssign(actionData);
-        break;
-      case 'delete':
-        setConfirmAction(actionData);
-        setShowConfirmModal(true);
-        break;
-      default:
-        break;
+    if (bulkAction === 'delete') {
+      setConfirmAction({ action: bulkAction, value: bulkValue, taskIds: selectedTasks });
+      setShowConfirmModal(true);
+    } else {
+      await applyOnServer();
     }
 
     setShowBulkActions(false);
@@ -88,6 +118,21 @@ const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) =>
     setBulkValue('');
   };
 
+  const handleUndo = async () => {
+    setError(null);
+
+    try {
+      const data = await undoBulkUpdate(lastResult.undo.token);
+      setLastResult({ message: data.message, results: data.results, undo: null });
+      onBulkUpdate?.(data);
+    } catch (err) {
+      setError(err.message);
+      setLastResult(previous => ({ ...previous, undo: null }));
+    }
+  };
+
+  const taskTitle = (taskId) => tasks.find(task => task._id === taskId)?.title || taskId;
+
   const confirmBulkDelete = () => {
     onBulkDelete(confirmAction);
     setShowConfirmModal(false);
@@ -110,8 +155,50 @@ const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) =>
 
   const { selectedTaskObjects, statusCounts, priorityCounts } = getSelectedTasksInfo();
 
+  const failedResults = lastResult ? lastResult.results.filter(result => result.outcome === 'failed') : [];
+  const canUndo = lastResult?.undo && new Date(lastResult.undo.expiresAt) > new Date();
+
   return (
     <>
+      {/* Result of the last bulk change */}
+      {(lastResult || error) && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6" role="status">
+          <div className="flex items-center justify-between">
+            <span className={`text-sm font-medium ${error ? 'text-red-700' : 'text-gray-900'}`}>
+              {error || lastResult.message}
+            </span>
+            <div className="flex items-center space-x-2">
+              {canUndo && (
+                <Button
+                  onClick={handleUndo}
+                  className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded text-sm"
+                >
+                  ↩️ Undo
+                </Button>
+              )}
+              <Button
+                onClick={() => {
+                  setLastResult(null);
+                  setError(null);
+                }}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded text-sm"
+              >
+                ✕
+              </Button>
+            </div>
+          </div>
+          {failedResults.length > 0 && (
+            <ul className="mt-2 space-y-1 text-sm text-red-700">
+              {failedResults.map(result => (
+                <li key={result.id}>
+                  <span className="font-medium">{taskTitle(result.id)}</span>: {result.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Bulk Operations Bar */}
       {selectedTasks.length > 0 && (
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
@@ -262,14 +349,27 @@ const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) =>
                       className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     >
                       <option value="">Select assignee...</option>
+                      <option value={UNASSIGNED}>Unassigned</option>
                       {assigneeOptions.map(assignee => (
-                        <option key={assignee} value={assignee}>{assignee}</option>
+                        <option key={assignee._id} value={assignee._id}>{assignee.username}</option>
                       ))}
                     </select>
                   )}
                 </div>
               )}
 
+              {bulkAction !== 'delete' && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={atomic}
+                    onChange={(e) => setAtomic(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                  />
+                  <span>All or nothing: change no task if any of them cannot be changed</span>
+                </label>
+              )}
+
               {bulkAction === 'delete' && (
                 <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
                   <div className="flex items-center space-x-2 mb-2">
@@ -312,13 +412,14 @@ const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) =>
               </Button>
               <Button
                 onClick={executeBulkAction}
+                disabled={applying}
                 className={`px-4 py-2 rounded-lg ${
                   bulkAction === 'delete'
                     ? 'bg-red-500 hover:bg-red-600 text-white'
                     : 'bg-blue-500 hover:bg-blue-600 text-white'
                 }`}
               >
-                {bulkAction === 'delete' ? 'Delete Tasks' : 'Apply Changes'}
+                {bulkAction === 'delete' ? 'Delete Tasks' : applying ? 'Applying…' : 'Apply Changes'}
               </Button>
             </div>
           </div>
@@ -394,7 +495,7 @@ const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) =>
               <h3 className="font-medium text-gray-900">{task.title}</h3>
               <div className="flex items-center space-x-4 text-sm text-gray-500">
                 <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                  task.status === 'completed' ? 'bg-green-100 text-green-800' :
+                  task.status === 'complete' ? 'bg-green-100 text-green-800' :
                   task.status === 'in-progress' ? 'bg-blue-100 text-blue-800' :
                   'bg-yellow-100 text-yellow-800'
                 }`}>
@@ -408,7 +509,7 @@ const BulkOperations = ({ tasks, onBulkUpdate, onBulkDelete, onBulkAssign }) =>
                   {task.priority}
                 </span>
                 {task.assignedTo && (
-                  <span className="text-gray-600">👤 {task.assignedTo}</span>
+                  <span className="text-gray-600">👤 {task.assignedTo.username || task.assignedTo}</span>
                 )}
               </div>
             </div>
@@ -1,159 +1,228 @@
 /**
  * TaskFilter Component
- * 
+ *
  * A comprehensive task filtering component that allows users to filter tasks
- * by completion status and search by title. Implements real-time filtering
- * with localStorage integration for persistent data access.
- * 
+ * by completion status and search them with the task query syntax, e.g.
+ * `status:in-progress priority:>=high due:<2026-11-01 tag:backend assignee:@me "exact phrase"`.
+ * Searches run on the server (full-text index with relevance ranking).
+ *
  * Features:
  * - Filter tasks by completion status (All/Complete/Incomplete)
- * - Search tasks by title with real-time results
+ * - Query syntax with autocomplete for fields and values
+ * - Syntax errors from the server shown under the input
  * - Responsive design with mobile optimization
- * - Accessibility support with ARIA attributes
- * - Integration with localStorage for data persistence
- * 
+ * - Accessibility support with ARIA attributes (combobox pattern)
+ *
  * @author Senior Full-Stack Engineer
  * @version 1.0.0
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { FaSearch, FaFilter, FaSpinner, FaExclamationTriangle, FaTasks } from 'react-icons/fa';
+import { fetchTasks, fetchQuerySuggestions } from '../../api';
+
+const SEARCH_DELAY_MS = 300;
+
+// Field names and the values that can be suggested without asking the server
+const QUERY_FIELDS = ['status', 'priority', 'due', 'created', 'updated', 'tag', 'assignee', 'creator', 'is', 'estimate', 'progress'];
+const STATIC_VALUES = {
+  status: ['pending', 'in-progress', 'complete', 'cancelled'],
+  priority: ['low', 'medium', 'high', 'urgent'],
+  is: ['overdue', 'open', 'closed', 'blocked', 'recurring', 'subtask', 'toplevel'],
+  due: ['today', 'tomorrow', 'yesterday'],
+  created: ['today', 'yesterday'],
+  updated: ['today', 'yesterday']
+};
+const SERVER_FIELDS = ['tag', 'assignee', 'creator'];
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Find the term being typed at the caret
+ *
+ * @param {string} query - Full query text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} Token bounds with the field and value prefix being completed
+ */
+const getActiveTerm = (query, caret) => {
+  const start = query.lastIndexOf(' ', caret - 1) + 1;
+  const end = caret;
+  const token = query.slice(start, end);
+
+  // Inside quotes there is nothing to complete
+  if (!token || (token.split('"').length - 1) % 2 === 1) {
+    return null;
+  }
+
+  const fieldMatch = /^(-?)([a-z]+):(>=|<=|>|<|=)?(.*)$/i.exec(token);
+  if (fieldMatch) {
+    const [, negation, field, operator = '', values] = fieldMatch;
+    const valueStart = values.lastIndexOf(',') + 1;
+    return {
+      start: start + negation.length + field.length + 1 + operator.length + valueStart,
+      end,
+      field: field.toLowerCase(),
+      prefix: values.slice(valueStart)
+    };
+  }
+
+  const nameMatch = /^(-?)([a-z]+)$/i.exec(token);
+  if (nameMatch) {
+    return { start: start + nameMatch[1].length, end, field: null, prefix: nameMatch[2] };
+  }
+
+  return null;
+};
 
 const TaskFilter = () => {
   // State management with proper initialization
   const [tasks, setTasks] = useState([]);
-  const [filteredTasks, setFilteredTasks] = useState([]);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [queryError, setQueryError] = useState(null);
   const [filters, setFilters] = useState({
     status: 'all',
     search: ''
   });
-  const [counts, setCounts] = useState({
-    all: 0,
-    complete: 0,
-    incomplete: 0
-  });
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeTerm, setActiveTerm] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const inputRef = useRef(null);
+  const requestRef = useRef(0);
 
   /**
-   * Load tasks from localStorage
-   * Uses localStorage for cross-component data sharing
+   * Load tasks matching the filters from the server
+   * Debounced while typing; stale responses are ignored
    */
   useEffect(() => {
-    const loadTasks = async () => {
+    const request = ++requestRef.current;
+
+    const timer = setTimeout(async () => {
       try {
-        // Simulate network delay for realistic UX
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Get tasks from localStorage
-        const storedTasks = localStorage.getItem('tasks');
-        
-        if (storedTasks) {
-          const parsedTasks = JSON.parse(storedTasks);
-          setTasks(parsedTasks);
-          
-          // Apply initial filtering
-          applyFilters(parsedTasks, filters);
-          
-          // Calculate counts
-          updateCounts(parsedTasks);
-        } else {
-          // Initialize with empty array if no tasks exist
-          setTasks([]);
-          setFilteredTasks([]);
-        }
-        
+        const params = { tz: TIME_ZONE, include: 'total' };
+        if (filters.status !== 'all') params.status = filters.status;
+        if (filters.search.trim()) params.q = filters.search.trim();
+
+        const data = await fetchTasks(params);
+        if (request !== requestRef.current) return;
+
+        setTasks(data.tasks || []);
+        setTotal(data.pagination?.total ?? (data.tasks || []).length);
+        setQueryError(null);
         setError(null);
       } catch (err) {
-        console.error('Error loading tasks:', err);
-        setError('Failed to load tasks. Please try again later.');
+        if (request !== requestRef.current) return;
+
+        if (err.code === 'INVALID_QUERY' || err.code === 'INVALID_TIMEZONE') {
+          setQueryError(err);
+        } else {
+          console.error('Error loading tasks:', err);
+          setError('Failed to load tasks. Please try again later.');
+        }
       } finally {
-        setLoading(false);
+        if (request === requestRef.current) setLoading(false);
       }
-    };
+    }, filters.search ? SEARCH_DELAY_MS : 0);
 
-    loadTasks();
-    
-    // Set up event listener for storage changes from other components
-    const handleStorageChange = (e) => {
-      if (e.key === 'tasks') {
-        try {
-          const updatedTasks = JSON.parse(e.newValue || '[]');
-          setTasks(updatedTasks);
-          applyFilters(updatedTasks, filters);
-          updateCounts(updatedTasks);
-        } catch (err) {
-          console.error('Error parsing tasks from storage:', err);
-        }
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  /**
+   * Update the suggestions for the term at the caret
+   *
+   * @param {string} query - Full query text
+   * @param {number} caret - Caret position
+   */
+  const updateSuggestions = async (query, caret) => {
+    const term = getActiveTerm(query, caret);
+    setActiveTerm(term);
+    setHighlighted(0);
+
+    if (!term) {
+      setSuggestions([]);
+      return;
+    }
+
+    if (!term.field) {
+      const prefix = term.prefix.toLowerCase();
+      setSuggestions(QUERY_FIELDS.filter(field => field.startsWith(prefix) && field !== prefix).map(field => `${field}:`));
+      return;
+    }
+
+    if (SERVER_FIELDS.includes(term.field)) {
+      try {
+        const data = await fetchQuerySuggestions(term.field, term.prefix);
+        setSuggestions(data.suggestions || []);
+      } catch {
+        setSuggestions([]);
       }
-    };
-    
-    // Add event listener for storage changes
-    window.addEventListener('storage', handleStorageChange);
-    
-    // Clean up event listener on component unmount
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, []);
+      return;
+    }
+
+    const prefix = term.prefix.toLowerCase();
+    setSuggestions((STATIC_VALUES[term.field] || []).filter(value => value.startsWith(prefix) && value !== prefix));
+  };
 
   /**
-   * Update task counts by status
-   * 
-   * @param {Array} taskList - List of tasks to count
+   * Replace the term at the caret with a suggestion
+   *
+   * @param {string} suggestion - Suggested field name or value
    */
-  const updateCounts = (taskList) => {
-    const completeTasks = taskList.filter(task => task.status === 'complete').length;
-    const incompleteTasks = taskList.filter(task => task.status === 'incomplete').length;
-    
-    setCounts({
-      all: taskList.length,
-      complete: completeTasks,
-      incomplete: incompleteTasks
+  const applySuggestion = (suggestion) => {
+    if (!activeTerm) return;
+
+    const query = filters.search;
+    // Values with spaces need quotes; field names keep the caret after the colon
+    const text = suggestion.includes(' ') ? `"${suggestion}"` : suggestion;
+    const insert = suggestion.endsWith(':') ? text : `${text} `;
+    const next = query.slice(0, activeTerm.start) + insert + query.slice(activeTerm.end);
+    const caret = activeTerm.start + insert.length;
+
+    handleFilterChange('search', next);
+    setSuggestions([]);
+
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+      if (suggestion.endsWith(':')) updateSuggestions(next, caret);
     });
   };
 
   /**
-   * Apply filters to tasks based on current filter settings
-   * Memoized with useCallback to prevent unnecessary re-renders
-   * 
-   * @param {Array} taskList - List of tasks to filter
-   * @param {Object} filterSettings - Current filter settings
+   * Keyboard navigation of the suggestion list
+   *
+   * @param {KeyboardEvent} event - Key event from the search input
    */
-  const applyFilters = useCallback((taskList, filterSettings) => {
-    let result = [...taskList];
-    
-    // Apply status filter
-    if (filterSettings.status !== 'all') {
-      result = result.filter(task => task.status === filterSettings.status);
-    }
-    
-    // Apply search filter
-    if (filterSettings.search.trim()) {
-      const searchTerm = filterSettings.search.toLowerCase().trim();
-      result = result.filter(task => 
-        task.title.toLowerCase().includes(searchTerm) || 
-        task.description.toLowerCase().includes(searchTerm)
-      );
+  const handleSearchKeyDown = (event) => {
+    if (suggestions.length === 0) return;
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setHighlighted(index => (index + 1) % suggestions.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setHighlighted(index => (index - 1 + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      applySuggestion(suggestions[highlighted]);
+    } else if (event.key === 'Escape') {
+      setSuggestions([]);
     }
-    
-    setFilteredTasks(result);
-  }, []);
+  };
 
   /**
    * Handle filter changes
-   * 
+   *
    * @param {string} filterType - Type of filter to change
    * @param {string} value - New filter value
    */
   const handleFilterChange = (filterType, value) => {
-    const newFilters = {
-      ...filters,
+    setFilters(prev => ({
+      ...prev,
       [filterType]: value
-    };
-    
-    setFilters(newFilters);
-    applyFilters(tasks, newFilters);
+    }));
   };
 
   // Loading state
@@ -182,7 +251,7 @@ const TaskFilter = () => {
         <FaTasks className="mr-2" aria-hidden="true" />
         Task Filter
       </h2>
-      
+
       <div className="mb-6 space-y-4">
         {/* Search input */}
         <div>
@@ -195,16 +264,61 @@ const TaskFilter = () => {
             </div>
             <input
               id="search"
+              ref={inputRef}
               type="text"
-              className="pl-10 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
-              placeholder="Search by title or description"
+              className={`pl-10 block w-full rounded-md shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm ${
+                queryError ? 'border-red-500' : 'border-gray-300'
+              }`}
+              placeholder='e.g. status:in-progress priority:>=high tag:backend "exact phrase"'
               value={filters.search}
-              onChange={(e) => handleFilterChange('search', e.target.value)}
+              onChange={(e) => {
+                handleFilterChange('search', e.target.value);
+                updateSuggestions(e.target.value, e.target.selectionStart);
+              }}
+              onKeyDown={handleSearchKeyDown}
+              onBlur={() => setTimeout(() => setSuggestions([]), 150)}
+              role="combobox"
+              aria-expanded={suggestions.length > 0}
+              aria-controls="search-suggestions"
+              aria-activedescendant={suggestions.length > 0 ? `search-suggestion-${highlighted}` : undefined}
+              aria-autocomplete="list"
+              aria-invalid={!!queryError}
+              aria-describedby={queryError ? 'search-error' : undefined}
               aria-label="Search tasks"
             />
+
+            {/* Autocomplete suggestions */}
+            {suggestions.length > 0 && (
+              <ul
+                id="search-suggestions"
+                role="listbox"
+                className="absolute z-10 mt-1 w-full max-h-60 overflow-auto rounded-md bg-white shadow-lg border border-gray-200 text-sm"
+              >
+                {suggestions.map((suggestion, index) => (
+                  <li
+                    key={suggestion}
+                    id={`search-suggestion-${index}`}
+                    role="option"
+                    aria-selected={index === highlighted}
+                    className={`px-3 py-2 cursor-pointer ${index === highlighted ? 'bg-blue-50 text-blue-700' : 'text-gray-700'}`}
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      applySuggestion(suggestion);
+                    }}
+                  >
+                    {suggestion}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
+          {queryError && (
+            <p id="search-error" className="mt-1 text-sm text-red-600" role="alert">
+              {queryError.message}
+            </p>
+          )}
         </div>
-        
+
         {/* Status filter */}
         <div>
           <label htmlFor="status-filter" className="block text-sm font-medium text-gray-700 mb-1">
@@ -221,29 +335,28 @@ const TaskFilter = () => {
               onChange={(e) => handleFilterChange('status', e.target.value)}
               aria-label="Filter tasks by status"
             >
-              <option value="all">All Tasks ({counts.all})</option>
-              <option value="complete">Complete ({counts.complete})</option>
-              <option value="incomplete">Incomplete ({counts.incomplete})</option>
+              <option value="all">All Tasks</option>
+              <option value="complete">Complete</option>
+              <option value="incomplete">Incomplete</option>
             </select>
           </div>
         </div>
       </div>
-      
+
       {/* Results count */}
       <div className="mb-4 text-sm text-gray-500">
-        Showing {filteredTasks.length} of {tasks.length} tasks
+        Showing {tasks.length} of {total} tasks
       </div>
-      
+
       {/* Task list */}
-      {filteredTasks.length === 0 ? (
+      {tasks.length === 0 ? (
         <div className="text-center py-8 text-gray-500">
           <p>No tasks match your filters</p>
           <button
             className="mt-2 px-4 py-2 text-sm text-blue-600 hover:text-blue-800"
             onClick={() => {
-              const resetFilters = { status: 'all', search: '' };
-              setFilters(resetFilters);
-              applyFilters(tasks, resetFilters);
+              setFilters({ status: 'all', search: '' });
+              setSuggestions([]);
             }}
           >
             Reset Filters
@@ -251,7 +364,7 @@ const TaskFilter = () => {
         </div>
       ) : (
         <ul className="divide-y divide-gray-200">
-          {filteredTasks.map((task) => (
+          {tasks.map((task) => (
             <li key={task._id} className="py-4">
               <div className="flex items-start justify-between">
                 <div className="flex-1 min-w-0">
@@ -262,21 +375,21 @@ const TaskFilter = () => {
                     {task.description}
                   </p>
                   <div className="mt-2 flex flex-wrap gap-2">
-                    <span 
+                    <span
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        task.status === 'complete' 
-                          ? 'bg-green-100 text-green-800' 
+                        task.status === 'complete'
+                          ? 'bg-green-100 text-green-800'
                           : 'bg-yellow-100 text-yellow-800'
                       }`}
                     >
                       {task.status === 'complete' ? 'Complete' : 'Incomplete'}
                     </span>
-                    
+
                     {task.priority && (
-                      <span 
+                      <span
                         className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                          task.priority === 'high' 
-                            ? 'bg-red-100 text-red-800' 
+                          task.priority === 'high' || task.priority === 'urgent'
+                            ? 'bg-red-100 text-red-800'
                             : task.priority === 'medium'
                               ? 'bg-yellow-100 text-yellow-800'
                               : 'bg-green-100 text-green-800'
@@ -285,9 +398,15 @@ const TaskFilter = () => {
                         {task.priority}
                       </span>
                     )}
+
+                    {(task.tags || []).map(tag => (
+                      <span key={tag} className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                        #{tag}
+                      </span>
+                    ))}
                   </div>
                 </div>
-                
+
                 {task.dueDate && (
                   <div className="ml-4 flex-shrink-0 text-sm text-gray-500">
                     Due: {new Date(task.dueDate).toLocaleDateString()}
@@ -303,4 +422,3 @@ const TaskFilter = () => {
 };
 
 export default TaskFilter;
-
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from "react";
+import { fetchSessions, revokeSession, revokeOtherSessions } from "../../api";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      setError("");
+      const data = await fetchSessions();
+      setSessions(data.sessions || []);
+    } catch {
+      setError("Could not load your sessions.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      await revokeSession(session.id);
+
+      // Revoking the current session is the same as logging out
+      if (session.current) {
+        localStorage.removeItem("token");
+        window.location.href = "/login";
+        return;
+      }
+
+      setSessions(sessions.filter((s) => s.id !== session.id));
+    } catch {
+      setError("Could not sign out that session.");
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm("Sign out of all other devices?")) return;
+
+    try {
+      await revokeOtherSessions();
+      setSessions(sessions.filter((s) => s.current));
+    } catch {
+      setError("Could not sign out other sessions.");
+    }
+  };
+
+  const hasOtherSessions = sessions.some((s) => !s.current);
+
+  return (
+    <div className="mt-8 pt-6 border-t">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-2xl font-semibold text-gray-800">Active Sessions</h3>
+        {hasOtherSessions && (
+          <button
+            onClick={handleRevokeOthers}
+            className="px-4 py-2 text-sm bg-red-500 text-white rounded-lg hover:bg-red-600 transition"
+          >
+            Sign out everywhere else
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-gray-500">Loading sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-gray-500">No active sessions.</p>
+      ) : (
+        <ul className="space-y-3">
+          {sessions.map((session) => (
+            <li
+              key={session.id}
+              className="flex items-center justify-between p-4 border rounded-lg bg-gray-50"
+            >
+              <div>
+                <p className="font-medium text-gray-800">
+                  {session.device.browser} on {session.device.os}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 text-xs bg-green-100 text-green-700 rounded-full">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">IP: {session.ipAddress}</p>
+                <p className="text-sm text-gray-500">
+                  Signed in {formatDate(session.loginTime)} · Last active {formatDate(session.lastActivity)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className="px-3 py-1 text-sm border border-red-400 text-red-600 rounded-lg hover:bg-red-50 transition"
+              >
+                {session.current ? "Sign out" : "Revoke"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from "react";
+import { changePassword, fetchPasswordPolicy } from "../../api";
+
+const emptyForm = { currentPassword: "", newPassword: "", confirmPassword: "" };
+
+// Server details are a string or, for policy violations, a list of messages
+const toMessages = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const ChangePassword = ({ className = "mt-8 pt-6 border-t" }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [rules, setRules] = useState([]);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPasswordPolicy()
+      .then((data) => setRules(data.rules || []))
+      .catch(() => setRules([]));
+  }, []);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: [] });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    if (form.newPassword !== form.confirmPassword) {
+      setFieldErrors({ confirmPassword: ["Passwords do not match"] });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await changePassword(form.currentPassword, form.newPassword);
+      setMessage("Your password has been changed.");
+      setForm(emptyForm);
+      setFieldErrors({});
+    } catch (err) {
+      const details = err.details || {};
+      setFieldErrors({
+        currentPassword: toMessages(details.currentPassword),
+        newPassword: toMessages(details.newPassword),
+      });
+      if (!details.currentPassword && !details.newPassword) {
+        setError(err.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderField = (name, label, autoComplete) => (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        id={name}
+        type="password"
+        name={name}
+        value={form[name]}
+        onChange={handleChange}
+        required
+        autoComplete={autoComplete}
+        aria-invalid={fieldErrors[name]?.length > 0}
+        className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none ${
+          fieldErrors[name]?.length > 0 ? "border-red-500" : ""
+        }`}
+      />
+      {fieldErrors[name]?.map((fieldError) => (
+        <p key={fieldError} className="mt-1 text-sm text-red-600">{fieldError}</p>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className={className}>
+      <h3 className="text-2xl font-semibold text-gray-800 mb-4">Change Password</h3>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+      {message && <p className="mb-4 text-green-600">{message}</p>}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {renderField("currentPassword", "Current password", "current-password")}
+        {renderField("newPassword", "New password", "new-password")}
+
+        {rules.length > 0 && (
+          <ul className="text-sm text-gray-500 list-disc list-inside">
+            {rules.map((rule) => (
+              <li key={rule.rule}>{rule.message}</li>
+            ))}
+          </ul>
+        )}
+
+        {renderField("confirmPassword", "Confirm new password", "new-password")}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full bg-red-500 text-white py-3 rounded-lg hover:bg-red-600 transition disabled:opacity-50"
+        >
+          {saving ? "Changing..." : "Change Password"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from "react";
+import { fetchPasskeys, addPasskey, deletePasskey } from "../../api";
+import { isPasskeySupported } from "../../utils/webauthn";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "Never");
+
+const Passkeys = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  const [name, setName] = useState("");
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    loadPasskeys();
+  }, []);
+
+  const loadPasskeys = async () => {
+    try {
+      const data = await fetchPasskeys();
+      setPasskeys(data.passkeys || []);
+    } catch {
+      setError("Could not load your passkeys.");
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError("");
+    setAdding(true);
+
+    try {
+      const data = await addPasskey(name.trim());
+      setPasskeys([...passkeys, data.passkey]);
+      setName("");
+    } catch (err) {
+      // The browser reports a cancelled prompt as NotAllowedError
+      if (err.name !== "NotAllowedError") {
+        setError(err.message);
+      }
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    if (!window.confirm("Remove this passkey? You will no longer be able to sign in with it.")) return;
+
+    try {
+      await deletePasskey(id);
+      setPasskeys(passkeys.filter((p) => p.id !== id));
+    } catch {
+      setError("Could not remove that passkey.");
+    }
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t">
+      <h3 className="text-2xl font-semibold text-gray-800 mb-4">Passkeys</h3>
+      <p className="text-gray-600 mb-4">
+        Sign in with your fingerprint, face or device PIN instead of a password.
+      </p>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+
+      {isPasskeySupported() ? (
+        <form onSubmit={handleAdd} className="flex gap-3 mb-6">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Passkey name, e.g. Work laptop"
+            maxLength={100}
+            className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+          />
+          <button
+            type="submit"
+            disabled={adding}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+          >
+            {adding ? "Waiting for device..." : "Add passkey"}
+          </button>
+        </form>
+      ) : (
+        <p className="mb-4 text-gray-500">This browser does not support passkeys.</p>
+      )}
+
+      {passkeys.length === 0 ? (
+        <p className="text-gray-500">You have no passkeys.</p>
+      ) : (
+        <ul className="space-y-3">
+          {passkeys.map((passkey) => (
+            <li
+              key={passkey.id}
+              className="flex items-center justify-between p-4 border rounded-lg bg-gray-50"
+            >
+              <div>
+                <p className="font-medium text-gray-800">
+                  {passkey.name}
+                  {passkey.backedUp && <span className="ml-2 text-sm text-gray-500">Synced</span>}
+                </p>
+                <p className="text-sm text-gray-500">
+                  Added {formatDate(passkey.createdAt)} · Last used {formatDate(passkey.lastUsedAt)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRemove(passkey.id)}
+                className="px-3 py-1 text-sm border border-red-400 text-red-600 rounded-lg hover:bg-red-50 transition"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Passkeys;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from "react";
+import { fetchAccessTokens, createAccessToken, revokeAccessToken } from "../../api";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "Never");
+
+const emptyForm = { name: "", scopes: [], expiresInDays: 30 };
+
+const PersonalAccessTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [newToken, setNewToken] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const loadTokens = async () => {
+    try {
+      const data = await fetchAccessTokens();
+      setTokens(data.tokens || []);
+      setAvailableScopes(data.availableScopes || []);
+    } catch {
+      setError("Could not load your access tokens.");
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope)
+        ? form.scopes.filter((s) => s !== scope)
+        : [...form.scopes, scope],
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      const data = await createAccessToken(form);
+      setNewToken(data.token);
+      setTokens([data.accessToken, ...tokens]);
+      setForm(emptyForm);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm("Revoke this token? Scripts using it will stop working.")) return;
+
+    try {
+      await revokeAccessToken(id);
+      setTokens(tokens.filter((t) => t.id !== id));
+    } catch {
+      setError("Could not revoke that token.");
+    }
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t">
+      <h3 className="text-2xl font-semibold text-gray-800 mb-4">Personal Access Tokens</h3>
+
+      {error && <p className="mb-4 text-red-600">{error}</p>}
+
+      {newToken && (
+        <div className="mb-4 p-4 border border-green-300 bg-green-50 rounded-lg">
+          <p className="font-medium text-green-800">Copy your new token now. It will not be shown again.</p>
+          <code className="block mt-2 p-2 bg-white border rounded break-all">{newToken}</code>
+          <button
+            onClick={() => setNewToken("")}
+            className="mt-2 text-sm text-green-700 underline"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-3 mb-6">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Token name, e.g. CI sync script"
+          className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
+        />
+        <div className="flex flex-wrap gap-4">
+          {availableScopes.map((scope) => (
+            <label key={scope} className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />
+              {scope}
+            </label>
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="text-gray-700">Expires in</label>
+          <select
+            value={form.expiresInDays}
+            onChange={(e) => setForm({ ...form, expiresInDays: Number(e.target.value) })}
+            className="px-3 py-2 border rounded-lg"
+          >
+            <option value={7}>7 days</option>
+            <option value={30}>30 days</option>
+            <option value={90}>90 days</option>
+            <option value={365}>1 year</option>
+          </select>
+          <button
+            type="submit"
+            disabled={!form.name.trim() || form.scopes.length === 0}
+            className="ml-auto px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition disabled:opacity-50"
+          >
+            Generate token
+          </button>
+        </div>
+      </form>
+
+      {tokens.length === 0 ? (
+        <p className="text-gray-500">You have no access tokens.</p>
+      ) : (
+        <ul className="space-y-3">
+          {tokens.map((token) => (
+            <li
+              key={token.id}
+              className="flex items-center justify-between p-4 border rounded-lg bg-gray-50"
+            >
+              <div>
+                <p className="font-medium text-gray-800">
+                  {token.name} <span className="text-gray-500 text-sm">…{token.tokenHint}</span>
+                </p>
+                <p className="text-sm text-gray-600">{token.scopes.join(", ")}</p>
+                <p className="text-sm text-gray-500">
+                  Expires {formatDate(token.expiresAt)} · Last used {formatDate(token.lastUsedAt)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(token.id)}
+                className="px-3 py-1 text-sm border border-red-400 text-red-600 rounded-lg hover:bg-red-50 transition"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PersonalAccessTokens;
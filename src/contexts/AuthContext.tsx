@@ -1,4 +1,5 @@
 import React, { createContext, useState, useContext, useEffect, ReactNode } from 'react'
+import { logout as endSession } from '../api'
 
 // Define interfaces locally for now
 interface IUser {
@@ -23,6 +24,13 @@ interface RegisterData {
   confirmPassword: string
 }
 
+/**
+ * Whether a session is stored: a bearer token, or cookie auth mode where
+ * the tokens live in httpOnly cookies the page cannot read
+ */
+const hasStoredSession = (): boolean =>
+  !!localStorage.getItem("token") || localStorage.getItem("authMode") === "cookie"
+
 // Create the authentication context
 const AuthContext = createContext<AuthContextType | undefined>(undefined)
 
@@ -49,10 +57,9 @@ interface AuthProviderProps {
 
 const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [user, setUser] = useState<IUser | null>(() => {
-    const token = localStorage.getItem("token")
     const email = localStorage.getItem("email")
     
-    return token && email ? { email } : null
+    return hasStoredSession() && email ? { email } : null
   })
   
   const [loading, setLoading] = useState<boolean>(true)
@@ -63,9 +70,7 @@ const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   useEffect(() => {
     const checkAuth = async (): Promise<void> => {
       try {
-        const token = localStorage.getItem("token")
-        
-        if (token) {
+        if (hasStoredSession()) {
           const email = localStorage.getItem("email")
           
           if (email) {
@@ -97,8 +102,7 @@ const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
    * Handles user logout
    */
   const handleLogout = (): void => {
-    localStorage.removeItem("token")
-    localStorage.removeItem("email")
+    endSession()
     setUser(null)
   }
 
@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from './useAuth';
+import { COOKIE_AUTH, logout } from '../api';
 
 const useWebSocket = () => {
   const { user, token } = useAuth();
@@ -96,10 +97,20 @@ const useWebSocket = () => {
         handleTaskUpdate(data);
         break;
         
+      case 'tasks_bulk_updated':
+        handleBulkTaskUpdate(data);
+        break;
+        
       case 'task_commented':
         handleTaskComment(data);
         break;
         
+      case 'task_comment_updated':
+      case 'task_comment_deleted':
+        // Open comment threads refresh; no notification for edits
+        window.dispatchEvent(new CustomEvent('taskCommentChanged', { detail: { type, ...data } }));
+        break;
+        
       case 'task_assigned':
         handleTaskAssignment(data);
         break;
@@ -120,6 +131,10 @@ const useWebSocket = () => {
         handleRoomJoined(data);
         break;
         
+      case 'session_revoked':
+        handleSessionRevoked(data);
+        break;
+        
       case 'error':
         console.error('WebSocket server error:', data);
         break;
@@ -185,10 +200,25 @@ const useWebSocket = () => {
     window.dispatchEvent(new CustomEvent('taskUpdated', { detail: data }));
   }, []);
 
+  // One message per bulk change, listing the changed tasks this user can see
+  const handleBulkTaskUpdate = useCallback((data) => {
+    const count = data.tasks.length;
+    addNotification({
+      type: 'task_update',
+      message: data.undone
+        ? `${data.updatedBy.username} undid a bulk change to ${count} task${count === 1 ? '' : 's'}`
+        : `${data.updatedBy.username} changed the ${data.operation} of ${count} task${count === 1 ? '' : 's'}`,
+      data: data,
+      timestamp: new Date().toISOString()
+    });
+    
+    window.dispatchEvent(new CustomEvent('tasksBulkUpdated', { detail: data }));
+  }, []);
+
   const handleTaskComment = useCallback((data) => {
     addNotification({
       type: 'task_comment',
-      message: `${data.comment.author.username} commented on task`,
+      message: `${data.comment.author.username} commented on "${data.taskTitle}"`,
       data: data,
       timestamp: data.timestamp
     });
@@ -297,10 +327,12 @@ const useWebSocket = () => {
 
   // Public methods
   const connect = useCallback(() => {
-    if (!user || !token) return;
+    // In cookie auth mode the handshake carries the httpOnly session cookie
+    if (!user || (!token && !COOKIE_AUTH)) return;
     
     try {
-      const wsUrl = `${process.env.REACT_APP_WS_URL || 'ws://localhost:5000'}/ws?token=${token}`;
+      const query = token ? `?token=${encodeURIComponent(token)}` : '';
+      const wsUrl = `${process.env.REACT_APP_WS_URL || 'ws://localhost:5000'}/ws${query}`;
       wsRef.current = new WebSocket(wsUrl);
       
       wsRef.current.onopen = handleOpen;
@@ -331,6 +363,13 @@ const useWebSocket = () => {
     }
   }, [stopHeartbeat]);
 
+  // The server ended this session (idle timeout or session limit): login again
+  const handleSessionRevoked = useCallback(async (data) => {
+    disconnect();
+    await logout();
+    window.location.assign(`/login?session_ended=${encodeURIComponent(data?.reason || 'revoked')}`);
+  }, [disconnect]);
+
   const sendMessage = useCallback((message) => {
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       wsRef.current.send(JSON.stringify(message));
@@ -361,10 +400,25 @@ const useWebSocket = () => {
     });
   }, [sendMessage]);
 
-  const addTaskComment = useCallback((taskId, comment) => {
+  // Comments go through the same service as the REST API; replies pass the parent id
+  const addTaskComment = useCallback((taskId, content, parentId = null) => {
     sendMessage({
       type: 'task_comment',
-      data: { taskId, comment }
+      data: { taskId, content, parentId }
+    });
+  }, [sendMessage]);
+
+  const editTaskComment = useCallback((taskId, commentId, content) => {
+    sendMessage({
+      type: 'task_comment_edit',
+      data: { taskId, commentId, content }
+    });
+  }, [sendMessage]);
+
+  const deleteTaskComment = useCallback((taskId, commentId) => {
+    sendMessage({
+      type: 'task_comment_delete',
+      data: { taskId, commentId }
     });
   }, [sendMessage]);
 
@@ -443,6 +497,8 @@ const useWebSocket = () => {
     leaveRoom,
     updateTask,
     addTaskComment,
+    editTaskComment,
+    deleteTaskComment,
     assignTask,
     sendPrivateMessage,
     setUserTyping,
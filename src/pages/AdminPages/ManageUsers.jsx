@@ -115,6 +115,8 @@
 // export default ManageUsers;
 import React, { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import UserInvitations from "../../components/admin/UserInvitations";
+import { startImpersonation } from "../../api";
 
 const ManageUsers = () => {
   const [users, setUsers] = useState([]);
@@ -171,6 +173,18 @@ const ManageUsers = () => {
     }
   };
 
+  const viewAsUser = async (user) => {
+    const reason = window.prompt(`Reason for viewing as ${user.email} (recorded in the audit log):`, "");
+    if (reason === null) return;
+
+    try {
+      await startImpersonation(user._id || user.id, reason);
+      window.location.assign("/user/dashboard");
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
   return (
     <div className="flex min-h-screen bg-gray-100">
       <Sidebar />
@@ -243,6 +257,14 @@ const ManageUsers = () => {
                         >
                           Delete
                         </button>
+                        {user.role.toLowerCase() !== "admin" && (
+                          <button
+                            className="bg-amber-500 text-white px-3 py-1 rounded ml-2 hover:bg-amber-600"
+                            onClick={() => viewAsUser(user)}
+                          >
+                            View as
+                          </button>
+                        )}
                       </>
                     )}
                   </td>
@@ -253,6 +275,8 @@ const ManageUsers = () => {
 
           {users.length === 0 && <p className="text-gray-500 text-center mt-4">No users found.</p>}
         </div>
+
+        <UserInvitations />
       </div>
     </div>
   );
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from "react";
 import Sidebar from "../../components/admin/Sidebar";
+import PasswordPolicySettings from "../../components/admin/PasswordPolicySettings";
+import ChangePassword from "../../components/user/ChangePassword";
 
 const Settings = () => {
   // Load stored admin profile data
@@ -16,7 +18,6 @@ const Settings = () => {
   });
 
   const [imagePreview, setImagePreview] = useState(profile.profilePic);
-  const [password, setPassword] = useState("");
   const [activityLog, setActivityLog] = useState(() => {
     return JSON.parse(localStorage.getItem("adminActivityLog")) || [];
   });
@@ -52,13 +53,6 @@ const Settings = () => {
     window.location.reload(); // Refresh to reflect changes in navbar
   };
 
-  // Change password (dummy for now)
-  const handleChangePassword = () => {
-    if (!password) return alert("Please enter a new password!");
-    alert("Password changed successfully! (This is a dummy feature for now)");
-    setPassword("");
-  };
-
   return (
     <div className="flex min-h-screen bg-gray-100">
       {/* Sidebar */}
@@ -141,28 +135,12 @@ const Settings = () => {
 
           {/* Change Password */}
           <div className="bg-white p-6 shadow-lg rounded-lg">
-            <h2 className="text-lg font-semibold mb-4">Change Password</h2>
-
-            <div>
-              <label className="block text-sm font-medium">New Password</label>
-              <input
-                type="password"
-                name="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-400 focus:outline-none"
-              />
-            </div>
-
-            <button
-              onClick={handleChangePassword}
-              className="mt-4 w-full bg-red-500 text-white py-3 rounded-lg hover:bg-red-600 transition"
-            >
-              Change Password
-            </button>
+            <ChangePassword className="" />
           </div>
         </div>
 
+        <PasswordPolicySettings />
+
         {/* Activity Log */}
         <div className="bg-white p-6 shadow-lg rounded-lg mt-6">
           <h2 className="text-lg font-semibold mb-4">Recent Activity</h2>
@@ -1,5 +1,9 @@
 import React, { useState } from "react";
 import UserSidebar from "./UserSidebar";
+import ActiveSessions from "../../components/user/ActiveSessions";
+import PersonalAccessTokens from "../../components/user/PersonalAccessTokens";
+import Passkeys from "../../components/user/Passkeys";
+import ChangePassword from "../../components/user/ChangePassword";
 
 const ProfilePage = () => {
   // Load stored profile data
@@ -184,6 +188,18 @@ const ProfilePage = () => {
               Save Profile
             </button>
           </div>
+
+          {/* Password */}
+          <ChangePassword />
+
+          {/* Passkeys */}
+          <Passkeys />
+
+          {/* Sessions */}
+          <ActiveSessions />
+
+          {/* API Tokens */}
+          <PersonalAccessTokens />
         </div>
       </div>
     </div>
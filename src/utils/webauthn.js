@@ -0,0 +1,78 @@
+/**
+ * Passkey (WebAuthn) browser helpers
+ *
+ * The server exchanges binary WebAuthn fields as base64url strings. These
+ * helpers convert options into the ArrayBuffers navigator.credentials
+ * expects and turn the resulting credential back into JSON.
+ */
+
+export const isPasskeySupported = () =>
+  typeof window !== "undefined" && !!window.PublicKeyCredential && !!navigator.credentials;
+
+const toBuffer = (value) => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0)).buffer;
+};
+
+const toBase64Url = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const toDescriptors = (credentials = []) =>
+  credentials.map((credential) => ({ ...credential, id: toBuffer(credential.id) }));
+
+/**
+ * Create a passkey from server registration options
+ */
+export const createPasskey = async (options) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      user: { ...options.user, id: toBuffer(options.user.id) },
+      excludeCredentials: toDescriptors(options.excludeCredentials),
+    },
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+      attestationObject: toBase64Url(credential.response.attestationObject),
+      transports: credential.response.getTransports ? credential.response.getTransports() : [],
+    },
+  };
+};
+
+/**
+ * Sign in with a passkey using server login options
+ */
+export const getPasskeyAssertion = async (options) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      allowCredentials: toDescriptors(options.allowCredentials),
+    },
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+      authenticatorData: toBase64Url(credential.response.authenticatorData),
+      signature: toBase64Url(credential.response.signature),
+      userHandle: credential.response.userHandle ? toBase64Url(credential.response.userHandle) : null,
+    },
+  };
+};
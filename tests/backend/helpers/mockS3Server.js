@@ -0,0 +1,102 @@
+/**
+ * Mock S3 Server
+ *
+ * Minimal local stand-in for an S3-compatible object store: path-style
+ * PUT, GET and DELETE of objects kept in memory. Every request must carry
+ * a valid Signature Version 4 for the configured credentials.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import http from 'http';
+import { signS3Request } from '../../../server/src/services/attachmentStorage.js';
+
+export const createMockS3Server = async ({
+  bucket = 'taskflow-test',
+  region = 'us-east-1',
+  accessKeyId = 'TESTKEY',
+  secretAccessKey = 'test-secret'
+} = {}) => {
+  const objects = new Map();
+  let endpoint = '';
+
+  const readBody = (req) => new Promise(resolve => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+
+  // Recompute the signature from the signed headers the client sent
+  const isSigned = (req, body) => {
+    const match = /SignedHeaders=([^,]+), Signature=(\w+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    const amzDate = req.headers['x-amz-date'] || '';
+    const now = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+    const headers = Object.fromEntries(match[1].split(';')
+      .filter(name => !['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name))
+      .map(name => [name, req.headers[name]]));
+
+    const expected = signS3Request({
+      method: req.method,
+      url: `${endpoint}${req.url}`,
+      headers,
+      body,
+      region,
+      accessKeyId,
+      secretAccessKey,
+      now
+    });
+    return expected.authorization === req.headers.authorization;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const prefix = `/${bucket}/`;
+
+    if (!isSigned(req, body)) {
+      res.writeHead(403);
+      return res.end('SignatureDoesNotMatch');
+    }
+    if (!req.url.startsWith(prefix)) {
+      res.writeHead(404);
+      return res.end('NoSuchBucket');
+    }
+
+    const key = decodeURIComponent(req.url.slice(prefix.length));
+
+    if (req.method === 'PUT') {
+      objects.set(key, { data: body, contentType: req.headers['content-type'] });
+      res.writeHead(200);
+      return res.end();
+    }
+
+    if (req.method === 'GET') {
+      const object = objects.get(key);
+      res.writeHead(object ? 200 : 404, object ? { 'Content-Type': object.contentType } : {});
+      return res.end(object ? object.data : 'NoSuchKey');
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    res.writeHead(405);
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    endpoint,
+    config: { endpoint, bucket, region, accessKeyId, secretAccessKey },
+    objects,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+export default createMockS3Server;
@@ -0,0 +1,143 @@
+/**
+ * Software Authenticator
+ *
+ * Stands in for a platform authenticator in tests: creates credentials
+ * with "none" attestation and signs assertions, producing the same JSON
+ * the frontend sends after navigator.credentials.create/get.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { encodeCbor } from '../../../server/src/utils/cbor.js';
+
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+/**
+ * Encode a public key as a COSE key for the given algorithm
+ */
+const toCoseKey = (publicKey, algorithm) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  if (algorithm === -7) {
+    return encodeCbor(new Map([
+      [1, 2], [3, -7], [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+  }
+
+  return encodeCbor(new Map([
+    [1, 1], [3, -8], [-1, 6],
+    [-2, Buffer.from(jwk.x, 'base64url')]
+  ]));
+};
+
+export const createSoftwareAuthenticator = ({
+  origin = 'http://localhost:5173',
+  algorithm = -7,
+  userVerified = true,
+  counterStep = 1
+} = {}) => {
+  const { publicKey, privateKey } = algorithm === -7
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('ed25519');
+  const credentialId = crypto.randomBytes(16);
+  let signCount = 0;
+  let userHandle = null;
+
+  const clientData = (type, challenge, overrides = {}) => Buffer.from(JSON.stringify({
+    type,
+    challenge,
+    origin,
+    crossOrigin: false,
+    ...overrides
+  }));
+
+  const authenticatorData = (rpId, flags, attestedCredentialData = Buffer.alloc(0)) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    return Buffer.concat([
+      crypto.createHash('sha256').update(rpId).digest(),
+      Buffer.from([flags]),
+      counter,
+      attestedCredentialData
+    ]);
+  };
+
+  const flags = () => FLAG_UP | (userVerified ? FLAG_UV : 0);
+
+  return {
+    credentialId: credentialId.toString('base64url'),
+
+    /**
+     * Answer registration options like navigator.credentials.create
+     */
+    create(options, overrides = {}) {
+      userHandle = options.user.id;
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+
+      const attested = Buffer.concat([
+        Buffer.alloc(16),
+        idLength,
+        credentialId,
+        toCoseKey(publicKey, algorithm)
+      ]);
+
+      const attestationObject = encodeCbor(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authenticatorData(overrides.rpId || options.rp.id, flags() | FLAG_AT, attested)]
+      ]));
+
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData('webauthn.create', options.challenge, overrides.clientData).toString('base64url'),
+          attestationObject: attestationObject.toString('base64url'),
+          transports: ['internal']
+        }
+      };
+    },
+
+    /**
+     * Answer login options like navigator.credentials.get
+     */
+    get(options, overrides = {}) {
+      signCount += counterStep;
+      const authData = authenticatorData(overrides.rpId || options.rpId, flags());
+      const clientDataJSON = clientData('webauthn.get', options.challenge, overrides.clientData);
+      const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+      const signature = algorithm === -7
+        ? crypto.sign('sha256', signedData, privateKey)
+        : crypto.sign(null, signedData, privateKey);
+
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: signature.toString('base64url'),
+          userHandle
+        }
+      };
+    },
+
+    /**
+     * Wind the sign counter back, as a cloned authenticator would
+     */
+    resetCounter(value = 0) {
+      signCount = value;
+    }
+  };
+};
+
+export default createSoftwareAuthenticator;
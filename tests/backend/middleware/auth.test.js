@@ -0,0 +1,114 @@
+/**
+ * Authentication Middleware Tests
+ *
+ * Tests for permission checks, scope enforcement on personal access tokens
+ * and the token type required for API access.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import {
+  requirePermission,
+  requireScope,
+  requireSession,
+  verifyAccessToken,
+  generateChallengeToken
+} from '../../../server/src/middleware/auth.js';
+import { signToken } from '../../../server/src/services/signingKeys.js';
+import User from '../../../server/src/models/User.js';
+
+const createRes = () => {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+};
+
+describe('Authentication Middleware', () => {
+  describe('requirePermission', () => {
+    test('should let users whose role grants the permission through', () => {
+      const res = createRes();
+      const next = vi.fn();
+
+      requirePermission('task.assign')({ user: { role: 'manager' }, permissions: ['task.assign'] }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject users without the permission', () => {
+      const res = createRes();
+      const next = vi.fn();
+
+      requirePermission('logs.delete')({ user: { role: 'viewer' }, permissions: ['task.read.any'] }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ required: 'logs.delete' }));
+    });
+  });
+
+  describe('requireScope', () => {
+    test('should let login sessions through without scopes', () => {
+      const res = createRes();
+      const next = vi.fn();
+
+      requireScope('tasks:write')({ tokenScopes: null }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should let access tokens with the scope through', () => {
+      const res = createRes();
+      const next = vi.fn();
+
+      requireScope('tasks:read')({ tokenScopes: ['tasks:read'] }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject access tokens without the scope', () => {
+      const res = createRes();
+      const next = vi.fn();
+
+      requireScope('tasks:write')({ tokenScopes: ['tasks:read'] }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_SCOPE' }));
+    });
+  });
+
+  describe('requireSession', () => {
+    test('should reject access tokens', () => {
+      const res = createRes();
+      const next = vi.fn();
+
+      requireSession({ tokenScopes: ['tasks:read', 'tasks:write', 'logs:read'] }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('verifyAccessToken', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    test('should reject signed tokens that are not access tokens', async () => {
+      const findUser = vi.spyOn(User, 'findById');
+      const untyped = signToken({ userId: 'user-1', role: 'admin' }, { expiresInMs: 60 * 1000 });
+
+      expect((await verifyAccessToken(untyped)).failure.code).toBe('INVALID_TOKEN_TYPE');
+      expect((await verifyAccessToken(generateChallengeToken('user-1'))).failure.code).toBe('INVALID_TOKEN_TYPE');
+      expect(findUser).not.toHaveBeenCalled();
+    });
+
+    test('should reject access tokens without an expiry', async () => {
+      const endless = signToken({ userId: 'user-1', role: 'admin', type: 'access' });
+
+      await expect(verifyAccessToken(endless)).rejects.toThrow('jwt expiration is required');
+    });
+  });
+});
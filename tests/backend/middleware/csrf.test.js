@@ -0,0 +1,167 @@
+/**
+ * CSRF Middleware Tests
+ *
+ * Tests the double-submit check on cookie-authenticated writes, the CORS
+ * options for trusted origins and the session cookies of cookie auth mode.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { csrfProtection, corsOptions, isTrustedOrigin } from '../../../server/src/middleware/csrf.js';
+import { getRequestToken } from '../../../server/src/middleware/auth.js';
+import {
+  setSessionCookies,
+  clearSessionCookies,
+  wantsCookieSession
+} from '../../../server/src/utils/cookies.js';
+
+const createReq = ({ method = 'POST', cookie = '', headers = {} } = {}) => {
+  const allHeaders = { cookie, ...headers };
+  const lower = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    headers: lower,
+    get: (name) => lower[name.toLowerCase()]
+  };
+};
+
+const createRes = () => {
+  const res = { cookies: {}, cleared: [] };
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  res.cookie = vi.fn((name, value, options) => {
+    res.cookies[name] = { value, options };
+  });
+  res.clearCookie = vi.fn((name) => res.cleared.push(name));
+  return res;
+};
+
+describe('CSRF Middleware', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('csrfProtection', () => {
+    test('should require a matching header on cookie-authenticated writes', () => {
+      const cookie = 'tf_access=jwt; tf_csrf=abc123';
+
+      const rejected = createRes();
+      const next = vi.fn();
+      csrfProtection(createReq({ cookie }), rejected, next);
+      csrfProtection(createReq({ cookie, headers: { 'X-CSRF-Token': 'wrong1' } }), rejected, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(rejected.status).toHaveBeenCalledWith(403);
+      expect(rejected.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CSRF_INVALID' }));
+
+      csrfProtection(createReq({ cookie, headers: { 'X-CSRF-Token': 'abc123' } }), createRes(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    test('should also protect the refresh cookie', () => {
+      const res = createRes();
+      const next = vi.fn();
+
+      csrfProtection(createReq({ cookie: 'tf_refresh=opaque' }), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should skip reads, bearer tokens and requests without session cookies', () => {
+      const next = vi.fn();
+      const cookie = 'tf_access=jwt; tf_csrf=abc123';
+
+      csrfProtection(createReq({ method: 'GET', cookie }), createRes(), next);
+      csrfProtection(createReq({ cookie, headers: { Authorization: 'Bearer jwt' } }), createRes(), next);
+      csrfProtection(createReq({ cookie: 'theme=dark' }), createRes(), next);
+
+      expect(next).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('corsOptions', () => {
+    test('should allow credentials only for trusted origins', () => {
+      process.env.AUTH_COOKIE_ORIGINS = 'https://app.example.com, https://admin.example.com/';
+      const callback = vi.fn();
+
+      corsOptions(createReq({ headers: { Origin: 'https://admin.example.com' } }), callback);
+      corsOptions(createReq({ headers: { Origin: 'https://evil.example.net' } }), callback);
+
+      expect(callback).toHaveBeenNthCalledWith(1, null, { origin: true, credentials: true, exposedHeaders: ['ETag'] });
+      expect(callback).toHaveBeenNthCalledWith(2, null, { origin: '*', exposedHeaders: ['ETag'] });
+      expect(isTrustedOrigin(undefined)).toBe(false);
+    });
+
+    test('should never allow credentials with cookie mode off', () => {
+      process.env.AUTH_COOKIE_MODE = 'off';
+      process.env.AUTH_COOKIE_ORIGINS = 'https://app.example.com';
+      const callback = vi.fn();
+
+      corsOptions(createReq({ headers: { Origin: 'https://app.example.com' } }), callback);
+
+      expect(callback).toHaveBeenCalledWith(null, { origin: '*', exposedHeaders: ['ETag'] });
+    });
+  });
+
+  describe('session cookies', () => {
+    const tokenData = {
+      token: 'access-jwt',
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000),
+      refreshToken: 'refresh-opaque',
+      refreshExpiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+    };
+
+    test('should set httpOnly token cookies and a readable CSRF cookie', () => {
+      const res = createRes();
+      const csrfToken = setSessionCookies(createReq(), res, tokenData);
+
+      expect(res.cookies.tf_access).toMatchObject({ value: 'access-jwt', options: { httpOnly: true, sameSite: 'lax' } });
+      expect(res.cookies.tf_refresh.options).toMatchObject({ httpOnly: true, path: '/api/auth' });
+      expect(res.cookies.tf_csrf).toMatchObject({ value: csrfToken, options: { httpOnly: false } });
+      expect(csrfToken.length).toBeGreaterThan(30);
+    });
+
+    test('should keep the CSRF token across refreshes and force Secure for SameSite=None', () => {
+      process.env.AUTH_COOKIE_SAMESITE = 'none';
+      const res = createRes();
+
+      const csrfToken = setSessionCookies(createReq({ cookie: 'tf_csrf=existing' }), res, tokenData);
+
+      expect(csrfToken).toBe('existing');
+      expect(res.cookies.tf_access.options).toMatchObject({ sameSite: 'none', secure: true });
+    });
+
+    test('should clear every session cookie', () => {
+      const res = createRes();
+      clearSessionCookies(res);
+      expect(res.cleared).toEqual(['tf_access', 'tf_refresh', 'tf_csrf']);
+    });
+
+    test('should follow the client header unless cookies are required or off', () => {
+      const req = createReq({ headers: { 'X-Auth-Mode': 'cookie' } });
+
+      expect(wantsCookieSession(req)).toBe(true);
+      expect(wantsCookieSession(createReq())).toBe(false);
+
+      process.env.AUTH_COOKIE_MODE = 'required';
+      expect(wantsCookieSession(createReq())).toBe(true);
+
+      process.env.AUTH_COOKIE_MODE = 'off';
+      expect(wantsCookieSession(req)).toBe(false);
+    });
+  });
+
+  describe('getRequestToken', () => {
+    test('should prefer the Authorization header over the session cookie', () => {
+      const cookie = 'tf_access=cookie-jwt';
+
+      expect(getRequestToken(createReq({ cookie }))).toBe('cookie-jwt');
+      expect(getRequestToken(createReq({ cookie, headers: { Authorization: 'Bearer header-jwt' } }))).toBe('header-jwt');
+      expect(getRequestToken(createReq())).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Authentication Route Tests
+ *
+ * Runs the login steps of a user with 2FA whose password has expired,
+ * to check the password cannot be replaced without the second factor.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import request from 'supertest';
+import speakeasy from 'speakeasy';
+import authRoutes from '../../../server/src/routes/auth.js';
+import User from '../../../server/src/models/User.js';
+import LoginThrottle from '../../../server/src/models/LoginThrottle.js';
+import PasswordPolicy from '../../../server/src/models/PasswordPolicy.js';
+import { getDefaultPolicy, clearPolicyCache } from '../../../server/src/services/passwordPolicy.js';
+import { generateChallengeToken, verifyChallengeToken } from '../../../server/src/middleware/auth.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+describe('Authentication Routes', () => {
+  describe('2FA user with an expired password', () => {
+    const { base32: secret } = speakeasy.generateSecret({ length: 20 });
+    let app;
+    let user;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/auth', authRoutes);
+
+      user = new User({
+        username: 'expired2fa',
+        email: 'expired2fa@example.com',
+        password: 'Old-password-1',
+        passwordChangedAt: new Date(Date.now() - YEAR_MS),
+        twoFactor: { enabled: true, secret, backupCodes: [] }
+      });
+
+      clearPolicyCache();
+      vi.spyOn(PasswordPolicy, 'findOne').mockReturnValue({
+        lean: () => Promise.resolve({ ...getDefaultPolicy(), maxAgeDays: 90 })
+      });
+      vi.spyOn(LoginThrottle, 'find').mockResolvedValue([]);
+      vi.spyOn(LoginThrottle, 'deleteOne').mockResolvedValue({});
+      vi.spyOn(User, 'findByEmail').mockResolvedValue(user);
+      vi.spyOn(User, 'findWithTwoFactor').mockResolvedValue(user);
+      vi.spyOn(User, 'findWithPasswordHistory').mockResolvedValue(user);
+      vi.spyOn(User.prototype, 'comparePassword').mockResolvedValue(true);
+      vi.spyOn(User.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    });
+
+    afterEach(() => {
+      clearPolicyCache();
+      vi.restoreAllMocks();
+    });
+
+    test('should ask for the second factor before the password change', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'Old-password-1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.twoFactorRequired).toBe(true);
+      expect(response.body.passwordChangeRequired).toBeUndefined();
+      expect(verifyChallengeToken(response.body.challengeToken, 'password_change')).toBeNull();
+    });
+
+    test('should refuse a password change challenge issued without the second factor', async () => {
+      const response = await request(app)
+        .post('/api/auth/change-expired-password')
+        .send({
+          challengeToken: generateChallengeToken(user._id, 'password_change'),
+          newPassword: 'New-password-2'
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_CHALLENGE');
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should issue the password change challenge once the code is verified', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/login')
+        .send({
+          challengeToken: generateChallengeToken(user._id),
+          code: speakeasy.totp({ secret, encoding: 'base32' })
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.passwordChangeRequired).toBe(true);
+      expect(response.body.token).toBeUndefined();
+      expect(verifyChallengeToken(response.body.challengeToken, 'password_change').secondFactor).toBe('totp');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * User Route Tests
+ *
+ * Checks that managing a user needs every permission of their role, so
+ * a limited user manager cannot take over or remove an admin, and that
+ * the last admin cannot be demoted.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import request from 'supertest';
+import userRoutes from '../../../server/src/routes/users.js';
+import User from '../../../server/src/models/User.js';
+import { BUILT_IN_ROLES } from '../../../server/src/utils/permissions.js';
+
+const buildUser = (overrides = {}) => new User({
+  username: 'someone',
+  email: 'someone@example.com',
+  password: 'Some-password-1',
+  ...overrides
+});
+
+describe('User Routes', () => {
+  let app;
+  let actor;
+  let saves;
+
+  const mount = (permissions) => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = actor;
+      req.permissions = permissions;
+      next();
+    });
+    app.use('/api/users', userRoutes);
+  };
+
+  beforeEach(() => {
+    actor = buildUser({ username: 'helpdesk', email: 'helpdesk@example.com' });
+    saves = vi.spyOn(User.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    vi.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('should refuse to change, deactivate or delete a user with more permissions', async () => {
+    const admin = buildUser({ role: 'admin' });
+    vi.spyOn(User, 'findById').mockResolvedValue(admin);
+    const remove = vi.spyOn(User, 'findByIdAndDelete');
+    mount(['users.manage']);
+
+    const update = await request(app).put(`/api/users/${admin._id}`).send({ email: 'mine@example.com' });
+    const deactivate = await request(app).post(`/api/users/${admin._id}/deactivate`);
+    const deletion = await request(app).delete(`/api/users/${admin._id}`);
+
+    for (const response of [update, deactivate, deletion]) {
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('ROLE_ESCALATION');
+    }
+    expect(admin.email).toBe('someone@example.com');
+    expect(saves).not.toHaveBeenCalled();
+    expect(remove).not.toHaveBeenCalled();
+  });
+
+  test('should update a user whose permissions the actor holds', async () => {
+    const user = buildUser();
+    vi.spyOn(User, 'findById').mockResolvedValue(user);
+    mount(['users.manage', ...BUILT_IN_ROLES.user.permissions]);
+
+    const response = await request(app).put(`/api/users/${user._id}`).send({ email: 'new@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(user.email).toBe('new@example.com');
+    expect(user.emailVerified).toBe(false);
+  });
+
+  test('should not demote the last admin', async () => {
+    const admin = buildUser({ role: 'admin' });
+    vi.spyOn(User, 'findById').mockResolvedValue(admin);
+    vi.spyOn(User, 'countDocuments').mockResolvedValue(1);
+    mount(BUILT_IN_ROLES.admin.permissions);
+
+    const response = await request(app).put(`/api/users/${admin._id}`).send({ role: 'user' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Cannot change role of the last admin user');
+    expect(admin.role).toBe('admin');
+    expect(saves).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Task Attachments Service Tests
+ *
+ * Tests the upload checks (size, type, content), the per-user storage
+ * quota, thumbnails and cleaning up files when attachments go away.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Task from '../../../server/src/models/Task.js';
+import User from '../../../server/src/models/User.js';
+import { setAttachmentStorage } from '../../../server/src/services/attachmentStorage.js';
+import { encodePng } from '../../../server/src/utils/thumbnails.js';
+import {
+  parseByteSize,
+  getAttachmentSettings,
+  sanitizeFilename,
+  validateUpload,
+  addAttachment,
+  removeAttachment
+} from '../../../server/src/services/attachments.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const createMemoryStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    put: vi.fn(async (key, data) => { files.set(key, data); }),
+    get: vi.fn(async key => files.get(key) || null),
+    remove: vi.fn(async key => { files.delete(key); })
+  };
+};
+
+describe('Task Attachments Service', () => {
+  const originalEnv = { ...process.env };
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    setAttachmentStorage(storage);
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setAttachmentStorage(null);
+    vi.restoreAllMocks();
+  });
+
+  test('should read limits from the environment', () => {
+    expect(parseByteSize('10MB')).toBe(10 * 1024 * 1024);
+    expect(parseByteSize('512 kb')).toBe(512 * 1024);
+    expect(parseByteSize('lots', 42)).toBe(42);
+
+    const settings = getAttachmentSettings({ ATTACHMENT_MAX_SIZE: '1mb', ATTACHMENT_ALLOWED_TYPES: 'image/png, text/plain' });
+    expect(settings.maxSize).toBe(1024 * 1024);
+    expect(settings.userQuota).toBe(100 * 1024 * 1024);
+    expect(settings.allowedTypes).toEqual(['image/png', 'text/plain']);
+  });
+
+  test('should clean up uploaded file names', () => {
+    expect(sanitizeFilename('C:\\Users\\me\\report.pdf')).toBe('report.pdf');
+    expect(sanitizeFilename('../../etc/passwd')).toBe('passwd');
+    expect(sanitizeFilename('bad\u0000name\n.txt')).toBe('badname.txt');
+    expect(sanitizeFilename('..')).toBe('file');
+  });
+
+  test('should check size, type and content', () => {
+    const settings = getAttachmentSettings({ ATTACHMENT_MAX_SIZE: '10b' });
+    const task = { attachments: [] };
+    const upload = (filename, contentType, data) => validateUpload(task, { filename, contentType, data: Buffer.from(data) }, settings);
+
+    expect(upload('notes.txt', 'text/plain', 'hello')).toEqual({ filename: 'notes.txt', mimeType: 'text/plain' });
+    expect(upload('notes.txt', 'application/octet-stream', 'hello').mimeType).toBe('text/plain');
+    expect(upload('empty.txt', 'text/plain', '').failure.code).toBe('EMPTY_FILE');
+    expect(upload('big.txt', 'text/plain', 'more than ten bytes').failure.code).toBe('FILE_TOO_LARGE');
+    expect(upload('tool.exe', 'application/x-msdownload', 'MZ').failure.code).toBe('UNSUPPORTED_FILE_TYPE');
+    expect(upload('fake.pdf', 'application/pdf', 'MZ\u0000\u0000').failure.code).toBe('FILE_CONTENT_MISMATCH');
+    expect(validateUpload({ attachments: new Array(20) }, { filename: 'a.txt', data: Buffer.from('a') }, settings).failure.code)
+      .toBe('TOO_MANY_ATTACHMENTS');
+  });
+
+  test('should store the file and a thumbnail within the quota', async () => {
+    const task = { _id: id(), attachments: [] };
+    const user = { _id: id() };
+    const png = encodePng({ width: 300, height: 300, pixels: Buffer.alloc(300 * 300 * 4, 90) });
+    const reserve = vi.spyOn(User, 'reserveStorage').mockResolvedValue({});
+    const push = vi.spyOn(Task, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      attachments: [update.$push.attachments]
+    }));
+
+    const { attachment } = await addAttachment(task, { filename: 'chart.png', contentType: 'image/png', data: png }, user);
+
+    expect(reserve).toHaveBeenCalledWith(user._id, png.length, 100 * 1024 * 1024);
+    expect(push.mock.calls[0][0]).toMatchObject({ _id: task._id, 'attachments.19': { $exists: false } });
+    expect(attachment).toMatchObject({ filename: 'chart.png', mimeType: 'image/png', size: png.length, uploadedBy: user._id });
+    expect(attachment.storageKey).toMatch(new RegExp(`^${task._id}/[a-f0-9]{32}$`));
+    expect(attachment.thumbnailKey).toBe(`${attachment.storageKey}.thumb`);
+    expect(storage.files.get(attachment.storageKey).equals(png)).toBe(true);
+    expect(storage.files.has(attachment.thumbnailKey)).toBe(true);
+  });
+
+  test('should refuse uploads over the quota and undo lost races', async () => {
+    const task = { _id: id(), attachments: [] };
+    const user = { _id: id() };
+    const file = { filename: 'a.txt', contentType: 'text/plain', data: Buffer.from('abc') };
+    vi.spyOn(User, 'reserveStorage').mockResolvedValueOnce(null).mockResolvedValueOnce({});
+    vi.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ storageUsed: 99 }) }) });
+    const release = vi.spyOn(User, 'releaseStorage').mockResolvedValue({});
+
+    const { failure } = await addAttachment(task, file, user);
+    expect(failure).toMatchObject({ code: 'STORAGE_QUOTA_EXCEEDED', details: { used: 99, size: 3 } });
+    expect(storage.put).not.toHaveBeenCalled();
+
+    // Another upload took the last slot after the first check
+    vi.spyOn(Task, 'findOneAndUpdate').mockResolvedValue(null);
+    expect((await addAttachment(task, file, user)).failure.code).toBe('TOO_MANY_ATTACHMENTS');
+    expect(storage.files.size).toBe(0);
+    expect(release).toHaveBeenCalledWith(user._id, 3);
+  });
+
+  test('should delete files and release storage with the attachment', async () => {
+    const uploader = id();
+    const attachment = { _id: id(), storageKey: 'k', thumbnailKey: null, size: 10, uploadedBy: uploader };
+    storage.files.set('k', Buffer.from('x'));
+    vi.spyOn(Task, 'updateOne').mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+    const release = vi.spyOn(User, 'releaseStorage').mockResolvedValue({});
+
+    expect(await removeAttachment({ _id: id() }, attachment)).toBe(true);
+    expect(storage.files.has('k')).toBe(false);
+    expect(release).toHaveBeenCalledWith(uploader, 10);
+
+    expect(await removeAttachment({ _id: id() }, attachment)).toBe(false);
+    expect(release).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Impersonation Service Tests
+ *
+ * Tests who may be impersonated, the marked access token and the
+ * impersonation summary returned to clients.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import jwt from 'jsonwebtoken';
+import { generateToken } from '../../../server/src/middleware/auth.js';
+import {
+  getImpersonationTTL,
+  checkImpersonation,
+  formatImpersonation
+} from '../../../server/src/services/impersonation.js';
+
+const buildUser = (id, overrides = {}) => ({
+  _id: { toString: () => id },
+  username: `user-${id}`,
+  email: `${id}@example.com`,
+  role: 'user',
+  isActive: true,
+  ...overrides
+});
+
+describe('Impersonation Service', () => {
+  const originalEnv = { ...process.env };
+  const admin = buildUser('admin-1', { role: 'admin' });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('checkImpersonation', () => {
+    test('should allow an admin to impersonate an active regular user', async () => {
+      expect(await checkImpersonation(admin, buildUser('user-1'))).toBeNull();
+    });
+
+    test('should refuse other admins, inactive users and the admin themself', async () => {
+      expect((await checkImpersonation(admin, buildUser('admin-2', { role: 'admin' }))).code)
+        .toBe('IMPERSONATION_FORBIDDEN');
+      expect((await checkImpersonation(admin, buildUser('user-2', { isActive: false }))).code)
+        .toBe('USER_INACTIVE');
+      expect((await checkImpersonation(admin, admin)).code).toBe('IMPERSONATION_SELF');
+    });
+
+    test('should refuse users with permissions the admin lacks', async () => {
+      const target = buildUser('manager-1', { role: 'manager' });
+
+      expect((await checkImpersonation(admin, target, { permissions: ['users.manage', 'task.read.any'] })).code)
+        .toBe('IMPERSONATION_FORBIDDEN');
+      expect(await checkImpersonation(admin, target)).toBeNull();
+    });
+
+    test('should refuse to start an impersonation from inside another one', async () => {
+      const failure = await checkImpersonation(admin, buildUser('user-1'), { impersonating: true });
+      expect(failure.code).toBe('IMPERSONATION_NESTED');
+    });
+  });
+
+  describe('tokens', () => {
+    test('should carry the admin in the act claim and expire after the TTL', () => {
+      process.env.IMPERSONATION_TTL = '15m';
+      const ttlMs = getImpersonationTTL();
+      const token = generateToken('user-1', 'user', 'session-1', { actorId: 'admin-1', ttlMs });
+      const decoded = jwt.decode(token);
+
+      expect(ttlMs).toBe(15 * 60 * 1000);
+      expect(decoded.userId).toBe('user-1');
+      expect(decoded.act).toEqual({ sub: 'admin-1' });
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
+    test('should not mark ordinary access tokens', () => {
+      expect(jwt.decode(generateToken('user-1', 'user', 'session-1')).act).toBeUndefined();
+    });
+  });
+
+  describe('formatImpersonation', () => {
+    test('should describe both identities and the expiry', () => {
+      const expiresAt = new Date('2024-01-01T10:30:00Z');
+      const summary = formatImpersonation({ actor: admin, expiresAt }, buildUser('user-1'));
+
+      expect(summary.actor).toMatchObject({ username: 'user-admin-1', email: 'admin-1@example.com' });
+      expect(summary.user).toMatchObject({ username: 'user-user-1', role: 'user' });
+      expect(summary.expiresAt).toBe(expiresAt);
+    });
+  });
+});
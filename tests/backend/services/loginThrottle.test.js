@@ -0,0 +1,75 @@
+/**
+ * Login Throttle Service Tests
+ *
+ * Tests for the lockout backoff and failure counting helpers.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import {
+  computeLockoutDuration,
+  applyFailure,
+  getRetryAfterSeconds
+} from '../../../server/src/services/loginThrottle.js';
+
+const policy = {
+  maxAttempts: 3,
+  window: 15 * 60 * 1000,
+  baseLockout: 60 * 1000,
+  maxLockout: 10 * 60 * 1000,
+  decayAfter: 24 * 60 * 60 * 1000
+};
+
+const emptyState = () => ({
+  failures: 0,
+  windowStartedAt: null,
+  lockCount: 0,
+  lockedUntil: null,
+  lastFailureAt: null
+});
+
+describe('Login Throttle Service', () => {
+  test('should double the lockout with every repeated lockout up to the maximum', () => {
+    expect(computeLockoutDuration(0, policy)).toBe(0);
+    expect(computeLockoutDuration(1, policy)).toBe(60 * 1000);
+    expect(computeLockoutDuration(2, policy)).toBe(2 * 60 * 1000);
+    expect(computeLockoutDuration(3, policy)).toBe(4 * 60 * 1000);
+    expect(computeLockoutDuration(10, policy)).toBe(10 * 60 * 1000);
+  });
+
+  test('should lock after the maximum number of failures in the window', () => {
+    const now = new Date('2024-01-01T00:00:00Z');
+    const state = emptyState();
+
+    applyFailure(state, policy, now);
+    applyFailure(state, policy, now);
+    expect(getRetryAfterSeconds(state, now)).toBe(0);
+
+    applyFailure(state, policy, now);
+    expect(state.lockCount).toBe(1);
+    expect(getRetryAfterSeconds(state, now)).toBe(60);
+  });
+
+  test('should restart counting once the window has passed', () => {
+    const start = new Date('2024-01-01T00:00:00Z');
+    const later = new Date(start.getTime() + policy.window + 1000);
+    const state = emptyState();
+
+    applyFailure(state, policy, start);
+    applyFailure(state, policy, start);
+    applyFailure(state, policy, later);
+
+    expect(state.failures).toBe(1);
+    expect(state.lockCount).toBe(0);
+  });
+
+  test('should forget earlier lockouts after a quiet period', () => {
+    const start = new Date('2024-01-01T00:00:00Z');
+    const state = { ...emptyState(), lockCount: 3, lastFailureAt: start };
+
+    applyFailure(state, policy, new Date(start.getTime() + policy.decayAfter + 1000));
+
+    expect(state.lockCount).toBe(0);
+  });
+});
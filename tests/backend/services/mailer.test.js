@@ -0,0 +1,58 @@
+/**
+ * Mail Service Tests
+ *
+ * Tests for the pluggable transports and password reset template.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { sendMail, setMailTransport, createFileTransport, assertMailTransport } from '../../../server/src/services/mailer.js';
+import { passwordResetEmail } from '../../../server/src/services/emailTemplates.js';
+
+describe('Mail Service', () => {
+  afterEach(() => {
+    setMailTransport(null);
+  });
+
+  test('should send through an injected transport', async () => {
+    const sent = [];
+    setMailTransport({ sendMail: async (message) => sent.push(message) });
+
+    await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('test@example.com');
+    expect(sent[0].from).toContain('TaskFlow');
+  });
+
+  test('file transport should write an .eml file', async () => {
+    const outputDir = await fs.mkdtemp(join(os.tmpdir(), 'taskflow-mail-'));
+    setMailTransport(createFileTransport(outputDir));
+
+    const info = await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+    const content = await fs.readFile(info.filePath, 'utf8');
+
+    expect(info.filePath.startsWith(outputDir)).toBe(true);
+    expect(content).toContain('Subject: Hello');
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  test('should refuse the console transport in production', () => {
+    expect(() => assertMailTransport({ NODE_ENV: 'production' })).toThrow(/SMTP_HOST or MAIL_TRANSPORT/);
+    expect(() => assertMailTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' })).toThrow();
+    expect(() => assertMailTransport({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' })).not.toThrow();
+    expect(() => assertMailTransport({ NODE_ENV: 'development' })).not.toThrow();
+  });
+
+  test('password reset email should link to the reset page with the token', () => {
+    const email = passwordResetEmail({ email: 'test@example.com', username: '<b>test</b>' }, 'abc123', 60);
+
+    expect(email.to).toBe('test@example.com');
+    expect(email.text).toContain('/reset-password?token=abc123');
+    expect(email.html).toContain('&lt;b&gt;test&lt;/b&gt;');
+  });
+});
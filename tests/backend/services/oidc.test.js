@@ -0,0 +1,160 @@
+/**
+ * OpenID Connect Service Tests
+ *
+ * Runs the authorization code + PKCE flow against a local mock provider
+ * and tests claim-to-role mapping and user provisioning.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import {
+  startLogin,
+  readLoginState,
+  handleCallback,
+  mapRoleFromClaims,
+  parseRoleMap,
+  clearOidcCache,
+  resolveOidcUser
+} from '../../../server/src/services/oidc.js';
+import User from '../../../server/src/models/User.js';
+import Invitation from '../../../server/src/models/Invitation.js';
+import { createMockOidcProvider } from '../helpers/mockOidcProvider.js';
+
+describe('OpenID Connect Service', () => {
+  let provider;
+  let config;
+
+  beforeAll(async () => {
+    provider = await createMockOidcProvider({ clientId: 'taskflow' });
+    config = {
+      issuerUrl: provider.issuerUrl,
+      clientId: 'taskflow',
+      clientSecret: '',
+      redirectUri: 'http://localhost:5001/api/auth/oidc/callback',
+      scopes: 'openid email profile',
+      roleClaim: 'groups',
+      roleMap: parseRoleMap('taskflow-admins:admin,taskflow-leads:manager'),
+      defaultRole: 'user',
+      autoProvision: true
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    clearOidcCache();
+    await provider.close();
+  });
+
+  test('should build an authorization URL with PKCE and a signed state', async () => {
+    const { authorizationUrl, stateToken } = await startLogin('/user/profile', config);
+    const params = new URL(authorizationUrl).searchParams;
+
+    expect(authorizationUrl.startsWith(`${provider.issuerUrl}/authorize`)).toBe(true);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('client_id')).toBe('taskflow');
+
+    const state = readLoginState(stateToken);
+    expect(state.state).toBe(params.get('state'));
+    expect(state.returnTo).toBe('/user/profile');
+    expect(state.codeVerifier).toBeTruthy();
+  });
+
+  test('should complete the flow and return verified claims', async () => {
+    const { authorizationUrl, stateToken } = await startLogin(null, config);
+    const { code, state } = provider.authorize(authorizationUrl, {
+      sub: 'user-123',
+      email: 'sso.user@example.com',
+      email_verified: true,
+      groups: ['taskflow-leads']
+    });
+
+    const { claims, failure } = await handleCallback({ code, state, stateToken }, config);
+
+    expect(failure).toBeUndefined();
+    expect(claims.sub).toBe('user-123');
+    expect(claims.email).toBe('sso.user@example.com');
+    expect(mapRoleFromClaims(claims, config)).toBe('manager');
+  });
+
+  test('should reject a callback whose state does not match', async () => {
+    const { authorizationUrl, stateToken } = await startLogin(null, config);
+    const { code } = provider.authorize(authorizationUrl, { sub: 'user-123', email: 'sso.user@example.com' });
+
+    const { failure } = await handleCallback({ code, state: 'forged', stateToken }, config);
+
+    expect(failure.code).toBe('OIDC_STATE_MISMATCH');
+  });
+
+  test('should reject a code issued for another login attempt', async () => {
+    const first = await startLogin(null, config);
+    const second = await startLogin(null, config);
+    const { code } = provider.authorize(first.authorizationUrl, { sub: 'user-123', email: 'sso.user@example.com' });
+    const secondState = readLoginState(second.stateToken).state;
+
+    // The PKCE verifier in the second state does not match the first challenge
+    const { failure } = await handleCallback({ code, state: secondState, stateToken: second.stateToken }, config);
+
+    expect(failure.code).toBe('OIDC_TOKEN_INVALID');
+  });
+
+  test('should map roles from claims with the first match winning', () => {
+    expect(mapRoleFromClaims({ groups: ['taskflow-leads', 'taskflow-admins'] }, config)).toBe('admin');
+    expect(mapRoleFromClaims({ groups: 'taskflow-leads' }, config)).toBe('manager');
+    expect(mapRoleFromClaims({ groups: ['everyone'] }, config)).toBeNull();
+    expect(mapRoleFromClaims({}, config)).toBeNull();
+  });
+
+  test('should read nested role claims', () => {
+    const nested = { ...config, roleClaim: 'realm_access.roles' };
+
+    expect(mapRoleFromClaims({ realm_access: { roles: ['taskflow-admins'] } }, nested)).toBe('admin');
+  });
+
+  describe('provisioning in invite mode', () => {
+    const inviteOnly = { mode: 'invite' };
+    const claims = { sub: 'user-456', email: 'invited@example.com', email_verified: true };
+
+    beforeEach(() => {
+      vi.spyOn(User, 'findByOidcSubject').mockResolvedValue(null);
+      vi.spyOn(User, 'findByEmail').mockResolvedValue(null);
+      vi.spyOn(User, 'exists').mockResolvedValue(null);
+      vi.spyOn(User.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    });
+
+    test('should refuse an unknown user without an invitation', async () => {
+      vi.spyOn(Invitation, 'claimPendingForEmail').mockResolvedValue(null);
+
+      const { user, failure } = await resolveOidcUser(claims, config, inviteOnly);
+
+      expect(user).toBeUndefined();
+      expect(failure.code).toBe('REGISTRATION_CLOSED');
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should not use an invitation for an email the provider does not verify', async () => {
+      const claim = vi.spyOn(Invitation, 'claimPendingForEmail');
+
+      const { failure } = await resolveOidcUser({ ...claims, email_verified: false }, config, inviteOnly);
+
+      expect(failure.code).toBe('REGISTRATION_CLOSED');
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    test('should provision an invited user with the invitation role and team', async () => {
+      const invitation = new Invitation({ email: claims.email, role: 'manager', team: 'Platform' });
+      vi.spyOn(Invitation, 'claimPendingForEmail').mockResolvedValue(invitation);
+      vi.spyOn(Invitation.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+
+      const { user, provisioned } = await resolveOidcUser(claims, config, inviteOnly);
+
+      expect(provisioned).toBe(true);
+      expect(user.role).toBe('manager');
+      expect(user.team).toBe('Platform');
+      expect(invitation.acceptedBy).toEqual(user._id);
+    });
+  });
+});
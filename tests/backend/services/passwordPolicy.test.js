@@ -0,0 +1,168 @@
+/**
+ * Password Policy Service Tests
+ *
+ * Tests the environment defaults, content rules, breached-password list,
+ * reuse history, password expiry and the structured error body.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import bcrypt from 'bcryptjs';
+import User from '../../../server/src/models/User.js';
+import {
+  getDefaultPolicy,
+  describePolicy,
+  validatePassword,
+  isBreachedPassword,
+  isRecentPassword,
+  applyNewPassword,
+  isPasswordExpired,
+  getPasswordExpiry,
+  passwordPolicyFailure
+} from '../../../server/src/services/passwordPolicy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const basePolicy = {
+  minLength: 8,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireDigit: false,
+  requireSymbol: false,
+  historyCount: 0,
+  maxAgeDays: 0,
+  rejectBreached: true
+};
+
+const rulesOf = (violations) => violations.map(violation => violation.rule);
+
+describe('Password Policy Service', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('defaults', () => {
+    test('should default to 8 characters and the breached check', () => {
+      delete process.env.PASSWORD_MIN_LENGTH;
+      delete process.env.PASSWORD_REJECT_BREACHED;
+
+      const policy = getDefaultPolicy();
+      expect(policy.minLength).toBe(8);
+      expect(policy.rejectBreached).toBe(true);
+      expect(policy.historyCount).toBe(0);
+      expect(policy.maxAgeDays).toBe(0);
+    });
+
+    test('should read settings from the environment but not go below 6 characters', () => {
+      process.env.PASSWORD_MIN_LENGTH = '4';
+      process.env.PASSWORD_REQUIRE_SYMBOL = 'true';
+      process.env.PASSWORD_HISTORY = '5';
+      process.env.PASSWORD_MAX_AGE_DAYS = '90';
+
+      const policy = getDefaultPolicy();
+      expect(policy.minLength).toBe(6);
+      expect(policy.requireSymbol).toBe(true);
+      expect(policy.historyCount).toBe(5);
+      expect(policy.maxAgeDays).toBe(90);
+    });
+  });
+
+  describe('content rules', () => {
+    test('should accept a long uncommon password under the default policy', () => {
+      expect(validatePassword('correct horse battery staple', basePolicy)).toEqual([]);
+    });
+
+    test('should report every missing character class', () => {
+      const policy = {
+        ...basePolicy,
+        requireUppercase: true,
+        requireLowercase: true,
+        requireDigit: true,
+        requireSymbol: true
+      };
+
+      expect(rulesOf(validatePassword('abcdefghij', policy))).toEqual(['uppercase', 'digit', 'symbol']);
+      expect(validatePassword('Abcdefgh1!', policy)).toEqual([]);
+    });
+
+    test('should reject short passwords and inputs bcrypt would truncate', () => {
+      expect(rulesOf(validatePassword('Sh0rt!', basePolicy))).toEqual(['minLength']);
+      expect(rulesOf(validatePassword('x'.repeat(73), basePolicy))).toEqual(['maxLength']);
+    });
+
+    test('should reject breached passwords regardless of case', () => {
+      expect(isBreachedPassword('Password123')).toBe(true);
+      expect(isBreachedPassword('correct horse battery staple')).toBe(false);
+      expect(rulesOf(validatePassword('QWERTYUIOP', basePolicy))).toEqual(['breached']);
+      expect(validatePassword('QWERTYUIOP', { ...basePolicy, rejectBreached: false })).toEqual([]);
+    });
+
+    test('should describe only the rules that are switched on', () => {
+      const rules = describePolicy({ ...basePolicy, requireDigit: true, historyCount: 3 });
+      expect(rulesOf(rules)).toEqual(['minLength', 'digit', 'history', 'breached']);
+    });
+  });
+
+  describe('history', () => {
+    const hash = (password) => bcrypt.hash(password, 4);
+
+    test('should block the current password and remembered ones within the count', async () => {
+      const user = new User({ username: 'rotator', email: 'rotator@example.com', password: 'x' });
+      user.isNew = false;
+      user.password = await hash('current-pass-1');
+      user.passwordHistory = [
+        { hash: await hash('older-pass-2'), changedAt: new Date() },
+        { hash: await hash('oldest-pass-3'), changedAt: new Date() }
+      ];
+
+      const policy = { ...basePolicy, historyCount: 2 };
+      expect(await isRecentPassword(user, 'current-pass-1', policy)).toBe(true);
+      expect(await isRecentPassword(user, 'older-pass-2', policy)).toBe(true);
+      expect(await isRecentPassword(user, 'oldest-pass-3', policy)).toBe(false);
+      expect(await isRecentPassword(user, 'current-pass-1', basePolicy)).toBe(false);
+    });
+
+    test('should remember the previous hash and trim the history', async () => {
+      const user = new User({ username: 'rotator', email: 'rotator@example.com', password: 'x' });
+      user.isNew = false;
+      const currentHash = await hash('current-pass-1');
+      user.password = currentHash;
+      user.passwordHistory = [{ hash: 'h2' }, { hash: 'h3' }];
+
+      applyNewPassword(user, 'brand-new-pass', { ...basePolicy, historyCount: 3 });
+
+      expect(user.password).toBe('brand-new-pass');
+      expect(user.passwordHistory.map(entry => entry.hash)).toEqual([currentHash, 'h2']);
+
+      applyNewPassword(user, 'another-pass', basePolicy);
+      expect(user.passwordHistory).toHaveLength(0);
+    });
+  });
+
+  describe('expiry', () => {
+    test('should expire passwords older than the maximum age', () => {
+      const policy = { ...basePolicy, maxAgeDays: 30 };
+      const fresh = { passwordChangedAt: new Date(Date.now() - 10 * DAY_MS) };
+      const stale = { passwordChangedAt: null, createdAt: new Date(Date.now() - 31 * DAY_MS) };
+
+      expect(isPasswordExpired(fresh, policy)).toBe(false);
+      expect(isPasswordExpired(stale, policy)).toBe(true);
+      expect(isPasswordExpired(stale, basePolicy)).toBe(false);
+      expect(getPasswordExpiry(stale, basePolicy)).toBeNull();
+    });
+  });
+
+  describe('errors', () => {
+    test('should key policy violations by the request field', () => {
+      const body = passwordPolicyFailure(validatePassword('123456', basePolicy), 'newPassword');
+
+      expect(body.code).toBe('PASSWORD_POLICY');
+      expect(body.details.newPassword).toHaveLength(2);
+      expect(body.violations.map(violation => violation.rule)).toEqual(['minLength', 'breached']);
+      expect(body.violations[0].field).toBe('newPassword');
+    });
+  });
+});
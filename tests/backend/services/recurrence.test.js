@@ -0,0 +1,121 @@
+/**
+ * Recurrence Service Tests
+ *
+ * Tests recurrence validation, the next occurrence created when a task
+ * of a series is completed, and the calendar-mode scheduler.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Task from '../../../server/src/models/Task.js';
+import TaskSeries from '../../../server/src/models/TaskSeries.js';
+import TaskHistory from '../../../server/src/models/TaskHistory.js';
+import {
+  validateRecurrence,
+  handleTaskCompleted,
+  runRecurrenceScheduler
+} from '../../../server/src/services/recurrence.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const buildSeries = (overrides = {}) => new TaskSeries({
+  title: 'Weekly report',
+  description: 'Send the weekly status report',
+  tags: ['reports'],
+  assignedTo: new mongoose.Types.ObjectId(),
+  createdBy: new mongoose.Types.ObjectId(),
+  estimatedHours: 2,
+  rrule: 'FREQ=WEEKLY',
+  timezone: 'UTC',
+  startAt: new Date('2025-01-06T09:00:00Z'),
+  lastOccurrenceAt: new Date('2025-01-06T09:00:00Z'),
+  occurrenceCount: 1,
+  ...overrides
+});
+
+describe('Recurrence Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('validateRecurrence', () => {
+    test('should normalise the rule and apply defaults', () => {
+      const { recurrence } = validateRecurrence({ rrule: 'freq=weekly;byday=mo', timezone: 'Europe/Berlin', leadTime: '2d' });
+
+      expect(recurrence).toEqual({ rrule: 'FREQ=WEEKLY;BYDAY=MO', timezone: 'Europe/Berlin', mode: 'completion', leadTime: 48 * HOUR_MS });
+    });
+
+    test('should report invalid rules, timezones and modes', () => {
+      expect(validateRecurrence({ rrule: 'FREQ=SECONDLY' }).failure).toMatchObject({ code: 'INVALID_RRULE' });
+      expect(validateRecurrence({ rrule: 'FREQ=DAILY', timezone: 'Mars/Olympus' }).failure.code).toBe('INVALID_TIMEZONE');
+      expect(validateRecurrence({ rrule: 'FREQ=DAILY', mode: 'hourly' }).failure.code).toBe('INVALID_RECURRENCE');
+    });
+  });
+
+  describe('handleTaskCompleted', () => {
+    test('should create the next occurrence after the completion time', async () => {
+      const series = buildSeries();
+      vi.spyOn(TaskSeries, 'findById').mockResolvedValue(series);
+      const claim = vi.spyOn(TaskSeries, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+        buildSeries({ _id: series._id, ...update.$set }));
+      vi.spyOn(Task.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      vi.spyOn(TaskHistory, 'latestVersion').mockResolvedValue(0);
+      const record = vi.spyOn(TaskHistory, 'create').mockImplementation(async (entry) => entry);
+
+      // Completed late, after the 13 January occurrence had passed
+      const task = { series: series._id, occurrenceAt: series.lastOccurrenceAt };
+      const next = await handleTaskCompleted(task, new Date('2025-01-14T12:00:00Z'));
+
+      expect(next).toMatchObject({ title: 'Weekly report', estimatedHours: 2, series: series._id });
+      expect(next.dueDate.toISOString()).toBe('2025-01-20T09:00:00.000Z');
+      expect(claim.mock.calls[0][0]).toMatchObject({ lastOccurrenceAt: series.lastOccurrenceAt });
+      expect(record).toHaveBeenCalledWith(expect.objectContaining({ task: next._id, version: 1, source: 'automation', action: 'create' }));
+    });
+
+    test('should give the claim back when the occurrence cannot be saved', async () => {
+      const series = buildSeries();
+      vi.spyOn(TaskSeries, 'findById').mockResolvedValue(series);
+      vi.spyOn(TaskSeries, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+        buildSeries({ _id: series._id, ...update.$set }));
+      vi.spyOn(Task.prototype, 'save').mockRejectedValue(new Error('write failed'));
+      const release = vi.spyOn(TaskSeries, 'updateOne').mockResolvedValue({});
+
+      await expect(handleTaskCompleted({ series: series._id, occurrenceAt: series.lastOccurrenceAt }, new Date('2025-01-07T12:00:00Z')))
+        .rejects.toThrow('write failed');
+
+      expect(release).toHaveBeenCalledWith(
+        { _id: series._id, lastOccurrenceAt: new Date('2025-01-13T09:00:00Z') },
+        expect.objectContaining({ $set: expect.objectContaining({ lastOccurrenceAt: series.lastOccurrenceAt }), $inc: { occurrenceCount: -1 } })
+      );
+    });
+
+    test('should ignore older occurrences and calendar series', async () => {
+      const series = buildSeries();
+      vi.spyOn(TaskSeries, 'findById').mockResolvedValue(series);
+      const claim = vi.spyOn(TaskSeries, 'findOneAndUpdate');
+
+      expect(await handleTaskCompleted({ series: series._id, occurrenceAt: new Date('2024-12-30T09:00:00Z') })).toBeNull();
+      series.mode = 'calendar';
+      expect(await handleTaskCompleted({ series: series._id, occurrenceAt: series.lastOccurrenceAt })).toBeNull();
+      expect(claim).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runRecurrenceScheduler', () => {
+    test('should create due occurrences and stop when another instance claimed them', async () => {
+      const series = buildSeries({ mode: 'calendar', leadTime: 24 * HOUR_MS, nextRunAt: new Date('2025-01-12T09:00:00Z') });
+      vi.spyOn(TaskSeries, 'findDue').mockResolvedValue([series]);
+      vi.spyOn(TaskSeries, 'findOneAndUpdate')
+        .mockImplementationOnce(async (filter, update) => buildSeries({ _id: series._id, mode: 'calendar', leadTime: 24 * HOUR_MS, ...update.$set }))
+        .mockResolvedValueOnce(null);
+      vi.spyOn(Task.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      vi.spyOn(TaskHistory, 'latestVersion').mockResolvedValue(0);
+      vi.spyOn(TaskHistory, 'create').mockImplementation(async (entry) => entry);
+
+      // Two weeks behind: the first occurrence is created, the second was claimed elsewhere
+      expect(await runRecurrenceScheduler(new Date('2025-01-20T10:00:00Z'))).toBe(1);
+    });
+  });
+});
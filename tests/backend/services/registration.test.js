@@ -0,0 +1,105 @@
+/**
+ * Registration Service Tests
+ *
+ * Tests registration settings, email verification tokens, invitation
+ * status and the verification/invitation email templates.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import User from '../../../server/src/models/User.js';
+import Invitation from '../../../server/src/models/Invitation.js';
+import { getRegistrationSettings, needsEmailVerification } from '../../../server/src/services/registration.js';
+import { emailVerificationEmail, invitationEmail } from '../../../server/src/services/emailTemplates.js';
+import { hashToken } from '../../../server/src/utils/tokens.js';
+
+describe('Registration Service', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('settings', () => {
+    test('should default to open registration without required verification', () => {
+      delete process.env.REGISTRATION_MODE;
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+
+      const settings = getRegistrationSettings();
+      expect(settings.mode).toBe('open');
+      expect(settings.requireEmailVerification).toBe(false);
+      expect(settings.invitationTtlMs).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+
+    test('should read invite-only mode and durations from the environment', () => {
+      process.env.REGISTRATION_MODE = 'invite';
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      process.env.INVITATION_TTL = '2d';
+
+      const settings = getRegistrationSettings();
+      expect(settings.mode).toBe('invite');
+      expect(settings.requireEmailVerification).toBe(true);
+      expect(settings.invitationTtlMs).toBe(2 * 24 * 60 * 60 * 1000);
+    });
+
+    test('should only block unverified users when verification is required', () => {
+      const user = { emailVerified: false };
+      expect(needsEmailVerification(user, { requireEmailVerification: false })).toBe(false);
+      expect(needsEmailVerification(user, { requireEmailVerification: true })).toBe(true);
+      expect(needsEmailVerification({ emailVerified: true }, { requireEmailVerification: true })).toBe(false);
+    });
+  });
+
+  describe('email verification tokens', () => {
+    test('should store only the token hash and clear it once verified', () => {
+      const user = new User({ username: 'newuser', email: 'new@example.com', password: 'password123' });
+      expect(user.emailVerified).toBe(false);
+
+      const token = user.createEmailVerificationToken(60 * 60 * 1000);
+      expect(user.emailVerification.tokenHash).toBe(hashToken(token));
+      expect(user.emailVerification.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      user.markEmailVerified();
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+      expect(user.emailVerification.tokenHash).toBeNull();
+    });
+  });
+
+  describe('invitations', () => {
+    test('should report pending, expired, revoked and accepted status', () => {
+      const base = { email: 'invitee@example.com', role: 'user', tokenHash: 'x', invitedBy: new User()._id };
+
+      expect(new Invitation({ ...base, expiresAt: new Date(Date.now() + 60000) }).status).toBe('pending');
+      expect(new Invitation({ ...base, expiresAt: new Date(Date.now() - 60000) }).status).toBe('expired');
+      expect(new Invitation({ ...base, expiresAt: new Date(Date.now() + 60000), revokedAt: new Date() }).status).toBe('revoked');
+      expect(new Invitation({ ...base, expiresAt: new Date(Date.now() - 60000), acceptedAt: new Date() }).status).toBe('accepted');
+    });
+  });
+
+  describe('email templates', () => {
+    test('verification email should link to the verify page with the token', () => {
+      const email = emailVerificationEmail({ email: 'new@example.com', username: 'newuser' }, 'tok123', 24);
+
+      expect(email.to).toBe('new@example.com');
+      expect(email.text).toContain('/verify-email?token=tok123');
+      expect(email.text).toContain('24 hours');
+    });
+
+    test('invitation email should link to sign-up and escape the team name', () => {
+      const invitation = {
+        email: 'invitee@example.com',
+        role: 'manager',
+        team: '<Ops>',
+        expiresAt: new Date('2030-01-01T00:00:00Z')
+      };
+      const email = invitationEmail(invitation, 'inv456', { username: 'admin' });
+
+      expect(email.to).toBe('invitee@example.com');
+      expect(email.text).toContain('/signup?invite=inv456');
+      expect(email.text).toContain('as manager on the <Ops> team');
+      expect(email.html).toContain('&lt;Ops&gt;');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Session Policy Tests
+ *
+ * Tests the per-role session policies, the idle timeout check and the
+ * eviction of the oldest sessions beyond the concurrent session limit.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import UserLog from '../../../server/src/models/UserLog.js';
+import RefreshToken from '../../../server/src/models/RefreshToken.js';
+import {
+  getSessionPolicy,
+  hasIdleTimedOut,
+  selectSessionsToEvict
+} from '../../../server/src/services/sessionPolicy.js';
+import { enforceSessionLimit, sessionEvents } from '../../../server/src/services/sessionService.js';
+
+const MINUTE = 60 * 1000;
+
+const buildSession = (sessionId, minutesAgo) => ({
+  userId: { toString: () => 'user-1' },
+  sessionId,
+  loginTime: new Date(Date.now() - minutesAgo * MINUTE)
+});
+
+describe('Session Policy', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    vi.restoreAllMocks();
+  });
+
+  describe('getSessionPolicy', () => {
+    test('should read the defaults from the environment', () => {
+      const policy = getSessionPolicy('user', {
+        SESSION_IDLE_TIMEOUT: '30m',
+        REFRESH_TOKEN_EXPIRES_IN: '2d',
+        SESSION_MAX_CONCURRENT: '5'
+      });
+
+      expect(policy).toEqual({ idleTimeout: 30 * MINUTE, maxLifetime: 2 * 24 * 60 * MINUTE, maxConcurrent: 5 });
+      expect(getSessionPolicy('user', {})).toMatchObject({ idleTimeout: 0, maxConcurrent: 0 });
+    });
+
+    test('should apply per-role overrides and ignore invalid values', () => {
+      const env = {
+        SESSION_MAX_LIFETIME: '24h',
+        SESSION_POLICY_ADMIN: 'idle=15m, lifetime=8h, max=2',
+        SESSION_POLICY_SUPPORT_AGENT: 'idle=soon,max=1,color=blue'
+      };
+
+      expect(getSessionPolicy('admin', env)).toEqual({ idleTimeout: 15 * MINUTE, maxLifetime: 8 * 60 * MINUTE, maxConcurrent: 2 });
+      expect(getSessionPolicy('support-agent', env)).toEqual({ idleTimeout: 0, maxLifetime: 24 * 60 * MINUTE, maxConcurrent: 1 });
+      expect(getSessionPolicy('user', env).maxLifetime).toBe(24 * 60 * MINUTE);
+    });
+  });
+
+  describe('hasIdleTimedOut', () => {
+    test('should compare the last activity with the idle timeout', () => {
+      const policy = { idleTimeout: 15 * MINUTE };
+      const now = Date.now();
+
+      expect(hasIdleTimedOut({ lastActivityAt: new Date(now - 20 * MINUTE) }, policy, now)).toBe(true);
+      expect(hasIdleTimedOut({ lastActivityAt: new Date(now - 5 * MINUTE) }, policy, now)).toBe(false);
+      expect(hasIdleTimedOut({ loginTime: new Date(now - 20 * MINUTE) }, policy, now)).toBe(true);
+      expect(hasIdleTimedOut({ lastActivityAt: new Date(0) }, { idleTimeout: 0 }, now)).toBe(false);
+    });
+  });
+
+  describe('concurrent sessions', () => {
+    test('should evict the oldest sessions and keep the new one', () => {
+      const sessions = [buildSession('new', 0), buildSession('old', 60), buildSession('mid', 30)];
+
+      expect(selectSessionsToEvict(sessions, 2, 'new').map(log => log.sessionId)).toEqual(['old']);
+      expect(selectSessionsToEvict(sessions, 1, 'new').map(log => log.sessionId)).toEqual(['old', 'mid']);
+      expect(selectSessionsToEvict(sessions, 3, 'new')).toEqual([]);
+      expect(selectSessionsToEvict(sessions, 0, 'new')).toEqual([]);
+    });
+
+    test('should revoke evicted sessions and announce them', async () => {
+      const sessions = [buildSession('new', 0), buildSession('old', 60)];
+      vi.spyOn(UserLog, 'getActiveSessions').mockResolvedValue(sessions);
+      vi.spyOn(UserLog, 'revokeSession').mockImplementation(async (sessionId) =>
+        sessions.find(log => log.sessionId === sessionId));
+      const revokeFamily = vi.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+      const listener = vi.fn();
+      sessionEvents.on('revoked', listener);
+
+      const evicted = await enforceSessionLimit('user-1', 'new', 1);
+      sessionEvents.off('revoked', listener);
+
+      expect(evicted.map(log => log.sessionId)).toEqual(['old']);
+      expect(revokeFamily).toHaveBeenCalledWith('old', 'session_limit');
+      expect(listener).toHaveBeenCalledWith({ userId: 'user-1', sessionId: 'old', reason: 'session_limit' });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Session Service Tests
+ *
+ * Tests for shaping UserLog login entries into the sessions list and
+ * announcing bulk revocations.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import RefreshToken from '../../../server/src/models/RefreshToken.js';
+import UserLog from '../../../server/src/models/UserLog.js';
+import {
+  sessionEvents,
+  formatSession,
+  revokeAllSessions,
+  revokeOtherSessions
+} from '../../../server/src/services/sessionService.js';
+
+const loginTime = new Date('2024-01-01T10:00:00Z');
+
+const buildLog = (overrides = {}) => ({
+  _id: { toString: () => '65a000000000000000000001' },
+  sessionId: 'session-1',
+  deviceInfo: { browser: 'Firefox', os: 'Linux', platform: 'Linux' },
+  userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0',
+  ipAddress: '10.0.0.1',
+  loginTime,
+  lastActivityAt: null,
+  jwtToken: { expiresAt: new Date('2024-01-08T10:00:00Z') },
+  ...overrides
+});
+
+describe('Session Service', () => {
+  test('should expose device info, IP and activity for a session', () => {
+    const session = formatSession(buildLog({ lastActivityAt: new Date('2024-01-01T12:00:00Z') }));
+
+    expect(session).toMatchObject({
+      id: 'session-1',
+      device: { browser: 'Firefox', os: 'Linux' },
+      ipAddress: '10.0.0.1',
+      lastActivity: new Date('2024-01-01T12:00:00Z'),
+      current: false
+    });
+  });
+
+  test('should flag the current session and fall back to login time', () => {
+    const session = formatSession(buildLog(), 'session-1');
+
+    expect(session.current).toBe(true);
+    expect(session.lastActivity).toBe(loginTime);
+  });
+
+  test('should use the log id for sessions without a refresh token family', () => {
+    const session = formatSession(buildLog({ sessionId: null, deviceInfo: undefined }));
+
+    expect(session.id).toBe('65a000000000000000000001');
+    expect(session.device.browser).toBe('Unknown');
+  });
+
+  describe('bulk revocation', () => {
+    const userId = new mongoose.Types.ObjectId();
+    let events;
+
+    beforeEach(() => {
+      vi.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({});
+      vi.spyOn(UserLog, 'revokeUserSessions').mockResolvedValue({});
+      events = vi.fn();
+      sessionEvents.on('revoked', events);
+    });
+
+    afterEach(() => {
+      sessionEvents.removeAllListeners();
+      vi.restoreAllMocks();
+    });
+
+    test('should announce every session of the user as revoked', async () => {
+      await revokeAllSessions(userId, 'password_reset');
+
+      expect(events).toHaveBeenCalledWith({ userId: userId.toString(), sessionId: null, exceptSessionId: null, reason: 'password_reset' });
+    });
+
+    test('should announce the other sessions as revoked', async () => {
+      await revokeOtherSessions(userId, 'session-1');
+
+      expect(UserLog.revokeUserSessions).toHaveBeenCalledWith(userId, 'session-1');
+      expect(events).toHaveBeenCalledWith({ userId: userId.toString(), sessionId: null, exceptSessionId: 'session-1', reason: 'user_revoked' });
+    });
+  });
+});
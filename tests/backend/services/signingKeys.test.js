@@ -0,0 +1,140 @@
+/**
+ * Signing Key Service Tests
+ *
+ * Tests signing and verifying with key ids, rotation keeping retired
+ * keys until their tokens expire, the JWKS, private key encryption and
+ * the production check on JWT_SECRET.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+  createSigningKey,
+  loadKeyring,
+  signToken,
+  verifyToken,
+  getJwks,
+  encryptPrivateKey,
+  decryptPrivateKey,
+  checkJwtSecret,
+  assertJwtSecret
+} from '../../../server/src/services/signingKeys.js';
+
+const asStored = (entry, overrides = {}) => ({ ...entry, persisted: true, ...overrides });
+
+describe('Signing Key Service', () => {
+  const originalEnv = { ...process.env };
+  const rsaKey = createSigningKey('RS256');
+  const edKey = createSigningKey('EdDSA');
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('signing', () => {
+    test('should sign with the active key and name it in the header', () => {
+      loadKeyring([asStored(rsaKey)]);
+
+      const token = signToken({ userId: 'user-1' }, { expiresInMs: 60 * 1000 });
+      const { header, payload } = jwt.decode(token, { complete: true });
+
+      expect(header).toMatchObject({ alg: 'RS256', kid: rsaKey.kid });
+      expect(payload.iss).toBe('taskflow');
+      expect(payload.exp - payload.iat).toBe(60);
+      expect(verifyToken(token).userId).toBe('user-1');
+    });
+
+    test('should support EdDSA keys', () => {
+      loadKeyring([asStored(edKey)]);
+
+      const token = signToken({ userId: 'user-2' }, { expiresInMs: 60 * 1000 });
+
+      expect(jwt.decode(token, { complete: true }).header.alg).toBe('EdDSA');
+      expect(verifyToken(token).userId).toBe('user-2');
+    });
+
+    test('should reject unknown keys, swapped algorithms and expired tokens', () => {
+      loadKeyring([asStored(rsaKey)]);
+      const token = signToken({ userId: 'user-1' });
+      const [, payload, signature] = token.split('.');
+      const header = Buffer.from(JSON.stringify({ alg: 'EdDSA', typ: 'JWT', kid: rsaKey.kid })).toString('base64url');
+
+      expect(() => verifyToken(`${header}.${payload}.${signature}`)).toThrow('invalid algorithm');
+
+      loadKeyring([asStored(edKey)]);
+      expect(() => verifyToken(token)).toThrow(jwt.JsonWebTokenError);
+
+      const expired = signToken({ userId: 'user-1', exp: Math.floor(Date.now() / 1000) - 120 });
+      expect(() => verifyToken(expired)).toThrow(jwt.TokenExpiredError);
+    });
+
+    test('should reject tokens that never expire', () => {
+      loadKeyring([asStored(rsaKey)]);
+
+      expect(() => verifyToken(signToken({ userId: 'user-1' }))).toThrow('jwt expiration is required');
+    });
+  });
+
+  describe('rotation', () => {
+    test('should keep verifying tokens from a retired key until it expires', () => {
+      loadKeyring([asStored(rsaKey)]);
+      const oldToken = signToken({ userId: 'user-1' }, { expiresInMs: 60 * 1000 });
+
+      const retired = asStored(rsaKey, { privateKey: null, verifyUntil: new Date(Date.now() + 60 * 1000) });
+      loadKeyring([asStored(edKey), retired]);
+
+      expect(jwt.decode(signToken({}), { complete: true }).header.kid).toBe(edKey.kid);
+      expect(verifyToken(oldToken).userId).toBe('user-1');
+      expect(getJwks().keys.map(key => key.kid).sort()).toEqual([rsaKey.kid, edKey.kid].sort());
+
+      loadKeyring([asStored(edKey), retired], Date.now() + 2 * 60 * 1000);
+      expect(() => verifyToken(oldToken)).toThrow('unknown signing key');
+    });
+
+    test('should publish only public key material', () => {
+      loadKeyring([asStored(rsaKey)]);
+
+      const [key] = getJwks().keys;
+      expect(key).toMatchObject({ kty: 'RSA', kid: rsaKey.kid, alg: 'RS256', use: 'sig' });
+      expect(key.d).toBeUndefined();
+      expect(key.p).toBeUndefined();
+    });
+  });
+
+  describe('key storage', () => {
+    test('should encrypt private keys with JWT_SECRET', () => {
+      process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+      const pem = rsaKey.privateKey.export({ type: 'pkcs8', format: 'pem' });
+      const stored = encryptPrivateKey(pem);
+
+      expect(stored).not.toContain('PRIVATE KEY');
+      expect(decryptPrivateKey(stored)).toBe(pem);
+
+      process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+      expect(() => decryptPrivateKey(stored)).toThrow();
+    });
+  });
+
+  describe('JWT_SECRET', () => {
+    test('should flag missing, example and short secrets', () => {
+      expect(checkJwtSecret({})).toHaveLength(1);
+      expect(checkJwtSecret({ JWT_SECRET: 'your-secret-key' })).toHaveLength(1);
+      expect(checkJwtSecret({ JWT_SECRET: 'short' })).toHaveLength(1);
+      expect(checkJwtSecret({ JWT_SECRET: 'x'.repeat(40) })).toEqual([]);
+    });
+
+    test('should refuse the default secret only in production', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(() => assertJwtSecret({ NODE_ENV: 'production', JWT_SECRET: 'your-secret-key' }))
+        .toThrow('Refusing to start');
+      expect(() => assertJwtSecret({ NODE_ENV: 'development' })).not.toThrow();
+      expect(warn).toHaveBeenCalled();
+
+      warn.mockRestore();
+    });
+  });
+});
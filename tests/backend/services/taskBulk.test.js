@@ -0,0 +1,295 @@
+/**
+ * Task Bulk Service Tests
+ *
+ * Tests bulk request validation, per-task results, atomic requests that
+ * change nothing when a task fails its check, and undoing a batch,
+ * including the next occurrence of a completed recurring task.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Task from '../../../server/src/models/Task.js';
+import TaskBatch from '../../../server/src/models/TaskBatch.js';
+import TaskHistory from '../../../server/src/models/TaskHistory.js';
+import TaskSeries from '../../../server/src/models/TaskSeries.js';
+import User from '../../../server/src/models/User.js';
+import {
+  bulkEvents,
+  validateBulkRequest,
+  runBulkOperation,
+  undoBulkOperation
+} from '../../../server/src/services/taskBulk.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildTask = (overrides = {}) => new Task({
+  title: 'Task',
+  createdBy: id(),
+  status: 'pending',
+  priority: 'medium',
+  ...overrides
+});
+
+// Task.find for the selected tasks; the chained lookup is for open blockers
+const mockTaskFind = (tasks, blockers = []) => vi.spyOn(Task, 'find').mockImplementation((filter) => (filter.status
+  ? { select: () => ({ lean: async () => blockers }) }
+  : Promise.resolve(tasks)));
+
+// A weekly completion-mode series whose newest occurrence is due on 6 January
+const OCCURRENCE_AT = new Date('2025-01-06T09:00:00Z');
+
+const mockSeries = () => {
+  const series = new TaskSeries({
+    title: 'Weekly report',
+    createdBy: id(),
+    rrule: 'FREQ=WEEKLY',
+    timezone: 'UTC',
+    startAt: OCCURRENCE_AT,
+    lastOccurrenceAt: OCCURRENCE_AT,
+    occurrenceCount: 1
+  });
+  vi.spyOn(TaskSeries, 'findById').mockResolvedValue(series);
+  vi.spyOn(TaskSeries.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  const update = vi.spyOn(TaskSeries, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) =>
+    new TaskSeries({ ...series.toObject(), ...$set }));
+
+  return { series, update };
+};
+
+describe('Task Bulk Service', () => {
+  const actor = { _id: id(), username: 'alice' };
+  const allowAll = () => null;
+  let saves;
+  let history;
+
+  beforeEach(() => {
+    saves = vi.spyOn(Task.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    vi.spyOn(TaskHistory, 'latestVersion').mockResolvedValue(0);
+    history = vi.spyOn(TaskHistory, 'create').mockImplementation(async (entry) => entry);
+  });
+
+  afterEach(() => {
+    bulkEvents.removeAllListeners();
+    vi.restoreAllMocks();
+  });
+
+  describe('validateBulkRequest', () => {
+    test('should reject bad ids, operations and values', async () => {
+      const taskIds = [id().toString()];
+
+      expect((await validateBulkRequest({ taskIds: [], operation: 'status', value: 'pending' })).failure.code).toBe('INVALID_TASK_IDS');
+      expect((await validateBulkRequest({ taskIds: ['nope'], operation: 'status', value: 'pending' })).failure.details).toEqual({ invalid: ['nope'] });
+      expect((await validateBulkRequest({ taskIds: [id(), id(), id()], operation: 'status', value: 'pending' }, { maxTasks: 2 })).failure)
+        .toMatchObject({ code: 'TOO_MANY_TASKS', details: { max: 2, count: 3 } });
+      expect((await validateBulkRequest({ taskIds, operation: 'delete' })).failure.code).toBe('INVALID_BULK_OPERATION');
+      expect((await validateBulkRequest({ taskIds, operation: 'priority', value: 'critical' })).failure.details.allowed)
+        .toEqual(['low', 'medium', 'high', 'urgent']);
+
+      vi.spyOn(User, 'exists').mockResolvedValue(null);
+      expect((await validateBulkRequest({ taskIds, operation: 'assignee', value: id().toString() })).failure.code).toBe('INVALID_BULK_OPERATION');
+    });
+
+    test('should remove duplicate ids and normalise the assignee', async () => {
+      const taskId = id().toString();
+      const userId = id();
+      vi.spyOn(User, 'exists').mockResolvedValue({ _id: userId });
+
+      const { request } = await validateBulkRequest({ taskIds: [taskId, taskId], operation: 'assignee', value: userId.toString() });
+
+      expect(request).toEqual({ taskIds: [taskId], operation: 'assignee', value: userId, atomic: false });
+      expect((await validateBulkRequest({ taskIds: [taskId], operation: 'assignee', value: null })).request.value).toBeNull();
+    });
+  });
+
+  describe('runBulkOperation', () => {
+    test('should report a result per task and record one undoable batch', async () => {
+      const updated = buildTask();
+      const unchanged = buildTask({ status: 'in-progress' });
+      const denied = buildTask();
+      const blocked = buildTask({ blockedBy: [id()] });
+      const missing = id().toString();
+      mockTaskFind([updated, unchanged, denied, blocked], [{ _id: id(), title: 'Design', status: 'pending' }]);
+      const issue = vi.spyOn(TaskBatch, 'create').mockImplementation(async (batch) => ({ _id: id(), ...batch }));
+      const events = vi.fn();
+      bulkEvents.on('updated', events);
+
+      const checkAccess = (task) => (task === denied ? { error: 'Access denied', code: 'ACCESS_DENIED' } : null);
+      const { results, undo } = await runBulkOperation({
+        taskIds: [updated, unchanged, denied, blocked].map(task => task._id.toString()).concat(missing),
+        operation: 'status',
+        value: 'in-progress',
+        atomic: false
+      }, { actor, checkAccess });
+
+      expect(results.map(result => [result.outcome, result.code])).toEqual([
+        ['updated', undefined],
+        ['unchanged', undefined],
+        ['failed', 'ACCESS_DENIED'],
+        ['failed', 'TASK_BLOCKED'],
+        ['failed', 'TASK_NOT_FOUND']
+      ]);
+      expect(updated.status).toBe('in-progress');
+      expect(saves).toHaveBeenCalledTimes(1);
+      expect(history).toHaveBeenCalledWith(expect.objectContaining({ task: updated._id, source: 'bulk', action: 'update' }));
+
+      expect(issue.mock.calls[0][0]).toMatchObject({
+        actor: actor._id,
+        operation: 'status',
+        items: [{ task: updated._id, before: { status: 'pending' }, after: { status: 'in-progress' } }]
+      });
+      expect(issue.mock.calls[0][0].tokenHash).not.toBe(undo.token);
+      expect(events).toHaveBeenCalledTimes(1);
+      expect(events.mock.calls[0][0]).toMatchObject({ operation: 'status', undone: false, tasks: [updated], actor });
+    });
+
+    test('should change nothing in atomic mode when a task fails its check', async () => {
+      const first = buildTask();
+      const second = buildTask();
+      mockTaskFind([first, second]);
+      const issue = vi.spyOn(TaskBatch, 'create');
+
+      const checkAccess = (task) => (task === second ? { error: 'Access denied', code: 'ACCESS_DENIED' } : null);
+      const { failure } = await runBulkOperation({
+        taskIds: [first._id.toString(), second._id.toString()],
+        operation: 'priority',
+        value: 'urgent',
+        atomic: true
+      }, { actor, checkAccess });
+
+      expect(failure.code).toBe('BULK_OPERATION_FAILED');
+      expect(failure.details.results.map(result => result.outcome)).toEqual(['skipped', 'failed']);
+      expect(first.priority).toBe('medium');
+      expect(saves).not.toHaveBeenCalled();
+      expect(issue).not.toHaveBeenCalled();
+    });
+
+    test('should record the completion and its next occurrence once the batch is done', async () => {
+      const { series, update } = mockSeries();
+      const recurring = buildTask({ series: series._id, occurrenceAt: OCCURRENCE_AT, dueDate: OCCURRENCE_AT });
+      mockTaskFind([recurring]);
+      vi.spyOn(Task, 'findSubtasks').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+      vi.spyOn(Task, 'countDocuments').mockResolvedValue(0);
+      const issue = vi.spyOn(TaskBatch, 'create').mockImplementation(async (batch) => ({ _id: id(), ...batch }));
+
+      await runBulkOperation({
+        taskIds: [recurring._id.toString()],
+        operation: 'status',
+        value: 'complete',
+        atomic: true
+      }, { actor, checkAccess: allowAll });
+
+      const next = saves.mock.contexts.find(task => task !== recurring);
+      expect(next).toMatchObject({ series: series._id, status: 'pending' });
+      expect(update.mock.calls[0][1].$set.lastOccurrenceAt > OCCURRENCE_AT).toBe(true);
+      expect(history).toHaveBeenCalledWith(expect.objectContaining({ task: recurring._id, source: 'bulk', action: 'complete' }));
+      expect(issue.mock.calls[0][0].items).toMatchObject([{ task: recurring._id, occurrence: next._id }]);
+    });
+
+    test('should leave no history or next occurrence when an atomic batch is rolled back', async () => {
+      const { series, update } = mockSeries();
+      const recurring = buildTask({ series: series._id, occurrenceAt: OCCURRENCE_AT, dueDate: OCCURRENCE_AT });
+      const other = buildTask();
+      mockTaskFind([recurring, other]);
+      vi.spyOn(Task, 'findSubtasks').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+      // A subtask was added to the second task between its check and its completion
+      vi.spyOn(Task, 'countDocuments')
+        .mockResolvedValueOnce(0).mockResolvedValueOnce(0)
+        .mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+      const issue = vi.spyOn(TaskBatch, 'create');
+
+      const { failure } = await runBulkOperation({
+        taskIds: [recurring._id.toString(), other._id.toString()],
+        operation: 'status',
+        value: 'complete',
+        atomic: true
+      }, { actor, checkAccess: allowAll });
+
+      expect(failure.details.results.map(result => [result.outcome, result.code])).toEqual([
+        ['skipped', undefined],
+        ['failed', 'OPEN_SUBTASKS']
+      ]);
+      expect(recurring.status).toBe('pending');
+      expect(history).not.toHaveBeenCalled();
+      expect(update).not.toHaveBeenCalled();
+      expect(issue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('undoBulkOperation', () => {
+    test('should restore the tasks not changed since and skip the others', async () => {
+      const untouched = buildTask({ priority: 'urgent' });
+      const changed = buildTask({ priority: 'low' });
+      vi.spyOn(TaskBatch, 'findOneAndUpdate').mockResolvedValue({
+        _id: id(),
+        operation: 'priority',
+        value: 'urgent',
+        items: [
+          { task: untouched._id, before: { priority: 'medium' }, after: { priority: 'urgent' } },
+          { task: changed._id, before: { priority: 'high' }, after: { priority: 'urgent' } }
+        ]
+      });
+      mockTaskFind([untouched, changed]);
+      const events = vi.fn();
+      bulkEvents.on('updated', events);
+
+      // Undone while impersonated: the history names the admin
+      const admin = id();
+      const { results } = await undoBulkOperation('token', { actor, checkAccess: allowAll, historyActor: admin });
+
+      expect(results).toEqual([
+        { id: untouched._id.toString(), outcome: 'restored' },
+        { id: changed._id.toString(), outcome: 'failed', error: 'The task was changed after the bulk operation.', code: 'TASK_CHANGED' }
+      ]);
+      expect(untouched.priority).toBe('medium');
+      expect(changed.priority).toBe('low');
+      expect(history).toHaveBeenCalledWith(expect.objectContaining({ task: untouched._id, actor: admin, source: 'bulk', action: 'revert' }));
+      expect(events.mock.calls[0][0]).toMatchObject({ undone: true, tasks: [untouched] });
+    });
+
+    test('should remove the next occurrence unless it was started since', async () => {
+      const { series, update } = mockSeries();
+      const completed = () => buildTask({ series: series._id, occurrenceAt: OCCURRENCE_AT, status: 'complete', progress: 100 });
+      const pending = completed();
+      const started = completed();
+      const pendingNext = buildTask({ series: series._id, occurrenceAt: new Date('2025-01-13T09:00:00Z') });
+      const startedNext = id();
+      vi.spyOn(TaskBatch, 'findOneAndUpdate').mockResolvedValue({
+        _id: id(),
+        operation: 'status',
+        value: 'complete',
+        items: [pending, started].map((task, index) => ({
+          task: task._id,
+          before: { status: 'pending', progress: 0 },
+          after: { status: 'complete', progress: 100 },
+          occurrence: index === 0 ? pendingNext._id : startedNext
+        }))
+      });
+      mockTaskFind([pending, started]);
+      vi.spyOn(Task, 'findOne').mockImplementation(async (filter) => (filter._id.equals(pendingNext._id) ? pendingNext : null));
+      const remove = vi.spyOn(Task, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      const { results } = await undoBulkOperation('token', { actor, checkAccess: allowAll });
+
+      expect(results).toEqual([
+        { id: pending._id.toString(), outcome: 'restored' },
+        { id: started._id.toString(), outcome: 'restored', occurrenceKept: startedNext }
+      ]);
+      expect(pending.status).toBe('pending');
+      expect(started.status).toBe('pending');
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update.mock.calls[0][0]).toMatchObject({ _id: series._id, lastOccurrenceAt: pendingNext.occurrenceAt });
+      expect(remove).toHaveBeenCalledTimes(1);
+      expect(remove).toHaveBeenCalledWith({ _id: pendingNext._id });
+    });
+
+    test('should refuse unknown, expired or used tokens', async () => {
+      const claim = vi.spyOn(TaskBatch, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect((await undoBulkOperation('token', { actor, checkAccess: allowAll })).failure.code).toBe('UNDO_NOT_AVAILABLE');
+      expect(claim.mock.calls[0][0]).toMatchObject({ actor: actor._id, undoneAt: null });
+      expect((await undoBulkOperation(undefined, { actor, checkAccess: allowAll })).failure.code).toBe('UNDO_NOT_AVAILABLE');
+    });
+  });
+});
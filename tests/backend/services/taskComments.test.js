@@ -0,0 +1,167 @@
+/**
+ * Task Comments Service Tests
+ *
+ * Tests comment validation, threads, mentions and their notifications,
+ * edits with history, soft delete and moving legacy embedded comments.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Task from '../../../server/src/models/Task.js';
+import TaskComment from '../../../server/src/models/TaskComment.js';
+import User from '../../../server/src/models/User.js';
+import { setMailTransport } from '../../../server/src/services/mailer.js';
+import {
+  commentEvents,
+  addComment,
+  editComment,
+  deleteComment,
+  listComments,
+  migrateLegacyComments,
+  getCommentEdits
+} from '../../../server/src/services/taskComments.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// User.find(...).collation(...).select(...) resolving to `users`
+const mockUserLookup = (users) => vi.spyOn(User, 'find').mockReturnValue({
+  collation: () => ({ select: async () => users })
+});
+
+// TaskComment.create returning a document whose populate fills in names
+const mockCreate = (names) => vi.spyOn(TaskComment, 'create').mockImplementation(async (data) => {
+  const comment = { _id: id(), createdAt: new Date(), ...data, edits: [] };
+  comment.populate = async () => {
+    comment.author = { _id: data.author, username: names[data.author.toString()] };
+    comment.mentions = data.mentions.map(userId => ({ _id: userId, username: names[userId.toString()] }));
+    return comment;
+  };
+  return comment;
+});
+
+describe('Task Comments Service', () => {
+  const author = { _id: id(), username: 'alice', role: 'user' };
+  const task = { _id: id(), title: 'Launch', createdBy: author._id, assignedTo: id() };
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    setMailTransport({ sendMail: async (message) => sent.push(message) });
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    commentEvents.removeAllListeners();
+    vi.restoreAllMocks();
+  });
+
+  test('should reject empty and overlong comments', async () => {
+    expect((await addComment(task, author, { content: '   ' })).failure.code).toBe('COMMENT_REQUIRED');
+    expect((await addComment(task, author, { content: 'x'.repeat(5001) })).failure.code).toBe('COMMENT_TOO_LONG');
+  });
+
+  test('should store rendered Markdown and notify mentioned users who can see the task', async () => {
+    const bob = { _id: task.assignedTo, username: 'bob', email: 'bob@example.com', role: 'user' };
+    const eve = { _id: id(), username: 'eve', email: 'eve@example.com', role: 'guest' };
+    mockUserLookup([bob, eve]);
+    const create = mockCreate({ [author._id]: 'alice', [bob._id]: 'bob', [eve._id]: 'eve' });
+    const created = vi.fn();
+    const mentioned = vi.fn();
+    commentEvents.on('created', created);
+    commentEvents.on('mentioned', mentioned);
+
+    const { comment } = await addComment(task, author, { content: '**Ready** for review @bob @eve @alice' });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ task: task._id, parent: null, source: 'rest' });
+    expect(comment.html).toContain('<strong>Ready</strong>');
+    expect(comment.html).toContain(`<span class="mention" data-user-id="${bob._id}">@bob</span>`);
+    expect(comment.author).toEqual({ _id: author._id, username: 'alice' });
+    expect(created).toHaveBeenCalledWith({ task, comment });
+
+    // eve is a guest who cannot see the task; alice wrote the comment
+    expect(mentioned.mock.calls[0][0].userIds).toEqual([bob._id.toString()]);
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ to: 'bob@example.com', subject: 'alice mentioned you on "Launch"' });
+  });
+
+  test('should attach replies to the top-level comment of the thread', async () => {
+    const root = { _id: id(), parent: null };
+    const reply = { _id: id(), parent: root._id };
+    vi.spyOn(TaskComment, 'findOne').mockResolvedValueOnce(reply).mockResolvedValueOnce(null);
+    const create = mockCreate({ [author._id]: 'alice' });
+
+    await addComment(task, author, { content: 'Agreed', parentId: reply._id }, { source: 'websocket' });
+    expect(create.mock.calls[0][0]).toMatchObject({ parent: root._id, source: 'websocket' });
+
+    expect((await addComment(task, author, { content: 'Hi', parentId: id() })).failure.code).toBe('COMMENT_NOT_FOUND');
+  });
+
+  test('should keep earlier versions and only notify new mentions on edit', async () => {
+    const bob = { _id: task.assignedTo, username: 'bob', email: 'bob@example.com', role: 'user' };
+    const createdAt = new Date('2026-10-01T00:00:00Z');
+    const comment = {
+      _id: id(), task: task._id, author: author._id, content: 'First @bob', mentions: [bob._id],
+      edits: [], createdAt, editedAt: null,
+      save: vi.fn(async () => {}),
+      populate: vi.fn(async () => {})
+    };
+    mockUserLookup([bob]);
+    const updated = vi.fn();
+    commentEvents.on('updated', updated);
+
+    const { comment: result } = await editComment(task, comment, 'Second @bob', author);
+
+    expect(comment.edits).toEqual([{ content: 'First @bob', editedAt: createdAt }]);
+    expect(result).toMatchObject({ content: 'Second @bob', edited: true });
+    expect(updated).toHaveBeenCalled();
+    expect(sent).toHaveLength(0);
+    expect(getCommentEdits(comment).map(edit => edit.content)).toEqual(['Second @bob', 'First @bob']);
+
+    comment.deletedAt = new Date();
+    expect((await editComment(task, comment, 'Third', author)).failure.code).toBe('COMMENT_DELETED');
+  });
+
+  test('should soft-delete and hide deleted comments without replies', async () => {
+    const comment = { _id: id(), author: author._id, content: 'Oops', save: vi.fn(async () => {}) };
+    const deleted = await deleteComment(task, comment, author);
+
+    expect(comment.deletedBy).toBe(author._id);
+    expect(deleted).toMatchObject({ deleted: true, content: null, html: null });
+
+    const root = { _id: id(), author, content: 'Root', deletedAt: new Date(), mentions: [] };
+    const lonely = { _id: id(), author, content: 'Gone', deletedAt: new Date(), mentions: [] };
+    const reply = { _id: id(), parent: root._id, author, content: 'Reply', mentions: [] };
+    vi.spyOn(Task, 'findOneAndUpdate').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    vi.spyOn(TaskComment, 'findForTask').mockResolvedValue([root, lonely, reply]);
+
+    const threads = await listComments(task._id);
+    expect(threads).toHaveLength(1);
+    expect(threads[0]).toMatchObject({ _id: root._id, deleted: true, content: null });
+    expect(threads[0].replies.map(entry => entry.content)).toEqual(['Reply']);
+  });
+
+  test('should move legacy embedded comments of both shapes', async () => {
+    const userId = id();
+    const timestamp = new Date('2025-01-01T00:00:00Z');
+    vi.spyOn(Task, 'findOneAndUpdate').mockReturnValue({
+      select: () => ({
+        lean: async () => ({
+          _id: task._id,
+          comments: [
+            { user: userId, content: 'From REST', createdAt: timestamp },
+            { author: userId, text: 'From *WebSocket*', timestamp }
+          ]
+        })
+      })
+    });
+    const insert = vi.spyOn(TaskComment, 'insertMany').mockResolvedValue([]);
+
+    expect(await migrateLegacyComments(task._id)).toBe(2);
+    expect(insert.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ author: userId, content: 'From REST', source: 'import', createdAt: timestamp }),
+      expect.objectContaining({ author: userId, html: '<p>From <em>WebSocket</em></p>', createdAt: timestamp })
+    ]);
+  });
+});
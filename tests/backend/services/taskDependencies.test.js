@@ -0,0 +1,117 @@
+/**
+ * Task Dependency Service Tests
+ *
+ * Tests cycle detection for new links, the blocker check on status
+ * changes with overrides, and the critical path and slack computation.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import Task from '../../../server/src/models/Task.js';
+import {
+  findCycle,
+  checkStatusTransition,
+  computeCriticalPath
+} from '../../../server/src/services/taskDependencies.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const mockFind = (result) => {
+  vi.spyOn(Task, 'find').mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve(result) })
+  });
+};
+
+describe('Task Dependency Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('findCycle', () => {
+    // c is blocked by b, b is blocked by a
+    const graph = new Map([['a', []], ['b', ['a']], ['c', ['b']]]);
+
+    test('should find the cycle a new link would close', () => {
+      expect(findCycle('a', 'c', graph)).toEqual(['a', 'c', 'b', 'a']);
+    });
+
+    test('should allow links that keep the graph acyclic', () => {
+      expect(findCycle('c', 'a', graph)).toBeNull();
+      expect(findCycle('d', 'c', graph)).toBeNull();
+    });
+  });
+
+  describe('checkStatusTransition', () => {
+    const task = { _id: 't1', status: 'pending', blockedBy: ['b1'] };
+
+    test('should refuse to start a task with open blockers', async () => {
+      mockFind([{ _id: 'b1', title: 'Design', status: 'in-progress' }]);
+
+      const { failure } = await checkStatusTransition(task, 'in-progress');
+
+      expect(failure).toMatchObject({
+        code: 'TASK_BLOCKED',
+        details: { blockers: [{ id: 'b1', title: 'Design', status: 'in-progress' }] }
+      });
+    });
+
+    test('should allow the change with an override reason', async () => {
+      mockFind([{ _id: 'b1', title: 'Design', status: 'pending' }]);
+
+      const result = await checkStatusTransition(task, 'complete', '  Hotfix approved by release manager ');
+
+      expect(result.failure).toBeUndefined();
+      expect(result.override).toMatchObject({ reason: 'Hotfix approved by release manager' });
+    });
+
+    test('should not gate other statuses or closed blockers', async () => {
+      mockFind([]);
+
+      expect(await checkStatusTransition(task, 'cancelled')).toEqual({});
+      expect(await checkStatusTransition(task, 'complete')).toEqual({});
+    });
+  });
+
+  describe('computeCriticalPath', () => {
+    const now = new Date('2025-01-01T00:00:00Z');
+    const task = (id, estimatedHours, blockedBy = [], extra = {}) => ({
+      _id: id, title: id, status: 'pending', estimatedHours, blockedBy, ...extra
+    });
+
+    test('should find the longest chain and the slack of the other tasks', () => {
+      const result = computeCriticalPath([
+        task('design', 8),
+        task('backend', 16, ['design']),
+        task('frontend', 4, ['design']),
+        task('release', 2, ['backend', 'frontend'])
+      ], now);
+
+      const byId = Object.fromEntries(result.tasks.map(entry => [entry.id, entry]));
+
+      expect(result.criticalPath).toEqual(['design', 'backend', 'release']);
+      expect(result.projectDuration).toBe(26);
+      expect(byId.frontend).toMatchObject({ earliestStart: 8, slack: 12, critical: false });
+      expect(byId.release).toMatchObject({ earliestStart: 24, slack: 0, critical: true });
+    });
+
+    test('should use due dates as deadlines and count closed tasks as done', () => {
+      const result = computeCriticalPath([
+        task('spec', 10, [], { status: 'complete' }),
+        task('build', 10, ['spec'], { dueDate: new Date(now.getTime() + 6 * HOUR_MS) }),
+        task('docs', 3)
+      ], now);
+
+      const byId = Object.fromEntries(result.tasks.map(entry => [entry.id, entry]));
+
+      expect(byId.spec.estimatedHours).toBe(0);
+      expect(byId.build).toMatchObject({ latestFinish: 6, slack: -4, critical: true });
+      expect(result.minimumSlack).toBe(-4);
+    });
+
+    test('should report cycles instead of computing a schedule', () => {
+      const { failure } = computeCriticalPath([task('a', 1, ['b']), task('b', 1, ['a'])], now);
+      expect(failure.code).toBe('DEPENDENCY_CYCLE');
+    });
+  });
+});
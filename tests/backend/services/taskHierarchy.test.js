@@ -0,0 +1,132 @@
+/**
+ * Task Hierarchy Service Tests
+ *
+ * Tests the progress and estimate roll-up from subtasks, checklist
+ * progress, parent validation (cycles, depth, closed parents), the
+ * open-subtask check when completing a parent and the history of subtasks
+ * completed with it.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Task from '../../../server/src/models/Task.js';
+import TaskHistory from '../../../server/src/models/TaskHistory.js';
+import {
+  computeRollup,
+  checklistProgress,
+  checkParent,
+  completeTask
+} from '../../../server/src/services/taskHierarchy.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Task Hierarchy Service', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    vi.restoreAllMocks();
+  });
+
+  describe('computeRollup', () => {
+    test('should weight progress by estimated hours and sum the estimates', () => {
+      const rollup = computeRollup([
+        { status: 'complete', progress: 40, estimatedHours: 6 },
+        { status: 'in-progress', progress: 50, estimatedHours: 2 },
+        { status: 'pending', progress: 0, estimatedHours: 2 }
+      ]);
+
+      expect(rollup).toEqual({ progress: 70, estimatedHours: 10 });
+    });
+
+    test('should average evenly when an estimate is missing and skip cancelled subtasks', () => {
+      const rollup = computeRollup([
+        { status: 'complete', progress: 100, estimatedHours: 3 },
+        { status: 'pending', progress: 0, estimatedHours: 0 },
+        { status: 'cancelled', progress: 0, estimatedHours: 8 }
+      ]);
+
+      expect(rollup).toEqual({ progress: 50, estimatedHours: 3 });
+      expect(computeRollup([{ status: 'cancelled', estimatedHours: 1 }]).progress).toBeNull();
+    });
+  });
+
+  describe('checklistProgress', () => {
+    test('should count checked items', () => {
+      expect(checklistProgress([{ done: true }, { done: false }, { done: false }])).toBe(33);
+      expect(checklistProgress([])).toBe(0);
+    });
+  });
+
+  describe('checkParent', () => {
+    const root = { _id: id(), ancestors: [], status: 'pending' };
+
+    test('should reject moving a task below itself or its subtasks', () => {
+      const child = { _id: id(), ancestors: [root._id], status: 'pending' };
+
+      expect(checkParent(root, root).code).toBe('TASK_HIERARCHY_CYCLE');
+      expect(checkParent(root, child).code).toBe('TASK_HIERARCHY_CYCLE');
+      expect(checkParent({ _id: id() }, child)).toBeNull();
+    });
+
+    test('should enforce the depth limit including the moved subtree', () => {
+      process.env.TASK_MAX_DEPTH = '2';
+      const child = { _id: id(), ancestors: [root._id], status: 'pending' };
+      const grandchild = { _id: id(), ancestors: [root._id, child._id], status: 'pending' };
+
+      expect(checkParent(null, child)).toBeNull();
+      expect(checkParent(null, grandchild)).toMatchObject({ code: 'TASK_DEPTH_EXCEEDED', details: { maxDepth: 2 } });
+      expect(checkParent({ _id: id() }, root, 2).code).toBe('TASK_DEPTH_EXCEEDED');
+    });
+
+    test('should reject closed parents', () => {
+      expect(checkParent(null, { ...root, status: 'complete' }).code).toBe('PARENT_TASK_CLOSED');
+    });
+  });
+
+  describe('completeTask', () => {
+    test('should refuse to complete a parent with open subtasks unless cascading', async () => {
+      vi.spyOn(Task, 'countDocuments').mockResolvedValue(2);
+      const task = { _id: id(), complete: vi.fn() };
+
+      const failure = await completeTask(task);
+
+      expect(failure).toMatchObject({ code: 'OPEN_SUBTASKS', details: { openSubtasks: 2 } });
+      expect(task.complete).not.toHaveBeenCalled();
+    });
+
+    test('should record a complete entry for each subtask completed by a cascade', async () => {
+      const actor = id();
+      const parent = new Task({ title: 'Release', createdBy: actor, dueDate: new Date() });
+      const subtasks = ['Notes', 'Tag'].map(title => new Task({
+        title,
+        createdBy: actor,
+        dueDate: new Date(),
+        parentTask: parent._id,
+        ancestors: [parent._id]
+      }));
+
+      vi.spyOn(Task, 'find').mockImplementation((filter) => Promise.resolve(filter.status ? subtasks : []));
+      vi.spyOn(Task, 'findSubtasks').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+      vi.spyOn(Task.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      vi.spyOn(TaskHistory, 'latestVersion').mockResolvedValue(0);
+      const create = vi.spyOn(TaskHistory, 'create').mockImplementation(entry => Promise.resolve(entry));
+
+      expect(await completeTask(parent, { cascade: true, actor, source: 'bulk' })).toBeNull();
+
+      expect(subtasks.every(subtask => subtask.status === 'complete')).toBe(true);
+      expect(create).toHaveBeenCalledTimes(2);
+      for (const subtask of subtasks) {
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+          task: subtask._id,
+          actor,
+          source: 'bulk',
+          action: 'complete',
+          changes: expect.arrayContaining([{ field: 'status', before: 'pending', after: 'complete' }])
+        }));
+      }
+    });
+  });
+});
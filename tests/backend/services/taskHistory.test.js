@@ -0,0 +1,150 @@
+/**
+ * Task History Service Tests
+ *
+ * Tests field snapshots and diffs (checklists and dependencies included), recording of history entries with
+ * per-task versions, and planning a revert to an earlier version.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Task from '../../../server/src/models/Task.js';
+import TaskHistory from '../../../server/src/models/TaskHistory.js';
+import {
+  snapshotTask,
+  diffSnapshots,
+  recordTaskChanges,
+  planRevert
+} from '../../../server/src/services/taskHistory.js';
+
+const buildTask = (overrides = {}) => new Task({
+  title: 'Ship release',
+  description: 'Tag and publish the release',
+  priority: 'medium',
+  dueDate: new Date('2026-11-01T09:00:00Z'),
+  assignedTo: new mongoose.Types.ObjectId(),
+  createdBy: new mongoose.Types.ObjectId(),
+  tags: ['release'],
+  ...overrides
+});
+
+describe('Task History Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('diffSnapshots', () => {
+    test('should list only the fields that changed', () => {
+      const task = buildTask();
+      const before = snapshotTask(task);
+
+      task.dueDate = new Date('2026-11-08T09:00:00Z');
+      task.tags.push('backend');
+      task.title = 'Ship release';
+
+      expect(diffSnapshots(before, snapshotTask(task))).toEqual([
+        { field: 'dueDate', before: new Date('2026-11-01T09:00:00Z'), after: new Date('2026-11-08T09:00:00Z') },
+        { field: 'tags', before: ['release'], after: ['release', 'backend'] }
+      ]);
+    });
+
+    test('should store user references as ids even when populated', () => {
+      const assignee = new mongoose.Types.ObjectId();
+      const snapshot = snapshotTask({ assignedTo: { _id: assignee, username: 'sam' }, tags: [] });
+
+      expect(snapshot.assignedTo).toBe(assignee);
+      expect(snapshot.parentTask).toBeNull();
+    });
+
+    test('should keep checklist items with their text and state and list dependencies', () => {
+      const task = buildTask({ checklist: [{ text: 'Write notes' }] });
+      const blocker = new mongoose.Types.ObjectId();
+      const before = snapshotTask(task);
+
+      task.checklist[0].done = true;
+      task.blockedBy.push(blocker);
+
+      expect(diffSnapshots(before, snapshotTask(task))).toEqual([
+        { field: 'blockedBy', before: [], after: [blocker] },
+        {
+          field: 'checklist',
+          before: [{ text: 'Write notes', done: false }],
+          after: [{ text: 'Write notes', done: true }]
+        }
+      ]);
+    });
+  });
+
+  describe('recordTaskChanges', () => {
+    test('should record changes with the next version and actor', async () => {
+      const task = buildTask();
+      const before = snapshotTask(task);
+      const actor = new mongoose.Types.ObjectId();
+      task.priority = 'urgent';
+
+      vi.spyOn(TaskHistory, 'latestVersion').mockResolvedValue(4);
+      const create = vi.spyOn(TaskHistory, 'create').mockImplementation(async (entry) => entry);
+
+      const entry = await recordTaskChanges(task, before, { actor, source: 'websocket' });
+
+      expect(entry).toMatchObject({ task: task._id, version: 5, actor, source: 'websocket', action: 'update' });
+      expect(entry.changes).toEqual([{ field: 'priority', before: 'medium', after: 'urgent' }]);
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip unchanged tasks and retry taken versions', async () => {
+      const task = buildTask();
+      const create = vi.spyOn(TaskHistory, 'create');
+
+      expect(await recordTaskChanges(task, snapshotTask(task))).toBeNull();
+      expect(create).not.toHaveBeenCalled();
+
+      vi.spyOn(TaskHistory, 'latestVersion').mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+      create
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }))
+        .mockImplementationOnce(async (entry) => entry);
+
+      const entry = await recordTaskChanges(task, null, { action: 'create' });
+
+      expect(entry.version).toBe(3);
+      expect(entry.changes.map(change => change.field)).toContain('title');
+    });
+  });
+
+  describe('planRevert', () => {
+    test('should restore editable fields and skip workflow fields', async () => {
+      const alice = new mongoose.Types.ObjectId();
+      const bob = new mongoose.Types.ObjectId();
+      const task = buildTask({ assignedTo: bob, dueDate: new Date('2026-11-15T09:00:00Z'), status: 'in-progress' });
+
+      vi.spyOn(TaskHistory, 'latestVersion').mockResolvedValue(4);
+      const later = vi.spyOn(TaskHistory, 'find').mockReturnValue({
+        sort: () => Promise.resolve([
+          { version: 4, changes: [{ field: 'dueDate', before: new Date('2026-11-08T09:00:00Z'), after: new Date('2026-11-15T09:00:00Z') }] },
+          { version: 3, changes: [{ field: 'status', before: 'pending', after: 'in-progress' }] },
+          {
+            version: 2,
+            changes: [
+              { field: 'assignedTo', before: alice, after: bob },
+              { field: 'dueDate', before: new Date('2026-11-01T09:00:00Z'), after: new Date('2026-11-08T09:00:00Z') }
+            ]
+          }
+        ])
+      });
+
+      const { values, skipped } = await planRevert(task, 1);
+
+      expect(later.mock.calls[0][0]).toMatchObject({ version: { $gt: 1 } });
+      expect(values).toEqual({ assignedTo: alice, dueDate: new Date('2026-11-01T09:00:00Z') });
+      expect(skipped).toEqual(['status']);
+    });
+
+    test('should reject versions that do not exist', async () => {
+      vi.spyOn(TaskHistory, 'latestVersion').mockResolvedValue(2);
+
+      expect((await planRevert(buildTask(), 3)).failure).toMatchObject({ code: 'VERSION_NOT_FOUND', details: { latest: 2 } });
+      expect((await planRevert(buildTask(), NaN)).failure.code).toBe('VERSION_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Task Search Service Tests
+ *
+ * Tests compiling task queries into database filters: priority and
+ * date comparisons in a timezone, user references, negation and the
+ * full-text search string, plus value suggestions.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import User from '../../../server/src/models/User.js';
+import { compileTaskQuery, suggestValues } from '../../../server/src/services/taskSearch.js';
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('Task Search Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('compileTaskQuery', () => {
+    test('should compile comparisons and calendar days in the given timezone', async () => {
+      const { filter, hasText } = await compileTaskQuery('priority:>=high due:<2026-11-01 due:today', {
+        user,
+        timeZone: 'Europe/Berlin',
+        now
+      });
+
+      expect(hasText).toBe(false);
+      expect(filter.$and).toEqual([
+        { priority: { $in: ['high', 'urgent'] } },
+        { dueDate: { $lt: new Date('2026-10-31T23:00:00Z') } },
+        { dueDate: { $gte: new Date('2026-10-18T22:00:00Z'), $lt: new Date('2026-10-19T22:00:00Z') } }
+      ]);
+    });
+
+    test('should resolve users, negate terms and build the text search', async () => {
+      const alice = { _id: new mongoose.Types.ObjectId() };
+      vi.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(alice) }) });
+
+      const { filter, hasText } = await compileTaskQuery('assignee:@me,@alice -tag:wontfix "release notes" deploy -draft', { user, now });
+
+      expect(hasText).toBe(true);
+      expect(filter.$text).toEqual({ $search: '"release notes" deploy -draft' });
+      expect(filter.$and).toEqual([
+        { assignedTo: { $in: [user._id, alice._id] } },
+        { $nor: [{ tags: { $in: ['wontfix'] } }] }
+      ]);
+    });
+
+    test('should report unknown users and exclusion-only text', async () => {
+      vi.spyOn(User, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+
+      expect((await compileTaskQuery('creator:nobody', { user, now })).failure).toMatchObject({
+        code: 'INVALID_QUERY',
+        details: { position: 0, token: 'nobody' }
+      });
+      expect((await compileTaskQuery('-draft', { user, now })).failure.code).toBe('INVALID_QUERY');
+    });
+  });
+
+  describe('suggestValues', () => {
+    test('should suggest known values by prefix', async () => {
+      expect(await suggestValues('priority', 'h')).toEqual(['high']);
+      expect(await suggestValues('is', 're')).toEqual(['recurring']);
+      expect(await suggestValues('colour', 'r')).toEqual([]);
+    });
+  });
+});
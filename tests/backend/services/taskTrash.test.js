@@ -0,0 +1,131 @@
+/**
+ * Task Trash Service Tests
+ *
+ * Tests moving tasks to the trash, restoring them with the subtasks
+ * deleted alongside, purging subtrees (with their attachment files) and
+ * the retention-based purge.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Task from '../../../server/src/models/Task.js';
+import TaskHistory from '../../../server/src/models/TaskHistory.js';
+import TaskComment from '../../../server/src/models/TaskComment.js';
+import User from '../../../server/src/models/User.js';
+import { setAttachmentStorage } from '../../../server/src/services/attachmentStorage.js';
+import { deleteTask } from '../../../server/src/services/taskHierarchy.js';
+import {
+  getTrashSettings,
+  restoreTask,
+  purgeTask,
+  purgeExpiredTrash
+} from '../../../server/src/services/taskTrash.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Task Trash Service', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    vi.restoreAllMocks();
+  });
+
+  test('should read retention settings from the environment', () => {
+    expect(getTrashSettings({})).toEqual({ retention: 30 * 24 * 60 * 60 * 1000, purgeInterval: 60 * 60 * 1000 });
+    expect(getTrashSettings({ TASK_TRASH_RETENTION: '7d' }).retention).toBe(7 * 24 * 60 * 60 * 1000);
+  });
+
+  describe('deleteTask', () => {
+    test('should trash the task and its subtree instead of removing them', async () => {
+      const task = { _id: id(), ancestors: [] };
+      const child = id();
+      const deletedBy = id();
+      vi.spyOn(Task, 'countDocuments').mockResolvedValue(1);
+      vi.spyOn(Task, 'findDescendants').mockReturnValue({ distinct: async () => [child] });
+      const update = vi.spyOn(Task, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      const remove = vi.spyOn(Task, 'deleteMany');
+
+      expect((await deleteTask(task)).code).toBe('HAS_SUBTASKS');
+      expect(await deleteTask(task, { cascade: true, deletedBy })).toBeNull();
+
+      expect(remove).not.toHaveBeenCalled();
+      const [filter, change] = update.mock.calls[0];
+      expect(filter).toEqual({ _id: { $in: [task._id, child] } });
+      expect(change.$set).toMatchObject({ deletedBy, deletedWith: task._id });
+      expect(change.$set.deletedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('restoreTask', () => {
+    test('should restore everything deleted with the task', async () => {
+      const task = { _id: id(), parentTask: id() };
+      const restored = { _id: task._id, ancestors: [] };
+      vi.spyOn(Task, 'exists').mockResolvedValue({ _id: task.parentTask });
+      const update = vi.spyOn(Task, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+      vi.spyOn(Task, 'findById').mockResolvedValue(restored);
+
+      expect(await restoreTask(task)).toEqual({ task: restored, restored: 3 });
+      expect(update.mock.calls[0][0]).toEqual({ deletedWith: task._id, deletedAt: { $ne: null } });
+      expect(update.mock.calls[0][1]).toEqual({ $set: { deletedAt: null, deletedBy: null, deletedWith: null } });
+    });
+
+    test('should refuse subtasks whose parent is in the trash', async () => {
+      vi.spyOn(Task, 'exists').mockResolvedValue(null);
+      const update = vi.spyOn(Task, 'updateMany');
+
+      const { failure } = await restoreTask({ _id: id(), parentTask: id() });
+
+      expect(failure.code).toBe('PARENT_TASK_DELETED');
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeTask', () => {
+    test('should remove the subtree, its history, comments, files and links to it', async () => {
+      const task = { _id: id() };
+      const child = id();
+      const uploader = id();
+      const storage = { remove: vi.fn(async () => {}) };
+      setAttachmentStorage(storage);
+      vi.spyOn(Task, 'distinct').mockReturnValue({ setOptions: async () => [child] });
+      vi.spyOn(Task, 'find').mockReturnValue({
+        select: () => ({
+          setOptions: async () => [{ attachments: [{ storageKey: 'a', thumbnailKey: 'a.thumb', size: 300, uploadedBy: uploader }] }]
+        })
+      });
+      const release = vi.spyOn(User, 'releaseStorage').mockResolvedValue({});
+      const remove = vi.spyOn(Task, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      const unlink = vi.spyOn(Task, 'updateMany').mockReturnValue({ setOptions: vi.fn(async () => ({})) });
+      const history = vi.spyOn(TaskHistory, 'deleteMany').mockResolvedValue({});
+      const comments = vi.spyOn(TaskComment, 'deleteMany').mockResolvedValue({});
+
+      expect(await purgeTask(task)).toBe(2);
+      expect(remove).toHaveBeenCalledWith({ _id: { $in: [task._id, child] } });
+      expect(unlink.mock.calls[0][1]).toEqual({ $pull: { blockedBy: { $in: [task._id, child] } } });
+      expect(history).toHaveBeenCalledWith({ task: { $in: [task._id, child] } });
+      expect(comments).toHaveBeenCalledWith({ task: { $in: [task._id, child] } });
+      expect(storage.remove.mock.calls.map(call => call[0])).toEqual(['a', 'a.thumb']);
+      expect(release).toHaveBeenCalledWith(uploader, 300);
+      setAttachmentStorage(null);
+    });
+  });
+
+  describe('purgeExpiredTrash', () => {
+    test('should purge tasks trashed before the retention period', async () => {
+      process.env.TASK_TRASH_RETENTION = '7d';
+      const findTrash = vi.spyOn(Task, 'findTrash').mockReturnValue({ limit: async () => [{ _id: id() }] });
+      vi.spyOn(Task, 'distinct').mockReturnValue({ setOptions: async () => [] });
+      vi.spyOn(Task, 'find').mockReturnValue({ select: () => ({ setOptions: async () => [] }) });
+      vi.spyOn(Task, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      vi.spyOn(Task, 'updateMany').mockReturnValue({ setOptions: async () => ({}) });
+      vi.spyOn(TaskHistory, 'deleteMany').mockResolvedValue({});
+      vi.spyOn(TaskComment, 'deleteMany').mockResolvedValue({});
+
+      expect(await purgeExpiredTrash(new Date('2026-10-19T00:00:00Z'))).toBe(1);
+      expect(findTrash.mock.calls[0][0].deletedAt.$lte).toEqual(new Date('2026-10-12T00:00:00Z'));
+    });
+  });
+});
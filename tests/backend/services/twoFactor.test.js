@@ -0,0 +1,97 @@
+/**
+ * Two-Factor Service Tests
+ *
+ * Tests for TOTP verification, replay protection and backup codes.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import speakeasy from 'speakeasy';
+import {
+  createTotpSecret,
+  verifyTotp,
+  generateBackupCodes,
+  consumeBackupCode,
+  verifySecondFactor
+} from '../../../server/src/services/twoFactor.js';
+
+const codeAt = (secret, time) => speakeasy.totp({
+  secret,
+  encoding: 'base32',
+  time: Math.floor(time / 1000)
+});
+
+describe('Two-Factor Service', () => {
+  describe('createTotpSecret', () => {
+    test('should return a base32 secret, otpauth URI and QR code', async () => {
+      const result = await createTotpSecret({ email: 'test@example.com' });
+
+      expect(result.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(result.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+      expect(result.otpauthUrl).toContain('issuer=TaskFlow');
+      expect(result.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const { base32: secret } = speakeasy.generateSecret({ length: 20 });
+    const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+    test('should accept the current code', () => {
+      expect(verifyTotp(secret, codeAt(secret, now), null, now)).toBe(Math.floor(now / 30000));
+    });
+
+    test('should accept a code from the previous step', () => {
+      expect(verifyTotp(secret, codeAt(secret, now - 30000), null, now)).not.toBeNull();
+    });
+
+    test('should reject codes outside the window', () => {
+      expect(verifyTotp(secret, codeAt(secret, now - 120000), null, now)).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(verifyTotp(secret, 'abcdef', null, now)).toBeNull();
+      expect(verifyTotp(secret, '123', null, now)).toBeNull();
+    });
+
+    test('should reject a replayed step', () => {
+      const step = verifyTotp(secret, codeAt(secret, now), null, now);
+      expect(verifyTotp(secret, codeAt(secret, now), step, now)).toBeNull();
+    });
+  });
+
+  describe('backup codes', () => {
+    test('should generate unique codes with hashes only', () => {
+      const { codes, hashes } = generateBackupCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      hashes.forEach((entry, index) => {
+        expect(entry.codeHash).toMatch(/^[a-f0-9]{64}$/);
+        expect(entry.codeHash).not.toContain(codes[index]);
+      });
+    });
+
+    test('should consume a code only once', () => {
+      const { codes, hashes } = generateBackupCodes(2);
+
+      expect(consumeBackupCode(hashes, codes[0])).toBe(true);
+      expect(consumeBackupCode(hashes, codes[0])).toBe(false);
+      expect(consumeBackupCode(hashes, codes[1].toUpperCase())).toBe(true);
+    });
+  });
+
+  describe('verifySecondFactor', () => {
+    test('should accept TOTP and backup codes and record their use', () => {
+      const { base32: secret } = speakeasy.generateSecret({ length: 20 });
+      const { codes, hashes } = generateBackupCodes(1);
+      const user = { twoFactor: { secret, lastUsedStep: null, backupCodes: hashes } };
+
+      expect(verifySecondFactor(user, codeAt(secret, Date.now()))).toEqual({ valid: true, method: 'totp' });
+      expect(user.twoFactor.lastUsedStep).not.toBeNull();
+      expect(verifySecondFactor(user, codes[0])).toEqual({ valid: true, method: 'backup_code' });
+      expect(verifySecondFactor(user, codes[0])).toEqual({ valid: false });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * WebAuthn Service Tests
+ *
+ * Verifies passkey registration and login responses produced by a
+ * software authenticator, including the checks that reject them.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import {
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  readClientChallenge
+} from '../../../server/src/services/webauthn.js';
+import { encodeCbor, decodeCbor } from '../../../server/src/utils/cbor.js';
+import { createSoftwareAuthenticator } from '../helpers/softwareAuthenticator.js';
+
+const config = {
+  rpId: 'localhost',
+  rpName: 'TaskFlow',
+  origins: ['http://localhost:5173'],
+  timeoutMs: 60000
+};
+
+const registrationOptions = (challenge = 'registration-challenge') => ({
+  challenge,
+  rp: { id: 'localhost', name: 'TaskFlow' },
+  user: { id: 'dXNlcg', name: 'user@example.com', displayName: 'user' }
+});
+
+const loginOptions = (challenge = 'login-challenge') => ({ challenge, rpId: 'localhost' });
+
+/**
+ * Register an authenticator and return the passkey as it would be stored
+ */
+const register = (authenticator) => {
+  const options = registrationOptions();
+  const { credential } = verifyRegistrationResponse(authenticator.create(options), {
+    expectedChallenge: options.challenge,
+    config
+  });
+  return credential;
+};
+
+describe('WebAuthn Service', () => {
+  describe('CBOR', () => {
+    test('should round-trip maps with integer keys', () => {
+      const value = new Map([[1, 2], [-2, Buffer.from([1, 2, 3])], ['fmt', 'none'], [3, [true, null, 500]]]);
+      expect(decodeCbor(encodeCbor(value))).toEqual(value);
+    });
+  });
+
+  describe('registration', () => {
+    test('should accept an ES256 passkey', () => {
+      const authenticator = createSoftwareAuthenticator();
+      const credential = register(authenticator);
+
+      expect(credential.credentialId).toBe(authenticator.credentialId);
+      expect(credential.algorithm).toBe(-7);
+      expect(credential.signCount).toBe(0);
+      expect(credential.transports).toEqual(['internal']);
+    });
+
+    test('should accept an Ed25519 passkey', () => {
+      const credential = register(createSoftwareAuthenticator({ algorithm: -8 }));
+      expect(credential.algorithm).toBe(-8);
+    });
+
+    test('should reject a response for another challenge', () => {
+      const response = createSoftwareAuthenticator().create(registrationOptions('other'));
+      const result = verifyRegistrationResponse(response, { expectedChallenge: 'registration-challenge', config });
+      expect(result.failure.code).toBe('WEBAUTHN_CHALLENGE_INVALID');
+    });
+
+    test('should reject a response from another origin', () => {
+      const response = createSoftwareAuthenticator({ origin: 'https://evil.example' }).create(registrationOptions());
+      const result = verifyRegistrationResponse(response, { expectedChallenge: 'registration-challenge', config });
+      expect(result.failure.code).toBe('WEBAUTHN_ORIGIN_MISMATCH');
+    });
+
+    test('should reject a passkey scoped to another RP ID', () => {
+      const response = createSoftwareAuthenticator().create(registrationOptions(), { rpId: 'evil.example' });
+      const result = verifyRegistrationResponse(response, { expectedChallenge: 'registration-challenge', config });
+      expect(result.failure.code).toBe('WEBAUTHN_RP_MISMATCH');
+    });
+
+    test('should require user verification', () => {
+      const response = createSoftwareAuthenticator({ userVerified: false }).create(registrationOptions());
+      const result = verifyRegistrationResponse(response, { expectedChallenge: 'registration-challenge', config });
+      expect(result.failure.code).toBe('WEBAUTHN_USER_NOT_VERIFIED');
+    });
+
+    test('should reject malformed responses', () => {
+      const response = createSoftwareAuthenticator().create(registrationOptions());
+      response.response.attestationObject = 'not-cbor';
+      const result = verifyRegistrationResponse(response, { expectedChallenge: 'registration-challenge', config });
+      expect(result.failure.code).toBe('WEBAUTHN_INVALID_RESPONSE');
+    });
+  });
+
+  describe('login', () => {
+    test('should verify an assertion and return the new sign count', () => {
+      const authenticator = createSoftwareAuthenticator();
+      const passkey = register(authenticator);
+      const response = authenticator.get(loginOptions());
+
+      expect(readClientChallenge(response)).toBe('login-challenge');
+
+      const result = verifyAuthenticationResponse(response, { expectedChallenge: 'login-challenge', passkey, config });
+      expect(result.failure).toBeUndefined();
+      expect(result.signCount).toBe(1);
+    });
+
+    test('should verify Ed25519 assertions', () => {
+      const authenticator = createSoftwareAuthenticator({ algorithm: -8 });
+      const passkey = register(authenticator);
+
+      const result = verifyAuthenticationResponse(authenticator.get(loginOptions()), {
+        expectedChallenge: 'login-challenge',
+        passkey,
+        config
+      });
+      expect(result.signCount).toBe(1);
+    });
+
+    test('should reject a tampered signature', () => {
+      const authenticator = createSoftwareAuthenticator();
+      const passkey = register(authenticator);
+      const response = authenticator.get(loginOptions());
+      response.response.clientDataJSON = Buffer.from(JSON.stringify({
+        type: 'webauthn.get',
+        challenge: 'login-challenge',
+        origin: 'http://localhost:5173',
+        crossOrigin: false,
+        extra: 'tampered'
+      })).toString('base64url');
+
+      const result = verifyAuthenticationResponse(response, { expectedChallenge: 'login-challenge', passkey, config });
+      expect(result.failure.code).toBe('WEBAUTHN_SIGNATURE_INVALID');
+    });
+
+    test('should reject an assertion signed by another key', () => {
+      const passkey = register(createSoftwareAuthenticator());
+      const response = createSoftwareAuthenticator().get(loginOptions());
+      response.id = passkey.credentialId;
+
+      const result = verifyAuthenticationResponse(response, { expectedChallenge: 'login-challenge', passkey, config });
+      expect(result.failure.code).toBe('WEBAUTHN_SIGNATURE_INVALID');
+    });
+
+    test('should reject a sign counter that does not increase', () => {
+      const authenticator = createSoftwareAuthenticator();
+      const passkey = { ...register(authenticator), signCount: 5 };
+      authenticator.resetCounter(2);
+
+      const result = verifyAuthenticationResponse(authenticator.get(loginOptions()), {
+        expectedChallenge: 'login-challenge',
+        passkey,
+        config
+      });
+      expect(result.failure.code).toBe('WEBAUTHN_COUNTER_ERROR');
+    });
+
+    test('should allow authenticators without a counter', () => {
+      const authenticator = createSoftwareAuthenticator({ counterStep: 0 });
+      const passkey = register(authenticator);
+
+      const result = verifyAuthenticationResponse(authenticator.get(loginOptions()), {
+        expectedChallenge: 'login-challenge',
+        passkey,
+        config
+      });
+      expect(result.signCount).toBe(0);
+    });
+
+    test('should reject a registration response presented as a login', () => {
+      const authenticator = createSoftwareAuthenticator();
+      const passkey = register(authenticator);
+      const response = authenticator.get(loginOptions());
+      response.response.clientDataJSON = Buffer.from(JSON.stringify({
+        type: 'webauthn.create',
+        challenge: 'login-challenge',
+        origin: 'http://localhost:5173'
+      })).toString('base64url');
+
+      const result = verifyAuthenticationResponse(response, { expectedChallenge: 'login-challenge', passkey, config });
+      expect(result.failure.code).toBe('WEBAUTHN_INVALID_RESPONSE');
+    });
+  });
+});
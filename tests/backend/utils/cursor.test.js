@@ -0,0 +1,62 @@
+/**
+ * Cursor Pagination Tests
+ *
+ * Tests encoding and decoding of opaque cursors and the keyset filters
+ * built from them, including null sort values and mismatched sorts.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import {
+  encodeCursor,
+  decodeCursor,
+  cursorAfter,
+  offsetCursor,
+  keysetFilter
+} from '../../../server/src/utils/cursor.js';
+
+describe('Cursor Pagination', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  test('should round-trip cursors and reject malformed ones', () => {
+    expect(decodeCursor(encodeCursor({ s: 'title', n: 3 }))).toEqual({ s: 'title', n: 3 });
+    expect(decodeCursor(offsetCursor('relevance', 40))).toEqual({ s: 'relevance', n: 40 });
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('[1,2]').toString('base64url'))).toBeNull();
+    expect(decodeCursor(undefined)).toBeNull();
+  });
+
+  test('should continue after the last item of a date sort', () => {
+    const dueDate = new Date('2026-11-01T09:00:00Z');
+    const payload = decodeCursor(cursorAfter({ _id: id, dueDate }, 'dueDate', 'asc'));
+
+    const filter = keysetFilter(payload, 'dueDate', 'asc');
+
+    expect(filter.$or).toEqual([
+      { dueDate: { $gt: dueDate } },
+      { dueDate, _id: { $gt: id } }
+    ]);
+  });
+
+  test('should place null values last in descending order', () => {
+    const descending = keysetFilter(decodeCursor(cursorAfter({ _id: id, dueDate: new Date(0) }, 'dueDate', 'desc')), 'dueDate', 'desc');
+    expect(descending.$or).toContainEqual({ dueDate: null });
+
+    const afterNull = keysetFilter(decodeCursor(cursorAfter({ _id: id, dueDate: null }, 'dueDate', 'desc')), 'dueDate', 'desc');
+    expect(afterNull).toEqual({ dueDate: null, _id: { $lt: id } });
+
+    const ascending = keysetFilter(decodeCursor(cursorAfter({ _id: id }, 'dueDate', 'asc')), 'dueDate', 'asc');
+    expect(ascending.$or[0]).toEqual({ dueDate: { $ne: null } });
+  });
+
+  test('should reject cursors issued for another sort', () => {
+    const payload = decodeCursor(cursorAfter({ _id: id, title: 'Deploy' }, 'title', 'asc'));
+
+    expect(keysetFilter(payload, 'title', 'desc')).toBeNull();
+    expect(keysetFilter(payload, 'createdAt', 'asc')).toBeNull();
+    expect(keysetFilter({ ...payload, id: 'nope' }, 'title', 'asc')).toBeNull();
+    expect(keysetFilter({ ...payload, d: true, v: 'garbage' }, 'title', 'asc')).toBeNull();
+  });
+});
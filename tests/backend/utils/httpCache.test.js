@@ -0,0 +1,58 @@
+/**
+ * HTTP Cache Tests
+ *
+ * Tests weak ETag generation, If-None-Match matching and the headers
+ * and 304 responses of conditional GETs.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { weakEtag, matchesIfNoneMatch, sendNotModified } from '../../../server/src/utils/httpCache.js';
+
+const createReq = (ifNoneMatch) => ({
+  get: (name) => (name.toLowerCase() === 'if-none-match' ? ifNoneMatch : undefined)
+});
+
+const createRes = () => {
+  const res = { headers: {}, vary: vi.fn() };
+  res.set = vi.fn((name, value) => { res.headers[name] = value; return res; });
+  res.status = vi.fn(() => res);
+  res.end = vi.fn(() => res);
+  return res;
+};
+
+describe('HTTP Cache', () => {
+  test('should build stable weak ETags', () => {
+    const etag = weakEtag(['task', '2026-10-01T00:00:00.000Z']);
+
+    expect(etag).toMatch(/^W\/"[\w-]+"$/);
+    expect(weakEtag(['task', '2026-10-01T00:00:00.000Z'])).toBe(etag);
+    expect(weakEtag(['task', '2026-10-02T00:00:00.000Z'])).not.toBe(etag);
+  });
+
+  test('should compare If-None-Match weakly', () => {
+    const etag = 'W/"abc"';
+
+    expect(matchesIfNoneMatch(createReq('W/"abc"'), etag)).toBe(true);
+    expect(matchesIfNoneMatch(createReq('"xyz", "abc"'), etag)).toBe(true);
+    expect(matchesIfNoneMatch(createReq('*'), etag)).toBe(true);
+    expect(matchesIfNoneMatch(createReq('W/"xyz"'), etag)).toBe(false);
+    expect(matchesIfNoneMatch(createReq(undefined), etag)).toBe(false);
+  });
+
+  test('should answer 304 only when the client has the version', () => {
+    const etag = weakEtag({ id: 1 });
+
+    const fresh = createRes();
+    expect(sendNotModified(createReq(undefined), fresh, etag)).toBe(false);
+    expect(fresh.headers).toEqual({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+    expect(fresh.vary).toHaveBeenCalledWith('Authorization');
+    expect(fresh.status).not.toHaveBeenCalled();
+
+    const cached = createRes();
+    expect(sendNotModified(createReq(etag), cached, etag)).toBe(true);
+    expect(cached.status).toHaveBeenCalledWith(304);
+    expect(cached.end).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Markdown Utility Tests
+ *
+ * Tests the comment Markdown subset, escaping of HTML and unsafe links,
+ * and finding @mentions outside code.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { extractMentions, renderMarkdown } from '../../../server/src/utils/markdown.js';
+
+describe('Markdown Utilities', () => {
+  test('should render inline formatting and safe links', () => {
+    expect(renderMarkdown('**bold**, *italic*, ~~old~~ and `a < b`'))
+      .toBe('<p><strong>bold</strong>, <em>italic</em>, <del>old</del> and <code>a &lt; b</code></p>');
+    expect(renderMarkdown('[docs](https://example.com/?a=1&b=2)'))
+      .toBe('<p><a href="https://example.com/?a=1&amp;b=2" rel="nofollow noopener noreferrer" target="_blank">docs</a></p>');
+    expect(renderMarkdown('snake_case_name and 2*3*4')).toBe('<p>snake_case_name and 2*3*4</p>');
+  });
+
+  test('should render lists, quotes, code blocks and line breaks', () => {
+    expect(renderMarkdown('- one\n- two\n\n1. first\n\n> quoted\n\nline\nbreak'))
+      .toBe('<ul><li>one</li><li>two</li></ul>\n<ol><li>first</li></ol>\n<blockquote>quoted</blockquote>\n<p>line<br>break</p>');
+    expect(renderMarkdown('```js\nif (a < b) {}\n```\nafter'))
+      .toBe('<pre><code>if (a &lt; b) {}</code></pre>\n<p>after</p>');
+  });
+
+  test('should never let HTML or script links through', () => {
+    const html = renderMarkdown('<img src=x onerror=alert(1)> [x](javascript:alert(1)) [y](data:text/html,hi) "quoted"');
+
+    expect(html).not.toMatch(/<img|<a /);
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('&quot;quoted&quot;');
+    // A forged placeholder cannot bring back held HTML
+    expect(renderMarkdown('`a` \uE0000\uE000<b>')).toBe('<p><code>a</code> 0&lt;b&gt;</p>');
+  });
+
+  test('should link resolved mentions only', () => {
+    const html = renderMarkdown('@alice and @bob, mail me at me@example.com', { mentions: new Map([['alice', 'u1']]) });
+
+    expect(html).toBe('<p><span class="mention" data-user-id="u1">@alice</span> and @bob, mail me at me@example.com</p>');
+  });
+
+  test('should find mentions outside code, once per user', () => {
+    expect(extractMentions('@alice, @Bob. and @ALICE again; `@carol` me@example.com\n```\n@dave\n```'))
+      .toEqual(['alice', 'Bob']);
+    expect(extractMentions('[ping @erin](https://example.com)')).toEqual(['erin']);
+  });
+});
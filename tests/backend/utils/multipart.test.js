@@ -0,0 +1,72 @@
+/**
+ * Multipart Utility Tests
+ *
+ * Tests parsing multipart/form-data bodies and the request size limit.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { getBoundary, parseMultipart, readRequestBody } from '../../../server/src/utils/multipart.js';
+
+const CONTENT_TYPE = 'multipart/form-data; boundary=----taskflow';
+
+const part = (headers, body) => Buffer.concat([
+  Buffer.from(`------taskflow\r\n${headers.join('\r\n')}\r\n\r\n`),
+  Buffer.isBuffer(body) ? body : Buffer.from(body),
+  Buffer.from('\r\n')
+]);
+
+const form = (...parts) => Buffer.concat([...parts, Buffer.from('------taskflow--\r\n')]);
+
+const createReq = (chunks, headers = {}) => {
+  const req = new EventEmitter();
+  req.headers = headers;
+  req.resume = vi.fn();
+  setImmediate(() => {
+    chunks.forEach(chunk => req.emit('data', Buffer.from(chunk)));
+    req.emit('end');
+  });
+  return req;
+};
+
+describe('Multipart Utilities', () => {
+  test('should read the boundary from the content type', () => {
+    expect(getBoundary(CONTENT_TYPE)).toBe('----taskflow');
+    expect(getBoundary('multipart/form-data; boundary="a b"')).toBe('a b');
+    expect(getBoundary('application/json')).toBeNull();
+  });
+
+  test('should parse fields and binary files', () => {
+    const binary = Buffer.from([0x89, 0x0d, 0x0a, 0x00, 0xff]);
+    const { fields, files } = parseMultipart(form(
+      part(['Content-Disposition: form-data; name="note"'], 'hello'),
+      part([
+        'Content-Disposition: form-data; name="file"; filename="plan.png"; filename*=UTF-8\'\'pl%C3%A4n.png',
+        'Content-Type: image/PNG'
+      ], binary)
+    ), CONTENT_TYPE);
+
+    expect(fields).toEqual({ note: 'hello' });
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatchObject({ fieldName: 'file', filename: 'plän.png', contentType: 'image/png' });
+    expect(files[0].data.equals(binary)).toBe(true);
+  });
+
+  test('should reject malformed bodies', () => {
+    expect(() => parseMultipart(Buffer.from('x'), 'text/plain')).toThrow('MULTIPART:');
+    expect(() => parseMultipart(Buffer.from('nothing here'), CONTENT_TYPE)).toThrow('boundary not found');
+    expect(() => parseMultipart(Buffer.from('------taskflow\r\nContent-Disposition: form-data; name="a"\r\n\r\ncut'), CONTENT_TYPE))
+      .toThrow('unexpected end');
+  });
+
+  test('should stop reading bodies over the limit', async () => {
+    expect((await readRequestBody(createReq(['ab', 'cd']), 10)).toString()).toBe('abcd');
+    await expect(readRequestBody(createReq(['abcdef', 'ghijkl']), 10)).rejects.toMatchObject({ code: 'PAYLOAD_TOO_LARGE' });
+
+    const declared = createReq([], { 'content-length': '11' });
+    await expect(readRequestBody(declared, 10)).rejects.toMatchObject({ code: 'PAYLOAD_TOO_LARGE' });
+    expect(declared.resume).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Permission Catalogue Tests
+ *
+ * Tests for built-in roles and permission set checks.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import {
+  PERMISSION_NAMES,
+  BUILT_IN_ROLES,
+  isBuiltInRole,
+  hasAllPermissions
+} from '../../../server/src/utils/permissions.js';
+
+describe('Permission Catalogue', () => {
+  test('should give admins every permission', () => {
+    expect(BUILT_IN_ROLES.admin.permissions).toEqual(PERMISSION_NAMES);
+  });
+
+  test('should only use known permissions in built-in roles', () => {
+    Object.values(BUILT_IN_ROLES).forEach(role => {
+      expect(hasAllPermissions(PERMISSION_NAMES, role.permissions)).toBe(true);
+    });
+  });
+
+  test('should keep the legacy user role equal to member', () => {
+    expect(BUILT_IN_ROLES.user.permissions).toEqual(BUILT_IN_ROLES.member.permissions);
+  });
+
+  test('should recognise built-in role names only', () => {
+    expect(isBuiltInRole('manager')).toBe(true);
+    expect(isBuiltInRole('guest')).toBe(true);
+    expect(isBuiltInRole('contractor')).toBe(false);
+    expect(isBuiltInRole('constructor')).toBe(false);
+  });
+
+  test('should compare permission sets', () => {
+    expect(hasAllPermissions(['task.assign', 'logs.read'], ['logs.read'])).toBe(true);
+    expect(hasAllPermissions(['logs.read'], ['logs.read', 'logs.delete'])).toBe(false);
+    expect(hasAllPermissions([], [])).toBe(true);
+  });
+});
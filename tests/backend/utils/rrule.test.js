@@ -0,0 +1,82 @@
+/**
+ * RRULE Utility Tests
+ *
+ * Tests rule parsing and the expansion of weekly, monthly and yearly
+ * rules in a timezone, including daylight saving changes.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import {
+  parseRRule,
+  formatRRule,
+  listOccurrences,
+  nextOccurrence
+} from '../../../server/src/utils/rrule.js';
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('RRULE Utilities', () => {
+  describe('parseRRule', () => {
+    test('should parse and normalise a rule', () => {
+      const rule = parseRRule('RRULE:freq=monthly;interval=2;byday=2TU');
+
+      expect(rule).toMatchObject({ freq: 'MONTHLY', interval: 2, byDay: [{ weekday: 2, ordinal: 2 }] });
+      expect(formatRRule(rule)).toBe('FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU');
+    });
+
+    test('should reject unsupported or malformed rules', () => {
+      expect(() => parseRRule('FREQ=HOURLY')).toThrow(/FREQ/);
+      expect(() => parseRRule('FREQ=DAILY;BYSETPOS=1')).toThrow(/not supported/);
+      expect(() => parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20250101')).toThrow(/combined/);
+      expect(() => parseRRule('INTERVAL=2')).toThrow(/FREQ is required/);
+      expect(() => parseRRule('FREQ=WEEKLY;BYDAY=1MO')).toThrow(/ordinals/);
+    });
+  });
+
+  describe('occurrences', () => {
+    test('should expand weekly rules on several weekdays', () => {
+      const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO,WE,FR');
+      const start = new Date('2025-01-01T09:00:00Z');
+
+      expect(iso(listOccurrences(rule, start, 'UTC', start, 4))).toEqual([
+        '2025-01-03T09:00:00.000Z',
+        '2025-01-06T09:00:00.000Z',
+        '2025-01-08T09:00:00.000Z',
+        '2025-01-10T09:00:00.000Z'
+      ]);
+    });
+
+    test('should keep the wall-clock time across daylight saving changes', () => {
+      const rule = parseRRule('FREQ=DAILY');
+      const start = new Date('2025-03-08T14:00:00Z'); // 09:00 in New York
+
+      expect(iso(listOccurrences(rule, start, 'America/New_York', start, 2))).toEqual([
+        '2025-03-09T13:00:00.000Z',
+        '2025-03-10T13:00:00.000Z'
+      ]);
+    });
+
+    test('should support ordinal weekdays and days counted from the month end', () => {
+      const start = new Date('2025-01-31T09:00:00Z');
+
+      expect(iso(listOccurrences(parseRRule('FREQ=MONTHLY;BYDAY=-1FR'), start, 'UTC', start, 2))).toEqual([
+        '2025-02-28T09:00:00.000Z',
+        '2025-03-28T09:00:00.000Z'
+      ]);
+      expect(iso(listOccurrences(parseRRule('FREQ=MONTHLY;BYMONTHDAY=-1'), start, 'UTC', start, 2))).toEqual([
+        '2025-02-28T09:00:00.000Z',
+        '2025-03-31T09:00:00.000Z'
+      ]);
+    });
+
+    test('should skip months without the start day and stop at COUNT and UNTIL', () => {
+      const start = new Date('2025-01-31T09:00:00Z');
+
+      expect(nextOccurrence(parseRRule('FREQ=MONTHLY'), start, 'UTC', start).toISOString()).toBe('2025-03-31T09:00:00.000Z');
+      expect(listOccurrences(parseRRule('FREQ=DAILY;COUNT=3'), start, 'UTC', start, 10)).toHaveLength(2);
+      expect(nextOccurrence(parseRRule('FREQ=WEEKLY;UNTIL=20250206'), start, 'UTC', new Date('2025-02-07T00:00:00Z'))).toBeNull();
+    });
+  });
+});
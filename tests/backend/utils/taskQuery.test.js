@@ -0,0 +1,58 @@
+/**
+ * Task Query Parser Tests
+ *
+ * Tests parsing of field terms, comparisons, lists, negation and free
+ * text, and the syntax errors reported for invalid queries.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { parseTaskQuery } from '../../../server/src/utils/taskQuery.js';
+
+describe('Task Query Parser', () => {
+  test('should parse field terms, comparisons and free text', () => {
+    const { query } = parseTaskQuery('status:in-progress priority:>=High due:<2026-11-01 tag:backend assignee:@me "exact phrase" deploy');
+
+    expect(query.terms).toEqual([
+      { field: 'status', operator: '=', values: ['in-progress'], negated: false, position: 0 },
+      { field: 'priority', operator: '>=', values: ['high'], negated: false, position: 19 },
+      { field: 'due', operator: '<', values: [{ year: 2026, month: 11, day: 1 }], negated: false, position: 35 },
+      { field: 'tag', operator: '=', values: ['backend'], negated: false, position: 51 },
+      { field: 'assignee', operator: '=', values: ['@me'], negated: false, position: 63 }
+    ]);
+    expect(query.text).toEqual([
+      { value: 'exact phrase', phrase: true, negated: false },
+      { value: 'deploy', phrase: false, negated: false }
+    ]);
+  });
+
+  test('should support lists, negation, aliases and quoted values', () => {
+    const { query } = parseTaskQuery('status:pending,in-progress -tags:"on hold" is:overdue -draft');
+
+    expect(query.terms.map(({ field, values, negated }) => ({ field, values, negated }))).toEqual([
+      { field: 'status', values: ['pending', 'in-progress'], negated: false },
+      { field: 'tag', values: ['on hold'], negated: true },
+      { field: 'is', values: ['overdue'], negated: false }
+    ]);
+    expect(query.text).toEqual([{ value: 'draft', phrase: false, negated: true }]);
+  });
+
+  test('should treat regular expression syntax as plain text', () => {
+    const { query } = parseTaskQuery('(a+)+$');
+    expect(query.text).toEqual([{ value: '(a+)+$', phrase: false, negated: false }]);
+  });
+
+  test('should report syntax errors with their position', () => {
+    expect(parseTaskQuery('tag:ui "unfinished').failure).toMatchObject({
+      code: 'INVALID_QUERY',
+      details: { position: 7 }
+    });
+    expect(parseTaskQuery('colour:red').failure.error).toMatch(/Unknown field "colour"/);
+    expect(parseTaskQuery('priority:hgh').failure.error).toMatch(/Unknown priority "hgh"/);
+    expect(parseTaskQuery('due:2026-02-30').failure.error).toMatch(/Invalid date/);
+    expect(parseTaskQuery('status:>pending').failure.error).toMatch(/cannot be compared/);
+    expect(parseTaskQuery('tag:').failure.error).toMatch(/Missing value/);
+    expect(parseTaskQuery('x'.repeat(501)).failure.code).toBe('INVALID_QUERY');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Thumbnail Utility Tests
+ *
+ * Tests PNG decoding (including row filters), scaling and encoding, and
+ * extracting the EXIF thumbnail of JPEG photos.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import zlib from 'zlib';
+import {
+  crc32,
+  decodePng,
+  encodePng,
+  scaleDown,
+  extractJpegThumbnail,
+  createThumbnail
+} from '../../../server/src/utils/thumbnails.js';
+
+const chunk = (type, body) => {
+  const data = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  crc.writeUInt32BE(crc32(data));
+  return Buffer.concat([length, data, crc]);
+};
+
+// 2x2 greyscale PNG whose rows use the Sub and Up filters
+const filteredPng = () => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(2, 0);
+  header.writeUInt32BE(2, 4);
+  header[8] = 8;
+  header[9] = 0;
+  const rows = Buffer.from([1, 10, 5, 2, 20, 30]);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// JPEG with an APP1 segment whose IFD1 points at an embedded thumbnail
+const jpegWithThumbnail = (thumbnail) => {
+  const tiff = Buffer.alloc(8 + 6 + 2 + 24 + 4 + thumbnail.length);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(0, 8);
+  tiff.writeUInt32LE(14, 10);
+  tiff.writeUInt16LE(2, 14);
+  const start = 14 + 2 + 24 + 4;
+  [[0x0201, start], [0x0202, thumbnail.length]].forEach(([tag, value], i) => {
+    const entry = 16 + i * 12;
+    tiff.writeUInt16LE(tag, entry);
+    tiff.writeUInt16LE(4, entry + 2);
+    tiff.writeUInt32LE(1, entry + 4);
+    tiff.writeUInt32LE(value, entry + 8);
+  });
+  thumbnail.copy(tiff, start);
+
+  const segment = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(segment.length + 2);
+
+  return Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe1]), length, segment, Buffer.from([0xff, 0xda, 0, 2])]);
+};
+
+describe('Thumbnail Utilities', () => {
+  test('should decode filtered PNG rows', () => {
+    const image = decodePng(filteredPng());
+
+    expect(image).toMatchObject({ width: 2, height: 2 });
+    expect([...image.pixels]).toEqual([10, 10, 10, 255, 15, 15, 15, 255, 30, 30, 30, 255, 45, 45, 45, 255]);
+  });
+
+  test('should scale images down to fit and encode them again', () => {
+    const pixels = Buffer.alloc(400 * 100 * 4, 200);
+    const scaled = scaleDown({ width: 400, height: 100, pixels }, 256);
+
+    expect(scaled).toMatchObject({ width: 256, height: 64 });
+    expect(scaled.pixels[0]).toBe(200);
+
+    const thumbnail = createThumbnail(encodePng({ width: 400, height: 100, pixels }), 'image/png');
+    expect(thumbnail.contentType).toBe('image/png');
+    expect(decodePng(thumbnail.data)).toMatchObject({ width: 256, height: 64 });
+  });
+
+  test('should use the EXIF thumbnail of JPEG photos', () => {
+    const embedded = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+
+    expect(extractJpegThumbnail(jpegWithThumbnail(embedded)).equals(embedded)).toBe(true);
+    expect(createThumbnail(Buffer.from([0xff, 0xd8, 0xff, 0xda, 0, 2]), 'image/jpeg')).toBeNull();
+  });
+
+  test('should skip unsupported or broken images', () => {
+    expect(createThumbnail(Buffer.from('GIF89a'), 'image/gif')).toBeNull();
+    expect(createThumbnail(Buffer.from('not a png'), 'image/png')).toBeNull();
+    expect(decodePng(filteredPng().subarray(0, 40))).toBeNull();
+  });
+});
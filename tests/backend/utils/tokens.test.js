@@ -0,0 +1,40 @@
+/**
+ * Token Utility Tests
+ *
+ * Tests for opaque token generation, hashing and duration parsing.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import { generateOpaqueToken, hashToken, parseDuration } from '../../../server/src/utils/tokens.js';
+
+describe('Token Utilities', () => {
+  test('should generate distinct URL-safe tokens', () => {
+    const first = generateOpaqueToken();
+    const second = generateOpaqueToken();
+
+    expect(first).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(first).not.toBe(second);
+  });
+
+  test('should hash tokens deterministically', () => {
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken('abc')).not.toBe(hashToken('abd'));
+    expect(hashToken('abc')).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('should parse durations with units', () => {
+    expect(parseDuration('30s')).toBe(30 * 1000);
+    expect(parseDuration('15m')).toBe(15 * 60 * 1000);
+    expect(parseDuration('24h')).toBe(24 * 60 * 60 * 1000);
+    expect(parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseDuration('90')).toBe(90 * 1000);
+  });
+
+  test('should fall back for missing or invalid durations', () => {
+    expect(parseDuration(undefined, 1000)).toBe(1000);
+    expect(parseDuration('', 1000)).toBe(1000);
+    expect(parseDuration('soon', 1000)).toBe(1000);
+  });
+});